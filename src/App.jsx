@@ -2,7 +2,7 @@
  * App.jsx
  *
  * Top-level layout:
- *   - Left sidebar: ControlPanel
+ *   - Left sidebar: ControlPanel (ViewerPanel while a read-only link is open)
  *   - Centre:       R3F Canvas (3D scene) + DragCoordinatesHUD overlay
  *   - Bottom bar:   StatusBar
  *
@@ -22,27 +22,186 @@
  *   - ExportCapture: null-rendering component that downloads a PNG of the
  *     viewport when the exportRequested store flag is set.
  *     preserveDrawingBuffer: true on the gl prop is required for toDataURL().
+ *   - GlbExportCapture: likewise exports the assembled 3D scene as GLB when
+ *     glbExportRequested is set (utils/gltfExport.js).
+ *   - MoveItExportCapture: writes the scene objects as MoveIt collision
+ *     objects when moveitExportRequest is set (utils/moveitExport.js).
+ *   - ThumbnailCapture: answers thumbnailRequest with a small JPEG, saved
+ *     with scenes from the SAVES tab.
+ *
+ * TCP jog (inside Canvas):
+ *   - TcpGizmo: cyan sphere at the selected robot's tool tip; dragging it
+ *     jogs the tool through inverse kinematics (DragPlane 'tcp' mode).
+ *
+ * Program playback (inside Canvas):
+ *   - ProgramPlayer: null-rendering useFrame driver that interpolates each
+ *     playing robot through its waypoint program (JOINTS tab).
+ *
+ * Collision checking (toggled by the "Collisions" view button):
+ *   - CollisionMonitor (inside Canvas): convex-hull checks of robot links and
+ *     grippers against other robots and equipment; highlights contacts.
+ *   - CollisionHUD (outside Canvas): top-left list of contact pairs.
+ *
+ * Scene comparison (started from the SAVES tab, store comparison):
+ *   - ComparisonOverlay (inside Canvas): added / removed / moved entities
+ *     against the saved "before" layout, in green, red and amber ghosts.
+ *   - ComparisonHUD (outside Canvas): bottom-right change list.
+ *
+ * Pattern tool (opened from the ▦ button on a ROBOTS / EQUIPMENT row, store
+ * patternTool):
+ *   - PatternPreview (inside Canvas): cyan ghosts at the copies' poses.
+ *   - PatternPanel (outside Canvas): linear / grid / circular settings with
+ *     Apply and Cancel.
+ *
+ * Multi-selection: shift-click toggles robots/objects in and out of the
+ * selection, and shift-drag on empty floor in the 2D layout view box-selects
+ * (DragPlane). SelectionHUD (outside Canvas) offers Duplicate / Delete, and
+ * align / distribute / match rotation, for the set while more than one
+ * entity is selected.
+ *
+ * Keyboard: Ctrl+Z undoes the last scene change, Ctrl+Shift+Z (or Ctrl+Y)
+ * redoes it. Text fields keep their own native undo. Delete (or Backspace)
+ * removes the selection and Ctrl+D duplicates it.
+ *
+ * On mount, robot models imported through the IMPORT tab are read from
+ * IndexedDB and registered with the robot catalogue, so saved scenes that
+ * reference them can load.
+ *
+ * Autosave (utils/autosave.js): scene changes are snapshotted to
+ * localStorage while the app runs; RecoveryBanner (outside Canvas) offers
+ * the previous session's snapshot at startup.
+ *
+ * Share links (utils/shareLink.js): a #scene= / #view= fragment, on load or
+ * when the hash changes, is restored through restoreScene; #view= links open
+ * in viewer mode. Editable links drop the fragment once loaded so a reload
+ * doesn't discard later edits.
  */
 
+import { useEffect } from 'react';
 import { Canvas } from '@react-three/fiber';
 import config from './config/config.json';
 import useSceneStore from './store/sceneStore';
 import RobotManager from './robots/RobotManager';
 import CameraRig from './scene/CameraRig';
+import CollisionMonitor from './scene/CollisionMonitor';
+import ComparisonOverlay from './scene/ComparisonOverlay';
 import SceneObjectManager from './scene/SceneObjectManager';
 import DragPlane from './scene/DragPlane';
 import FloorClickPlane from './scene/FloorClickPlane';
 import FloorGrid from './scene/FloorGrid';
 import ExportCapture from './scene/ExportCapture';
+import GlbExportCapture from './scene/GlbExportCapture';
+import MoveItExportCapture from './scene/MoveItExportCapture';
+import PatternPreview from './scene/PatternPreview';
+import ProgramPlayer from './scene/ProgramPlayer';
 import RotationHandle from './scene/RotationHandle';
 import SceneSetup from './scene/SceneSetup';
+import TcpGizmo from './scene/TcpGizmo';
+import ThumbnailCapture from './scene/ThumbnailCapture';
+import CollisionHUD from './ui/CollisionHUD';
+import ComparisonHUD from './ui/ComparisonHUD';
 import ControlPanel from './ui/ControlPanel';
 import DragCoordinatesHUD from './ui/DragCoordinatesHUD';
+import PatternPanel from './ui/PatternPanel';
+import RecoveryBanner from './ui/RecoveryBanner';
 import ScaleIndicator from './ui/ScaleIndicator';
+import SelectionHUD from './ui/SelectionHUD';
 import StatusBar from './ui/StatusBar';
+import ViewerPanel from './ui/ViewerPanel';
+import { describeUnsavedWork, readPendingRecovery, startAutosave } from './utils/autosave';
+import { listImportedRobots } from './utils/importedRobotStorage';
+import { isShareLink, readShareLink } from './utils/shareLink';
+
+/** Drops the share link from the address bar (keeps path and query). */
+function clearShareLink() {
+  window.history.replaceState(null, '', window.location.pathname + window.location.search);
+}
+
+/**
+ * Restores the scene in the URL fragment, if it holds a share link. Asks
+ * first when that would lose work (describeUnsavedWork): unsaved changes,
+ * or — for editable links, whose scene is autosaved — the previous
+ * session's recovery snapshot. Leaving a #view= link for any other fragment
+ * ends viewer mode.
+ *
+ * @param {Event} [event] - The hashchange event; absent at startup
+ */
+function openShareLink(event) {
+  const { hash } = window.location;
+  if (!isShareLink(hash)) {
+    useSceneStore.getState().setViewerMode(false);
+    return;
+  }
+  readShareLink(hash)
+    .then(({ scene, readOnly }) => {
+      const store = useSceneStore.getState();
+      const risk = describeUnsavedWork(store, !readOnly);
+      if (risk && !window.confirm(`Open the shared scene? It replaces the current one.\n\n${risk}`)) {
+        clearShareLink();
+        // RecoveryBanner skipped its offer for the link; reload to get it back
+        if (!event && readPendingRecovery()) window.location.reload();
+        return;
+      }
+      store.restoreScene(scene);
+      store.setViewerMode(readOnly);
+      if (!readOnly) clearShareLink();
+    })
+    .catch((err) => alert(err.message));
+}
 
 export default function App() {
   const isOrthographic = useSceneStore((s) => s.isOrthographic);
+  const collisionCheckEnabled = useSceneStore((s) => s.collisionCheckEnabled);
+  const viewerMode = useSceneStore((s) => s.viewerMode);
+
+  // Register imported robot models once at startup
+  useEffect(() => {
+    listImportedRobots()
+      .then((records) => useSceneStore.getState().setImportedRobotModels(records))
+      .catch((err) => console.warn('Could not load imported robots:', err));
+  }, []);
+
+  // Snapshot the scene on change so a refresh or crash loses nothing
+  useEffect(() => startAutosave(useSceneStore), []);
+
+  // Open a shared scene from the URL, now and whenever the fragment changes
+  useEffect(() => {
+    openShareLink();
+    window.addEventListener('hashchange', openShareLink);
+    return () => window.removeEventListener('hashchange', openShareLink);
+  }, []);
+
+  // Undo / redo and selection shortcuts (Cmd on macOS)
+  useEffect(() => {
+    function handleKeyDown(e) {
+      const target = e.target;
+      if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+      const store = useSceneStore.getState();
+      if (store.viewerMode) return;
+
+      if ((e.key === 'Delete' || e.key === 'Backspace') && !e.ctrlKey && !e.metaKey && !e.altKey) {
+        if (store.interactionMode !== 'orbit') return;
+        e.preventDefault();
+        store.removeSelection();
+        return;
+      }
+      if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+      const key = e.key.toLowerCase();
+      if (key === 'z' && !e.shiftKey) {
+        e.preventDefault();
+        store.undo();
+      } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+        e.preventDefault();
+        store.redo();
+      } else if (key === 'd' && store.interactionMode === 'orbit') {
+        e.preventDefault();
+        store.duplicateSelection();
+      }
+    }
+    window.addEventListener('keydown', handleKeyDown);
+    return () => window.removeEventListener('keydown', handleKeyDown);
+  }, []);
 
   return (
     <div className="flex flex-col w-full h-full">
@@ -50,8 +209,8 @@ export default function App() {
       {/* Main content row: sidebar + canvas */}
       <div className="flex flex-1 min-h-0">
 
-        {/* Left sidebar */}
-        <ControlPanel />
+        {/* Left sidebar — scene summary only in a read-only link */}
+        {viewerMode ? <ViewerPanel /> : <ControlPanel />}
 
         {/* Canvas wrapper — relative so HUD can be absolutely positioned */}
         <div className="flex-1 relative">
@@ -83,19 +242,58 @@ export default function App() {
             {/* All deployed scene objects */}
             <SceneObjectManager />
 
-            {/* Orange rotation arc + grip, shown when a robot is selected */}
+            {/* Orange rotation arc + grip, shown when a robot is selected (or around a multi-selection) */}
             <RotationHandle />
 
+            {/* Tool-tip grip for IK jogging, shown when a URDF robot is selected */}
+            <TcpGizmo />
+
             {/* Camera orbit / pan / zoom / focus controls */}
             <CameraRig />
 
             {/* PNG export — downloads viewport on store trigger */}
             <ExportCapture />
+
+            {/* GLB export — downloads the assembled scene on store trigger */}
+            <GlbExportCapture />
+
+            {/* MoveIt export — downloads collision objects on store trigger */}
+            <MoveItExportCapture />
+
+            {/* Scene thumbnails — renders a small JPEG on store request */}
+            <ThumbnailCapture />
+
+            {/* Waypoint program playback — advances playing robots each frame */}
+            <ProgramPlayer />
+
+            {/* Collision checking — runs only while enabled */}
+            <CollisionMonitor />
+
+            {/* Scene comparison ghosts — shown while comparing two layouts */}
+            <ComparisonOverlay />
+
+            {/* Pattern tool preview — copies not yet created */}
+            <PatternPreview />
           </Canvas>
 
           {/* Live coordinate HUD — CSS overlay, shown during drag/rotate */}
           <DragCoordinatesHUD />
 
+          {/* Contact pair list — top-left, shown while collision checking is on */}
+          <CollisionHUD />
+
+          {/* Comparison change list — bottom-right, shown while comparing */}
+          <ComparisonHUD />
+
+          {/* Multi-selection toolbar — top centre, shown with 2+ entities selected */}
+          <SelectionHUD />
+
+          {/* Pattern tool settings — top-right, shown while the tool is open */}
+          <PatternPanel />
+
+          {/* Restore offer for the previous session — bottom centre, at startup */}
+          <RecoveryBanner />
+
           {/* Scale indicator — lower-left, above buttons */}
           <ScaleIndicator />
 
@@ -120,6 +318,18 @@ export default function App() {
             >
               {isOrthographic ? '3D View' : '2D Layout'}
             </button>
+            <button
+              onClick={() => useSceneStore.getState().setCollisionCheckEnabled(!collisionCheckEnabled)}
+              title={collisionCheckEnabled ? 'Stop collision checking' : 'Check robots for collisions with equipment and each other'}
+              className={
+                'text-xs font-medium px-3 py-2 rounded shadow-lg transition-colors border ' +
+                (collisionCheckEnabled
+                  ? 'bg-red-700 hover:bg-red-600 border-red-500 text-white'
+                  : 'bg-gray-900/80 hover:bg-gray-800 border-gray-600 text-gray-200')
+              }
+            >
+              Collisions
+            </button>
           </div>
         </div>
       </div>
@@ -64,8 +64,13 @@ const abbWeldingCell = {
     obj('o-6', 'equipment', 'eur_pallet', 'EUR Pallet', 'pallet',
       { length: 1.2, width: 0.8, height: 0.144 }, '#c4a55a', [-4.5, 0, 0], 0, 'EUR Pallet #6'),
   ],
+  // The four robots and the loaded work table move as one cell
+  groups: [
+    { id: 'g-1', name: 'Welding Cell', robotIds: ['r-1', 'r-2', 'r-3', 'r-4'], objectIds: ['o-1', 'o-2', 'o-3', 'o-4'] },
+  ],
   nextRobotId: 5,
   nextObjectId: 7,
+  nextGroupId: 2,
   robotJointAngles: {},
   snapToGridEnabled: false,
   showLabels: true,
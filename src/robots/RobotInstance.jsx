@@ -15,6 +15,8 @@
  *   - PHASE 4 FIX: registerRef prop registers the group in RobotManager's
  *     robotRefs map for imperative access by drag/rotate logic.
  *   - onPointerDown starts a drag (mode → 'drag', selectedRobotId set).
+ *     Pressing a member of a multi-selection keeps the set, so the whole
+ *     set is dragged (selectForDrag); shift-press toggles membership instead.
  *     Does NOT call stopPropagation so DragPlane also receives the event
  *     and can set pointer capture in the same gesture.
  *   - onClick calls stopPropagation to prevent the floor's deselect
@@ -27,23 +29,26 @@
  *   - Ceiling flip group wraps PlaceholderRobot/RobotLoader for non-URDF models.
  *   - Grey cylinder pillar rendered below platform-mounted robots.
  *   - Small mounting bracket rendered above ceiling-mounted robots.
+ *
+ * Reach: ReachEnvelope draws the URDF-sampled workspace envelope, height
+ * slice and 2D footprint circle (85% reach_mm circle for non-URDF models).
  */
 
-import { Line, useCursor, Text } from '@react-three/drei';
-import { useEffect, useMemo, useRef, useState } from 'react';
+import { useCursor, Text } from '@react-three/drei';
+import { useEffect, useRef, useState } from 'react';
 import config from '../config/config.json';
-import robotsConfig from '../config/robots_config.json';
 import useSceneStore from '../store/sceneStore';
 import GripperAttachment from '../scene/GripperAttachment';
+import ReachEnvelope from '../scene/ReachEnvelope';
+import ToolFrameAxes from '../scene/ToolFrameAxes';
+import { getRobotToolLength } from '../utils/gripperUtils';
+import { findRobotModel } from '../utils/robotCatalog';
 import PlaceholderRobot from './PlaceholderRobot';
 import RobotLoader from './RobotLoader';
 import URDFRobot from './URDFRobot';
 
 const DEG2RAD = Math.PI / 180;
 
-// Flatten all models once for footprint lookup
-const ALL_MODELS = Object.values(robotsConfig.manufacturers).flatMap((m) => m.models);
-
 export default function RobotInstance({ robot, approxHeight, registerRef }) {
   const { manufacturer, model, urdf, packageMap, file, scale, position, rotation } = robot;
 
@@ -53,12 +58,12 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
   const [hovered, setHovered] = useState(false);
   const [robotObject, setRobotObject] = useState(null);
 
-  const setSelectedRobotId = useSceneStore((s) => s.setSelectedRobotId);
+  const selectForDrag = useSceneStore((s) => s.selectForDrag);
+  const toggleSelection = useSceneStore((s) => s.toggleSelection);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
-  const selectedRobotId = useSceneStore((s) => s.selectedRobotId);
-  const isSelected = selectedRobotId === robot.id;
+  const isSelected = useSceneStore((s) => s.selectedRobotIds.includes(robot.id));
   const showLabels = useSceneStore((s) => s.showLabels);
-  const isOrthographic = useSceneStore((s) => s.isOrthographic);
+  const showToolFrames = useSceneStore((s) => s.showToolFrames);
 
   // PHASE 4 FIX: Traverse the entire subtree and stamp every object with
   // this robot's ID. Raycasting returns the deepest intersected object
@@ -78,7 +83,7 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
   }, [robot.id, registerRef]);
 
   // Grab cursor when hovering a robot in orbit mode
-  useCursor(hovered && useSceneStore.getState().interactionMode === 'orbit');
+  useCursor(hovered && useSceneStore.getState().interactionMode === 'orbit' && !useSceneStore.getState().viewerMode);
 
   // Spec → Three.js coordinate conversion
   const threePos = [position[0], position[2], position[1]];
@@ -91,32 +96,24 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
     : (approxHeight + config.labels.verticalOffset) * scale;
 
   // Selection ring radius derived from robot's physical footprint
-  const modelConfig = ALL_MODELS.find((m) => m.id === robot.modelId);
+  const modelConfig = findRobotModel(robot.modelId);
   const footprint = modelConfig?.footprint_m?.[0] ?? 0.3;
   const ringOuter = Math.max(footprint * 1.5, 0.4) * scale;
   const ringInner = ringOuter * 0.75;
 
-  // Reach circle — 85% of robot reach, shown only in orthographic 2D view
-  const reachMm = modelConfig?.reach_mm ?? 0;
-  const reachRadius = (reachMm / 1000) * 0.85 * scale;
-  const reachCirclePoints = useMemo(() => {
-    if (!reachRadius) return null;
-    const segments = 72;
-    const pts = [];
-    for (let i = 0; i <= segments; i++) {
-      const angle = (i / segments) * Math.PI * 2;
-      pts.push([Math.cos(angle) * reachRadius, 0.03, Math.sin(angle) * reachRadius]);
-    }
-    return pts;
-  }, [reachRadius]);
-
   function handlePointerDown(event) {
-    // Only start a drag when in orbit mode
-    if (useSceneStore.getState().interactionMode !== 'orbit') return;
+    // Only start a drag when in orbit mode, and never in a read-only view
+    const { interactionMode, viewerMode } = useSceneStore.getState();
+    if (interactionMode !== 'orbit' || viewerMode) return;
     // Do NOT call event.stopPropagation() here — DragPlane must also receive
     // this same onPointerDown event so it can set pointer capture immediately,
     // making the entire press-move-release a single continuous drag gesture.
-    setSelectedRobotId(robot.id);
+    // Shift-click adds to / removes from the selection instead of dragging
+    if (event.shiftKey) {
+      toggleSelection('robot', robot.id);
+      return;
+    }
+    selectForDrag('robot', robot.id);
     setInteractionMode('drag');
   }
 
@@ -135,6 +132,7 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
           colorOverride={colorOverride}
           opacity={opacity}
           robotId={robot.id}
+          lastLinkName={modelConfig?.lastLinkName ?? null}
           onRobotLoaded={setRobotObject}
         />
       );
@@ -156,8 +154,8 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
       onPointerOut={() => setHovered(false)}
       onClick={(e) => e.stopPropagation()}
     >
-      {/* Scale wrapper */}
-      <group scale={[scale, scale, scale]}>
+      {/* Scale wrapper — named so CollisionMonitor can find the robot's meshes */}
+      <group name="robot-body" scale={[scale, scale, scale]}>
         {renderModel()}
       </group>
 
@@ -173,12 +171,21 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
         />
       )}
 
+      {/* Tool frame triads at the flange and tool tip (JOINTS tab toggle) */}
+      {showToolFrames && robotObject && modelConfig?.lastLinkName && (
+        <ToolFrameAxes
+          robotObject={robotObject}
+          linkName={modelConfig.lastLinkName}
+          toolLength={getRobotToolLength(robot)}
+        />
+      )}
+
       {/* PHASE 5: Platform pillar — grey cylinder from floor to robot base.
           In local space the group is at world-Y = position[2], so the
           cylinder centre at local-Y = -position[2]/2 places its base at
           world-Y = 0 (floor) and its top at world-Y = position[2]. */}
       {robot.mountType === 'platform' && position[2] > 0 && (
-        <mesh position={[0, -position[2] / 2, 0]} raycast={() => {}}>
+        <mesh name="mount-pillar" position={[0, -position[2] / 2, 0]} raycast={() => {}}>
           <cylinderGeometry args={[0.07, 0.07, position[2], 8]} />
           <meshPhongMaterial color="#666666" />
         </mesh>
@@ -186,7 +193,7 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
 
       {/* PHASE 5: Ceiling bracket — small mounting block above robot. */}
       {robot.mountType === 'ceiling' && (
-        <mesh position={[0, 0.05, 0]} raycast={() => {}}>
+        <mesh name="mount-bracket" position={[0, 0.05, 0]} raycast={() => {}}>
           <boxGeometry args={[0.18, 0.1, 0.18]} />
           <meshPhongMaterial color="#888888" />
         </mesh>
@@ -226,21 +233,8 @@ export default function RobotInstance({ robot, approxHeight, registerRef }) {
         </Text>
       )}
 
-      {/* Reach envelope — 85% of robot reach, shown only in 2D layout view */}
-      {isOrthographic && reachCirclePoints && (
-        <Line
-          points={reachCirclePoints}
-          color="#ffffff"
-          lineWidth={1}
-          dashed
-          dashScale={20}
-          dashSize={0.3}
-          gapSize={0.15}
-          transparent
-          opacity={0.5}
-          raycast={() => {}}
-        />
-      )}
+      {/* Reach envelope, height slice and 2D footprint circle */}
+      <ReachEnvelope robot={robot} modelConfig={modelConfig} />
     </group>
   );
 }
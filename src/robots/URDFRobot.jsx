@@ -17,6 +17,12 @@
  *                      can apply the URDF material colour to it
  *   - done(null, err)  on error   — loader logs the error and skips that link
  *
+ * Imported models (urdf = "imported/<id>.urdf", see utils/robotCatalog.js):
+ *   The URDF XML comes from the catalogue instead of /models/, and each mesh
+ *   URI (package:// or relative) is resolved to an object URL for the blob
+ *   stored in IndexedDB. Until the imported models have been registered at
+ *   startup the placeholder is shown; the load re-runs once they arrive.
+ *
  * Falls back to PlaceholderRobot if the URDF file is missing or on any error.
  * Shows PlaceholderRobot while loading so the scene is never empty.
  *
@@ -25,6 +31,8 @@
  * @param {string}  props.manufacturer  Used by placeholder fallback for colour
  * @param {number}  props.approxHeight  Used by placeholder fallback for sizing
  * @param {string}  props.mountType     "floor"|"platform" → upright; "ceiling" → inverted
+ * @param {string}  props.lastLinkName  Tool flange link — its kinematic chain is
+ *                                      published to the store for TCP readout
  */
 
 import URDFLoader from 'urdf-loader';
@@ -33,13 +41,15 @@ import * as THREE from 'three';
 import { useEffect, useState } from 'react';
 import PlaceholderRobot from './PlaceholderRobot';
 import useSceneStore from '../store/sceneStore';
+import { buildKinematicChain } from '../utils/kinematics';
+import { getImportedRobotAssets, IMPORTED_URDF_PREFIX } from '../utils/robotCatalog';
 
 // Stable empty object so the Zustand selector doesn't return a new reference
 // on every call when no joint angles are set yet (which would cause an
 // infinite re-render loop via Object.is change detection).
 const EMPTY_JOINT_ANGLES = {};
 
-export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight, mountType = 'floor', colorOverride = null, opacity = 1, robotId, onRobotLoaded }) {
+export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight, mountType = 'floor', colorOverride = null, opacity = 1, robotId, lastLinkName = null, onRobotLoaded }) {
   const [robotObject, setRobotObject] = useState(null);
   const [failed, setFailed] = useState(false);
 
@@ -48,6 +58,12 @@ export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight
   // would create a new object on every selector call, causing infinite re-renders.
   const jointAngles = useSceneStore((s) => s.robotJointAngles[robotId] ?? EMPTY_JOINT_ANGLES);
 
+  // Imported models: true once the catalogue knows this urdf (re-triggers the load)
+  const isImported = !!urdf?.startsWith(IMPORTED_URDF_PREFIX);
+  const importedReady = useSceneStore(
+    (s) => isImported && s.importedRobotModels.some((m) => m.urdf === urdf)
+  );
+
   useEffect(() => {
     // No URDF path provided — stay on placeholder
     if (!urdf || !packageMap) {
@@ -55,15 +71,22 @@ export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight
       return;
     }
 
+    // Imported model not registered yet — keep the loading placeholder
+    const imported = isImported ? getImportedRobotAssets(urdf) : null;
+    if (isImported && !imported) return;
+
     let cancelled = false;
     const loader = new URDFLoader();
 
     // Resolve package:// URIs:
     //   package://fanuc_lrmate200id/meshes/... → {base}/models/fanuc/meshes/...
+    // Imported models keep the URI untouched; loadMeshCb maps it to a blob URL.
     const base = import.meta.env.BASE_URL;
-    loader.packages = Object.fromEntries(
-      Object.entries(packageMap).map(([pkg, subdir]) => [pkg, `${base}models/${subdir}`])
-    );
+    loader.packages = imported
+      ? (pkg) => `package://${pkg}`
+      : Object.fromEntries(
+          Object.entries(packageMap).map(([pkg, subdir]) => [pkg, `${base}models/${subdir}`])
+        );
 
     // Custom mesh loader — handles .stl files.
     // IMPORTANT: call done(mesh) with a bare THREE.Mesh (not wrapped in a Group)
@@ -76,9 +99,16 @@ export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight
         return;
       }
 
+      const url = imported ? imported.resolveMeshUrl(path) : path;
+      if (!url) {
+        console.warn(`URDFRobot: mesh not found in imported bundle: ${path}`);
+        done(null, new Error('mesh not found'));
+        return;
+      }
+
       const stlLoader = new STLLoader(manager);
       stlLoader.load(
-        path,
+        url,
         (geometry) => {
           if (cancelled) return;
           geometry.computeVertexNormals();
@@ -95,39 +125,49 @@ export default function URDFRobot({ urdf, packageMap, manufacturer, approxHeight
       );
     };
 
-    loader.load(
-      `${base}models/${urdf}`,
-      (robot) => {
-        if (cancelled) return;
-        // robot is a URDFRobot (extends THREE.Object3D)
-        // Extract non-fixed joint metadata and publish to store for the Joints panel
-        if (robotId) {
-          const meta = Object.values(robot.joints)
-            .filter((j) => j.jointType !== 'fixed')
-            .map((j) => ({
-              name: j.name,
-              type: j.jointType,
-              lower: j.limit?.lower ?? -Math.PI,
-              upper: j.limit?.upper ?? Math.PI,
-            }));
-          useSceneStore.getState().setRobotJointMeta(robotId, meta);
-        }
-        setRobotObject(robot);
-        if (onRobotLoaded) onRobotLoaded(robot);
-      },
-      undefined,
-      (err) => {
-        if (!cancelled) {
-          console.warn(`URDFRobot: failed to load URDF ${urdf}`, err);
-          setFailed(true);
-        }
+    function handleLoaded(robot) {
+      if (cancelled) return;
+      // robot is a URDFRobot (extends THREE.Object3D)
+      // Extract non-fixed joint metadata and publish to store for the Joints panel
+      if (robotId) {
+        const meta = Object.values(robot.joints)
+          .filter((j) => j.jointType !== 'fixed')
+          .map((j) => ({
+            name: j.name,
+            type: j.jointType,
+            lower: j.limit?.lower ?? -Math.PI,
+            upper: j.limit?.upper ?? Math.PI,
+            // urdf-loader does not parse <limit velocity> — read it from the XML node
+            velocity: parseFloat(j.urdfNode?.querySelector('limit')?.getAttribute('velocity')) || null,
+          }));
+        useSceneStore.getState().setRobotJointMeta(robotId, meta);
+        useSceneStore.getState().setRobotKinematics(robotId, buildKinematicChain(robot, lastLinkName));
+      }
+      setRobotObject(robot);
+      if (onRobotLoaded) onRobotLoaded(robot);
+    }
+
+    function handleError(err) {
+      if (!cancelled) {
+        console.warn(`URDFRobot: failed to load URDF ${urdf}`, err);
+        setFailed(true);
       }
-    );
+    }
+
+    if (imported) {
+      // XML is already in memory — parse on a microtask so state updates
+      // happen outside the effect body, like the fetch path below.
+      Promise.resolve()
+        .then(() => handleLoaded(loader.parse(imported.urdfText, '')))
+        .catch(handleError);
+    } else {
+      loader.load(`${base}models/${urdf}`, handleLoaded, undefined, handleError);
+    }
 
     return () => {
       cancelled = true;
     };
-  }, [urdf, manufacturer]);
+  }, [urdf, manufacturer, importedReady]);
 
   // Apply colour override and opacity to all meshes whenever they change or the model loads.
   // originalColor is stored in userData so we can restore it when colorOverride is cleared.
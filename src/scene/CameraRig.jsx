@@ -6,6 +6,9 @@
  *   2. Smooth focus animation (triggered by focusTarget in store)
  *   3. Disabling orbit when interactionMode !== 'orbit'
  *   4. Orthographic 2D layout view (triggered by isOrthographic in store)
+ *   5. Saved views: publishes the settled perspective view as cameraPose
+ *      (saved / shared with the scene) and jumps to cameraPoseRequest
+ *      when restoreScene sets one
  *
  * Camera controls (when interactionMode === 'orbit'):
  *   Left-click drag  → orbit / rotate (perspective only)
@@ -25,6 +28,13 @@ const DEFAULT_TARGET = new THREE.Vector3(...config.camera.defaultTarget);
 const FOCUS_DISTANCE = config.camera.focusDistance ?? 5;
 const LERP_SPEED = 0.07;
 
+/** Publishes the perspective camera's view to the store (not in 2D view). */
+function publishPose(camera, controls) {
+  const store = useSceneStore.getState();
+  if (!camera || !controls || store.isOrthographic) return;
+  store.setCameraPose({ position: camera.position.toArray(), target: controls.target.toArray() });
+}
+
 export default function CameraRig() {
   const controlsRef = useRef();
   const { camera, set, size } = useThree();
@@ -36,6 +46,7 @@ export default function CameraRig() {
   const overheadViewCount = useSceneStore((s) => s.overheadViewCount);
   const isOrthographic = useSceneStore((s) => s.isOrthographic);
   const setOrthoViewInfo = useSceneStore((s) => s.setOrthoViewInfo);
+  const cameraPoseRequest = useSceneStore((s) => s.cameraPoseRequest);
 
   // Save perspective camera ref on mount
   const perspCameraRef = useRef(null);
@@ -87,8 +98,27 @@ export default function CameraRig() {
       controlsRef.current.target.copy(DEFAULT_TARGET);
       controlsRef.current.update();
     }
+    publishPose(persp, controlsRef.current);
   }, [cameraResetCount, set]);
 
+  // Jump to a saved view (restoreScene)
+  useEffect(() => {
+    if (!cameraPoseRequest) return;
+    isLerping.current = false;
+    if (useSceneStore.getState().isOrthographic) {
+      useSceneStore.getState().toggleOrthographic();
+    }
+
+    const persp = perspCameraRef.current;
+    if (persp) persp.position.fromArray(cameraPoseRequest.position);
+    if (controlsRef.current) {
+      controlsRef.current.target.fromArray(cameraPoseRequest.target);
+      controlsRef.current.update();
+    }
+    useSceneStore.getState().clearCameraPoseRequest();
+    publishPose(persp, controlsRef.current);
+  }, [cameraPoseRequest]);
+
   // Overhead view — snap camera directly above all scene content
   useEffect(() => {
     if (overheadViewCount === 0) return;
@@ -129,6 +159,7 @@ export default function CameraRig() {
       controlsRef.current.target.set(centerX, 0, centerZ);
       controlsRef.current.update();
     }
+    publishPose(camera, controlsRef.current);
   }, [overheadViewCount, camera]);
 
   // ─── Orthographic camera swap ───────────────────────────────────────────
@@ -249,6 +280,7 @@ export default function CameraRig() {
       }
       isLerping.current = false;
       setFocusTarget(null);
+      publishPose(camera, controlsRef.current);
     }
   });
 
@@ -256,6 +288,7 @@ export default function CameraRig() {
     <OrbitControls
       ref={controlsRef}
       makeDefault
+      onEnd={() => publishPose(perspCameraRef.current, controlsRef.current)}
       enabled={interactionMode === 'orbit'}
       enablePan
       enableZoom
@@ -0,0 +1,167 @@
+/**
+ * CollisionMonitor.jsx
+ *
+ * Inside-Canvas component that checks robots for contact with other robots
+ * and with equipment while collisionCheckEnabled is on.
+ *
+ * Bodies are collected from the live scene graph each check:
+ *   - Robot parts: meshes under a RobotInstance "robot-body" group. The part
+ *     is the URDF link the mesh belongs to, or 'gripper' for meshes inside
+ *     the GripperAttachment group.
+ *   - Equipment parts: meshes under a SceneObjectInstance "shape-body" group
+ *     (labels, selection rings and platform pillars are not collidable).
+ *
+ * Each mesh is approximated by its convex hull (utils/collision.js). Only
+ * pairs involving at least one robot are tested, and a robot is never tested
+ * against itself or the object it is mounted on.
+ *
+ * Because it samples the scene graph rather than the store, the check
+ * follows every pose change — joint sliders, TCP jogging and program
+ * playback alike. It runs at CHECK_INTERVAL rather than every frame.
+ *
+ * Colliding meshes get a red emissive tint (original saved in
+ * userData.origEmissive, restored when contact ends), and the contact list
+ * is published to collisionPairs for the CollisionHUD overlay.
+ *
+ * Renders null — useFrame only.
+ */
+
+import { useEffect, useRef } from 'react';
+import { useFrame, useThree } from '@react-three/fiber';
+import useSceneStore from '../store/sceneStore';
+import { getHullPoints, toWorld, convexIntersect } from '../utils/collision';
+
+const CHECK_INTERVAL = 0.1; // s
+const HIGHLIGHT_COLOR = 0xff2020;
+
+function materialsOf(mesh) {
+  return Array.isArray(mesh.material) ? mesh.material : [mesh.material];
+}
+
+function setHighlight(mesh, on) {
+  for (const mat of materialsOf(mesh)) {
+    if (!mat?.emissive) continue;
+    if (on) {
+      if (mat.userData.origEmissive === undefined) mat.userData.origEmissive = mat.emissive.getHex();
+      mat.emissive.setHex(HIGHLIGHT_COLOR);
+    } else if (mat.userData.origEmissive !== undefined) {
+      mat.emissive.setHex(mat.userData.origEmissive);
+      delete mat.userData.origEmissive;
+    }
+  }
+}
+
+/**
+ * Describes which robot or object a mesh belongs to, or null when the mesh
+ * isn't collidable. Walks up to the RobotInstance / SceneObjectInstance
+ * outer group, whose userData carries the instance id.
+ */
+function classifyMesh(mesh) {
+  let part = null;
+  let inBody = null;
+  for (let node = mesh; node; node = node.parent) {
+    if (!part && node.userData.isGripper) part = 'gripper';
+    if (!part && node.isURDFLink) part = node.name;
+    if (node.name === 'robot-body') inBody = 'robot';
+    if (node.name === 'shape-body') inBody = 'object';
+    if (inBody === 'robot' && node.userData.robotId) {
+      return { kind: 'robot', id: node.userData.robotId, part: part ?? 'body' };
+    }
+    if (inBody === 'object' && node.userData.objectId) {
+      return { kind: 'object', id: node.userData.objectId, part: null };
+    }
+  }
+  return null;
+}
+
+function collectBodies(scene) {
+  const bodies = [];
+  scene.traverseVisible((obj) => {
+    if (!obj.isMesh || !obj.geometry?.getAttribute('position')) return;
+    const owner = classifyMesh(obj);
+    if (!owner) return;
+    const { points, box } = toWorld(getHullPoints(obj.geometry), obj.matrixWorld);
+    bodies.push({ mesh: obj, ...owner, points, box });
+  });
+  return bodies;
+}
+
+export default function CollisionMonitor() {
+  const scene = useThree((s) => s.scene);
+  const enabled = useSceneStore((s) => s.collisionCheckEnabled);
+  const elapsed = useRef(0);
+  const highlighted = useRef(new Set());
+  const lastKey = useRef('');
+
+  // Clear highlights when checking is switched off or the monitor unmounts
+  useEffect(() => {
+    const meshes = highlighted.current;
+    return () => {
+      meshes.forEach((m) => setHighlight(m, false));
+      meshes.clear();
+      lastKey.current = '';
+    };
+  }, [enabled]);
+
+  useFrame((_, delta) => {
+    if (!enabled) return;
+    elapsed.current += delta;
+    if (elapsed.current < CHECK_INTERVAL) return;
+    elapsed.current = 0;
+
+    const { deployedRobots, sceneObjects, setCollisionPairs } = useSceneStore.getState();
+    const mountedOn = new Map(deployedRobots.map((r) => [r.id, r.parentObjectId]));
+
+    scene.updateMatrixWorld();
+    const bodies = collectBodies(scene);
+    const hits = new Map(); // pair key → pair
+    const hitMeshes = new Set();
+
+    for (let i = 0; i < bodies.length; i++) {
+      const a = bodies[i];
+      for (let j = i + 1; j < bodies.length; j++) {
+        const b = bodies[j];
+        if (a.kind === 'object' && b.kind === 'object') continue;
+        if (a.kind === b.kind && a.id === b.id) continue;
+        if (a.kind === 'robot' && b.kind === 'object' && mountedOn.get(a.id) === b.id) continue;
+        if (b.kind === 'robot' && a.kind === 'object' && mountedOn.get(b.id) === a.id) continue;
+        if (!a.box.intersectsBox(b.box)) continue;
+        if (!convexIntersect(a.points, b.points)) continue;
+
+        hitMeshes.add(a.mesh);
+        hitMeshes.add(b.mesh);
+        // Robot side first so the list reads "robot link ↔ thing"
+        const [p, q] = a.kind === 'robot' ? [a, b] : [b, a];
+        const key = `${p.id}:${p.part}|${q.id}:${q.part}`;
+        if (!hits.has(key)) hits.set(key, { p, q });
+      }
+    }
+
+    // Update highlights
+    const highlightedMeshes = highlighted.current;
+    highlightedMeshes.forEach((m) => {
+      if (!hitMeshes.has(m)) {
+        setHighlight(m, false);
+        highlightedMeshes.delete(m);
+      }
+    });
+    hitMeshes.forEach((m) => {
+      setHighlight(m, true);
+      highlightedMeshes.add(m);
+    });
+
+    // Publish only when the contact set changes
+    const key = [...hits.keys()].sort().join(',');
+    if (key === lastKey.current) return;
+    lastKey.current = key;
+
+    const labelOf = (body) =>
+      body.kind === 'robot'
+        ? deployedRobots.find((r) => r.id === body.id)?.label ?? body.id
+        : sceneObjects.find((o) => o.id === body.id)?.label ?? body.id;
+    const describe = (body) => ({ kind: body.kind, id: body.id, label: labelOf(body), part: body.part });
+    setCollisionPairs([...hits.values()].map(({ p, q }) => ({ a: describe(p), b: describe(q) })));
+  });
+
+  return null;
+}
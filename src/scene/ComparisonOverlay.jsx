@@ -0,0 +1,74 @@
+/**
+ * ComparisonOverlay.jsx
+ *
+ * Viewport half of the scene comparison (store comparison, started from the
+ * SAVES tab). The saved "after" layout, loaded in the editor, is compared
+ * with the saved "before" layout by entity id (utils/sceneDiff.js
+ * compareScenes) until the first edit ends the comparison:
+ *   - added robots / objects:   green translucent box around them
+ *   - removed ones:             red translucent box where they used to be
+ *   - moved or rotated ones:    amber ghost outline at the old pose, with a
+ *                               dashed line from the old position to the new
+ *
+ * Boxes are EntityGhost footprints. Nothing here is raycastable, so it never
+ * blocks selection or drag.
+ */
+
+import { Line } from '@react-three/drei';
+import { useMemo } from 'react';
+import useSceneStore from '../store/sceneStore';
+import { compareScenes } from '../utils/sceneDiff';
+import EntityGhost from './EntityGhost';
+
+const ADDED_COLOR = '#22c55e';
+const REMOVED_COLOR = '#ef4444';
+const MOVED_COLOR = '#f59e0b';
+const noRaycast = () => {};
+
+function MoveTrail({ before, after }) {
+  const points = useMemo(
+    () => [[before.position[0], 0.05, before.position[1]], [after.position[0], 0.05, after.position[1]]],
+    [before.position, after.position]
+  );
+  return <Line points={points} color={MOVED_COLOR} lineWidth={1.5} dashed dashScale={10} raycast={noRaycast} />;
+}
+
+function EntityChanges({ result, kind }) {
+  return (
+    <>
+      {result.added.map((e) => (
+        <EntityGhost key={`+${e.id}`} entity={e} kind={kind} color={ADDED_COLOR} fillOpacity={0.2} />
+      ))}
+      {result.removed.map((e) => (
+        <EntityGhost key={`-${e.id}`} entity={e} kind={kind} color={REMOVED_COLOR} fillOpacity={0.3} />
+      ))}
+      {result.changed
+        .filter((c) => c.moved || c.rotated)
+        .map((c) => (
+          <group key={`~${c.after.id}`}>
+            <EntityGhost entity={c.before} kind={kind} color={MOVED_COLOR} fillOpacity={0.06} />
+            {c.moved > 0 && <MoveTrail before={c.before} after={c.after} />}
+          </group>
+        ))}
+    </>
+  );
+}
+
+export default function ComparisonOverlay() {
+  const comparison = useSceneStore((s) => s.comparison);
+  const deployedRobots = useSceneStore((s) => s.deployedRobots);
+  const sceneObjects = useSceneStore((s) => s.sceneObjects);
+
+  const result = useMemo(
+    () => comparison && compareScenes(comparison.base, { deployedRobots, sceneObjects }),
+    [comparison, deployedRobots, sceneObjects]
+  );
+  if (!result) return null;
+
+  return (
+    <group name="comparison-overlay">
+      <EntityChanges result={result.robots} kind="robot" />
+      <EntityChanges result={result.objects} kind="object" />
+    </group>
+  );
+}
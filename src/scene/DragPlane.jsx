@@ -18,8 +18,9 @@
  *
  * Phase 6 addition — unified entity lookup:
  *   resolveSelected() checks both selectedRobotId (deployedRobots) and
- *   selectedObjectId (sceneObjects), routing transform updates to the
- *   correct store action (updateRobotTransform vs updateObjectTransform).
+ *   selectedObjectId (sceneObjects); transform updates are routed to the
+ *   correct store action (updateRobotTransform vs updateObjectTransform)
+ *   by applyMemberTransform().
  *
  * Event flow — drag:
  *   1. User presses on a robot/object → Instance.onPointerDown fires first
@@ -33,9 +34,43 @@
  *   1. User presses the orange grip sphere in RotationHandle.
  *   2. RotationHandle.onPointerDown sets mode='rotate' (no stopPropagation).
  *   3. DragPlane receives the event, sees mode='rotate', captures pointer.
- *   4. onPointerMove calculates angle from entity centre to cursor and calls
+ *   4. onPointerMove calculates angle from the pivot to cursor and calls
  *      the appropriate transform update action.
  *
+ * Multi-selection (selectedRobotIds / selectedObjectIds):
+ *   Drag and rotate act on every selected entity. startGroupGesture records
+ *   each member's start transform; a drag adds the primary entity's movement
+ *   to all of them, and a rotate turns all of them about the selection
+ *   centroid (getSelectionPivot) by the primary's change of heading. With a
+ *   single entity selected this reduces to the original behaviour. Robots
+ *   bound to a selected object are moved by updateObjectTransform's cascade
+ *   rather than directly.
+ *
+ * Event flow — box select (2D layout view):
+ *   1. User shift-presses empty floor while in orbit mode.
+ *   2. DragPlane stops propagation, captures the pointer and sets mode='box'
+ *      (which also disables OrbitControls).
+ *   3. onPointerMove stretches a floor rectangle from the press point; the
+ *      overhead orthographic camera keeps it aligned with the screen.
+ *   4. onPointerUp adds every robot and object whose position lies inside
+ *      to the selection (addToSelection) and returns to orbit mode.
+ *
+ * Event flow — TCP jog (interactionMode 'tcp'):
+ *   1. User presses the cyan sphere at a robot's tool tip (TcpGizmo).
+ *   2. TcpGizmo.onPointerDown sets mode='tcp' (no stopPropagation).
+ *   3. DragPlane captures the pointer and records the tool's start pose.
+ *   4. onPointerMove intersects the pointer ray with a horizontal plane
+ *      through the tool tip — or, while Shift is held, a vertical plane
+ *      facing the camera, keeping only the height change. The new target
+ *      (start orientation, moved position) goes to solveIk; reachable
+ *      solutions are written with setRobotJointAngles. Every solve is
+ *      reported through ikStatus so TcpGizmo / DragCoordinatesHUD can flag
+ *      unreachable targets.
+ *   5. onPointerUp clears ikStatus and returns to orbit mode.
+ *
+ * Undo: each drag, rotate or TCP jog is bracketed with begin/endHistoryGesture
+ * so the whole gesture (including any unbind at drag start) is one undo step.
+ *
  * Coordinate mapping:
  *   spec X  = Three.js X  = event.point.x
  *   spec Y  = Three.js Z  = event.point.z
@@ -48,15 +83,23 @@
  *   - Deselection only via floor click (FloorGrid onClick).
  */
 
-import { useRef } from 'react';
+import * as THREE from 'three';
+import { useRef, useState } from 'react';
+import { Line } from '@react-three/drei';
 import { useFrame } from '@react-three/fiber';
 import sceneConfig from '../config/config.json';
 import { snapToGrid } from '../utils/deploymentUtils';
+import { getFloorBounds } from '../utils/floorLayout';
+import { getRobotToolLength } from '../utils/gripperUtils';
+import { solveIk } from '../utils/inverseKinematics';
+import { robotBaseMatrix, tcpWorldMatrix } from '../utils/kinematics';
+import { getSelectedEntities, getSelectionPivot, rotateAboutPivot } from '../utils/selectionUtils';
 import useSceneStore from '../store/sceneStore';
 
-const { width, depth } = sceneConfig.floor;
 const DRAG_Y = sceneConfig.interaction.dragPlaneY;
 const SNAP_SIZE = sceneConfig.deployment.snapGridSize;
+const BOX_COLOR = '#60a5fa';
+const noRaycast = () => {};
 
 /**
  * Resolves the currently selected entity from either robots or scene objects.
@@ -76,12 +119,146 @@ function resolveSelected() {
   return { entity: null, isRobot: false };
 }
 
+/**
+ * Snapshot of the selection at the start of a drag or rotate: each moving
+ * member's start transform, the primary entity's, and the rotation pivot.
+ * Robots that are bound to an object outside the selection are unbound when
+ * they are about to move (drag, or swinging round a group pivot).
+ * Returns null when nothing is selected.
+ */
+function startGroupGesture(mode) {
+  const state = useSceneStore.getState();
+  const { robots, objects, primary } = getSelectedEntities(state);
+  if (!primary) return null;
+
+  const objectIds = new Set(objects.map((o) => o.id));
+  // Robots riding on a selected object follow it via the transform cascade
+  const movedRobots = robots.filter((r) => !objectIds.has(r.parentObjectId));
+  const members = [
+    ...movedRobots.map((r) => ({ id: r.id, isRobot: true, position: r.position, rotation: r.rotation ?? 0 })),
+    ...objects.map((o) => ({ id: o.id, isRobot: false, position: o.position, rotation: o.rotation ?? 0 })),
+  ];
+
+  // Phase 7: Unbind robot when dragged directly in viewport
+  if (mode === 'drag' || members.length > 1) {
+    for (const r of movedRobots) {
+      if (r.parentObjectId) state.unbindRobot(r.id);
+    }
+  }
+
+  return {
+    members,
+    primary: { position: primary.position, rotation: primary.rotation ?? 0 },
+    pivot: getSelectionPivot([...robots, ...objects]),
+  };
+}
+
+/** Writes a new transform for one gesture member. */
+function applyMemberTransform(member, position, rotation) {
+  const { updateRobotTransform, updateObjectTransform } = useSceneStore.getState();
+  if (member.isRobot) updateRobotTransform(member.id, position, rotation);
+  else updateObjectTransform(member.id, position, rotation);
+}
+
+/** True when the pointer ray passes through any robot or scene object. */
+function hitsEntity(event) {
+  return event.intersections.some(({ object }) => {
+    for (let node = object; node; node = node.parent) {
+      if (node.userData.robotId || node.userData.objectId) return true;
+    }
+    return false;
+  });
+}
+
+/**
+ * Builds the constraint plane for a TCP jog through `point` (Three.js coords):
+ * horizontal, or vertical and facing the camera when `vertical` is set.
+ */
+function makeJogPlane(point, vertical, camera) {
+  const normal = new THREE.Vector3(0, 1, 0);
+  if (vertical) {
+    camera.getWorldDirection(normal);
+    normal.y = 0;
+    // Looking straight down (overhead/2D view) — fall back to the XY plane
+    if (normal.lengthSq() < 1e-6) normal.set(0, 0, 1);
+    normal.normalize();
+  }
+  return new THREE.Plane().setFromNormalAndCoplanarPoint(normal, point);
+}
+
+/** Starts a TCP jog for the selected robot. Returns the jog state, or null. */
+function startTcpJog(event) {
+  const { selectedRobotId, deployedRobots, robotKinematics, robotJointAngles, robotJointMeta } =
+    useSceneStore.getState();
+  const robot = deployedRobots.find((r) => r.id === selectedRobotId);
+  const chain = robotKinematics[selectedRobotId];
+  const meta = robotJointMeta[selectedRobotId];
+  if (!robot || !chain || !meta) return null;
+
+  const toolLength = getRobotToolLength(robot);
+  const startWorld = tcpWorldMatrix(robot, chain, robotJointAngles[selectedRobotId] ?? {}, toolLength);
+  const w = new THREE.Vector3().setFromMatrixPosition(startWorld);
+  // World frame W (x, −spec y, z) → Three.js (x, z, spec y)
+  const anchor = new THREE.Vector3(w.x, w.z, -w.y);
+  const plane = makeJogPlane(anchor, false, event.camera);
+  const anchorHit = event.ray.intersectPlane(plane, new THREE.Vector3()) ?? anchor.clone();
+
+  return { robotId: robot.id, chain, meta, toolLength, startWorld, anchor, anchorHit, plane, vertical: false, target: anchor.clone() };
+}
+
+/** Moves the TCP jog target to follow the pointer and solves IK for it. */
+function moveTcpJog(jog, event) {
+  const vertical = event.shiftKey;
+  if (vertical !== jog.vertical) {
+    // Switching between horizontal and vertical — re-anchor at the current target
+    jog.vertical = vertical;
+    jog.anchor = jog.target.clone();
+    jog.plane = makeJogPlane(jog.anchor, vertical, event.camera);
+    jog.anchorHit = event.ray.intersectPlane(jog.plane, new THREE.Vector3()) ?? jog.anchor.clone();
+  }
+
+  const hit = event.ray.intersectPlane(jog.plane, new THREE.Vector3());
+  if (!hit) return;
+  const delta = hit.sub(jog.anchorHit);
+  if (vertical) delta.set(0, delta.y, 0);
+  else delta.y = 0;
+  jog.target = jog.anchor.clone().add(delta);
+
+  const { deployedRobots, robotJointAngles, setRobotJointAngles, setIkStatus } = useSceneStore.getState();
+  const robot = deployedRobots.find((r) => r.id === jog.robotId);
+  if (!robot) return;
+
+  // Target pose in W: start orientation, new position — then into the base frame
+  const { x, y, z } = jog.target;
+  const targetWorld = jog.startWorld.clone().setPosition(x, -z, y);
+  const targetBase = robotBaseMatrix(robot).invert().multiply(targetWorld);
+
+  const result = solveIk(jog.chain, jog.meta, robotJointAngles[jog.robotId] ?? {}, targetBase, {
+    toolLength: jog.toolLength,
+  });
+  if (result.reachable) setRobotJointAngles(jog.robotId, result.angles);
+  setIkStatus({
+    robotId: jog.robotId,
+    target: [x, z, y],
+    reachable: result.reachable,
+    positionError: result.positionError,
+  });
+}
+
 export default function DragPlane() {
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
+  // The plane spans the building's outline bounds (sceneSettings.floor)
+  const bounds = getFloorBounds(useSceneStore((s) => s.sceneSettings.floor));
 
   const meshRef = useRef();
   const isDragging = useRef(false);
   const dragOffset = useRef({ x: 0, y: 0 });
+  const group = useRef(null);
+  const tcpJog = useRef(null);
+  // Box select: [x0, z0, x1, z1] in Three.js floor coords, or null.
+  // The ref drives the gesture; the state only redraws the rectangle.
+  const boxRef = useRef(null);
+  const [box, setBox] = useState(null);
 
   // Keep drag plane Y in sync with the selected entity's height
   useFrame(() => {
@@ -91,31 +268,50 @@ export default function DragPlane() {
   });
 
   function handlePointerDown(event) {
-    const { interactionMode, selectedRobotId, selectedObjectId } =
+    const { interactionMode, selectedRobotId, selectedObjectId, isOrthographic, viewerMode } =
       useSceneStore.getState();
 
+    if (interactionMode === 'orbit' && event.shiftKey && isOrthographic && !viewerMode && !hitsEntity(event)) {
+      event.stopPropagation();
+      event.target.setPointerCapture(event.pointerId);
+      setInteractionMode('box');
+      boxRef.current = [event.point.x, event.point.z, event.point.x, event.point.z];
+      setBox(boxRef.current);
+      return;
+    }
+
     if (
-      (interactionMode !== 'drag' && interactionMode !== 'rotate') ||
+      (interactionMode !== 'drag' && interactionMode !== 'rotate' && interactionMode !== 'tcp') ||
       (selectedRobotId === null && selectedObjectId === null)
     ) {
       return;
     }
 
+    if (interactionMode === 'tcp') {
+      tcpJog.current = startTcpJog(event);
+      if (!tcpJog.current) {
+        setInteractionMode('orbit');
+        return;
+      }
+    }
+
     event.stopPropagation();
     event.target.setPointerCapture(event.pointerId);
+    useSceneStore.getState().beginHistoryGesture();
 
-    if (interactionMode === 'drag') {
-      const { entity, isRobot } = resolveSelected();
-      if (!entity) return;
-
-      // Phase 7: Unbind robot when dragged directly in viewport
-      if (isRobot && entity.parentObjectId) {
-        useSceneStore.getState().unbindRobot(entity.id);
+    if (interactionMode === 'drag' || interactionMode === 'rotate') {
+      group.current = startGroupGesture(interactionMode);
+      if (!group.current) {
+        useSceneStore.getState().endHistoryGesture();
+        return;
       }
+    }
 
+    if (interactionMode === 'drag') {
+      const { position } = group.current.primary;
       dragOffset.current = {
-        x: entity.position[0] - event.point.x,
-        y: entity.position[1] - event.point.z,
+        x: position[0] - event.point.x,
+        y: position[1] - event.point.z,
       };
     }
 
@@ -123,23 +319,21 @@ export default function DragPlane() {
   }
 
   function handlePointerMove(event) {
+    if (boxRef.current) {
+      const [x0, z0] = boxRef.current;
+      boxRef.current = [x0, z0, event.point.x, event.point.z];
+      setBox(boxRef.current);
+      return;
+    }
     if (!isDragging.current) return;
 
-    const {
-      interactionMode,
-      selectedRobotId,
-      selectedObjectId,
-      snapToGridEnabled,
-      updateRobotTransform,
-      updateObjectTransform,
-    } = useSceneStore.getState();
-
-    const { entity, isRobot } = resolveSelected();
-    if (!entity) return;
+    if (tcpJog.current) {
+      moveTcpJog(tcpJog.current, event);
+      return;
+    }
 
-    const updateTransform = isRobot
-      ? (pos, rot) => updateRobotTransform(selectedRobotId, pos, rot)
-      : (pos, rot) => updateObjectTransform(selectedObjectId, pos, rot);
+    const { interactionMode, snapToGridEnabled } = useSceneStore.getState();
+    const { members, primary, pivot } = group.current;
 
     if (interactionMode === 'drag') {
       let newX = event.point.x + dragOffset.current.x;
@@ -149,41 +343,103 @@ export default function DragPlane() {
         [newX, newY] = snapToGrid(newX, newY, SNAP_SIZE);
       }
 
-      updateTransform([newX, newY, entity.position[2]], entity.rotation);
+      const dx = newX - primary.position[0];
+      const dy = newY - primary.position[1];
+      for (const m of members) {
+        applyMemberTransform(m, [m.position[0] + dx, m.position[1] + dy, m.position[2]], m.rotation);
+      }
 
     } else if (interactionMode === 'rotate') {
-      const dx = event.point.x - entity.position[0];
-      const dz = event.point.z - entity.position[1];
+      const dx = event.point.x - pivot[0];
+      const dz = event.point.z - pivot[1];
       let angleDeg = Math.atan2(dx, dz) * (180 / Math.PI);
       // Snap to 15° increments
       angleDeg = Math.round(angleDeg / 15) * 15;
       angleDeg = ((angleDeg % 360) + 360) % 360;
 
-      updateTransform(entity.position, angleDeg);
+      // Every member turns by the primary's change of heading
+      const delta = angleDeg - primary.rotation;
+      for (const m of members) {
+        const rotation = (((m.rotation + delta) % 360) + 360) % 360;
+        applyMemberTransform(m, rotateAboutPivot(m.position, pivot, delta), rotation);
+      }
     }
   }
 
+  function finishBoxSelect() {
+    const [x0, z0, x1, z1] = boxRef.current;
+    const inBox = ({ position: [x, y] }) =>
+      x >= Math.min(x0, x1) && x <= Math.max(x0, x1) && y >= Math.min(z0, z1) && y <= Math.max(z0, z1);
+    const { deployedRobots, sceneObjects, addToSelection } = useSceneStore.getState();
+    addToSelection(
+      deployedRobots.filter(inBox).map((r) => r.id),
+      sceneObjects.filter(inBox).map((o) => o.id)
+    );
+    boxRef.current = null;
+    setBox(null);
+  }
+
   function handlePointerUp(event) {
+    if (boxRef.current) {
+      event.target.releasePointerCapture(event.pointerId);
+      finishBoxSelect();
+      setInteractionMode('orbit');
+      return;
+    }
     if (!isDragging.current) return;
     event.target.releasePointerCapture(event.pointerId);
     isDragging.current = false;
+    group.current = null;
+    useSceneStore.getState().endHistoryGesture();
+    if (tcpJog.current) {
+      tcpJog.current = null;
+      useSceneStore.getState().setIkStatus(null);
+    }
     setInteractionMode('orbit');
     // selectedRobotId is intentionally NOT cleared here — selection persists
     // so the rotation handle remains available after a drag.
   }
 
   return (
-    <mesh
-      ref={meshRef}
-      rotation={[-Math.PI / 2, 0, 0]}
-      position={[0, DRAG_Y, 0]}
-      onPointerDown={handlePointerDown}
-      onPointerMove={handlePointerMove}
-      onPointerUp={handlePointerUp}
-    >
-      <planeGeometry args={[width, depth]} />
-      {/* Fully transparent — invisible but raycasted */}
-      <meshBasicMaterial transparent opacity={0} depthWrite={false} />
-    </mesh>
+    <>
+      <mesh
+        ref={meshRef}
+        rotation={[-Math.PI / 2, 0, 0]}
+        position={[bounds.centre[0], DRAG_Y, bounds.centre[1]]}
+        onPointerDown={handlePointerDown}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+      >
+        <planeGeometry args={[bounds.width, bounds.depth]} />
+        {/* Fully transparent — invisible but raycasted */}
+        <meshBasicMaterial transparent opacity={0} depthWrite={false} />
+      </mesh>
+
+      {/* Box-select rectangle — drawn over everything in the 2D view */}
+      {box && (
+        <group position={[0, 0.05, 0]}>
+          <mesh
+            rotation={[-Math.PI / 2, 0, 0]}
+            position={[(box[0] + box[2]) / 2, 0, (box[1] + box[3]) / 2]}
+            raycast={noRaycast}
+            renderOrder={10}
+          >
+            <planeGeometry args={[Math.abs(box[2] - box[0]) || 1e-3, Math.abs(box[3] - box[1]) || 1e-3]} />
+            <meshBasicMaterial color={BOX_COLOR} transparent opacity={0.15} depthTest={false} depthWrite={false} />
+          </mesh>
+          <Line
+            points={[
+              [box[0], 0, box[1]], [box[2], 0, box[1]], [box[2], 0, box[3]],
+              [box[0], 0, box[3]], [box[0], 0, box[1]],
+            ]}
+            color={BOX_COLOR}
+            lineWidth={1.5}
+            depthTest={false}
+            renderOrder={11}
+            raycast={noRaycast}
+          />
+        </group>
+      )}
+    </>
   );
 }
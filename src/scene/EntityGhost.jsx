@@ -0,0 +1,68 @@
+/**
+ * EntityGhost.jsx
+ *
+ * Translucent box with outlined edges standing in for a robot or object —
+ * used by ComparisonOverlay (old / added / removed poses) and PatternPreview
+ * (copies not yet created).
+ *
+ * The box is the plan-view footprint (selectionUtils getEntityFootprint)
+ * extruded to the entity's height, hanging down for ceiling mounts. It is not raycastable, so it never blocks
+ * selection or drag.
+ */
+
+import { Edges } from '@react-three/drei';
+import { getObjectLabelHeight } from '../utils/objectUtils';
+import { findRobotModel } from '../utils/robotCatalog';
+import { getEntityFootprint } from '../utils/selectionUtils';
+
+const DEG2RAD = Math.PI / 180;
+/** Clearance around the entity so the box doesn't z-fight with it */
+const PAD = 0.03;
+/** Smallest robot ghost radius (before scale), so small arms stay visible */
+const MIN_ROBOT_RADIUS = 0.15;
+const noRaycast = () => {};
+
+/**
+ * Plan footprint and height of a robot or object.
+ * @returns {{ footprint: object, height: number }} footprint as getEntityFootprint
+ */
+function entityBounds(entity, kind) {
+  const footprint = getEntityFootprint(entity, kind);
+  if (kind === 'object') {
+    return { footprint, height: getObjectLabelHeight(entity.shape, entity.dimensions) };
+  }
+  const scale = entity.scale ?? 1;
+  return {
+    footprint: { type: 'circle', radius: Math.max(footprint.radius, MIN_ROBOT_RADIUS * scale) },
+    height: (findRobotModel(entity.modelId)?.approxHeight ?? 1) * scale,
+  };
+}
+
+/**
+ * @param {object}            props.entity      - Robot or object (spec position, rotation)
+ * @param {'robot'|'object'}  props.kind
+ * @param {string}            props.color
+ * @param {number}            props.fillOpacity
+ */
+export default function EntityGhost({ entity, kind, color, fillOpacity }) {
+  const { footprint, height } = entityBounds(entity, kind);
+  const [x, y, z] = entity.position;
+  const h = height + 2 * PAD;
+  // Ceiling-mounted entities hang down from their mount height
+  const centreY = entity.mountType === 'ceiling' ? z - h / 2 + PAD : z + h / 2 - PAD;
+
+  return (
+    <mesh
+      position={[x, centreY, y]}
+      rotation={[0, (entity.rotation ?? 0) * DEG2RAD, 0]}
+      raycast={noRaycast}
+      renderOrder={10}
+    >
+      {footprint.type === 'circle'
+        ? <cylinderGeometry args={[footprint.radius + PAD, footprint.radius + PAD, h, 32]} />
+        : <boxGeometry args={[footprint.length + 2 * PAD, h, footprint.width + 2 * PAD]} />}
+      <meshBasicMaterial color={color} transparent opacity={fillOpacity} depthWrite={false} />
+      <Edges color={color} threshold={20} />
+    </mesh>
+  );
+}
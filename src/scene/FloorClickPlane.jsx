@@ -10,44 +10,68 @@
  *   3. Stores the coords via setFloorClickCoords
  *   4. Returns to 'orbit' mode
  *
- * The plane is not rendered at all when interactionMode !== 'place',
- * so it has zero cost during normal operation.
+ * While the pattern tool is picking a circular pattern's centre
+ * (patternTool.picking), the rounded coords go to setPatternCentre instead,
+ * so the ROBOTS / EQUIPMENT forms don't take the click as a placement.
+ *
+ * In 'underlay' mode the plane instead feeds floor-plan calibration picks
+ * (addUnderlayPickPoint, unrounded) and is enlarged so points on a plan
+ * that overhangs the floor can be picked too; the store decides when
+ * picking is done.
+ *
+ * The plane is not rendered at all in other modes, so it has zero cost
+ * during normal operation.
  */
 
 import useSceneStore from '../store/sceneStore';
-import config from '../config/config.json';
-
-const { width, depth } = config.floor;
+import { getFloorBounds } from '../utils/floorLayout';
 
 export default function FloorClickPlane() {
   const interactionMode = useSceneStore((s) => s.interactionMode);
   const setFloorClickCoords = useSceneStore((s) => s.setFloorClickCoords);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
+  const addUnderlayPickPoint = useSceneStore((s) => s.addUnderlayPickPoint);
+  const pickingPatternCentre = useSceneStore((s) => !!s.patternTool?.picking);
+  const setPatternCentre = useSceneStore((s) => s.setPatternCentre);
+  const floor = useSceneStore((s) => s.sceneSettings.floor);
+
+  const picking = interactionMode === 'underlay';
+  if (interactionMode !== 'place' && !picking) return null;
 
-  if (interactionMode !== 'place') return null;
+  // Covers the building's outline bounds (sceneSettings.floor)
+  const { width, depth, centre } = getFloorBounds(floor);
 
   function handleClick(event) {
     event.stopPropagation();
     const { x, z } = event.point;
+    if (picking) {
+      addUnderlayPickPoint([x, z]);
+      return;
+    }
     // Spec coords: x = left/right (same as Three.js x), y = forward/back (Three.js z)
-    setFloorClickCoords([
+    const coords = [
       Math.round(x * 10) / 10,
       Math.round(z * 10) / 10,
-    ]);
+    ];
+    if (pickingPatternCentre) {
+      setPatternCentre(coords); // also returns to 'orbit'
+      return;
+    }
+    setFloorClickCoords(coords);
     setInteractionMode('orbit');
   }
 
   return (
     <mesh
       rotation={[-Math.PI / 2, 0, 0]}
-      position={[0, 0.015, 0]}
+      position={[centre[0], 0.015, centre[1]]}
       onClick={handleClick}
     >
-      <planeGeometry args={[width, depth]} />
+      <planeGeometry args={picking ? [width * 4, depth * 4] : [width, depth]} />
       <meshBasicMaterial
-        color="#4488ff"
+        color={picking ? '#ff8844' : '#4488ff'}
         transparent
-        opacity={0.12}
+        opacity={picking ? 0.06 : 0.12}
         depthWrite={false}
       />
     </mesh>
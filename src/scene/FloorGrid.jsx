@@ -1,17 +1,22 @@
 /**
  * FloorGrid.jsx
  *
- * Renders the factory floor: a solid floor plane, a metric grid overlay,
- * and four perimeter walls. All dimensions come from config.json.
+ * Renders the factory floor for the scene's building (sceneSettings.floor,
+ * see utils/floorLayout.js): a solid floor in the shape of its outline, a
+ * metric grid overlay, and — when enabled — perimeter walls with door
+ * openings and a grid of structural columns. Door openings are also marked
+ * on the floor so they stay visible with the walls hidden.
  *
- * The floor is centred at the world origin (0, 0, 0).
- * Grid lines are spaced 1 metre apart.
- * Metric labels are placed along the X and Z edges at 5-metre intervals.
- * Perimeter walls are thin box geometries standing at the floor edges.
+ * Grid lines are spaced 1 metre apart on whole metres, covering the outline.
+ * Metric labels are placed along the bottom and right of the outline bounds
+ * at 5-metre intervals.
+ * An imported building plan (FloorUnderlay) lies between the floor plane
+ * and the grid.
  *
  * Phase 4 addition:
  *   The floor mesh has an onClick handler that deselects the currently
  *   selected robot when the user clicks empty floor while in orbit mode.
+ *   Shift-clicks are ignored so they never drop a multi-selection.
  *   State is read via useSceneStore.getState() (not subscribed) so
  *   FloorGrid does not re-render on mode or selection changes.
  */
@@ -19,17 +24,24 @@
 import { Text } from '@react-three/drei';
 import { useMemo } from 'react';
 import * as THREE from 'three';
-import config from '../config/config.json';
 import useSceneStore from '../store/sceneStore';
+import {
+  getColumnPositions,
+  getDoorOpenings,
+  getFloorBounds,
+  getFloorOutline,
+  getWallSegments,
+} from '../utils/floorLayout';
+import FloorUnderlay from './FloorUnderlay';
 
-const { width, depth } = config.floor;
-const halfW = width / 2;
-const halfD = depth / 2;
+const WALL_COLOR = '#b0bec5';
+const COLUMN_COLOR = '#90a4ae';
+const DOOR_COLOR = '#f59e0b';
 
-function getLabelPositions(total, step = 5) {
+/** Multiples of `step` between min and max, inclusive. */
+function getLabelPositions(min, max, step = 5) {
   const positions = [];
-  const half = total / 2;
-  for (let i = -half; i <= half; i += step) {
+  for (let i = Math.ceil(min / step) * step; i <= max; i += step) {
     positions.push(Math.round(i));
   }
   return positions;
@@ -38,16 +50,39 @@ function getLabelPositions(total, step = 5) {
 export default function FloorGrid() {
   const floorColor = useSceneStore((s) => s.sceneSettings.floorColor);
   const gridVisible = useSceneStore((s) => s.sceneSettings.gridVisible);
+  const floor = useSceneStore((s) => s.sceneSettings.floor);
 
-  const xLabels = getLabelPositions(width);
-  const zLabels = getLabelPositions(depth);
+  const bounds = getFloorBounds(floor);
+  const xLabels = getLabelPositions(bounds.minX, bounds.maxX);
+  const zLabels = getLabelPositions(bounds.minY, bounds.maxY);
+
+  // Square grid centred on a whole metre, so its 1 m lines fall on whole metres
+  const gridCentre = bounds.centre.map(Math.round);
+  const gridSize = 2 * Math.ceil(Math.max(
+    bounds.maxX - gridCentre[0], gridCentre[0] - bounds.minX,
+    bounds.maxY - gridCentre[1], gridCentre[1] - bounds.minY,
+  ));
+
+  const floorGeometry = useMemo(() => {
+    // Shape in the XY plane with y = −spec y; the −90° X rotation below
+    // lays it on the floor with spec y along +Z
+    const shape = new THREE.Shape(getFloorOutline(floor).map(([x, y]) => new THREE.Vector2(x, -y)));
+    return new THREE.ShapeGeometry(shape);
+  }, [floor]);
+
+  const walls = floor.wallsVisible ? getWallSegments(floor) : [];
+  const doors = getDoorOpenings(floor);
+  const columns = getColumnPositions(floor);
+  const columnHeight = floor.wallHeight;
 
   const floorMaterial = useMemo(
     () => new THREE.MeshStandardMaterial({ color: floorColor, roughness: 0.9, metalness: 0.0 }),
     [floorColor]
   );
 
-  function handleFloorClick() {
+  function handleFloorClick(event) {
+    // Shift-clicks build a multi-selection (see DragPlane box select)
+    if (event.shiftKey) return;
     const {
       interactionMode,
       selectedRobotId, setSelectedRobotId,
@@ -58,37 +93,37 @@ export default function FloorGrid() {
     else if (selectedObjectId !== null) setSelectedObjectId(null);
   }
 
+  // Mesh names ('building', 'floor', 'wall-N', …) mark what GLB export keeps
   return (
-    <group>
+    <group name="building">
       {/* Solid floor plane — also handles deselection clicks */}
       <mesh
+        name="floor"
         rotation={[-Math.PI / 2, 0, 0]}
         position={[0, -0.01, 0]}
         receiveShadow
         onClick={handleFloorClick}
       >
-        <planeGeometry args={[width, depth]} />
+        <primitive object={floorGeometry} attach="geometry" />
         <primitive object={floorMaterial} attach="material" />
       </mesh>
 
+      {/* Imported building plan, scaled and placed by its calibration */}
+      <FloorUnderlay />
+
       {/* Metric grid overlay — 1 division per metre */}
       {gridVisible && (
         <>
           <gridHelper
-            args={[
-              Math.max(width, depth),
-              Math.max(width, depth),
-              '#546e7a',
-              '#607d8b',
-            ]}
-            position={[0, 0, 0]}
+            args={[gridSize, gridSize, '#546e7a', '#607d8b']}
+            position={[gridCentre[0], 0, gridCentre[1]]}
           />
 
-          {/* X-axis labels along the near edge (Z = +halfD) */}
+          {/* X-axis labels along the near edge (Z = max spec y) */}
           {xLabels.map((x) => (
             <Text
               key={`x-${x}`}
-              position={[x, 0.05, halfD + 1.2]}
+              position={[x, 0.05, bounds.maxY + 1.2]}
               rotation={[-Math.PI / 2, 0, 0]}
               fontSize={0.5}
               color="#cfd8dc"
@@ -99,11 +134,11 @@ export default function FloorGrid() {
             </Text>
           ))}
 
-          {/* Z-axis labels along the right edge (X = +halfW) */}
+          {/* Z-axis labels along the right edge (X = max spec x) */}
           {zLabels.map((z) => (
             <Text
               key={`z-${z}`}
-              position={[halfW + 1.2, 0.05, z]}
+              position={[bounds.maxX + 1.2, 0.05, z]}
               rotation={[-Math.PI / 2, 0, 0]}
               fontSize={0.5}
               color="#cfd8dc"
@@ -116,7 +151,42 @@ export default function FloorGrid() {
         </>
       )}
 
-      {/* Perimeter walls removed — add walls via Equipment > Wall object */}
+      {/* Perimeter walls, broken by door openings */}
+      {walls.map((wall, i) => (
+        <mesh
+          key={`wall-${i}`}
+          name={`wall-${i}`}
+          position={[wall.centre[0], (wall.bottom + wall.top) / 2, wall.centre[1]]}
+          rotation={[0, -wall.angle, 0]}
+          castShadow
+          receiveShadow
+        >
+          <boxGeometry args={[wall.length, wall.top - wall.bottom, floor.wallThickness]} />
+          <meshStandardMaterial color={WALL_COLOR} roughness={0.95} />
+        </mesh>
+      ))}
+
+      {/* Door openings marked on the floor */}
+      {doors.map((door, i) => (
+        <mesh
+          key={`door-${i}`}
+          name={`door-${i}`}
+          position={[(door.a[0] + door.b[0]) / 2, 0.004, (door.a[1] + door.b[1]) / 2]}
+          rotation={[-Math.PI / 2, 0, -Math.atan2(door.b[1] - door.a[1], door.b[0] - door.a[0])]}
+          raycast={() => {}}
+        >
+          <planeGeometry args={[door.to - door.from, Math.max(floor.wallThickness, 0.15)]} />
+          <meshBasicMaterial color={DOOR_COLOR} />
+        </mesh>
+      ))}
+
+      {/* Structural columns */}
+      {columns.map(([x, y]) => (
+        <mesh key={`col-${x}-${y}`} name="column" position={[x, columnHeight / 2, y]} castShadow receiveShadow>
+          <boxGeometry args={[floor.columns.size, columnHeight, floor.columns.size]} />
+          <meshStandardMaterial color={COLUMN_COLOR} roughness={0.9} />
+        </mesh>
+      ))}
     </group>
   );
 }
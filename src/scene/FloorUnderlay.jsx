@@ -0,0 +1,165 @@
+/**
+ * FloorUnderlay.jsx
+ *
+ * Draws the imported building plan (store floorUnderlay) flat on the floor,
+ * between the floor plane and the grid, placed by its calibration:
+ *   spec = offset + R(rotation) · (scale · plan point)
+ * (see utils/floorPlanImport.js). A group carries offset / rotation / scale,
+ * so its children are simply laid out in plan units on local X (right) and
+ * Z (down the plan):
+ *   - kind 'image' — a textured plane, [0, width] × [0, height]. SVGs are
+ *                    rasterised to a canvas first so lines stay crisp.
+ *   - kind 'lines' — the DXF segments as one LineSegments object
+ *
+ * While underlay points are being picked (store underlayPick) the picks are
+ * marked on the floor, joined by a line once there are two.
+ *
+ * Nothing here is raycastable, so floor clicks and drags pass straight through.
+ */
+
+import { Line } from '@react-three/drei';
+import { useEffect, useMemo, useState } from 'react';
+import * as THREE from 'three';
+import useSceneStore from '../store/sceneStore';
+
+const DEG2RAD = Math.PI / 180;
+/** Height above the floor mesh (y −0.01) and below the grid (y 0) */
+const UNDERLAY_Y = -0.005;
+/** Longest side, in pixels, SVG plans are rasterised to */
+const SVG_RASTER_SIZE = 4096;
+const LINE_COLOR = '#1c2630';
+const PICK_COLOR = '#ff8844';
+
+const noRaycast = () => {};
+
+/** Loads a plan image data URL as a texture; null until it has decoded. */
+function usePlanTexture(src) {
+  const [texture, setTexture] = useState(null);
+
+  useEffect(() => {
+    if (!src) return undefined;
+    let created = null;
+    const img = new Image();
+    img.onload = () => {
+      let source = img;
+      if (src.startsWith('data:image/svg')) {
+        const w = img.naturalWidth || 1000;
+        const h = img.naturalHeight || 1000;
+        const k = SVG_RASTER_SIZE / Math.max(w, h);
+        source = document.createElement('canvas');
+        source.width = Math.round(w * k);
+        source.height = Math.round(h * k);
+        source.getContext('2d').drawImage(img, 0, 0, source.width, source.height);
+      }
+      created = new THREE.Texture(source);
+      created.colorSpace = THREE.SRGBColorSpace;
+      created.anisotropy = 8;
+      created.needsUpdate = true;
+      setTexture(created);
+    };
+    img.src = src;
+    return () => {
+      img.onload = null;
+      created?.dispose();
+    };
+  }, [src]);
+
+  return texture;
+}
+
+function ImagePlan({ underlay }) {
+  const texture = usePlanTexture(underlay.src);
+  if (!texture) return null;
+  const { width, height } = underlay;
+
+  return (
+    <mesh
+      rotation={[-Math.PI / 2, 0, 0]}
+      position={[width / 2, 0, height / 2]}
+      raycast={noRaycast}
+      renderOrder={-1}
+    >
+      <planeGeometry args={[width, height]} />
+      <meshBasicMaterial
+        map={texture}
+        transparent
+        opacity={underlay.opacity}
+        depthWrite={false}
+        toneMapped={false}
+      />
+    </mesh>
+  );
+}
+
+function LinePlan({ underlay }) {
+  const { segments } = underlay;
+  const geometry = useMemo(() => {
+    const positions = new Float32Array((segments.length / 2) * 3);
+    for (let i = 0, j = 0; i < segments.length; i += 2, j += 3) {
+      positions[j] = segments[i];
+      positions[j + 2] = segments[i + 1];
+    }
+    const g = new THREE.BufferGeometry();
+    g.setAttribute('position', new THREE.BufferAttribute(positions, 3));
+    return g;
+  }, [segments]);
+
+  useEffect(() => () => geometry.dispose(), [geometry]);
+
+  return (
+    <lineSegments geometry={geometry} raycast={noRaycast} renderOrder={-1}>
+      <lineBasicMaterial
+        color={LINE_COLOR}
+        transparent
+        opacity={underlay.opacity}
+        depthWrite={false}
+      />
+    </lineSegments>
+  );
+}
+
+function PickMarkers({ points }) {
+  return (
+    <group>
+      {points.map(([x, y], i) => (
+        <mesh key={i} position={[x, 0.02, y]} rotation={[-Math.PI / 2, 0, 0]} raycast={noRaycast}>
+          <ringGeometry args={[0.08, 0.14, 24]} />
+          <meshBasicMaterial color={PICK_COLOR} depthTest={false} />
+        </mesh>
+      ))}
+      {points.length === 2 && (
+        <Line
+          points={points.map(([x, y]) => [x, 0.02, y])}
+          color={PICK_COLOR}
+          lineWidth={2}
+          dashed
+          dashSize={0.2}
+          gapSize={0.1}
+          raycast={noRaycast}
+        />
+      )}
+    </group>
+  );
+}
+
+export default function FloorUnderlay() {
+  const underlay = useSceneStore((s) => s.floorUnderlay);
+  const pickPoints = useSceneStore((s) => s.underlayPick?.points);
+
+  if (!underlay) return null;
+
+  return (
+    <>
+      {underlay.visible && (
+        <group
+          position={[underlay.offset[0], UNDERLAY_Y, underlay.offset[1]]}
+          rotation={[0, underlay.rotation * DEG2RAD, 0]}
+          scale={[underlay.scale, 1, underlay.scale]}
+        >
+          {underlay.kind === 'image' ? <ImagePlan underlay={underlay} /> : <LinePlan underlay={underlay} />}
+        </group>
+      )}
+      {pickPoints?.length > 0 && <PickMarkers points={pickPoints} />}
+    </>
+  );
+}
@@ -0,0 +1,39 @@
+/**
+ * GlbExportCapture.jsx
+ *
+ * Inside-Canvas component that watches for a GLB export trigger in the
+ * Zustand store and downloads the assembled scene — posed robots, grippers,
+ * scene objects and the building, without UI helpers (utils/gltfExport.js).
+ *
+ * Must be inside <Canvas> to reach the live scene via useThree.
+ *
+ * Flow:
+ *   1. User clicks "Export GLB" in ControlPanel → store.triggerGlbExport()
+ *   2. useFrame fires after the next rendered frame, reads glbExportRequested,
+ *      so world matrices reflect the current poses
+ *   3. Calls clearGlbExportRequest() to prevent a double download
+ *   4. exportSceneGlb() builds the clean copy and encodes it
+ *   5. Browser saves the file as robot-layout-YYYY-MM-DD-HH-MM-SS.glb
+ */
+
+import { useFrame, useThree } from '@react-three/fiber';
+import useSceneStore from '../store/sceneStore';
+import { downloadFile } from '../utils/download';
+import { exportSceneGlb } from '../utils/gltfExport';
+
+export default function GlbExportCapture() {
+  const { scene } = useThree();
+
+  useFrame(() => {
+    const state = useSceneStore.getState();
+    if (!state.glbExportRequested) return;
+    state.clearGlbExportRequest();
+
+    const ts = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    exportSceneGlb(scene, state)
+      .then((glb) => downloadFile(`robot-layout-${ts}.glb`, glb, 'model/gltf-binary'))
+      .catch((err) => alert(`GLB export failed: ${err.message}`));
+  });
+
+  return null;
+}
@@ -0,0 +1,55 @@
+/**
+ * MoveItExportCapture.jsx
+ *
+ * Inside-Canvas component that watches for a MoveIt export trigger in the
+ * Zustand store and downloads the scene objects as collision objects — a
+ * `.scene` file or a PlanningScene YAML (utils/moveitExport.js).
+ *
+ * Must be inside <Canvas>: the primitives are read from the rendered meshes.
+ *
+ * Flow:
+ *   1. User picks a frame and clicks ".scene" / "YAML" in ControlPanel →
+ *      store.triggerMoveItExport(format, frameRobotId)
+ *   2. useFrame reads moveitExportRequest after the next rendered frame, so
+ *      world matrices are current, and clears it
+ *   3. collectCollisionObjects() gathers the primitives in that frame
+ *   4. For YAML, the frame robot's URDF is loaded to name its root link
+ *   5. Browser saves robot-layout-YYYY-MM-DD-HH-MM-SS.scene / .yaml
+ */
+
+import { useFrame, useThree } from '@react-three/fiber';
+import useSceneStore from '../store/sceneStore';
+import { downloadFile } from '../utils/download';
+import { buildMoveItScene, buildPlanningSceneYaml, collectCollisionObjects } from '../utils/moveitExport';
+import { getUrdfRootLink, loadRobotUrdfs } from '../utils/workcellExport';
+
+/** header.frame_id for poses in the given robot's base frame */
+async function frameIdFor(robot) {
+  if (!robot) return 'world';
+  const text = (await loadRobotUrdfs([robot])).get(robot.id);
+  return (text && getUrdfRootLink(text)) || 'base_link';
+}
+
+export default function MoveItExportCapture() {
+  const { scene } = useThree();
+
+  useFrame(() => {
+    const state = useSceneStore.getState();
+    const request = state.moveitExportRequest;
+    if (!request) return;
+    state.clearMoveItExportRequest();
+
+    const objects = collectCollisionObjects(scene, state, request.frameRobotId);
+    const ts = new Date().toISOString().slice(0, 19).replace(/[T:]/g, '-');
+    if (request.format === 'scene') {
+      downloadFile(`robot-layout-${ts}.scene`, buildMoveItScene(objects), 'text/plain');
+      return;
+    }
+    const robot = state.deployedRobots.find((r) => r.id === request.frameRobotId);
+    frameIdFor(robot)
+      .then((frameId) => downloadFile(`robot-layout-${ts}.yaml`, buildPlanningSceneYaml(objects, frameId), 'application/yaml'))
+      .catch((err) => alert(`MoveIt export failed: ${err.message}`));
+  });
+
+  return null;
+}
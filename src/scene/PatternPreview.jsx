@@ -0,0 +1,49 @@
+/**
+ * PatternPreview.jsx
+ *
+ * Live preview for the pattern tool (store patternTool, opened from the ▦
+ * button on a ROBOTS / EQUIPMENT row): a cyan EntityGhost at every copy's
+ * pose (utils/patternUtils.js patternPoses), plus a ring marking a circular
+ * pattern's centre. Nothing is created until PatternPanel's Apply.
+ */
+
+import { useMemo } from 'react';
+import useSceneStore from '../store/sceneStore';
+import { patternPoses } from '../utils/patternUtils';
+import EntityGhost from './EntityGhost';
+
+const PREVIEW_COLOR = '#22d3ee';
+const noRaycast = () => {};
+
+export default function PatternPreview() {
+  const tool = useSceneStore((s) => s.patternTool);
+  const source = useSceneStore((s) => {
+    if (!s.patternTool) return null;
+    const list = s.patternTool.kind === 'robot' ? s.deployedRobots : s.sceneObjects;
+    return list.find((e) => e.id === s.patternTool.id) ?? null;
+  });
+
+  const poses = useMemo(() => (tool && source ? patternPoses(source, tool.pattern) : []), [tool, source]);
+  if (!tool || !source) return null;
+
+  const { centre } = tool.pattern;
+  return (
+    <group name="pattern-preview">
+      {poses.map((pose, i) => (
+        <EntityGhost
+          key={i}
+          entity={{ ...source, ...pose }}
+          kind={tool.kind}
+          color={PREVIEW_COLOR}
+          fillOpacity={0.15}
+        />
+      ))}
+      {tool.pattern.type === 'circular' && (
+        <mesh position={[centre[0], 0.03, centre[1]]} rotation={[-Math.PI / 2, 0, 0]} raycast={noRaycast}>
+          <ringGeometry args={[0.12, 0.18, 32]} />
+          <meshBasicMaterial color={PREVIEW_COLOR} transparent opacity={0.8} depthWrite={false} />
+        </mesh>
+      )}
+    </group>
+  );
+}
@@ -0,0 +1,59 @@
+/**
+ * ProgramPlayer.jsx
+ *
+ * Inside-Canvas component that drives waypoint program playback.
+ *
+ * Every frame, for each robot whose programPlayback entry is playing:
+ *   1. Advances its playback time by the frame delta
+ *   2. Samples the timed trajectory (utils/trajectoryUtils.js) at that time
+ *   3. Writes the interpolated pose with setRobotJointAngles, which
+ *      URDFRobot applies to the model like any other joint change
+ *
+ * At the end of the program playback stops, or wraps to the start when the
+ * program's loop flag is set. Scrubbing and pausing are handled by the
+ * JOINTS tab writing programPlayback directly.
+ *
+ * Renders null — useFrame only.
+ */
+
+import { useFrame } from '@react-three/fiber';
+import useSceneStore from '../store/sceneStore';
+import { buildTrajectory, sampleTrajectory } from '../utils/trajectoryUtils';
+
+export default function ProgramPlayer() {
+  useFrame((_, delta) => {
+    const { programPlayback, robotPrograms, robotJointMeta, setProgramPlayback, setRobotJointAngles } =
+      useSceneStore.getState();
+
+    for (const [robotId, playback] of Object.entries(programPlayback)) {
+      if (!playback.playing) continue;
+
+      const program = robotPrograms[robotId];
+      const trajectory = buildTrajectory(
+        program?.waypoints ?? [],
+        robotJointMeta[robotId] ?? [],
+        program?.speedPercent
+      );
+      if (trajectory.segments.length === 0) {
+        setProgramPlayback(robotId, { playing: false, time: 0 });
+        continue;
+      }
+
+      let time = playback.time + delta;
+      let playing = true;
+      if (time >= trajectory.duration) {
+        if (program.loop) {
+          time %= trajectory.duration;
+        } else {
+          time = trajectory.duration;
+          playing = false;
+        }
+      }
+
+      setRobotJointAngles(robotId, sampleTrajectory(trajectory, time));
+      setProgramPlayback(robotId, { time, playing });
+    }
+  });
+
+  return null;
+}
@@ -0,0 +1,143 @@
+/**
+ * ReachEnvelope.jsx
+ *
+ * Reach visualisation for one deployed robot, rendered inside its
+ * RobotInstance outer group (so it follows position and heading).
+ *
+ * URDF robots, once their kinematic chain is loaded:
+ *   - Envelope (showReachEnvelope): translucent solid of revolution from the
+ *     model's sampled reach profile (utils/reachEnvelope.js), cut at the floor
+ *     or ceiling for the robot's mount type.
+ *   - Slice (reachSlice.enabled): the reachable annulus at reachSlice.height
+ *     metres above the floor, filled and outlined.
+ *   - 2D layout view: a dashed circle at the envelope's largest radius.
+ *
+ * Robots without a URDF keep the old estimate: a dashed circle at 85% of the
+ * catalogue reach_mm, in the 2D layout view only.
+ *
+ * Both the envelope and slice are drawn in the robot's base frame — scaled,
+ * and flipped for ceiling mounts, exactly like the model itself. Nothing here
+ * is raycastable, so it never blocks selection or drag.
+ *
+ * @param {object} props.robot       - Deployed robot instance
+ * @param {object} props.modelConfig - Catalogue entry (reach_mm)
+ */
+
+import { Line } from '@react-three/drei';
+import { useMemo } from 'react';
+import * as THREE from 'three';
+import useSceneStore from '../store/sceneStore';
+import { getRobotToolLength } from '../utils/gripperUtils';
+import {
+  baseHeightAt,
+  getReachProfile,
+  mountedReachProfile,
+  reachProfileOutline,
+  sliceReachProfile,
+} from '../utils/reachEnvelope';
+
+const ENVELOPE_COLOR = '#38bdf8';
+const SLICE_COLOR = '#22d3ee';
+const noRaycast = () => {};
+
+function circlePoints(radius, y, segments = 96) {
+  const pts = [];
+  for (let i = 0; i <= segments; i++) {
+    const angle = (i / segments) * Math.PI * 2;
+    pts.push([Math.cos(angle) * radius, y, Math.sin(angle) * radius]);
+  }
+  return pts;
+}
+
+function DashedCircle({ radius }) {
+  const points = useMemo(() => circlePoints(radius, 0.03, 72), [radius]);
+  return (
+    <Line
+      points={points}
+      color="#ffffff"
+      lineWidth={1}
+      dashed
+      dashScale={20}
+      dashSize={0.3}
+      gapSize={0.15}
+      transparent
+      opacity={0.5}
+      raycast={noRaycast}
+    />
+  );
+}
+
+export default function ReachEnvelope({ robot, modelConfig }) {
+  const chain = useSceneStore((s) => s.robotKinematics[robot.id]);
+  const meta = useSceneStore((s) => s.robotJointMeta[robot.id]);
+  const showReachEnvelope = useSceneStore((s) => s.showReachEnvelope);
+  const reachSlice = useSceneStore((s) => s.reachSlice);
+  const isOrthographic = useSceneStore((s) => s.isOrthographic);
+
+  const { modelId, mountType } = robot;
+  const baseZ = robot.position[2];
+  const scale = robot.scale ?? 1;
+  const toolLength = getRobotToolLength(robot);
+
+  const profile = useMemo(() => {
+    if (!chain || !meta) return null;
+    const modelProfile = getReachProfile(modelId, chain, meta, toolLength);
+    return mountedReachProfile(modelProfile, { position: [0, 0, baseZ], mountType, scale });
+  }, [chain, meta, modelId, toolLength, mountType, baseZ, scale]);
+
+  const lathePoints = useMemo(
+    () => (profile ? reachProfileOutline(profile).map(([r, z]) => new THREE.Vector2(r, z)) : null),
+    [profile]
+  );
+
+  // ── No URDF (or not loaded yet): 85% of catalogue reach, 2D view only ──
+  if (!profile) {
+    const reachRadius = ((modelConfig?.reach_mm ?? 0) / 1000) * 0.85 * scale;
+    return isOrthographic && reachRadius > 0 ? <DashedCircle radius={reachRadius} /> : null;
+  }
+
+  const sliceZ = baseHeightAt(robot, reachSlice.height);
+  const slice = reachSlice.enabled ? sliceReachProfile(profile, sliceZ) : null;
+
+  return (
+    <>
+      {/* Base frame: scaled like the model, flipped for ceiling mounts */}
+      <group scale={[scale, scale, scale]} rotation={mountType === 'ceiling' ? [Math.PI, 0, 0] : [0, 0, 0]}>
+        {showReachEnvelope && (
+          <mesh raycast={noRaycast} renderOrder={1}>
+            <latheGeometry args={[lathePoints, 96]} />
+            <meshBasicMaterial
+              color={ENVELOPE_COLOR}
+              transparent
+              opacity={0.12}
+              side={THREE.DoubleSide}
+              depthWrite={false}
+            />
+          </mesh>
+        )}
+
+        {slice && (
+          <group position={[0, sliceZ, 0]}>
+            <mesh rotation={[-Math.PI / 2, 0, 0]} raycast={noRaycast} renderOrder={2}>
+              <ringGeometry args={[slice.inner, slice.outer, 96]} />
+              <meshBasicMaterial
+                color={SLICE_COLOR}
+                transparent
+                opacity={0.25}
+                side={THREE.DoubleSide}
+                depthWrite={false}
+              />
+            </mesh>
+            <Line points={circlePoints(slice.outer, 0)} color={SLICE_COLOR} lineWidth={1.5} raycast={noRaycast} />
+            {slice.inner > 0.005 && (
+              <Line points={circlePoints(slice.inner, 0)} color={SLICE_COLOR} lineWidth={1} raycast={noRaycast} />
+            )}
+          </group>
+        )}
+      </group>
+
+      {/* Outer reach footprint in the 2D layout view */}
+      {isOrthographic && <DashedCircle radius={profile.maxRadius * scale} />}
+    </>
+  );
+}
@@ -4,6 +4,10 @@
  * Renders the orange rotation handle around the currently selected robot.
  * Only mounts when selectedRobotId is set; returns null otherwise.
  *
+ * Multi-selection: the ring is centred on the selection centroid (the pivot
+ * DragPlane rotates the group about) and widened to enclose every member.
+ * The grip shows the primary entity's heading.
+ *
  * Visual elements:
  *   - A flat torus ring at floor level centred on the robot, showing the
  *     orbit path for the grip sphere. Non-interactive (raycast disabled).
@@ -15,8 +19,8 @@
  *   2. onPointerDown sets interactionMode → 'rotate'.
  *      Does NOT call stopPropagation — the event propagates to DragPlane,
  *      which then sets pointer capture and begins tracking the rotation.
- *   3. DragPlane.onPointerMove calculates angle from robot centre to cursor
- *      and calls updateRobotTransform with the new heading in degrees.
+ *   3. DragPlane.onPointerMove calculates angle from the ring centre to the
+ *      cursor and calls updateRobotTransform with the new heading in degrees.
  *   4. This component re-renders as robot.rotation changes, moving the grip
  *      sphere to the new angle in real time.
  *   5. onPointerUp in DragPlane ends the gesture and returns to orbit mode.
@@ -32,6 +36,7 @@
 
 import config from '../config/config.json';
 import useSceneStore from '../store/sceneStore';
+import { getSelectedEntities, getSelectionPivot } from '../utils/selectionUtils';
 
 const DEG2RAD = Math.PI / 180;
 const { rotationHandleColor, rotationHandleRadius } = config.interaction;
@@ -39,6 +44,8 @@ const { rotationHandleColor, rotationHandleRadius } = config.interaction;
 export default function RotationHandle() {
   const selectedRobotId = useSceneStore((s) => s.selectedRobotId);
   const selectedObjectId = useSceneStore((s) => s.selectedObjectId);
+  const selectedRobotIds = useSceneStore((s) => s.selectedRobotIds);
+  const selectedObjectIds = useSceneStore((s) => s.selectedObjectIds);
   const deployedRobots = useSceneStore((s) => s.deployedRobots);
   const sceneObjects = useSceneStore((s) => s.sceneObjects);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
@@ -47,20 +54,26 @@ export default function RotationHandle() {
   const selectedId = selectedRobotId ?? selectedObjectId;
   if (!selectedId) return null;
 
-  const robot = selectedRobotId
-    ? deployedRobots.find((r) => r.id === selectedRobotId)
-    : sceneObjects.find((o) => o.id === selectedObjectId);
+  const { robots, objects, primary: robot } = getSelectedEntities({
+    deployedRobots, sceneObjects, selectedRobotId, selectedObjectId, selectedRobotIds, selectedObjectIds,
+  });
   if (!robot) return null;
 
-  // Entity world position in Three.js coords
-  const rx = robot.position[0]; // spec X = Three.js X
+  // Ring centre: the robot itself, or the centroid of a multi-selection
+  const members = [...robots, ...objects];
+  const [px, py] = getSelectionPivot(members);
+  const spread = Math.max(...members.map((e) => Math.hypot(e.position[0] - px, e.position[1] - py)));
+  const radius = Math.max(rotationHandleRadius, spread + rotationHandleRadius / 2);
+
+  // Ring centre in Three.js coords
+  const rx = px;                // spec X = Three.js X
   const ry = robot.position[2]; // spec Z (height) = Three.js Y
-  const rz = robot.position[1]; // spec Y = Three.js Z
+  const rz = py;                // spec Y = Three.js Z
 
   // Grip sphere position on the ring arc at the robot's current heading
-  const gripRad = robot.rotation * DEG2RAD;
-  const gripX = rx + rotationHandleRadius * Math.sin(gripRad);
-  const gripZ = rz + rotationHandleRadius * Math.cos(gripRad);
+  const gripRad = (robot.rotation ?? 0) * DEG2RAD;
+  const gripX = rx + radius * Math.sin(gripRad);
+  const gripZ = rz + radius * Math.cos(gripRad);
 
   function handleGripPointerDown(event) {
     // Set rotate mode — do NOT stopPropagation so DragPlane also receives
@@ -76,7 +89,7 @@ export default function RotationHandle() {
         position={[rx, ry + 0.02, rz]}
         raycast={() => {}}
       >
-        <torusGeometry args={[rotationHandleRadius, 0.025, 8, 64]} />
+        <torusGeometry args={[radius, 0.025, 8, 64]} />
         <meshBasicMaterial color={rotationHandleColor} />
       </mesh>
 
@@ -10,7 +10,8 @@
  *   object.rotation is degrees → Three.js [0, rad, 0].
  *
  * Interaction:
- *   onPointerDown → setSelectedObjectId + mode='drag' (same pattern as robots).
+ *   onPointerDown → selectForDrag + mode='drag' (same pattern as robots);
+ *   shift-press toggles multi-selection membership instead.
  *   DragPlane receives the event via propagation (no stopPropagation on down).
  *   onClick stops propagation to prevent floor deselect.
  *
@@ -47,10 +48,10 @@ export default function SceneObjectInstance({ object }) {
   const outerGroupRef = useRef();
   const [hovered, setHovered] = useState(false);
 
-  const setSelectedObjectId = useSceneStore((s) => s.setSelectedObjectId);
+  const selectForDrag = useSceneStore((s) => s.selectForDrag);
+  const toggleSelection = useSceneStore((s) => s.toggleSelection);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
-  const selectedObjectId = useSceneStore((s) => s.selectedObjectId);
-  const isSelected = selectedObjectId === object.id;
+  const isSelected = useSceneStore((s) => s.selectedObjectIds.includes(object.id));
   const showLabels = useSceneStore((s) => s.showLabels);
   const deployedRobots = useSceneStore((s) => s.deployedRobots);
 
@@ -62,7 +63,7 @@ export default function SceneObjectInstance({ object }) {
     });
   }, [object.id]);
 
-  useCursor(hovered && useSceneStore.getState().interactionMode === 'orbit');
+  useCursor(hovered && useSceneStore.getState().interactionMode === 'orbit' && !useSceneStore.getState().viewerMode);
 
   // Spec → Three.js
   const threePos = [position[0], position[2], position[1]];
@@ -85,8 +86,14 @@ export default function SceneObjectInstance({ object }) {
   const ringInner = ringOuter * 0.75;
 
   function handlePointerDown(event) {
-    if (useSceneStore.getState().interactionMode !== 'orbit') return;
-    setSelectedObjectId(object.id);
+    const { interactionMode, viewerMode } = useSceneStore.getState();
+    if (interactionMode !== 'orbit' || viewerMode) return;
+    // Shift-click adds to / removes from the selection instead of dragging
+    if (event.shiftKey) {
+      toggleSelection('object', object.id);
+      return;
+    }
+    selectForDrag('object', object.id);
     setInteractionMode('drag');
   }
 
@@ -126,14 +133,15 @@ export default function SceneObjectInstance({ object }) {
       onPointerOut={() => setHovered(false)}
       onClick={(e) => e.stopPropagation()}
     >
-      {/* Ceiling objects are flipped upside-down */}
-      <group rotation={isCeiling ? [Math.PI, 0, 0] : [0, 0, 0]}>
+      {/* Ceiling objects are flipped upside-down. Named so CollisionMonitor
+          only treats the shape itself as collidable. */}
+      <group name="shape-body" rotation={isCeiling ? [Math.PI, 0, 0] : [0, 0, 0]}>
         {renderShape()}
       </group>
 
       {/* Platform pillar */}
       {object.mountType === 'platform' && position[2] > 0 && (
-        <mesh position={[0, -position[2] / 2, 0]} raycast={() => {}}>
+        <mesh name="mount-pillar" position={[0, -position[2] / 2, 0]} raycast={() => {}}>
           <cylinderGeometry args={[0.05, 0.05, position[2], 8]} />
           <meshPhongMaterial color="#666666" />
         </mesh>
@@ -141,7 +149,7 @@ export default function SceneObjectInstance({ object }) {
 
       {/* Ceiling bracket */}
       {object.mountType === 'ceiling' && (
-        <mesh position={[0, 0.04, 0]} raycast={() => {}}>
+        <mesh name="mount-bracket" position={[0, 0.04, 0]} raycast={() => {}}>
           <boxGeometry args={[0.12, 0.08, 0.12]} />
           <meshPhongMaterial color="#888888" />
         </mesh>
@@ -0,0 +1,83 @@
+/**
+ * TcpGizmo.jsx
+ *
+ * Renders a grip sphere at the selected robot's tool tip (TCP). Pressing it
+ * starts a TCP jog: the tool is dragged through space and the robot follows
+ * via inverse kinematics (utils/inverseKinematics.js).
+ *
+ * Only mounts when the selected robot is a loaded URDF robot with a kinematic
+ * chain (robotKinematics) — placeholder models have no joints to solve for.
+ *
+ * Interaction flow (mirrors RotationHandle):
+ *   1. User presses the sphere → interactionMode = 'tcp'.
+ *      No stopPropagation — DragPlane receives the same event, captures the
+ *      pointer and records the start pose.
+ *   2. DragPlane.onPointerMove moves the target in the horizontal plane
+ *      (Shift: vertically), solves IK, and writes robotJointAngles.
+ *   3. While jogging, the sphere follows the requested target (ikStatus) and
+ *      turns red when the target is out of reach; the robot stays at its
+ *      last reachable pose.
+ *   4. onPointerUp in DragPlane ends the jog and returns to orbit mode.
+ *
+ * Drawn on top of the robot (depthTest off) so it can be grabbed even when
+ * the tool tip is hidden behind a link.
+ */
+
+import * as THREE from 'three';
+import useSceneStore from '../store/sceneStore';
+import { getRobotToolLength } from '../utils/gripperUtils';
+import { tcpWorldMatrix } from '../utils/kinematics';
+
+const GIZMO_COLOR = '#22d3ee';
+const UNREACHABLE_COLOR = '#ef4444';
+const EMPTY_JOINT_ANGLES = {};
+
+export default function TcpGizmo() {
+  const selectedRobotId = useSceneStore((s) => s.selectedRobotId);
+  const robot = useSceneStore((s) => s.deployedRobots.find((r) => r.id === s.selectedRobotId));
+  const chain = useSceneStore((s) => s.robotKinematics[s.selectedRobotId]);
+  const angles = useSceneStore((s) => s.robotJointAngles[s.selectedRobotId] ?? EMPTY_JOINT_ANGLES);
+  const ikStatus = useSceneStore((s) => s.ikStatus);
+  const setSelectedRobotId = useSceneStore((s) => s.setSelectedRobotId);
+  const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
+
+  if (!robot || !chain) return null;
+
+  // While jogging, show the requested target; otherwise the actual tool tip
+  const jogging = ikStatus?.robotId === selectedRobotId;
+  let position;
+  if (jogging) {
+    const [x, y, z] = ikStatus.target;
+    position = [x, z, y];
+  } else {
+    const p = new THREE.Vector3().setFromMatrixPosition(
+      tcpWorldMatrix(robot, chain, angles, getRobotToolLength(robot))
+    );
+    // World frame W (x, −spec y, z) → Three.js (x, z, spec y)
+    position = [p.x, p.z, -p.y];
+  }
+  const color = jogging && !ikStatus.reachable ? UNREACHABLE_COLOR : GIZMO_COLOR;
+
+  function handlePointerDown() {
+    // Do NOT stopPropagation — DragPlane must receive this event too.
+    // 'drag' is overridden: a gripper mesh in front of the sphere may have
+    // received this same event first and started a robot drag (re-select
+    // in case that mesh belonged to another robot).
+    const mode = useSceneStore.getState().interactionMode;
+    if (mode !== 'orbit' && mode !== 'drag') return;
+    setSelectedRobotId(robot.id);
+    setInteractionMode('tcp');
+  }
+
+  return (
+    <mesh
+      position={position}
+      renderOrder={999}
+      onPointerDown={handlePointerDown}
+      onClick={(e) => e.stopPropagation()}
+    >
+      <sphereGeometry args={[0.05 * (robot.scale ?? 1), 16, 12]} />
+      <meshBasicMaterial color={color} transparent opacity={0.85} depthTest={false} />
+    </mesh>
+  );
+}
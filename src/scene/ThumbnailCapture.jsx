@@ -0,0 +1,46 @@
+/**
+ * ThumbnailCapture.jsx
+ *
+ * Inside-Canvas component that answers store.requestThumbnail() with a small
+ * JPEG of the viewport, stored with a scene when it is saved from the SAVES
+ * tab (utils/sceneSummary.js).
+ *
+ * Same approach as ExportCapture: relies on preserveDrawingBuffer: true on
+ * the Canvas gl prop, reading the buffer after the next rendered frame. The
+ * frame is centre-cropped to THUMB_WIDTH × THUMB_HEIGHT.
+ */
+
+import { useFrame, useThree } from '@react-three/fiber';
+import useSceneStore from '../store/sceneStore';
+
+const THUMB_WIDTH = 160;
+const THUMB_HEIGHT = 100;
+const JPEG_QUALITY = 0.75;
+
+export default function ThumbnailCapture() {
+  const { gl } = useThree();
+
+  useFrame(() => {
+    const request = useSceneStore.getState().thumbnailRequest;
+    if (!request) return;
+    useSceneStore.getState().clearThumbnailRequest();
+
+    const source = gl.domElement;
+    // Largest source rectangle with the thumbnail's aspect ratio
+    const scale = Math.min(source.width / THUMB_WIDTH, source.height / THUMB_HEIGHT);
+    const sw = THUMB_WIDTH * scale;
+    const sh = THUMB_HEIGHT * scale;
+
+    const canvas = document.createElement('canvas');
+    canvas.width = THUMB_WIDTH;
+    canvas.height = THUMB_HEIGHT;
+    canvas.getContext('2d').drawImage(
+      source,
+      (source.width - sw) / 2, (source.height - sh) / 2, sw, sh,
+      0, 0, THUMB_WIDTH, THUMB_HEIGHT
+    );
+    request.resolve(canvas.toDataURL('image/jpeg', JPEG_QUALITY));
+  });
+
+  return null;
+}
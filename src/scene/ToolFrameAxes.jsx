@@ -0,0 +1,56 @@
+/**
+ * ToolFrameAxes.jsx
+ *
+ * Imperatively attaches XYZ axis triads (X red, Y green, Z blue) to a URDF
+ * robot's flange link — one at the flange itself and, when a gripper is
+ * attached, a second at the tool tip (flange +Z × tool length).
+ *
+ * Like GripperAttachment, renders null in the React tree: the helpers are
+ * .add()'d to the link node so they follow every joint transform. Drawn on
+ * top of the model (depthTest off) and excluded from raycasting so they never
+ * block robot picking.
+ *
+ * @param {object} props.robotObject  - The loaded URDFRobot Three.js object
+ * @param {string} props.linkName     - Flange link name (model lastLinkName)
+ * @param {number} props.toolLength   - TCP offset along flange +Z, metres (0 = none)
+ */
+
+import * as THREE from 'three';
+import { useEffect } from 'react';
+
+const FLANGE_AXIS_SIZE = 0.12;
+const TOOL_AXIS_SIZE = 0.08;
+
+function makeAxes(size) {
+  const axes = new THREE.AxesHelper(size);
+  axes.material.depthTest = false;
+  axes.material.transparent = true;
+  axes.renderOrder = 999;
+  axes.raycast = () => {};
+  axes.userData.isToolFrame = true;
+  return axes;
+}
+
+export default function ToolFrameAxes({ robotObject, linkName, toolLength = 0 }) {
+  useEffect(() => {
+    const link = robotObject?.links?.[linkName];
+    if (!link) return;
+
+    const helpers = [makeAxes(FLANGE_AXIS_SIZE)];
+    if (toolLength > 0) {
+      const tip = makeAxes(TOOL_AXIS_SIZE);
+      tip.position.z = toolLength;
+      helpers.push(tip);
+    }
+    helpers.forEach((h) => link.add(h));
+
+    return () => {
+      helpers.forEach((h) => {
+        link.remove(h);
+        h.dispose();
+      });
+    };
+  }, [robotObject, linkName, toolLength]);
+
+  return null;
+}
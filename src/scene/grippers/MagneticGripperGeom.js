@@ -50,3 +50,12 @@ export function build(dimensions, color, opacity) {
 
   return group;
 }
+
+/**
+ * Distance from the mount face to the disc face along +Z (the TCP offset).
+ * @param {object} dimensions - Same shape as build()
+ * @returns {number} metres
+ */
+export function toolLength({ housingLength, discThickness }) {
+  return housingLength + discThickness;
+}
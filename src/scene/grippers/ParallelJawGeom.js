@@ -53,3 +53,12 @@ export function build(dimensions, color, opacity) {
 
   return group;
 }
+
+/**
+ * Distance from the mount face to the fingertips along +Z (the TCP offset).
+ * @param {object} dimensions - Same shape as build()
+ * @returns {number} metres
+ */
+export function toolLength({ bodyLength, fingerLength }) {
+  return bodyLength + fingerLength;
+}
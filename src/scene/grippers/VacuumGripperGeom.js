@@ -68,3 +68,13 @@ export function build(dimensions, color, opacity) {
 
   return group;
 }
+
+/**
+ * Distance from the mount face to the cup lip along +Z (the TCP offset).
+ * Cup heights match build(): 0.01 m for the quad variant, 0.015 m single.
+ * @param {object} dimensions - Same shape as build()
+ * @returns {number} metres
+ */
+export function toolLength({ bodyLength, cupSpacing }) {
+  return bodyLength + (cupSpacing ? 0.01 : 0.015);
+}
@@ -9,7 +9,8 @@
  *     manufacturer: string   — e.g. "Universal Robots"
  *     modelId:      string   — e.g. "ur5e"
  *     model:        string   — display name, e.g. "UR5e"
- *     urdf:         string|null — path relative to /public/models/, or null
+ *     urdf:         string|null — path relative to /public/models/, "imported/<id>.urdf"
+ *                                for IMPORT-tab models, or null
  *     packageMap:   object|null — ROS package → /models/ subdir map
  *     position:     [x, y, z]  — spec floor coords; x=left-right, y=fwd-back, z=height (0=floor)
  *     rotation:     number      — heading in degrees around the vertical axis (Y in Three.js)
@@ -42,14 +43,291 @@
  * Interaction modes:
  *   'orbit'  — default; OrbitControls active
  *   'place'  — FloorClickPlane captures the next click and stores coords
- *   'drag'   — DragPlane tracks pointer to reposition selected robot/object
- *   'rotate' — DragPlane tracks pointer to rotate selected robot/object
+ *   'drag'   — DragPlane tracks pointer to reposition the selection
+ *   'rotate' — DragPlane tracks pointer to rotate the selection about its centroid
+ *   'tcp'    — DragPlane jogs the selected robot's tool tip via IK
+ *   'box'    — DragPlane draws a box-select rectangle (2D layout view)
+ *   'underlay' — FloorClickPlane picks calibration points on the floor plan
  *
  * Selection mutual exclusion (Phase 6):
  *   setSelectedRobotId clears selectedObjectId (and vice versa).
+ *
+ * Multi-selection:
+ *   selectedRobotIds / selectedObjectIds hold every selected entity. The
+ *   primary selection (selectedRobotId or selectedObjectId) is always one of
+ *   them, so single-entity panels and gizmos keep working unchanged.
+ *
+ * Groups ("cells"):
+ *   Named sets of robots and objects, saved with the scene. Selecting any
+ *   member selects the whole group, so it drags and rotates as a unit. Groups
+ *   can be saved to the cell library (utils/cellLibrary.js) and stamped into
+ *   other scenes with stampCell.
+ *
+ * Undo / redo:
+ *   A store subscription records a snapshot of the scene document (HISTORY_FIELDS)
+ *   before every change to it, so every mutation is undoable without each
+ *   action opting in. Loading a scene (restoreScene) starts a fresh history.
+ *   See the "Undo / redo history" section.
  */
 
 import { create } from 'zustand';
+import { defaultFloor } from '../utils/floorLayout';
+import { calibrateUnderlay } from '../utils/floorPlanImport';
+import { setImportedRobots } from '../utils/robotCatalog';
+import { defaultPattern, patternPoses, patternSourceRotation } from '../utils/patternUtils';
+import {
+  alignPositions,
+  distributePositions,
+  getSelectedEntities,
+  rotateAboutPivot,
+} from '../utils/selectionUtils';
+
+/**
+ * Builds all four selection fields from the selected id lists. The primary
+ * is `primary.robotId` / `primary.objectId` when still selected, otherwise
+ * the first selected robot, then the first selected object.
+ * @param {string[]} robotIds
+ * @param {string[]} objectIds
+ * @param {{ robotId?: string|null, objectId?: string|null }} [primary]
+ */
+function selectionFields(robotIds, objectIds, primary = {}) {
+  let selectedRobotId = robotIds.includes(primary.robotId) ? primary.robotId : null;
+  let selectedObjectId =
+    !selectedRobotId && objectIds.includes(primary.objectId) ? primary.objectId : null;
+  if (!selectedRobotId && !selectedObjectId) {
+    selectedRobotId = robotIds[0] ?? null;
+    selectedObjectId = selectedRobotId ? null : objectIds[0] ?? null;
+  }
+  return { selectedRobotIds: robotIds, selectedObjectIds: objectIds, selectedRobotId, selectedObjectId };
+}
+
+/**
+ * Selection fields after entities are removed: keeps the members for which
+ * keepRobot / keepObject return true, and the primary if it survives.
+ */
+function pruneSelection(state, keepRobot, keepObject) {
+  return selectionFields(
+    state.selectedRobotIds.filter(keepRobot),
+    state.selectedObjectIds.filter(keepObject),
+    { robotId: state.selectedRobotId, objectId: state.selectedObjectId }
+  );
+}
+
+const EMPTY_SELECTION = selectionFields([], []);
+
+/**
+ * Where a robot bound to an object (parentOffset) sits when the object is
+ * at `position` / `rotation`.
+ * @returns {{ position: number[], rotation: number }}
+ */
+function boundRobotPose(robot, position, rotation) {
+  const parentRotRad = (rotation ?? 0) * (Math.PI / 180);
+  const cosR = Math.cos(parentRotRad);
+  const sinR = Math.sin(parentRotRad);
+  const { dx, dy, dRot } = robot.parentOffset;
+  const worldX = position[0] + dx * cosR - dy * sinR;
+  const worldY = position[1] + dx * sinR + dy * cosR;
+  return {
+    position: [Math.round(worldX * 100) / 100, Math.round(worldY * 100) / 100, robot.position[2]],
+    rotation: (((rotation ?? 0) + dRot) % 360 + 360) % 360,
+  };
+}
+
+/**
+ * The selection as align / distribute members, like a DragPlane group
+ * gesture: robots riding on a selected object are left out, since they
+ * follow it.
+ * @returns {{ entity: object, kind: 'robot'|'object' }[]}
+ */
+function selectionMembers(state) {
+  const { robots, objects } = getSelectedEntities(state);
+  const objectIds = new Set(objects.map((o) => o.id));
+  return [
+    ...robots.filter((r) => !objectIds.has(r.parentObjectId)).map((entity) => ({ entity, kind: 'robot' })),
+    ...objects.map((entity) => ({ entity, kind: 'object' })),
+  ];
+}
+
+/**
+ * Scene fields after giving selection members new poses in one change (one
+ * undo step). Robots bound to a moved object follow it; a member robot
+ * bound to an object outside the selection is unbound when it moves, as in
+ * a viewport drag.
+ *
+ * @param {object}   state
+ * @param {object[]} members - From selectionMembers
+ * @param {{ position: number[], rotation: number }[]} poses - Per member
+ */
+function applyMemberPoses(state, members, poses) {
+  const robotPoses = new Map();
+  const objectPoses = new Map();
+  members.forEach((m, i) => (m.kind === 'robot' ? robotPoses : objectPoses).set(m.entity.id, poses[i]));
+
+  const moved = (e, pose) =>
+    pose.position.some((v, i) => v !== e.position[i]) || pose.rotation !== (e.rotation ?? 0);
+
+  return {
+    sceneObjects: state.sceneObjects.map((o) => (objectPoses.has(o.id) ? { ...o, ...objectPoses.get(o.id) } : o)),
+    deployedRobots: state.deployedRobots.map((r) => {
+      const pose = robotPoses.get(r.id);
+      if (pose) {
+        if (!moved(r, pose)) return r;
+        return r.parentObjectId
+          ? { ...r, ...pose, parentObjectId: null, parentOffset: null, trackPosition: null }
+          : { ...r, ...pose };
+      }
+      const parentPose = r.parentOffset && objectPoses.get(r.parentObjectId);
+      return parentPose ? { ...r, ...boundRobotPose(r, parentPose.position, parentPose.rotation) } : r;
+    }),
+  };
+}
+
+/** Drops removed members from groups; groups left empty are deleted. */
+function pruneGroups(groups, keepRobot, keepObject) {
+  return groups
+    .map((g) => ({ ...g, robotIds: g.robotIds.filter(keepRobot), objectIds: g.objectIds.filter(keepObject) }))
+    .filter((g) => g.robotIds.length + g.objectIds.length > 0);
+}
+
+/**
+ * Widens robot / object id lists so every group they touch is included whole.
+ * @returns {[string[], string[]]} [robotIds, objectIds]
+ */
+function expandToGroups(groups, robotIds, objectIds) {
+  const robots = new Set(robotIds);
+  const objects = new Set(objectIds);
+  for (const g of groups) {
+    if (g.robotIds.some((id) => robots.has(id)) || g.objectIds.some((id) => objects.has(id))) {
+      g.robotIds.forEach((id) => robots.add(id));
+      g.objectIds.forEach((id) => objects.add(id));
+    }
+  }
+  return [[...robots], [...objects]];
+}
+
+/** Heading in degrees wrapped to 0–360, like the rotation sliders. */
+function normalizeHeading(deg) {
+  return ((deg % 360) + 360) % 360;
+}
+
+/**
+ * Copies robots and objects under fresh ids from nextRobotId / nextObjectId,
+ * relabelled like duplicateRobot / duplicateObject, moved by `move` and
+ * turned by `turnDeg`. A robot bound to an object copied alongside it is
+ * bound to that object's copy (its parentOffset is in the object's frame, so
+ * it survives the turn); other copied robots start unbound.
+ * @param {object}   state
+ * @param {object[]} robots
+ * @param {object[]} objects
+ * @param {Function} move    - Spec position [x, y, z] → new position
+ * @param {number}   turnDeg - Heading change added to every copy
+ * @returns {{ robots: object[], objects: object[], robotIdMap: Map, objectIdMap: Map,
+ *             nextRobotId: number, nextObjectId: number }}
+ */
+function cloneEntities(state, robots, objects, move, turnDeg = 0) {
+  const objectIdMap = new Map();
+  let nextObjectId = state.nextObjectId;
+  const objectClones = objects.map((source) => {
+    const idNum = nextObjectId++;
+    objectIdMap.set(source.id, `o-${idNum}`);
+    return {
+      ...source,
+      id: `o-${idNum}`,
+      dimensions: { ...source.dimensions },
+      position: move(source.position),
+      rotation: normalizeHeading((source.rotation ?? 0) + turnDeg),
+      label: `${source.name} #${idNum}`,
+    };
+  });
+
+  const robotIdMap = new Map();
+  let nextRobotId = state.nextRobotId;
+  const robotClones = robots.map((source) => {
+    const idNum = nextRobotId++;
+    robotIdMap.set(source.id, `r-${idNum}`);
+    const parentObjectId = objectIdMap.get(source.parentObjectId);
+    return {
+      ...source,
+      id: `r-${idNum}`,
+      position: move(source.position),
+      rotation: normalizeHeading((source.rotation ?? 0) + turnDeg),
+      label: `${source.manufacturer} ${source.model} #${idNum}`,
+      ...(parentObjectId
+        ? { parentObjectId }
+        : { parentObjectId: null, parentOffset: null, trackPosition: null }),
+    };
+  });
+
+  return { robots: robotClones, objects: objectClones, robotIdMap, objectIdMap, nextRobotId, nextObjectId };
+}
+
+/** Re-keys a per-robot map (joint angles, programs) through an id map. */
+function remapRobotKeys(map, robotIdMap) {
+  return Object.fromEntries(
+    Object.entries(map ?? {})
+      .filter(([k]) => robotIdMap.has(k))
+      .map(([k, v]) => [robotIdMap.get(k), v])
+  );
+}
+
+/** Starting point for a robot that has no waypoint program yet */
+const EMPTY_PROGRAM = { waypoints: [], nextWaypointId: 1, speedPercent: 100, loop: false };
+
+/**
+ * Scene document fields captured by undo / redo. Robots and objects are
+ * always snapshotted together, so parentObjectId bindings can never point
+ * at an object from a different point in history.
+ */
+const HISTORY_FIELDS = [
+  'deployedRobots',
+  'sceneObjects',
+  'groups',
+  'nextRobotId',
+  'nextObjectId',
+  'nextGroupId',
+  'robotJointAngles',
+  'robotPrograms',
+  'sceneSettings',
+  'floorUnderlay',
+];
+const HISTORY_LIMIT = 100;
+/** Changes to the same fields closer together than this merge into one step */
+const HISTORY_COALESCE_MS = 600;
+
+/** Recorder state — module-private, not part of the store */
+const history = {
+  applying: false,       // true while undo/redo writes a snapshot back
+  loading: false,        // true while restoreScene replaces the document
+  gestureDepth: 0,       // > 0 during a DragPlane gesture
+  gestureRecorded: false,
+  lastFields: '',
+  lastTime: 0,
+};
+
+function historySnapshot(state) {
+  return Object.fromEntries(HISTORY_FIELDS.map((k) => [k, state[k]]));
+}
+
+/**
+ * Restores a snapshot and drops ephemeral state that referred to robots or
+ * objects the snapshot doesn't contain. Playback stops; URDF metadata for
+ * robots that come back is republished when their models remount.
+ */
+function applyHistorySnapshot(state, snapshot) {
+  const robotIds = new Set(snapshot.deployedRobots.map((r) => r.id));
+  const objectIds = new Set(snapshot.sceneObjects.map((o) => o.id));
+  const keep = (map) => Object.fromEntries(Object.entries(map).filter(([k]) => robotIds.has(k)));
+  return {
+    ...snapshot,
+    robotJointMeta: keep(state.robotJointMeta),
+    robotKinematics: keep(state.robotKinematics),
+    programPlayback: {},
+    ikStatus: null,
+    interactionMode: 'orbit',
+    underlayPick: null,
+    ...pruneSelection(state, (id) => robotIds.has(id), (id) => objectIds.has(id)),
+  };
+}
 
 const useSceneStore = create((set) => ({
   // ─── Deployed robots ──────────────────────────────────────────────────────
@@ -72,19 +350,29 @@ const useSceneStore = create((set) => ({
 
   /**
    * Removes a single robot by id. If it was selected, clears selection.
-   * Also cleans up any stored joint metadata and angles for that robot.
+   * Also cleans up any stored joint metadata, kinematics, angles and program for that robot.
    * @param {string} id - Robot instance id, e.g. "r-3"
    */
   removeRobot: (id) =>
     set((state) => ({
       deployedRobots: state.deployedRobots.filter((r) => r.id !== id),
-      selectedRobotId: state.selectedRobotId === id ? null : state.selectedRobotId,
+      ...pruneSelection(state, (r) => r !== id, () => true),
+      groups: pruneGroups(state.groups, (r) => r !== id, () => true),
       robotJointMeta: Object.fromEntries(
         Object.entries(state.robotJointMeta).filter(([k]) => k !== id)
       ),
       robotJointAngles: Object.fromEntries(
         Object.entries(state.robotJointAngles).filter(([k]) => k !== id)
       ),
+      robotKinematics: Object.fromEntries(
+        Object.entries(state.robotKinematics).filter(([k]) => k !== id)
+      ),
+      robotPrograms: Object.fromEntries(
+        Object.entries(state.robotPrograms).filter(([k]) => k !== id)
+      ),
+      programPlayback: Object.fromEntries(
+        Object.entries(state.programPlayback).filter(([k]) => k !== id)
+      ),
     })),
 
   /**
@@ -136,8 +424,7 @@ const useSceneStore = create((set) => ({
       return {
         deployedRobots: [...state.deployedRobots, clone],
         nextRobotId: state.nextRobotId + 1,
-        selectedRobotId: newId,
-        selectedObjectId: null,
+        ...selectionFields([newId], []),
       };
     }),
 
@@ -145,7 +432,8 @@ const useSceneStore = create((set) => ({
 
   /**
    * Per-robot joint metadata, populated by URDFRobot after loading.
-   * Shape: { [robotId]: [{ name, type, lower, upper }] }
+   * Shape: { [robotId]: [{ name, type, lower, upper, velocity }] }
+   * velocity is the URDF <limit velocity> (rad/s or m/s), null if absent.
    * Only non-fixed joints are included. null = URDF not yet loaded.
    */
   robotJointMeta: {},
@@ -153,13 +441,49 @@ const useSceneStore = create((set) => ({
   /**
    * Stores the metadata extracted from a loaded URDF (called once per load).
    * @param {string} robotId - e.g. "r-1"
-   * @param {Array}  meta    - [{ name, type, lower, upper }]
+   * @param {Array}  meta    - [{ name, type, lower, upper, velocity }]
    */
   setRobotJointMeta: (robotId, meta) =>
     set((state) => ({
       robotJointMeta: { ...state.robotJointMeta, [robotId]: meta },
     })),
 
+  /**
+   * Per-robot kinematic chain (root → tool flange), populated by URDFRobot
+   * after loading. Used for TCP forward kinematics — see utils/kinematics.js.
+   * Shape: { [robotId]: [{ name, type, xyz, quat, axis }] | null }
+   * null = the model's lastLinkName was not found in the URDF.
+   */
+  robotKinematics: {},
+
+  /**
+   * Stores the kinematic chain extracted from a loaded URDF.
+   * @param {string}     robotId - e.g. "r-1"
+   * @param {Array|null} chain   - From buildKinematicChain
+   */
+  setRobotKinematics: (robotId, chain) =>
+    set((state) => ({
+      robotKinematics: { ...state.robotKinematics, [robotId]: chain },
+    })),
+
+  /** When true, an XYZ triad is drawn at each robot's flange and tool tip. */
+  showToolFrames: false,
+  setShowToolFrames: (val) => set({ showToolFrames: val }),
+
+  /**
+   * When true, every URDF robot shows its translucent 3D reach envelope
+   * (scene/ReachEnvelope.jsx, computed by utils/reachEnvelope.js).
+   */
+  showReachEnvelope: false,
+  setShowReachEnvelope: (val) => set({ showReachEnvelope: val }),
+
+  /**
+   * Horizontal slice of every URDF robot's reach envelope.
+   * Shape: { enabled: boolean, height: number } — height in metres above the floor.
+   */
+  reachSlice: { enabled: false, height: 0.8 },
+  setReachSlice: (patch) => set((s) => ({ reachSlice: { ...s.reachSlice, ...patch } })),
+
   /**
    * Per-robot joint angles in radians.
    * Shape: { [robotId]: { [jointName]: radians } }
@@ -180,6 +504,27 @@ const useSceneStore = create((set) => ({
       },
     })),
 
+  /**
+   * Sets several joint angles for a robot in one update (IK results).
+   * @param {string} robotId - e.g. "r-1"
+   * @param {object} angles  - { [jointName]: radians }
+   */
+  setRobotJointAngles: (robotId, angles) =>
+    set((state) => ({
+      robotJointAngles: {
+        ...state.robotJointAngles,
+        [robotId]: { ...state.robotJointAngles[robotId], ...angles },
+      },
+    })),
+
+  /**
+   * Result of the latest IK solve during a TCP jog (interactionMode 'tcp').
+   * Shape: { robotId, target: spec [x, y, z], reachable, positionError } | null
+   * Cleared when the jog ends.
+   */
+  ikStatus: null,
+  setIkStatus: (status) => set({ ikStatus: status }),
+
   /**
    * Resets all joint angles for a robot to 0 (home position).
    * Sets each joint explicitly to 0 so URDFRobot's apply-effect iterates them
@@ -199,15 +544,154 @@ const useSceneStore = create((set) => ({
    * Clears all deployed robots. Resets ID counter, selection, mode, and joint state.
    */
   clearRobots: () =>
-    set({
+    set((state) => ({
       deployedRobots: [],
       nextRobotId: 1,
-      selectedRobotId: null,
+      ...pruneSelection(state, () => false, () => true),
+      groups: pruneGroups(state.groups, () => false, () => true),
       interactionMode: 'orbit',
       robotJointMeta: {},
       robotJointAngles: {},
+      robotKinematics: {},
+      robotPrograms: {},
+      programPlayback: {},
+    })),
+
+  // ─── Waypoint programs (Joints tab) ──────────────────────────────────────
+
+  /**
+   * Per-robot waypoint programs, saved with the scene.
+   * Shape: { [robotId]: {
+   *   waypoints:      [{ id, name, angles: { [jointName]: radians } }],
+   *   nextWaypointId: number,
+   *   speedPercent:   number (1–100, scales URDF velocity limits),
+   *   loop:           boolean,
+   * } }
+   */
+  robotPrograms: {},
+
+  /**
+   * Records the robot's current pose as a new waypoint at the end of its program.
+   * Joints never moved are stored explicitly as 0 so playback is deterministic.
+   * @param {string} robotId - e.g. "r-1"
+   * @param {string} [name]  - Defaults to "P<n>"
+   */
+  addWaypoint: (robotId, name) =>
+    set((state) => {
+      const program = state.robotPrograms[robotId] ?? EMPTY_PROGRAM;
+      const meta = state.robotJointMeta[robotId] ?? [];
+      const angles = {
+        ...Object.fromEntries(meta.map((j) => [j.name, 0])),
+        ...state.robotJointAngles[robotId],
+      };
+      const waypoint = {
+        id: `wp-${program.nextWaypointId}`,
+        name: name?.trim() || `P${program.nextWaypointId}`,
+        angles,
+      };
+      return {
+        robotPrograms: {
+          ...state.robotPrograms,
+          [robotId]: {
+            ...program,
+            waypoints: [...program.waypoints, waypoint],
+            nextWaypointId: program.nextWaypointId + 1,
+          },
+        },
+      };
+    }),
+
+  /**
+   * Updates a waypoint's name and/or angles (re-teach).
+   * @param {string} robotId
+   * @param {string} waypointId - e.g. "wp-2"
+   * @param {object} patch      - { name?, angles? }
+   */
+  updateWaypoint: (robotId, waypointId, patch) =>
+    set((state) => {
+      const program = state.robotPrograms[robotId];
+      if (!program) return {};
+      return {
+        robotPrograms: {
+          ...state.robotPrograms,
+          [robotId]: {
+            ...program,
+            waypoints: program.waypoints.map((w) => (w.id === waypointId ? { ...w, ...patch } : w)),
+          },
+        },
+      };
+    }),
+
+  /**
+   * Removes a waypoint from a robot's program.
+   * @param {string} robotId
+   * @param {string} waypointId
+   */
+  removeWaypoint: (robotId, waypointId) =>
+    set((state) => {
+      const program = state.robotPrograms[robotId];
+      if (!program) return {};
+      return {
+        robotPrograms: {
+          ...state.robotPrograms,
+          [robotId]: { ...program, waypoints: program.waypoints.filter((w) => w.id !== waypointId) },
+        },
+      };
+    }),
+
+  /**
+   * Moves a waypoint one step earlier (-1) or later (+1) in the program.
+   * @param {string} robotId
+   * @param {string} waypointId
+   * @param {number} direction - -1 | 1
+   */
+  moveWaypoint: (robotId, waypointId, direction) =>
+    set((state) => {
+      const program = state.robotPrograms[robotId];
+      if (!program) return {};
+      const from = program.waypoints.findIndex((w) => w.id === waypointId);
+      const to = from + direction;
+      if (from < 0 || to < 0 || to >= program.waypoints.length) return {};
+      const waypoints = [...program.waypoints];
+      [waypoints[from], waypoints[to]] = [waypoints[to], waypoints[from]];
+      return {
+        robotPrograms: { ...state.robotPrograms, [robotId]: { ...program, waypoints } },
+      };
     }),
 
+  /**
+   * Updates program-level options.
+   * @param {string} robotId
+   * @param {object} options - { speedPercent?, loop? }
+   */
+  setProgramOptions: (robotId, options) =>
+    set((state) => ({
+      robotPrograms: {
+        ...state.robotPrograms,
+        [robotId]: { ...(state.robotPrograms[robotId] ?? EMPTY_PROGRAM), ...options },
+      },
+    })),
+
+  /**
+   * Per-robot playback state, driven each frame by ProgramPlayer.
+   * Shape: { [robotId]: { time: seconds, playing: boolean } }
+   * Not saved with the scene.
+   */
+  programPlayback: {},
+
+  /**
+   * Merges playback state for a robot (play/pause, scrub to a time).
+   * @param {string} robotId
+   * @param {object} patch - { time?, playing? }
+   */
+  setProgramPlayback: (robotId, patch) =>
+    set((state) => ({
+      programPlayback: {
+        ...state.programPlayback,
+        [robotId]: { time: 0, playing: false, ...state.programPlayback[robotId], ...patch },
+      },
+    })),
+
   // ─── Camera ───────────────────────────────────────────────────────────────
 
   cameraResetCount: 0,
@@ -217,17 +701,47 @@ const useSceneStore = create((set) => ({
   focusTarget: null,
   setFocusTarget: (target) => set({ focusTarget: target }),
 
+  /**
+   * Last settled perspective view, published by CameraRig:
+   * { position: [x, y, z], target: [x, y, z] } in Three.js coords, or null
+   * before the first move. Saved and shared with the scene.
+   */
+  cameraPose: null,
+  setCameraPose: (pose) => set({ cameraPose: pose }),
+
+  /** View CameraRig should jump to (set by restoreScene); cleared once applied. */
+  cameraPoseRequest: null,
+  clearCameraPoseRequest: () => set({ cameraPoseRequest: null }),
+
+  // ─── Viewer mode (share links) ────────────────────────────────────────────
+
+  /**
+   * True while a read-only share link is open (utils/shareLink.js): the
+   * sidebar shows ViewerPanel instead of the editing tabs, and the viewport
+   * neither selects nor moves anything.
+   */
+  viewerMode: false,
+  setViewerMode: (val) => set({ viewerMode: val }),
+
   // ─── Interaction mode ─────────────────────────────────────────────────────
 
   /**
    * Controls viewport interaction behaviour.
    *   'orbit'  — OrbitControls active (default)
    *   'place'  — FloorClickPlane captures the next click
-   *   'drag'   — DragPlane repositions the selected robot
-   *   'rotate' — DragPlane rotates the selected robot
+   *   'drag'   — DragPlane repositions the selection
+   *   'rotate' — DragPlane rotates the selection about its centroid
+   *   'tcp'    — DragPlane jogs the selected robot's tool tip via IK
+   *   'box'    — DragPlane draws a box-select rectangle
+   *   'underlay' — FloorClickPlane picks points on the floor plan underlay
    */
   interactionMode: 'orbit',
-  setInteractionMode: (mode) => set({ interactionMode: mode }),
+  /** Switching mode also ends a pending pattern-centre pick (patternTool). */
+  setInteractionMode: (mode) =>
+    set((state) => ({
+      interactionMode: mode,
+      ...(state.patternTool?.picking ? { patternTool: { ...state.patternTool, picking: false } } : {}),
+    })),
 
   /**
    * Most-recent floor-click position in spec coords [x, y].
@@ -245,7 +759,402 @@ const useSceneStore = create((set) => ({
    * Phase 6: setting this clears selectedObjectId (mutual exclusion).
    */
   selectedRobotId: null,
-  setSelectedRobotId: (id) => set({ selectedRobotId: id, selectedObjectId: null }),
+  setSelectedRobotId: (id) => set(selectionFields(id ? [id] : [], [])),
+
+  // ─── Multi-selection ─────────────────────────────────────────────────────
+
+  /**
+   * Every selected robot / object id, the primary selection included.
+   * Shift-click toggles membership; box-select in the 2D layout view adds to
+   * it. DragPlane moves and rotates all members together.
+   */
+  selectedRobotIds: [],
+  selectedObjectIds: [],
+
+  /**
+   * Adds an entity to the selection (making it primary), or removes it.
+   * A grouped entity brings its whole group in or out with it.
+   * @param {'robot'|'object'} kind
+   * @param {string}           id
+   */
+  toggleSelection: (kind, id) =>
+    set((state) => {
+      const isRobot = kind === 'robot';
+      const [groupRobots, groupObjects] = expandToGroups(
+        state.groups, isRobot ? [id] : [], isRobot ? [] : [id]
+      );
+      const added = !(isRobot ? state.selectedRobotIds : state.selectedObjectIds).includes(id);
+      const apply = (ids, members) =>
+        added ? [...new Set([...ids, ...members])] : ids.filter((x) => !members.includes(x));
+      const primary = added
+        ? { [isRobot ? 'robotId' : 'objectId']: id }
+        : { robotId: state.selectedRobotId, objectId: state.selectedObjectId };
+      return selectionFields(
+        apply(state.selectedRobotIds, groupRobots),
+        apply(state.selectedObjectIds, groupObjects),
+        primary
+      );
+    }),
+
+  /**
+   * Adds entities — and the rest of their groups — to the selection
+   * (box-select). The primary is kept.
+   * @param {string[]} robotIds
+   * @param {string[]} objectIds
+   */
+  addToSelection: (robotIds, objectIds) =>
+    set((state) => {
+      const [robots, objects] = expandToGroups(
+        state.groups,
+        [...state.selectedRobotIds, ...robotIds],
+        [...state.selectedObjectIds, ...objectIds]
+      );
+      return selectionFields(robots, objects, { robotId: state.selectedRobotId, objectId: state.selectedObjectId });
+    }),
+
+  /**
+   * Selection on pointer-down, before a drag. Pressing a member of the
+   * current selection makes it primary and keeps the set, so the whole set
+   * is dragged; pressing anything else selects just that entity, or its
+   * whole group.
+   * @param {'robot'|'object'} kind
+   * @param {string}           id
+   */
+  selectForDrag: (kind, id) =>
+    set((state) => {
+      const isRobot = kind === 'robot';
+      const ids = isRobot ? state.selectedRobotIds : state.selectedObjectIds;
+      const primary = isRobot ? { robotId: id } : { objectId: id };
+      if (!ids.includes(id)) {
+        const [robots, objects] = expandToGroups(state.groups, isRobot ? [id] : [], isRobot ? [] : [id]);
+        return selectionFields(robots, objects, primary);
+      }
+      return selectionFields(state.selectedRobotIds, state.selectedObjectIds, primary);
+    }),
+
+  /**
+   * Removes every selected robot and object in one step. Robots bound to a
+   * removed object are unbound and stay where they are.
+   */
+  removeSelection: () =>
+    set((state) => {
+      const robotIds = new Set(state.selectedRobotIds);
+      const objectIds = new Set(state.selectedObjectIds);
+      if (robotIds.size === 0 && objectIds.size === 0) return {};
+      const keep = (map) => Object.fromEntries(Object.entries(map).filter(([k]) => !robotIds.has(k)));
+      return {
+        deployedRobots: state.deployedRobots
+          .filter((r) => !robotIds.has(r.id))
+          .map((r) =>
+            objectIds.has(r.parentObjectId)
+              ? { ...r, parentObjectId: null, parentOffset: null, trackPosition: null }
+              : r
+          ),
+        sceneObjects: state.sceneObjects.filter((o) => !objectIds.has(o.id)),
+        groups: pruneGroups(state.groups, (id) => !robotIds.has(id), (id) => !objectIds.has(id)),
+        robotJointMeta: keep(state.robotJointMeta),
+        robotJointAngles: keep(state.robotJointAngles),
+        robotKinematics: keep(state.robotKinematics),
+        robotPrograms: keep(state.robotPrograms),
+        programPlayback: keep(state.programPlayback),
+        ...EMPTY_SELECTION,
+      };
+    }),
+
+  /**
+   * Duplicates every selected robot and object, offset +1m in X and Y like
+   * duplicateRobot / duplicateObject, and selects the copies. A robot bound to
+   * an object that is duplicated with it is bound to that object's copy;
+   * other copied robots start unbound. Groups selected whole are copied too.
+   */
+  duplicateSelection: () =>
+    set((state) => {
+      const clones = cloneEntities(
+        state,
+        state.deployedRobots.filter((r) => state.selectedRobotIds.includes(r.id)),
+        state.sceneObjects.filter((o) => state.selectedObjectIds.includes(o.id)),
+        (p) => [p[0] + 1, p[1] + 1, p[2]]
+      );
+      if (clones.robots.length === 0 && clones.objects.length === 0) return {};
+
+      let nextGroupId = state.nextGroupId;
+      const groupClones = state.groups
+        .filter((g) =>
+          g.robotIds.every((id) => clones.robotIdMap.has(id)) &&
+          g.objectIds.every((id) => clones.objectIdMap.has(id)))
+        .map((g) => ({
+          id: `g-${nextGroupId++}`,
+          name: `${g.name} (copy)`,
+          robotIds: g.robotIds.map((id) => clones.robotIdMap.get(id)),
+          objectIds: g.objectIds.map((id) => clones.objectIdMap.get(id)),
+        }));
+
+      return {
+        deployedRobots: [...state.deployedRobots, ...clones.robots],
+        sceneObjects: [...state.sceneObjects, ...clones.objects],
+        groups: [...state.groups, ...groupClones],
+        nextRobotId: clones.nextRobotId,
+        nextObjectId: clones.nextObjectId,
+        nextGroupId,
+        ...selectionFields(
+          clones.robots.map((r) => r.id),
+          clones.objects.map((o) => o.id),
+          {
+            robotId: clones.robotIdMap.get(state.selectedRobotId),
+            objectId: clones.objectIdMap.get(state.selectedObjectId),
+          }
+        ),
+      };
+    }),
+
+  // ─── Align / distribute (multi-selection) ─────────────────────────────────
+
+  /**
+   * Lines the selected entities' footprints up on one edge or centre line
+   * of the selection (utils/selectionUtils.js alignPositions), as one undo
+   * step. Robots bound to a selected object move with it.
+   * @param {'left'|'right'|'top'|'bottom'|'centreX'|'centreY'} edge
+   */
+  alignSelection: (edge) => {
+    history.lastFields = ''; // its own undo step, even straight after another command
+    set((state) => {
+      const members = selectionMembers(state);
+      if (members.length < 2) return {};
+      const positions = alignPositions(members, edge);
+      return applyMemberPoses(state, members, members.map((m, i) => ({
+        position: positions[i],
+        rotation: m.entity.rotation ?? 0,
+      })));
+    });
+  },
+
+  /**
+   * Spaces the selected entities out along one axis
+   * (selectionUtils distributePositions), as one undo step.
+   * @param {'x'|'y'}     axis
+   * @param {number|null} gap - Metres between footprints; null spreads them
+   *                            evenly between the outermost two
+   */
+  distributeSelection: (axis, gap = null) => {
+    history.lastFields = '';
+    set((state) => {
+      const members = selectionMembers(state);
+      if (members.length < 2) return {};
+      const positions = distributePositions(members, axis, gap);
+      return applyMemberPoses(state, members, members.map((m, i) => ({
+        position: positions[i],
+        rotation: m.entity.rotation ?? 0,
+      })));
+    });
+  },
+
+  /**
+   * Turns every selected entity (in place) to the primary selected
+   * entity's heading, as one undo step.
+   */
+  matchSelectionRotation: () => {
+    history.lastFields = '';
+    set((state) => {
+      const { primary } = getSelectedEntities(state);
+      const members = selectionMembers(state);
+      if (!primary || members.length < 2) return {};
+      return applyMemberPoses(state, members, members.map((m) => ({
+        position: m.entity.position,
+        rotation: primary.rotation ?? 0,
+      })));
+    });
+  },
+
+  // ─── Groups / cells ───────────────────────────────────────────────────────
+
+  /**
+   * Named groups of robots and objects that select and move as a unit —
+   * e.g. four welding robots around a work table. Saved in the scene JSON.
+   * An entity belongs to at most one group.
+   * Each: { id: 'g-1', name, robotIds: string[], objectIds: string[] }
+   */
+  groups: [],
+
+  /** Auto-incrementing counter for unique group IDs */
+  nextGroupId: 1,
+
+  /**
+   * Makes the current selection (2+ entities) a new named group. Members
+   * leave any group they were in.
+   * @param {string} name
+   */
+  groupSelection: (name) =>
+    set((state) => {
+      const robotIds = state.selectedRobotIds;
+      const objectIds = state.selectedObjectIds;
+      if (robotIds.length + objectIds.length < 2) return {};
+      const group = {
+        id: `g-${state.nextGroupId}`,
+        name: name?.trim() || `Cell ${state.nextGroupId}`,
+        robotIds,
+        objectIds,
+      };
+      return {
+        groups: [
+          ...pruneGroups(state.groups, (id) => !robotIds.includes(id), (id) => !objectIds.includes(id)),
+          group,
+        ],
+        nextGroupId: state.nextGroupId + 1,
+      };
+    }),
+
+  /**
+   * @param {string} id   - Group id, e.g. "g-2"
+   * @param {string} name
+   */
+  renameGroup: (id, name) =>
+    set((state) => ({
+      groups: state.groups.map((g) => (g.id === id && name.trim() ? { ...g, name: name.trim() } : g)),
+    })),
+
+  /** Dissolves a group. Its members stay in the scene. */
+  ungroup: (id) =>
+    set((state) => ({ groups: state.groups.filter((g) => g.id !== id) })),
+
+  /** Selects every member of a group. */
+  selectGroup: (id) =>
+    set((state) => {
+      const group = state.groups.find((g) => g.id === id);
+      return group ? selectionFields(group.robotIds, group.objectIds) : {};
+    }),
+
+  /**
+   * Stamps a library cell (see utils/cellLibrary.js) into the scene as a new
+   * group: fresh robot / object ids from nextRobotId / nextObjectId, floor
+   * positions offset by `at`, joint poses and programs carried over. The
+   * copy is selected so it can be dragged into place straight away.
+   * @param {object}   cell - Library cell
+   * @param {number[]} at   - Spec [x, y] of the cell centre
+   */
+  stampCell: (cell, at) =>
+    set((state) => {
+      const clones = cloneEntities(
+        state,
+        cell.deployedRobots ?? [],
+        cell.sceneObjects ?? [],
+        (p) => [p[0] + at[0], p[1] + at[1], p[2]]
+      );
+      const robotIds = clones.robots.map((r) => r.id);
+      const objectIds = clones.objects.map((o) => o.id);
+      if (robotIds.length + objectIds.length === 0) return {};
+      return {
+        deployedRobots: [...state.deployedRobots, ...clones.robots],
+        sceneObjects: [...state.sceneObjects, ...clones.objects],
+        nextRobotId: clones.nextRobotId,
+        nextObjectId: clones.nextObjectId,
+        robotJointAngles: {
+          ...state.robotJointAngles,
+          ...remapRobotKeys(cell.robotJointAngles, clones.robotIdMap),
+        },
+        robotPrograms: {
+          ...state.robotPrograms,
+          ...remapRobotKeys(cell.robotPrograms, clones.robotIdMap),
+        },
+        groups: [...state.groups, { id: `g-${state.nextGroupId}`, name: cell.name, robotIds, objectIds }],
+        nextGroupId: state.nextGroupId + 1,
+        ...selectionFields(robotIds, objectIds),
+      };
+    }),
+
+  // ─── Pattern tool ─────────────────────────────────────────────────────────
+
+  /**
+   * The open pattern (array) tool, or null:
+   *   { kind: 'robot'|'object', id, pattern, picking }
+   * pattern is described in utils/patternUtils.js. picking is true while the
+   * next floor click sets a circular pattern's centre (FloorClickPlane).
+   * PatternPreview draws the copies live until applyPattern creates them.
+   */
+  patternTool: null,
+
+  /**
+   * Opens the pattern tool for one robot or object, starting with a linear
+   * pattern.
+   * @param {'robot'|'object'} kind
+   * @param {string}           id
+   */
+  openPatternTool: (kind, id) =>
+    set((state) => {
+      const source = (kind === 'robot' ? state.deployedRobots : state.sceneObjects).find((e) => e.id === id);
+      if (!source) return {};
+      return { patternTool: { kind, id, pattern: defaultPattern('linear', source), picking: false } };
+    }),
+
+  /** Replaces the open tool's pattern (preview updates at once). */
+  setPattern: (pattern) =>
+    set((state) => (state.patternTool ? { patternTool: { ...state.patternTool, pattern } } : {})),
+
+  /** Next floor click sets the circular pattern's centre. */
+  startPatternCentrePick: () =>
+    set((state) => (state.patternTool
+      ? { patternTool: { ...state.patternTool, picking: true }, interactionMode: 'place' }
+      : {})),
+
+  /** @param {number[]} centre - Spec [x, y] */
+  setPatternCentre: (centre) =>
+    set((state) => (state.patternTool
+      ? {
+        patternTool: { ...state.patternTool, picking: false, pattern: { ...state.patternTool.pattern, centre } },
+        interactionMode: 'orbit',
+      }
+      : {})),
+
+  closePatternTool: () =>
+    set((state) => ({
+      patternTool: null,
+      interactionMode: state.patternTool?.picking ? 'orbit' : state.interactionMode,
+    })),
+
+  /**
+   * Creates the open pattern's copies (fresh ids, unbound, like duplicates)
+   * and selects the source with its copies. A circular pattern facing inward
+   * also turns the source — unless it is bound to an object or carries bound
+   * robots, whose offsets would no longer match.
+   */
+  applyPattern: () =>
+    set((state) => {
+      const tool = state.patternTool;
+      const isRobot = tool?.kind === 'robot';
+      const source = tool && (isRobot ? state.deployedRobots : state.sceneObjects).find((e) => e.id === tool.id);
+      if (!source) return { patternTool: null };
+
+      let ids = { nextRobotId: state.nextRobotId, nextObjectId: state.nextObjectId };
+      const robots = [];
+      const objects = [];
+      for (const pose of patternPoses(source, tool.pattern)) {
+        const clones = cloneEntities(
+          ids,
+          isRobot ? [source] : [],
+          isRobot ? [] : [source],
+          () => pose.position,
+          pose.rotation - (source.rotation ?? 0)
+        );
+        robots.push(...clones.robots);
+        objects.push(...clones.objects);
+        ids = { nextRobotId: clones.nextRobotId, nextObjectId: clones.nextObjectId };
+      }
+
+      const carriesRobots = !isRobot && state.deployedRobots.some((r) => r.parentObjectId === source.id);
+      const rotation = source.parentObjectId || carriesRobots
+        ? source.rotation
+        : normalizeHeading(patternSourceRotation(source, tool.pattern));
+      const turnSource = (e) => (e.id === source.id ? { ...e, rotation } : e);
+      const newIds = [source.id, ...(isRobot ? robots : objects).map((e) => e.id)];
+
+      return {
+        deployedRobots: [...(isRobot ? state.deployedRobots.map(turnSource) : state.deployedRobots), ...robots],
+        sceneObjects: [...(isRobot ? state.sceneObjects : state.sceneObjects.map(turnSource)), ...objects],
+        ...ids,
+        patternTool: null,
+        interactionMode: tool.picking ? 'orbit' : state.interactionMode,
+        ...(isRobot ? selectionFields(newIds, []) : selectionFields([], newIds)),
+      };
+    }),
 
   // ─── Snap to grid (Phase 4) ───────────────────────────────────────────────
 
@@ -266,6 +1175,35 @@ const useSceneStore = create((set) => ({
   triggerExport: () => set({ exportRequested: true }),
   clearExportRequest: () => set({ exportRequested: false }),
 
+  /**
+   * Pending thumbnail capture for the SAVES tab: ThumbnailCapture (inside
+   * Canvas) renders the next frame into a small JPEG and calls resolve.
+   * Use requestThumbnail(), which returns the promise.
+   */
+  thumbnailRequest: null,
+  /** @returns {Promise<string>} JPEG data URL of the current view */
+  requestThumbnail: () =>
+    new Promise((resolve) => set({ thumbnailRequest: { resolve } })),
+  clearThumbnailRequest: () => set({ thumbnailRequest: null }),
+
+  /**
+   * When true, GlbExportCapture (inside Canvas) exports the assembled scene
+   * as GLB (utils/gltfExport.js), then clears this flag.
+   */
+  glbExportRequested: false,
+  triggerGlbExport: () => set({ glbExportRequested: true }),
+  clearGlbExportRequest: () => set({ glbExportRequested: false }),
+
+  /**
+   * When set, MoveItExportCapture (inside Canvas) writes the scene objects as
+   * MoveIt collision objects (utils/moveitExport.js), then clears it.
+   * { format: 'scene' | 'yaml', frameRobotId: string|null } — poses are in
+   * that robot's base frame, or the layout world frame when null.
+   */
+  moveitExportRequest: null,
+  triggerMoveItExport: (format, frameRobotId = null) => set({ moveitExportRequest: { format, frameRobotId } }),
+  clearMoveItExportRequest: () => set({ moveitExportRequest: null }),
+
   // ─── Scene objects (Phase 6) ──────────────────────────────────────────────
 
   sceneObjects: [],
@@ -291,7 +1229,8 @@ const useSceneStore = create((set) => ({
   removeObject: (id) =>
     set((state) => ({
       sceneObjects: state.sceneObjects.filter((o) => o.id !== id),
-      selectedObjectId: state.selectedObjectId === id ? null : state.selectedObjectId,
+      ...pruneSelection(state, () => true, (o) => o !== id),
+      groups: pruneGroups(state.groups, () => true, (o) => o !== id),
       deployedRobots: state.deployedRobots.map((r) =>
         r.parentObjectId === id
           ? { ...r, parentObjectId: null, parentOffset: null, trackPosition: null }
@@ -314,22 +1253,9 @@ const useSceneStore = create((set) => ({
       );
 
       // Cascade to bound robots
-      const parentRotRad = (rotation ?? 0) * (Math.PI / 180);
-      const cosR = Math.cos(parentRotRad);
-      const sinR = Math.sin(parentRotRad);
-
-      const newRobots = state.deployedRobots.map((r) => {
-        if (r.parentObjectId !== id || !r.parentOffset) return r;
-        const { dx, dy, dRot } = r.parentOffset;
-        const worldX = position[0] + dx * cosR - dy * sinR;
-        const worldY = position[1] + dx * sinR + dy * cosR;
-        const worldRot = (((rotation ?? 0) + dRot) % 360 + 360) % 360;
-        return {
-          ...r,
-          position: [Math.round(worldX * 100) / 100, Math.round(worldY * 100) / 100, r.position[2]],
-          rotation: worldRot,
-        };
-      });
+      const newRobots = state.deployedRobots.map((r) =>
+        r.parentObjectId === id && r.parentOffset ? { ...r, ...boundRobotPose(r, position, rotation) } : r
+      );
 
       return { sceneObjects: newObjects, deployedRobots: newRobots };
     }),
@@ -379,8 +1305,7 @@ const useSceneStore = create((set) => ({
       return {
         sceneObjects: [...state.sceneObjects, clone],
         nextObjectId: state.nextObjectId + 1,
-        selectedObjectId: newId,
-        selectedRobotId: null,
+        ...selectionFields([], [newId]),
       };
     }),
 
@@ -391,7 +1316,8 @@ const useSceneStore = create((set) => ({
     set((state) => ({
       sceneObjects: [],
       nextObjectId: 1,
-      selectedObjectId: null,
+      ...pruneSelection(state, () => true, () => false),
+      groups: pruneGroups(state.groups, () => true, () => false),
       deployedRobots: state.deployedRobots.map((r) =>
         r.parentObjectId
           ? { ...r, parentObjectId: null, parentOffset: null, trackPosition: null }
@@ -404,10 +1330,14 @@ const useSceneStore = create((set) => ({
    * Phase 6: setting this clears selectedRobotId (mutual exclusion).
    */
   selectedObjectId: null,
-  setSelectedObjectId: (id) => set({ selectedObjectId: id, selectedRobotId: null }),
+  setSelectedObjectId: (id) => set(selectionFields([], id ? [id] : [])),
 
   // ─── Scene settings (GENERAL tab) ─────────────────────────────────────────
 
+  /**
+   * Visual settings plus `floor` — the scene's building (outline, walls,
+   * doors, columns; see utils/floorLayout.js). Saved with the scene.
+   */
   sceneSettings: {
     floorColor: '#8a9ba8',
     backgroundColor: '#c8d4e0',
@@ -416,6 +1346,7 @@ const useSceneStore = create((set) => ({
     ambientIntensity: 0.7,
     directionalIntensity: 0.8,
     shadowsEnabled: true,
+    floor: defaultFloor(),
   },
 
   updateSceneSettings: (patch) =>
@@ -423,8 +1354,9 @@ const useSceneStore = create((set) => ({
       sceneSettings: { ...s.sceneSettings, ...patch },
     })),
 
+  /** Resets the visual settings; the building (`floor`) is kept. */
   resetSceneSettings: () =>
-    set({
+    set((s) => ({
       sceneSettings: {
         floorColor: '#8a9ba8',
         backgroundColor: '#c8d4e0',
@@ -433,43 +1365,256 @@ const useSceneStore = create((set) => ({
         ambientIntensity: 0.7,
         directionalIntensity: 0.8,
         shadowsEnabled: true,
+        floor: s.sceneSettings.floor,
       },
+    })),
+
+  /** Shallow-merges a patch into sceneSettings.floor. */
+  updateFloor: (patch) =>
+    set((s) => ({
+      sceneSettings: { ...s.sceneSettings, floor: { ...s.sceneSettings.floor, ...patch } },
+    })),
+
+  /** Restores the config.json building. */
+  resetFloor: () =>
+    set((s) => ({
+      sceneSettings: { ...s.sceneSettings, floor: defaultFloor() },
+    })),
+
+  // ─── Floor plan underlay (GENERAL tab) ────────────────────────────────────
+
+  /**
+   * Building plan drawn on the floor beneath the layout (FloorUnderlay.jsx),
+   * or null. Saved with the scene. Shape (see utils/floorPlanImport.js):
+   *   {
+   *     kind: 'image' | 'lines', name,
+   *     src       — data URL (kind 'image')
+   *     segments  — flat [x1, y1, x2, y2, …] in plan units (kind 'lines')
+   *     width, height — plan extents in plan units (pixels / drawing units)
+   *     scale     — metres per plan unit
+   *     offset    — spec [x, y] of the plan's top-left corner
+   *     rotation  — heading in degrees, like robots and objects
+   *     opacity, visible
+   *   }
+   */
+  floorUnderlay: null,
+  setFloorUnderlay: (underlay) => set({ floorUnderlay: underlay, underlayPick: null }),
+
+  /** Shallow-merges a patch (scale, offset, rotation, opacity, visible). */
+  updateFloorUnderlay: (patch) =>
+    set((s) => (s.floorUnderlay ? { floorUnderlay: { ...s.floorUnderlay, ...patch } } : {})),
+
+  /**
+   * In-progress point picking on the underlay (interactionMode 'underlay'),
+   * or null. FloorClickPlane appends each click to `points`.
+   *   purpose 'scale'  — two points, then applyUnderlayCalibration(distance)
+   *   purpose 'origin' — one point, which becomes the floor origin
+   */
+  underlayPick: null,
+
+  startUnderlayPick: (purpose) =>
+    set({ underlayPick: { purpose, points: [] }, interactionMode: 'underlay' }),
+
+  addUnderlayPickPoint: (point) =>
+    set((s) => {
+      const pick = s.underlayPick;
+      if (!pick || !s.floorUnderlay) return { underlayPick: null, interactionMode: 'orbit' };
+      if (pick.purpose === 'origin') {
+        const [ox, oy] = s.floorUnderlay.offset;
+        return {
+          floorUnderlay: { ...s.floorUnderlay, offset: [ox - point[0], oy - point[1]] },
+          underlayPick: null,
+          interactionMode: 'orbit',
+        };
+      }
+      const points = [...pick.points, point];
+      return {
+        underlayPick: { ...pick, points },
+        interactionMode: points.length < 2 ? 'underlay' : 'orbit',
+      };
+    }),
+
+  /** Applies two-point scale calibration from the picked points. */
+  applyUnderlayCalibration: (distance) =>
+    set((s) => {
+      const [a, b] = s.underlayPick?.points ?? [];
+      const patch = a && b && s.floorUnderlay && calibrateUnderlay(s.floorUnderlay, a, b, distance);
+      if (!patch) return {};
+      return { floorUnderlay: { ...s.floorUnderlay, ...patch }, underlayPick: null };
     }),
 
+  cancelUnderlayPick: () =>
+    set((s) => ({
+      underlayPick: null,
+      interactionMode: s.interactionMode === 'underlay' ? 'orbit' : s.interactionMode,
+    })),
+
   // ─── Scene persistence ────────────────────────────────────────────────────
 
   /**
-   * Restores a full scene from a previously saved JSON blob.
+   * Restores a full scene from a previously saved JSON blob, already upgraded
+   * and validated by sceneSchema parseScene — so every field is present.
    * Resets all ephemeral state (selection, mode, camera triggers, joint meta).
    * Joint meta is repopulated by URDFRobot components as they reload.
    * Joint angles are restored so models settle into saved poses once loaded.
+   * A saved camera view (data.camera) is handed to CameraRig.
+   * The restored document counts as saved (hasUnsavedChanges false) unless
+   * options.saved is false (recovered autosaves), and starts a fresh undo
+   * history — Ctrl+Z never steps back into another scene.
+   * @param {object} data
+   * @param {{ saved?: boolean }} [options]
    */
-  restoreScene: (data) =>
+  restoreScene: (data, { saved = true } = {}) => {
+    history.loading = true;
     set((s) => ({
-      deployedRobots: (data.deployedRobots ?? []).map((r) => ({
-        gripperId: null,
-        gripperScale: 1.0,
-        parentObjectId: null,
-        parentOffset: null,
-        trackPosition: null,
-        ...r,
-      })),
-      sceneObjects:      data.sceneObjects      ?? [],
-      nextRobotId:       data.nextRobotId       ?? 1,
-      nextObjectId:      data.nextObjectId      ?? 1,
-      robotJointAngles:  data.robotJointAngles  ?? {},
+      deployedRobots:    data.deployedRobots,
+      sceneObjects:      data.sceneObjects,
+      groups:            data.groups,
+      nextRobotId:       data.nextRobotId,
+      nextObjectId:      data.nextObjectId,
+      nextGroupId:       data.nextGroupId,
+      robotJointAngles:  data.robotJointAngles,
       robotJointMeta:    {},
-      selectedRobotId:   null,
-      selectedObjectId:  null,
+      robotKinematics:   {},
+      robotPrograms:     data.robotPrograms,
+      programPlayback:   {},
+      ...EMPTY_SELECTION,
       interactionMode:   'orbit',
-      snapToGridEnabled: data.snapToGridEnabled ?? false,
-      showLabels:        data.showLabels        ?? true,
+      snapToGridEnabled: data.snapToGridEnabled,
+      showLabels:        data.showLabels,
       isOrthographic:    false,
       orthoViewInfo:     null,
-      sceneSettings:     data.sceneSettings
-        ? { ...s.sceneSettings, ...data.sceneSettings }
-        : s.sceneSettings,
-    })),
+      // Visual settings the scene doesn't set keep their current values
+      sceneSettings:     { ...s.sceneSettings, ...data.sceneSettings },
+      floorUnderlay:     data.floorUnderlay,
+      underlayPick:      null,
+      patternTool:       null,
+      cameraPoseRequest: data.camera,
+      hasUnsavedChanges: !saved,
+      undoStack:         [],
+      redoStack:         [],
+    }));
+    history.loading = false;
+    history.lastFields = '';
+  },
+
+  /**
+   * True once the scene document (the undo-tracked fields) has changed since
+   * it was last loaded (restoreScene) or saved from the SAVES tab — e.g. so
+   * opening a share link can ask before replacing the work.
+   */
+  hasUnsavedChanges: false,
+  markSceneSaved: () => set({ hasUnsavedChanges: false }),
+
+  /**
+   * Appends another saved scene's robots, objects and groups to the current
+   * scene — e.g. to assemble a factory from separately designed cells. The
+   * inserted layout is turned by `rotationDeg` about its own origin, then
+   * shifted by `offset`. Ids are remapped past nextRobotId / nextObjectId /
+   * nextGroupId, rewriting parentObjectId bindings, group members and the
+   * robotJointAngles / robotPrograms keys. The building, settings and
+   * underlay of the inserted scene are ignored. The new entities are
+   * selected so they can be dragged into place.
+   * @param {object}   data        - Scene document, already through parseScene
+   * @param {number[]} offset      - Spec [x, y] shift in metres
+   * @param {number}   rotationDeg - Heading change in degrees
+   */
+  insertScene: (data, offset = [0, 0], rotationDeg = 0) =>
+    set((state) => {
+      const clones = cloneEntities(
+        state,
+        data.deployedRobots,
+        data.sceneObjects,
+        (p) => {
+          const [x, y, z] = rotateAboutPivot(p, [0, 0], rotationDeg);
+          return [x + offset[0], y + offset[1], z];
+        },
+        rotationDeg
+      );
+      const robotIds = clones.robots.map((r) => r.id);
+      const objectIds = clones.objects.map((o) => o.id);
+      if (robotIds.length + objectIds.length === 0) return {};
+
+      let nextGroupId = state.nextGroupId;
+      const groups = data.groups
+        .map((g) => ({
+          id: `g-${nextGroupId++}`,
+          name: g.name,
+          robotIds: g.robotIds.filter((id) => clones.robotIdMap.has(id)).map((id) => clones.robotIdMap.get(id)),
+          objectIds: g.objectIds.filter((id) => clones.objectIdMap.has(id)).map((id) => clones.objectIdMap.get(id)),
+        }))
+        .filter((g) => g.robotIds.length + g.objectIds.length > 0);
+
+      return {
+        deployedRobots: [...state.deployedRobots, ...clones.robots],
+        sceneObjects: [...state.sceneObjects, ...clones.objects],
+        nextRobotId: clones.nextRobotId,
+        nextObjectId: clones.nextObjectId,
+        robotJointAngles: {
+          ...state.robotJointAngles,
+          ...remapRobotKeys(data.robotJointAngles, clones.robotIdMap),
+        },
+        robotPrograms: {
+          ...state.robotPrograms,
+          ...remapRobotKeys(data.robotPrograms, clones.robotIdMap),
+        },
+        groups: [...state.groups, ...groups],
+        nextGroupId,
+        ...selectionFields(robotIds, objectIds),
+      };
+    }),
+
+  // ─── Undo / redo history ──────────────────────────────────────────────────
+
+  /**
+   * Snapshots of the HISTORY_FIELDS document, oldest first. Filled by the
+   * recordHistory subscription below; bounded to HISTORY_LIMIT entries.
+   */
+  undoStack: [],
+  redoStack: [],
+
+  /** Restores the scene to before the most recent change. */
+  undo: () => {
+    history.applying = true;
+    set((s) => {
+      if (s.undoStack.length === 0) return {};
+      return {
+        ...applyHistorySnapshot(s, s.undoStack[s.undoStack.length - 1]),
+        undoStack: s.undoStack.slice(0, -1),
+        redoStack: [...s.redoStack, historySnapshot(s)],
+      };
+    });
+    history.applying = false;
+    history.lastFields = '';
+  },
+
+  /** Re-applies the most recently undone change. */
+  redo: () => {
+    history.applying = true;
+    set((s) => {
+      if (s.redoStack.length === 0) return {};
+      return {
+        ...applyHistorySnapshot(s, s.redoStack[s.redoStack.length - 1]),
+        redoStack: s.redoStack.slice(0, -1),
+        undoStack: [...s.undoStack, historySnapshot(s)],
+      };
+    });
+    history.applying = false;
+    history.lastFields = '';
+  },
+
+  /**
+   * Brackets a continuous gesture (DragPlane drag, rotate or TCP jog): every
+   * change between begin and end becomes a single undo step.
+   */
+  beginHistoryGesture: () => {
+    history.gestureDepth += 1;
+    history.gestureRecorded = false;
+  },
+  endHistoryGesture: () => {
+    history.gestureDepth = Math.max(0, history.gestureDepth - 1);
+    history.lastFields = '';
+  },
 
   // ─── Label visibility ─────────────────────────────────────────────────────
 
@@ -489,6 +1634,41 @@ const useSceneStore = create((set) => ({
   orthoViewInfo: null,
   setOrthoViewInfo: (info) => set({ orthoViewInfo: info }),
 
+  // ─── Collision checking ─────────────────────────────────────────────────
+
+  /**
+   * When true, scene/CollisionMonitor.jsx checks every robot link and gripper
+   * against other robots and equipment, highlighting parts in contact.
+   */
+  collisionCheckEnabled: false,
+  setCollisionCheckEnabled: (val) =>
+    set(val ? { collisionCheckEnabled: true } : { collisionCheckEnabled: false, collisionPairs: [] }),
+
+  /**
+   * Parts currently in contact, written by CollisionMonitor only when the set
+   * changes. Each entry: { a: Body, b: Body } where
+   * Body = { kind: 'robot'|'object', id, label, part }. For robots part is
+   * the URDF link name, 'gripper', or 'body' for non-URDF models; for
+   * equipment it is null.
+   */
+  collisionPairs: [],
+  setCollisionPairs: (pairs) => set({ collisionPairs: pairs }),
+
+  // ─── Scene comparison (SAVES tab) ────────────────────────────────────────
+
+  /**
+   * The saved layout the current scene is being compared with, or null.
+   * { baseName, afterName, base } — base is the parsed "before" scene
+   * document; the "after" side is the saved "after" scene, loaded into the
+   * editor. The first edit ends the comparison (recordHistory), since the
+   * live scene no longer is that saved layout. ComparisonOverlay (inside
+   * Canvas) and ComparisonHUD (outside) read it, matching entities by id
+   * (utils/sceneDiff.js).
+   */
+  comparison: null,
+  setComparison: (comparison) => set({ comparison }),
+  clearComparison: () => set({ comparison: null }),
+
   // ─── Sidebar tab (Changes 1+2) ────────────────────────────────────────────
 
   /**
@@ -672,6 +1852,65 @@ const useSceneStore = create((set) => ({
         ),
       };
     }),
+
+  // ─── Imported robot models (IMPORT tab) ─────────────────────────────────
+
+  /**
+   * Catalogue entries for robots imported from URDF bundles, in the same
+   * shape as robots_config.json models (see utils/robotCatalog.js).
+   * Subscribed to by the model dropdowns so they refresh after an import.
+   */
+  importedRobotModels: [],
+
+  /**
+   * Registers the full set of imported models with the robot catalogue and
+   * publishes their catalogue entries.
+   * @param {object[]} records - Records from importedRobotStorage
+   */
+  setImportedRobotModels: (records) =>
+    set({ importedRobotModels: setImportedRobots(records) }),
 }));
 
+/**
+ * Records an undo step before each change to the scene document, and flags
+ * it as unsaved (hasUnsavedChanges), ending any scene comparison. All are
+ * skipped while restoreScene loads a document and during program playback
+ * (animated poses are not edits); the undo step also while undo/redo
+ * applies a snapshot. Changes inside a DragPlane gesture, or to the same
+ * fields in quick succession (slider drags, typing), coalesce.
+ */
+function recordHistory(state, prev) {
+  const changed = HISTORY_FIELDS.filter((k) => state[k] !== prev[k]);
+  if (changed.length === 0) return;
+
+  const isPlaying = (s) => Object.values(s.programPlayback).some((p) => p.playing);
+  if (isPlaying(state) || isPlaying(prev)) return;
+
+  // Undo / redo change the document too. An edit also ends a comparison of
+  // two saved layouts, which the live scene no longer matches.
+  if (!history.loading && (!state.hasUnsavedChanges || state.comparison)) {
+    useSceneStore.setState({ hasUnsavedChanges: true, comparison: null });
+  }
+  if (history.applying || history.loading) return;
+
+  if (history.gestureDepth > 0) {
+    if (history.gestureRecorded) return;
+    history.gestureRecorded = true;
+  } else {
+    const fields = changed.join(',');
+    const now = Date.now();
+    const coalesce = fields === history.lastFields && now - history.lastTime < HISTORY_COALESCE_MS;
+    history.lastFields = fields;
+    history.lastTime = now;
+    if (coalesce) return;
+  }
+
+  useSceneStore.setState((s) => ({
+    undoStack: [...s.undoStack, historySnapshot(prev)].slice(-HISTORY_LIMIT),
+    redoStack: [],
+  }));
+}
+
+useSceneStore.subscribe(recordHistory);
+
 export default useSceneStore;
@@ -0,0 +1,52 @@
+/**
+ * CollisionHUD.jsx
+ *
+ * A CSS overlay in the top-left corner of the 3D viewport listing the
+ * contact pairs found by scene/CollisionMonitor.jsx.
+ *
+ * Rendered only while collision checking is enabled. Shows a green
+ * "No collisions" line when the layout is clear, otherwise one row per
+ * pair: "<robot> · <link>  ↔  <robot|object> · <link>".
+ *
+ * Must be placed as a sibling of the R3F Canvas inside the relative-
+ * positioned canvas wrapper div in App.jsx, like DragCoordinatesHUD.
+ */
+
+import useSceneStore from '../store/sceneStore';
+
+function BodyName({ body }) {
+  return (
+    <span>
+      {body.label}
+      {body.part && <span className="text-gray-400"> · {body.part}</span>}
+    </span>
+  );
+}
+
+export default function CollisionHUD() {
+  const enabled = useSceneStore((s) => s.collisionCheckEnabled);
+  const pairs = useSceneStore((s) => s.collisionPairs);
+
+  if (!enabled) return null;
+
+  return (
+    <div className="absolute top-3 left-3 max-w-sm max-h-60 overflow-y-auto bg-black/75 font-mono text-xs px-3 py-2 rounded pointer-events-none select-none z-10">
+      {pairs.length === 0 ? (
+        <div className="text-green-400">No collisions</div>
+      ) : (
+        <>
+          <div className="text-red-400 font-semibold mb-1">
+            {pairs.length} collision{pairs.length === 1 ? '' : 's'}
+          </div>
+          {pairs.map(({ a, b }) => (
+            <div key={`${a.id}:${a.part}|${b.id}:${b.part}`} className="text-gray-200">
+              <BodyName body={a} />
+              <span className="text-red-400"> ↔ </span>
+              <BodyName body={b} />
+            </div>
+          ))}
+        </>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,76 @@
+/**
+ * ComparisonHUD.jsx
+ *
+ * Change list for the scene comparison (store comparison, started from the
+ * SAVES tab): every difference between the saved "before" layout and the
+ * saved "after" layout loaded in the editor, e.g. `r-3 "UR10e #3" moved
+ * 1.20 m, rotated 45°, gripper changed` (utils/sceneDiff.js diffScenes),
+ * with a colour legend matching ComparisonOverlay and an End button. The
+ * first edit ends the comparison (store recordHistory).
+ *
+ * Must be placed as a sibling of the R3F Canvas inside the relative-
+ * positioned canvas wrapper div in App.jsx, like CollisionHUD.
+ */
+
+import { useMemo } from 'react';
+import useSceneStore from '../store/sceneStore';
+import { diffScenes } from '../utils/sceneDiff';
+
+const MARK = { added: '+', removed: '−', changed: '~' };
+const COLOR = { added: 'text-green-400', removed: 'text-red-400', changed: 'text-amber-300' };
+
+export default function ComparisonHUD() {
+  const comparison = useSceneStore((s) => s.comparison);
+  const deployedRobots = useSceneStore((s) => s.deployedRobots);
+  const sceneObjects = useSceneStore((s) => s.sceneObjects);
+  const groups = useSceneStore((s) => s.groups);
+  const robotJointAngles = useSceneStore((s) => s.robotJointAngles);
+  const robotPrograms = useSceneStore((s) => s.robotPrograms);
+  const snapToGridEnabled = useSceneStore((s) => s.snapToGridEnabled);
+  const showLabels = useSceneStore((s) => s.showLabels);
+  const sceneSettings = useSceneStore((s) => s.sceneSettings);
+  const floorUnderlay = useSceneStore((s) => s.floorUnderlay);
+
+  const lines = useMemo(
+    () => comparison && diffScenes(comparison.base, {
+      deployedRobots, sceneObjects, groups, robotJointAngles, robotPrograms,
+      snapToGridEnabled, showLabels, sceneSettings, floorUnderlay,
+    }),
+    [comparison, deployedRobots, sceneObjects, groups, robotJointAngles, robotPrograms,
+      snapToGridEnabled, showLabels, sceneSettings, floorUnderlay]
+  );
+  if (!comparison) return null;
+
+  const count = (type) => lines.filter((l) => l.type === type).length;
+
+  return (
+    <div className="absolute bottom-4 right-4 z-10 w-80 max-h-72 flex flex-col gap-1.5 bg-black/75 text-xs px-3 py-2 rounded select-none">
+      <div className="flex items-center gap-2">
+        <p className="flex-1 min-w-0 text-gray-200 font-semibold truncate" title={`${comparison.baseName} → ${comparison.afterName}`}>
+          {comparison.baseName} &rarr; {comparison.afterName}
+        </p>
+        <button
+          onClick={() => useSceneStore.getState().clearComparison()}
+          className="px-2 py-0.5 rounded border border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200 transition-colors"
+        >
+          End
+        </button>
+      </div>
+      <p className="text-gray-400">
+        <span className="text-green-400">{count('added')} added</span> ·{' '}
+        <span className="text-red-400">{count('removed')} removed</span> ·{' '}
+        <span className="text-amber-300">{count('changed')} changed</span>
+        {' '}(ghosts: old pose)
+      </p>
+      <div className="flex flex-col gap-0.5 overflow-y-auto font-mono">
+        {lines.length === 0 ? (
+          <p className="text-gray-500 italic font-sans">No differences</p>
+        ) : (
+          lines.map((line, i) => (
+            <p key={i} className={COLOR[line.type]}>{MARK[line.type]} {line.text}</p>
+          ))
+        )}
+      </div>
+    </div>
+  );
+}
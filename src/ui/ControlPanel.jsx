@@ -5,6 +5,7 @@
  *
  *   A  ADD ROBOT
  *      Manufacturer / Model / Count / Scale dropdowns
+ *      (includes models registered through the IMPORT tab)
  *
  *   B  PLACEMENT
  *      Origin X / Y (floor coords), Rotation slider (0–360°),
@@ -12,7 +13,12 @@
  *      "Pick from Floor" button (captures a floor click into X/Y)
  *
  *   C  ACTIONS
- *      Deploy to Floor · Reset Scene · Reset Camera · Export PNG
+ *      Deploy to Floor · Reset Scene · Reset Camera · Export PNG · Export DXF ·
+ *      Export GLB · Export URDF · Export SDF (DXF: 2D layout drawing for CAD,
+ *      see utils/dxfExport.js; GLB: the assembled 3D scene, see
+ *      utils/gltfExport.js; URDF / SDF: the workcell for ROS and Gazebo, see
+ *      utils/workcellExport.js) · MoveIt obstacles as .scene / PlanningScene
+ *      YAML in a chosen robot's base frame (utils/moveitExport.js)
  *
  *   D  DEPLOYED ROBOTS
  *      Per-robot list with X/Y/rotation/focus/remove controls
@@ -20,15 +26,21 @@
  *   E  VIEWPORT CONTROLS
  *      Snap to Grid toggle
  *
+ * The title bar carries Undo / Redo buttons for the scene history
+ * (same as Ctrl+Z / Ctrl+Shift+Z).
+ *
  * Deploy appends robots to the scene (does not replace).
  * Reset Scene clears all robots.
  */
 
 import { useEffect, useState } from 'react';
 import sceneConfig from '../config/config.json';
-import robotsConfig from '../config/robots_config.json';
 import useSceneStore from '../store/sceneStore';
 import { buildRobotInstances } from '../utils/deploymentUtils';
+import { downloadFile } from '../utils/download';
+import { buildLayoutDxf } from '../utils/dxfExport';
+import { getManufacturers } from '../utils/robotCatalog';
+import { buildWorkcellSdf, exportWorkcellUrdf } from '../utils/workcellExport';
 import DeployedRobotList from './DeployedRobotList';
 import EquipmentPanel from './EquipmentPanel';
 import ImportPanel from './ImportPanel';
@@ -36,7 +48,6 @@ import JointsPanel from './JointsPanel';
 import ScenesPanel from './ScenesPanel';
 import SettingsPanel from './SettingsPanel';
 
-const manufacturerNames = Object.keys(robotsConfig.manufacturers);
 const scaleNames = Object.keys(sceneConfig.robots.scales);
 
 // ─── Shared input / select styles ────────────────────────────────────────────
@@ -48,6 +59,9 @@ const numberCls =
   'focus:outline-none focus:border-blue-500 w-full';
 const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
 const sectionCls = 'flex flex-col gap-2';
+const historyBtnCls =
+  'w-7 h-7 rounded border border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200 text-sm ' +
+  'transition-colors disabled:opacity-30 disabled:hover:bg-gray-800';
 
 // Mount type button styles
 function mountBtnCls(active) {
@@ -77,6 +91,10 @@ export default function ControlPanel() {
   const addRobots = useSceneStore((s) => s.addRobots);
   const nextRobotId = useSceneStore((s) => s.nextRobotId);
   const clearRobots = useSceneStore((s) => s.clearRobots);
+  const undo = useSceneStore((s) => s.undo);
+  const redo = useSceneStore((s) => s.redo);
+  const canUndo = useSceneStore((s) => s.undoStack.length > 0);
+  const canRedo = useSceneStore((s) => s.redoStack.length > 0);
   const triggerCameraReset = useSceneStore((s) => s.triggerCameraReset);
   const interactionMode = useSceneStore((s) => s.interactionMode);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
@@ -87,11 +105,22 @@ export default function ControlPanel() {
   const showLabels = useSceneStore((s) => s.showLabels);
   const setShowLabels = useSceneStore((s) => s.setShowLabels);
 
+  // Built-in + imported models. Subscribing to importedRobotModels re-renders
+  // the dropdowns whenever an import is added or removed.
+  useSceneStore((s) => s.importedRobotModels);
+  const manufacturers = getManufacturers();
+  const manufacturerNames = Object.keys(manufacturers);
+
   // ── Section A state ─────────────────────────────────────────────────────
-  const [manufacturer, setManufacturer] = useState(manufacturerNames[0]);
-  const [model, setModel] = useState(
-    robotsConfig.manufacturers[manufacturerNames[0]].models[0].name
+  const [manufacturerChoice, setManufacturer] = useState(manufacturerNames[0]);
+  const [modelChoice, setModel] = useState(
+    manufacturers[manufacturerNames[0]].models[0].name
   );
+  // An imported model (or its whole manufacturer) may have been deleted since
+  // it was chosen — fall back to the first available entry.
+  const manufacturer = manufacturers[manufacturerChoice] ? manufacturerChoice : manufacturerNames[0];
+  const modelNames = manufacturers[manufacturer].models.map((m) => m.name);
+  const model = modelNames.includes(modelChoice) ? modelChoice : modelNames[0];
   const [count, setCount] = useState(sceneConfig.robots.defaultCount);
   const [scaleName, setScaleName] = useState(sceneConfig.robots.defaultScale);
 
@@ -105,11 +134,15 @@ export default function ControlPanel() {
   const [mountType, setMountType] = useState('floor');
   const [originZ, setOriginZ] = useState(0);
 
+  // ── MoveIt export frame: a robot's base, or the world when it's gone ────
+  const [moveitFrameChoice, setMoveitFrameChoice] = useState('');
+  const moveitFrameId = deployedRobots.some((r) => r.id === moveitFrameChoice) ? moveitFrameChoice : '';
+
   // ── Manufacturer change: reset model to first available ─────────────────
   function handleManufacturerChange(e) {
     const mfr = e.target.value;
     setManufacturer(mfr);
-    setModel(robotsConfig.manufacturers[mfr].models[0].name);
+    setModel(manufacturers[mfr].models[0].name);
   }
 
   function handleCountChange(e) {
@@ -124,7 +157,7 @@ export default function ControlPanel() {
     setMountType(type);
     if (type === 'floor') setOriginZ(0);
     else if (type === 'platform') setOriginZ(sceneConfig.deployment.platformDefaultHeight);
-    else if (type === 'ceiling') setOriginZ(sceneConfig.floor.wallHeight);
+    else if (type === 'ceiling') setOriginZ(useSceneStore.getState().sceneSettings.floor.wallHeight);
   }
 
   // ── Consume floor-click coords → update X/Y inputs ──────────────────────
@@ -187,7 +220,6 @@ export default function ControlPanel() {
     setInteractionMode(interactionMode === 'place' ? 'orbit' : 'place');
   }
 
-  const modelNames = robotsConfig.manufacturers[manufacturer].models.map((m) => m.name);
   const isPlacing = interactionMode === 'place';
   const showHeightInput = mountType !== 'floor';
 
@@ -195,11 +227,31 @@ export default function ControlPanel() {
     <div className="flex flex-col w-80 bg-gray-900 text-gray-100 h-full select-none">
 
       {/* App title */}
-      <div className="border-b border-gray-700 px-4 pt-4 pb-3 flex-shrink-0">
-        <h1 className="text-sm font-bold tracking-widest text-blue-400 uppercase">
-          Robot Layout
-        </h1>
-        <p className="text-xs text-gray-500 mt-0.5">Modular Assembly Planner</p>
+      <div className="border-b border-gray-700 px-4 pt-4 pb-3 flex-shrink-0 flex items-start justify-between">
+        <div>
+          <h1 className="text-sm font-bold tracking-widest text-blue-400 uppercase">
+            Robot Layout
+          </h1>
+          <p className="text-xs text-gray-500 mt-0.5">Modular Assembly Planner</p>
+        </div>
+        <div className="flex gap-1">
+          <button
+            onClick={undo}
+            disabled={!canUndo}
+            title="Undo (Ctrl+Z)"
+            className={historyBtnCls}
+          >
+            ↶
+          </button>
+          <button
+            onClick={redo}
+            disabled={!canRedo}
+            title="Redo (Ctrl+Shift+Z)"
+            className={historyBtnCls}
+          >
+            ↷
+          </button>
+        </div>
       </div>
 
       {/* Tab bar */}
@@ -447,6 +499,69 @@ export default function ControlPanel() {
         >
           Export PNG
         </button>
+        <button
+          onClick={() => downloadFile('layout.dxf', buildLayoutDxf(useSceneStore.getState()), 'application/dxf')}
+          title="2D layout drawing (metres) for AutoCAD — floor, footprints, robot bases, reach circles, labels"
+          className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-2 px-4 rounded text-sm transition-colors"
+        >
+          Export DXF
+        </button>
+        <button
+          onClick={() => useSceneStore.getState().triggerGlbExport()}
+          title="Assembled 3D scene (glTF binary) — posed robots, grippers, objects and building"
+          className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-2 px-4 rounded text-sm transition-colors"
+        >
+          Export GLB
+        </button>
+        <button
+          onClick={() => {
+            exportWorkcellUrdf(useSceneStore.getState())
+              .then((urdf) => downloadFile('workcell.urdf', urdf, 'application/xml'))
+              .catch((err) => alert(`URDF export failed: ${err.message}`));
+          }}
+          title="Workcell URDF for ROS — namespaced robots fixed at their bases, objects as static links, track-mounted robots on a prismatic 7th axis"
+          className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-2 px-4 rounded text-sm transition-colors"
+        >
+          Export URDF
+        </button>
+        <button
+          onClick={() => downloadFile('workcell.sdf', buildWorkcellSdf(useSceneStore.getState()), 'application/xml')}
+          title="Gazebo SDF world — building, lighting and an include of workcell.urdf (export that alongside)"
+          className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-2 px-4 rounded text-sm transition-colors"
+        >
+          Export SDF
+        </button>
+
+        {/* MoveIt collision objects — triggers MoveItExportCapture inside Canvas */}
+        <div className="flex flex-col gap-1">
+          <span className="text-xs text-gray-400">MoveIt obstacles, in frame of</span>
+          <div className="flex gap-1">
+            <select
+              value={moveitFrameId}
+              onChange={(e) => setMoveitFrameChoice(e.target.value)}
+              className={selectCls}
+            >
+              <option value="">World (layout origin)</option>
+              {deployedRobots.map((r) => (
+                <option key={r.id} value={r.id}>{r.label} base</option>
+              ))}
+            </select>
+            <button
+              onClick={() => useSceneStore.getState().triggerMoveItExport('scene', moveitFrameId || null)}
+              title="MoveIt .scene file (RViz Scene Objects → Import)"
+              className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold px-2 rounded text-sm transition-colors"
+            >
+              .scene
+            </button>
+            <button
+              onClick={() => useSceneStore.getState().triggerMoveItExport('yaml', moveitFrameId || null)}
+              title="moveit_msgs/PlanningScene YAML (diff adding the collision objects)"
+              className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold px-2 rounded text-sm transition-colors"
+            >
+              YAML
+            </button>
+          </div>
+        </div>
       </div>
 
       {/* ── D: Deployed Robots ───────────────────────────────────────────── */}
@@ -2,9 +2,12 @@
  * DeployedObjectList.jsx
  *
  * Section D of the Equipment tab: scrollable list of all deployed scene objects.
+ * Objects in a group ("cell") are listed under a collapsible group node
+ * (GroupedRows), as in DeployedRobotList.
  *
  * Each row exposes:
- *   - Name + category badge + ⤢ drag + ⊙ focus + ✕ remove
+ *   - Name + category badge + ⤢ drag + ⧉ duplicate + ▦ pattern + ⊙ focus
+ *     + ✕ remove
  *   - Color picker + opacity slider (all objects; live update)
  *   - ⊕ Mount Robot Here button — pre-fills robot tab form with object surface Z
  *   - Editable dimension inputs (shape-dependent, from getEditableDimensions)
@@ -17,10 +20,11 @@
 import { useEffect, useState } from 'react';
 import useSceneStore from '../store/sceneStore';
 import { getEditableDimensions, getObjectTopSurface, getSpecInfo } from '../utils/objectUtils';
+import GroupedRows from './GroupedRows';
 
 // ─── Individual object row ────────────────────────────────────────────────────
 
-function ObjectRow({ object, isSelected, onUpdateTransform, onUpdateDimensions, onUpdateStyle, onMountRobot, onRemove, onFocus, onDrag, onDuplicate }) {
+function ObjectRow({ object, isSelected, onUpdateTransform, onUpdateDimensions, onUpdateStyle, onMountRobot, onRemove, onFocus, onDrag, onDuplicate, onPattern }) {
   const [localX, setLocalX] = useState(object.position[0]);
   const [localY, setLocalY] = useState(object.position[1]);
   const [localZ, setLocalZ] = useState(object.position[2]);
@@ -104,6 +108,13 @@ function ObjectRow({ object, isSelected, onUpdateTransform, onUpdateDimensions,
         >
           ⧉
         </button>
+        <button
+          onClick={() => onPattern('object', object.id)}
+          title="Pattern (linear, grid or circular array)"
+          className="text-xs text-cyan-400 hover:text-cyan-300 px-1 py-0.5 rounded hover:bg-gray-700 transition-colors flex-shrink-0"
+        >
+          ▦
+        </button>
         <button
           onClick={handleFocus}
           title="Focus camera"
@@ -268,17 +279,18 @@ export default function DeployedObjectList() {
   const updateObjectDimensions = useSceneStore((s) => s.updateObjectDimensions);
   const updateObjectStyle = useSceneStore((s) => s.updateObjectStyle);
   const duplicateObject = useSceneStore((s) => s.duplicateObject);
+  const openPatternTool = useSceneStore((s) => s.openPatternTool);
   const removeObject = useSceneStore((s) => s.removeObject);
   const setFocusTarget = useSceneStore((s) => s.setFocusTarget);
-  const selectedObjectId = useSceneStore((s) => s.selectedObjectId);
-  const setSelectedObjectId = useSceneStore((s) => s.setSelectedObjectId);
+  const selectedObjectIds = useSceneStore((s) => s.selectedObjectIds);
+  const selectForDrag = useSceneStore((s) => s.selectForDrag);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
   const setPendingMountTarget = useSceneStore((s) => s.setPendingMountTarget);
   const setPendingBindTarget = useSceneStore((s) => s.setPendingBindTarget);
   const setActiveSidebarTab = useSceneStore((s) => s.setActiveSidebarTab);
 
   function handleDrag(id) {
-    setSelectedObjectId(id);
+    selectForDrag('object', id);
     setInteractionMode('drag');
   }
 
@@ -305,21 +317,26 @@ export default function DeployedObjectList() {
 
   return (
     <div className="flex flex-col gap-2 max-h-72 overflow-y-auto pr-0.5">
-      {sceneObjects.map((object) => (
-        <ObjectRow
-          key={object.id}
-          object={object}
-          isSelected={selectedObjectId === object.id}
-          onUpdateTransform={updateObjectTransform}
-          onUpdateDimensions={updateObjectDimensions}
-          onUpdateStyle={updateObjectStyle}
-          onMountRobot={handleMountRobot}
-          onRemove={removeObject}
-          onFocus={setFocusTarget}
-          onDrag={handleDrag}
-          onDuplicate={duplicateObject}
-        />
-      ))}
+      <GroupedRows
+        items={sceneObjects}
+        memberKey="objectIds"
+        renderRow={(object) => (
+          <ObjectRow
+            key={object.id}
+            object={object}
+            isSelected={selectedObjectIds.includes(object.id)}
+            onUpdateTransform={updateObjectTransform}
+            onUpdateDimensions={updateObjectDimensions}
+            onUpdateStyle={updateObjectStyle}
+            onMountRobot={handleMountRobot}
+            onRemove={removeObject}
+            onFocus={setFocusTarget}
+            onDrag={handleDrag}
+            onDuplicate={duplicateObject}
+            onPattern={openPatternTool}
+          />
+        )}
+      />
     </div>
   );
 }
@@ -2,9 +2,12 @@
  * DeployedRobotList.jsx
  *
  * Section D of the control panel: a scrollable list of all deployed robots.
+ * Robots in a group ("cell") are listed under a collapsible group node
+ * (GroupedRows); the ⤢ drag button of a grouped robot drags the whole group.
  *
  * Each robot row exposes:
- *   - Short label + mount badge + ⤢ drag + ⊙ focus + ✕ remove
+ *   - Short label + mount badge + ⤢ drag + ⧉ duplicate + ▦ pattern + ⊙ focus
+ *     + ✕ remove
  *   - Color picker + opacity slider (overrides manufacturer default; ↺ resets)
  *   - X / Y position inputs
  *   - Z height slider + number input (platform/ceiling only)
@@ -14,6 +17,7 @@
 import { useEffect, useState } from 'react';
 import grippersConfig from '../config/grippers_config.json';
 import useSceneStore from '../store/sceneStore';
+import GroupedRows from './GroupedRows';
 
 // Manufacturer default colours (mirrors PlaceholderRobot.jsx)
 const MANUFACTURER_COLORS = {
@@ -27,7 +31,7 @@ const DEFAULT_ROBOT_COLOR = '#546e7a';
 
 // ─── Individual robot row ─────────────────────────────────────────────────────
 
-function RobotRow({ robot, isSelected, onUpdateTransform, onUpdateStyle, onRemove, onFocus, onDrag, onDuplicate, onSetGripper, onSetGripperScale, onBind, onUnbind, sceneObjects }) {
+function RobotRow({ robot, isSelected, onUpdateTransform, onUpdateStyle, onRemove, onFocus, onDrag, onDuplicate, onPattern, onSetGripper, onSetGripperScale, onBind, onUnbind, sceneObjects }) {
   const [localX, setLocalX] = useState(robot.position[0]);
   const [localY, setLocalY] = useState(robot.position[1]);
   const [localZ, setLocalZ] = useState(robot.position[2]);
@@ -110,6 +114,13 @@ function RobotRow({ robot, isSelected, onUpdateTransform, onUpdateStyle, onRemov
         >
           ⧉
         </button>
+        <button
+          onClick={() => onPattern('robot', robot.id)}
+          title="Pattern (linear, grid or circular array)"
+          className="text-xs text-cyan-400 hover:text-cyan-300 px-1 py-0.5 rounded hover:bg-gray-700 transition-colors flex-shrink-0"
+        >
+          ▦
+        </button>
         <button
           onClick={handleFocus}
           title="Focus camera"
@@ -309,17 +320,18 @@ export default function DeployedRobotList() {
   const updateRobotStyle = useSceneStore((s) => s.updateRobotStyle);
   const removeRobot = useSceneStore((s) => s.removeRobot);
   const setFocusTarget = useSceneStore((s) => s.setFocusTarget);
-  const selectedRobotId = useSceneStore((s) => s.selectedRobotId);
-  const setSelectedRobotId = useSceneStore((s) => s.setSelectedRobotId);
+  const selectedRobotIds = useSceneStore((s) => s.selectedRobotIds);
+  const selectForDrag = useSceneStore((s) => s.selectForDrag);
   const setInteractionMode = useSceneStore((s) => s.setInteractionMode);
   const setRobotGripper = useSceneStore((s) => s.setRobotGripper);
   const setRobotGripperScale = useSceneStore((s) => s.setRobotGripperScale);
   const duplicateRobot = useSceneStore((s) => s.duplicateRobot);
+  const openPatternTool = useSceneStore((s) => s.openPatternTool);
   const bindRobotToObject = useSceneStore((s) => s.bindRobotToObject);
   const unbindRobot = useSceneStore((s) => s.unbindRobot);
 
   function handleDrag(id) {
-    setSelectedRobotId(id);
+    selectForDrag('robot', id);
     setInteractionMode('drag');
   }
 
@@ -333,24 +345,29 @@ export default function DeployedRobotList() {
 
   return (
     <div className="flex flex-col gap-2 max-h-72 overflow-y-auto pr-0.5">
-      {deployedRobots.map((robot) => (
-        <RobotRow
-          key={robot.id}
-          robot={robot}
-          isSelected={selectedRobotId === robot.id}
-          onUpdateTransform={updateRobotTransform}
-          onUpdateStyle={updateRobotStyle}
-          onRemove={removeRobot}
-          onFocus={setFocusTarget}
-          onDrag={handleDrag}
-          onDuplicate={duplicateRobot}
-          onSetGripper={setRobotGripper}
-          onSetGripperScale={setRobotGripperScale}
-          onBind={bindRobotToObject}
-          onUnbind={unbindRobot}
-          sceneObjects={sceneObjects}
-        />
-      ))}
+      <GroupedRows
+        items={deployedRobots}
+        memberKey="robotIds"
+        renderRow={(robot) => (
+          <RobotRow
+            key={robot.id}
+            robot={robot}
+            isSelected={selectedRobotIds.includes(robot.id)}
+            onUpdateTransform={updateRobotTransform}
+            onUpdateStyle={updateRobotStyle}
+            onRemove={removeRobot}
+            onFocus={setFocusTarget}
+            onDrag={handleDrag}
+            onDuplicate={duplicateRobot}
+            onPattern={openPatternTool}
+            onSetGripper={setRobotGripper}
+            onSetGripperScale={setRobotGripperScale}
+            onBind={bindRobotToObject}
+            onUnbind={unbindRobot}
+            sceneObjects={sceneObjects}
+          />
+        )}
+      />
     </div>
   );
 }
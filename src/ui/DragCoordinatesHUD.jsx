@@ -5,8 +5,8 @@
  * of the 3D viewport. Displays live coordinates during drag and rotate
  * operations.
  *
- * Rendered only when interactionMode is 'drag' or 'rotate' AND a robot is
- * selected. Disappears immediately when mode returns to 'orbit'.
+ * Rendered only when interactionMode is 'drag', 'rotate' or 'tcp' AND a
+ * robot is selected. Disappears immediately when mode returns to 'orbit'.
  *
  * Must be placed as a sibling of the R3F Canvas inside the relative-
  * positioned canvas wrapper div in App.jsx, NOT inside the Canvas itself.
@@ -14,6 +14,8 @@
  * Display:
  *   Drag mode   → "X: 12.5 m  /  Y: 8.0 m"
  *   Rotate mode → "Rotation: 145°"
+ *   TCP jog     → target "X / Y / Z" from ikStatus, plus an "Out of reach"
+ *                 warning (with the remaining distance) when IK fails
  *
  * Values update live because this component subscribes to deployedRobots
  * in the Zustand store, which updates on every updateRobotTransform call
@@ -28,8 +30,10 @@ export default function DragCoordinatesHUD() {
   const selectedObjectId = useSceneStore((s) => s.selectedObjectId);
   const deployedRobots = useSceneStore((s) => s.deployedRobots);
   const sceneObjects = useSceneStore((s) => s.sceneObjects);
+  const ikStatus = useSceneStore((s) => s.ikStatus);
 
-  const isActive = interactionMode === 'drag' || interactionMode === 'rotate';
+  const isActive =
+    interactionMode === 'drag' || interactionMode === 'rotate' || interactionMode === 'tcp';
   if (!isActive || (!selectedRobotId && !selectedObjectId)) return null;
 
   const robot = selectedRobotId
@@ -39,7 +43,23 @@ export default function DragCoordinatesHUD() {
 
   return (
     <div className="absolute top-3 right-3 bg-black/75 text-green-400 font-mono text-xs px-3 py-2 rounded pointer-events-none select-none z-10">
-      {interactionMode === 'drag' ? (
+      {interactionMode === 'tcp' ? (
+        ikStatus ? (
+          <>
+            <div>TCP X: {ikStatus.target[0].toFixed(3)} m</div>
+            <div>TCP Y: {ikStatus.target[1].toFixed(3)} m</div>
+            <div>TCP Z: {ikStatus.target[2].toFixed(3)} m</div>
+            {!ikStatus.reachable && (
+              <div className="text-red-400">
+                Out of reach
+                {ikStatus.positionError >= 0.001 && ` (${Math.round(ikStatus.positionError * 1000)} mm short)`}
+              </div>
+            )}
+          </>
+        ) : (
+          <div>Drag to move TCP · Shift = vertical</div>
+        )
+      ) : interactionMode === 'drag' ? (
         <>
           <div>X: {robot.position[0].toFixed(1)} m</div>
           <div>Y: {robot.position[1].toFixed(1)} m</div>
@@ -106,7 +106,7 @@ export default function EquipmentPanel() {
     setMountType(type);
     if (type === 'floor') setOriginZ(0);
     else if (type === 'platform') setOriginZ(sceneConfig.deployment.platformDefaultHeight);
-    else if (type === 'ceiling') setOriginZ(sceneConfig.floor.wallHeight);
+    else if (type === 'ceiling') setOriginZ(useSceneStore.getState().sceneSettings.floor.wallHeight);
   }
 
   // Consume floor-click coords
@@ -0,0 +1,99 @@
+/**
+ * GroupedRows.jsx
+ *
+ * Lays out the rows of DeployedRobotList / DeployedObjectList under
+ * collapsible group ("cell") nodes. Each group with members of this list's
+ * kind gets a header row — ▸/▾ collapse toggle, name, member count, and
+ * buttons to select the whole group, rename it, or ungroup it — followed by
+ * its members' rows, indented. Ungrouped rows follow the groups.
+ *
+ * Collapse state is local to the list; groups themselves live in the store.
+ *
+ * @param {object[]} props.items     - Robots or objects, in list order
+ * @param {'robotIds'|'objectIds'} props.memberKey - Which group id list applies
+ * @param {Function} props.renderRow - item → row element (with key)
+ */
+
+import { useState } from 'react';
+import useSceneStore from '../store/sceneStore';
+
+const iconBtnCls =
+  'text-xs text-gray-400 hover:text-gray-100 px-1 py-0.5 rounded hover:bg-gray-700 transition-colors flex-shrink-0';
+
+function GroupHeader({ group, count, collapsed, onToggle }) {
+  const { selectGroup, renameGroup, ungroup } = useSceneStore.getState();
+
+  function handleRename() {
+    const name = window.prompt('Group name', group.name);
+    if (name) renameGroup(group.id, name);
+  }
+
+  return (
+    <div className="flex items-center gap-1 rounded bg-gray-800/60 border border-gray-700 px-1.5 py-1">
+      <button onClick={onToggle} title={collapsed ? 'Expand' : 'Collapse'} className={iconBtnCls}>
+        {collapsed ? '▸' : '▾'}
+      </button>
+      <span className="text-xs font-semibold text-indigo-300 truncate flex-1" title={group.name}>
+        {group.name}
+      </span>
+      <span className="text-xs text-gray-500 flex-shrink-0">{count}</span>
+      <button onClick={() => selectGroup(group.id)} title="Select group" className={iconBtnCls}>
+        ◎
+      </button>
+      <button onClick={handleRename} title="Rename group" className={iconBtnCls}>
+        ✎
+      </button>
+      <button
+        onClick={() => ungroup(group.id)}
+        title="Ungroup (keeps the members)"
+        className="text-xs text-red-400 hover:text-red-300 px-1 py-0.5 rounded hover:bg-gray-700 transition-colors flex-shrink-0"
+      >
+        ⊘
+      </button>
+    </div>
+  );
+}
+
+export default function GroupedRows({ items, memberKey, renderRow }) {
+  const groups = useSceneStore((s) => s.groups);
+  const [collapsed, setCollapsed] = useState(() => new Set());
+
+  function toggle(id) {
+    setCollapsed((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  const grouped = new Set();
+  const nodes = groups
+    .map((group) => {
+      const members = items.filter((item) => group[memberKey].includes(item.id));
+      members.forEach((item) => grouped.add(item.id));
+      return { group, members };
+    })
+    .filter(({ members }) => members.length > 0);
+
+  return (
+    <>
+      {nodes.map(({ group, members }) => (
+        <div key={group.id} className="flex flex-col gap-2">
+          <GroupHeader
+            group={group}
+            count={members.length}
+            collapsed={collapsed.has(group.id)}
+            onToggle={() => toggle(group.id)}
+          />
+          {!collapsed.has(group.id) && (
+            <div className="flex flex-col gap-2 pl-2 border-l border-indigo-800/70 ml-1">
+              {members.map(renderRow)}
+            </div>
+          )}
+        </div>
+      ))}
+      {items.filter((item) => !grouped.has(item.id)).map(renderRow)}
+    </>
+  );
+}
@@ -0,0 +1,390 @@
+/**
+ * ImportPanel.jsx
+ *
+ * "IMPORT" tab — registers a custom robot from a URDF + mesh bundle.
+ *
+ * Flow:
+ *   1. User drops a folder or .zip (or picks one) containing a .urdf and
+ *      its meshes. Zips are extracted in the browser (utils/zipReader.js).
+ *   2. The URDF is analysed (utils/urdfImport.js): joints, tool link, and
+ *      every mesh URI (package:// or relative) resolved against the bundle.
+ *   3. User confirms manufacturer / model name / reach / height and clicks
+ *      Register. Only the referenced meshes are kept.
+ *   4. The record is written to IndexedDB (utils/importedRobotStorage.js)
+ *      and the catalogue is refreshed via setImportedRobotModels, so the
+ *      model appears in the ROBOT tab dropdowns and loads through URDFRobot
+ *      like any built-in model (joint sliders included).
+ */
+
+import { useState } from 'react';
+import useSceneStore from '../store/sceneStore';
+import {
+  deleteImportedRobot,
+  listImportedRobots,
+  saveImportedRobot,
+} from '../utils/importedRobotStorage';
+import { getManufacturers } from '../utils/robotCatalog';
+import {
+  analyzeUrdf,
+  collectDroppedFiles,
+  collectInputFiles,
+  findUrdfPaths,
+} from '../utils/urdfImport';
+
+const inputCls =
+  'bg-gray-800 border border-gray-600 rounded px-2 py-1.5 text-sm text-gray-100 ' +
+  'focus:outline-none focus:border-blue-500 w-full';
+const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+const sectionCls = 'flex flex-col gap-2';
+
+/** Builds a stable-ish unique id from the model name, e.g. "imp-my_robot-lx3k2a" */
+function makeModelId(name) {
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'robot';
+  return `imp-${slug}-${Date.now().toString(36)}`;
+}
+
+/** Re-reads IndexedDB and republishes the imported catalogue to the store. */
+async function refreshImportedModels() {
+  const records = await listImportedRobots();
+  useSceneStore.getState().setImportedRobotModels(records);
+}
+
+export default function ImportPanel() {
+  const importedRobotModels = useSceneStore((s) => s.importedRobotModels);
+
+  const [files, setFiles] = useState(null);        // bundle files, or null
+  const [urdfPaths, setUrdfPaths] = useState([]);
+  const [urdfPath, setUrdfPath] = useState('');
+  const [analysis, setAnalysis] = useState(null);
+  const [form, setForm] = useState(null);          // { manufacturer, name, reachMm, height, lastLinkName }
+  const [error, setError] = useState(null);
+  const [status, setStatus] = useState(null);      // null | 'reading' | 'saving' | 'saved'
+  const [dragOver, setDragOver] = useState(false);
+
+  function reset() {
+    setFiles(null);
+    setUrdfPaths([]);
+    setUrdfPath('');
+    setAnalysis(null);
+    setForm(null);
+  }
+
+  async function selectUrdf(bundle, path) {
+    const urdfFile = bundle.find((f) => f.path === path);
+    const text = await urdfFile.blob.text();
+    const result = analyzeUrdf(text, path, bundle.map((f) => f.path));
+    setUrdfPath(path);
+    setAnalysis({ ...result, urdfText: text });
+    setForm({
+      manufacturer: 'Custom',
+      name: result.robotName,
+      // Rough defaults from the summed joint offsets; user can correct them
+      reachMm: Math.round(result.chainLength * 650),
+      height: Math.round(result.chainLength * 60) / 100,
+      lastLinkName: result.lastLinkName,
+    });
+  }
+
+  async function handleBundle(collect) {
+    setError(null);
+    setStatus('reading');
+    reset();
+    try {
+      const bundle = await collect();
+      const paths = findUrdfPaths(bundle);
+      if (paths.length === 0) {
+        throw new Error('No .urdf file found. Drop the robot description folder or a zip of it.');
+      }
+      setFiles(bundle);
+      setUrdfPaths(paths);
+      await selectUrdf(bundle, paths[0]);
+    } catch (err) {
+      reset();
+      setError(err.message);
+    }
+    setStatus(null);
+  }
+
+  function handleDrop(e) {
+    e.preventDefault();
+    setDragOver(false);
+    const { dataTransfer } = e;
+    handleBundle(() => collectDroppedFiles(dataTransfer));
+  }
+
+  function handlePick(e) {
+    const list = e.target.files;
+    if (!list || list.length === 0) return;
+    handleBundle(() => collectInputFiles(list));
+    e.target.value = '';
+  }
+
+  async function handleUrdfChange(path) {
+    setError(null);
+    try {
+      await selectUrdf(files, path);
+    } catch (err) {
+      setError(err.message);
+    }
+  }
+
+  async function handleRegister() {
+    const manufacturer = form.manufacturer.trim() || 'Custom';
+    const name = form.name.trim() || analysis.robotName;
+    const existing = getManufacturers()[manufacturer]?.models ?? [];
+    if (existing.some((m) => m.name === name)) {
+      setError(`"${manufacturer} ${name}" already exists — choose another model name.`);
+      return;
+    }
+
+    // Keep only the meshes the URDF references
+    const meshFiles = {};
+    for (const mesh of analysis.meshes) {
+      if (!mesh.path) continue;
+      meshFiles[mesh.path] = files.find((f) => f.path === mesh.path).blob;
+    }
+
+    const reach = Math.max(Number(form.reachMm) || 0, 0);
+    const footprint = Math.max(Math.round(reach * 0.25) / 1000, 0.15);
+
+    setError(null);
+    setStatus('saving');
+    try {
+      await saveImportedRobot({
+        id: makeModelId(name),
+        manufacturer,
+        name,
+        urdfPath,
+        urdfText: analysis.urdfText,
+        files: meshFiles,
+        lastLinkName: form.lastLinkName,
+        reach_mm: reach,
+        approxHeight: Math.max(Number(form.height) || 0, 0.1),
+        footprint_m: [footprint, footprint],
+        importedAt: new Date().toISOString(),
+      });
+      await refreshImportedModels();
+      reset();
+      setStatus('saved');
+      setTimeout(() => setStatus(null), 2000);
+    } catch (err) {
+      setError(`Could not save the imported robot: ${err.message}`);
+      setStatus(null);
+    }
+  }
+
+  async function handleDelete(model) {
+    const inUse = useSceneStore.getState().deployedRobots.some((r) => r.modelId === model.id);
+    const warning = inUse ? ' Deployed instances will fall back to a placeholder.' : '';
+    if (!window.confirm(`Delete imported robot "${model.manufacturer} ${model.name}"?${warning}`)) return;
+    try {
+      await deleteImportedRobot(model.id);
+      await refreshImportedModels();
+    } catch (err) {
+      setError(`Could not delete: ${err.message}`);
+    }
+  }
+
+  const missing = analysis?.meshes.filter((m) => !m.path) ?? [];
+  const unsupported = analysis?.meshes.filter((m) => m.path && !m.supported) ?? [];
+  const found = analysis ? analysis.meshes.length - missing.length : 0;
+  const manufacturerNames = Object.keys(getManufacturers());
+
+  return (
+    <div className="flex flex-col gap-4">
+
+      {/* ── Drop zone ── */}
+      <div className={sectionCls}>
+        <p className={labelCls}>Import Robot (URDF)</p>
+        <div
+          onDragOver={(e) => { e.preventDefault(); setDragOver(true); }}
+          onDragLeave={() => setDragOver(false)}
+          onDrop={handleDrop}
+          className={
+            'rounded border-2 border-dashed px-3 py-5 text-center text-xs transition-colors ' +
+            (dragOver
+              ? 'border-blue-500 bg-blue-900/30 text-blue-200'
+              : 'border-gray-600 text-gray-400')
+          }
+        >
+          {status === 'reading'
+            ? 'Reading bundle…'
+            : 'Drop a folder or .zip containing a .urdf and its meshes'}
+        </div>
+        <div className="flex gap-2">
+          <label className="flex-1 text-center cursor-pointer bg-gray-700 hover:bg-gray-600 text-gray-200 font-medium py-1.5 rounded text-xs transition-colors">
+            Choose Folder
+            <input type="file" webkitdirectory="" multiple onChange={handlePick} className="hidden" />
+          </label>
+          <label className="flex-1 text-center cursor-pointer bg-gray-700 hover:bg-gray-600 text-gray-200 font-medium py-1.5 rounded text-xs transition-colors">
+            Choose Zip
+            <input type="file" accept=".zip" onChange={handlePick} className="hidden" />
+          </label>
+        </div>
+        <p className="text-xs text-gray-600 -mt-1">
+          package:// and relative mesh paths are resolved inside the bundle. STL meshes only.
+        </p>
+      </div>
+
+      {error && (
+        <div className="rounded bg-red-900/30 border border-red-700/50 px-3 py-2 text-xs text-red-300">
+          {error}
+        </div>
+      )}
+
+      {status === 'saved' && (
+        <div className="rounded bg-green-900/40 border border-green-700 px-3 py-2 text-xs text-green-300">
+          ✓ Robot registered — pick it from the ROBOT tab.
+        </div>
+      )}
+
+      {/* ── Analysis + registration form ── */}
+      {analysis && form && (
+        <div className={`${sectionCls} border-t border-gray-700 pt-3`}>
+          <p className={labelCls}>Review</p>
+
+          {urdfPaths.length > 1 && (
+            <div className="flex flex-col gap-1">
+              <label className="text-xs text-gray-500">URDF file</label>
+              <select value={urdfPath} onChange={(e) => handleUrdfChange(e.target.value)} className={inputCls}>
+                {urdfPaths.map((p) => <option key={p} value={p}>{p}</option>)}
+              </select>
+            </div>
+          )}
+
+          <div className="rounded bg-gray-800 border border-gray-700 px-3 py-2 text-xs text-gray-300 flex flex-col gap-0.5">
+            <span>Robot: <span className="font-mono text-gray-100">{analysis.robotName}</span></span>
+            <span>{analysis.links.length} links · {analysis.movableJoints} movable joints</span>
+            <span className={missing.length ? 'text-amber-300' : 'text-green-300'}>
+              Meshes: {found}/{analysis.meshes.length} found
+            </span>
+          </div>
+
+          {missing.length > 0 && (
+            <div className="rounded bg-amber-900/30 border border-amber-700/50 px-3 py-2 text-xs text-amber-300">
+              Missing in bundle (links will render without geometry):
+              <ul className="mt-1 font-mono break-all">
+                {missing.map((m) => <li key={m.uri}>{m.uri}</li>)}
+              </ul>
+            </div>
+          )}
+          {unsupported.length > 0 && (
+            <div className="rounded bg-amber-900/30 border border-amber-700/50 px-3 py-2 text-xs text-amber-300">
+              Unsupported mesh format (only STL is rendered):
+              <ul className="mt-1 font-mono break-all">
+                {unsupported.map((m) => <li key={m.uri}>{m.uri}</li>)}
+              </ul>
+            </div>
+          )}
+
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-gray-500">Manufacturer</label>
+            <input
+              type="text"
+              list="import-manufacturers"
+              value={form.manufacturer}
+              onChange={(e) => setForm({ ...form, manufacturer: e.target.value })}
+              className={inputCls}
+            />
+            <datalist id="import-manufacturers">
+              {manufacturerNames.map((m) => <option key={m} value={m} />)}
+            </datalist>
+          </div>
+
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-gray-500">Model name</label>
+            <input
+              type="text"
+              value={form.name}
+              onChange={(e) => setForm({ ...form, name: e.target.value })}
+              className={inputCls}
+            />
+          </div>
+
+          <div className="flex gap-3">
+            <div className="flex flex-col gap-1 flex-1">
+              <label className="text-xs text-gray-500">Reach (mm)</label>
+              <input
+                type="number"
+                min="0"
+                step="10"
+                value={form.reachMm}
+                onChange={(e) => setForm({ ...form, reachMm: e.target.value })}
+                className={inputCls}
+              />
+            </div>
+            <div className="flex flex-col gap-1 flex-1">
+              <label className="text-xs text-gray-500">Height (m)</label>
+              <input
+                type="number"
+                min="0.1"
+                step="0.1"
+                value={form.height}
+                onChange={(e) => setForm({ ...form, height: e.target.value })}
+                className={inputCls}
+              />
+            </div>
+          </div>
+
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-gray-500">Tool flange link</label>
+            <select
+              value={form.lastLinkName}
+              onChange={(e) => setForm({ ...form, lastLinkName: e.target.value })}
+              className={inputCls}
+            >
+              {analysis.links.map((l) => <option key={l} value={l}>{l}</option>)}
+            </select>
+          </div>
+
+          <div className="flex gap-2">
+            <button
+              onClick={handleRegister}
+              disabled={status === 'saving'}
+              className="flex-1 bg-blue-600 hover:bg-blue-500 active:bg-blue-700 text-white font-semibold py-2 px-4 rounded text-sm transition-colors disabled:opacity-50"
+            >
+              {status === 'saving' ? 'Saving…' : 'Register Model'}
+            </button>
+            <button
+              onClick={reset}
+              className="bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-2 px-4 rounded text-sm transition-colors"
+            >
+              Cancel
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* ── Imported models ── */}
+      <div className={`${sectionCls} border-t border-gray-700 pt-3`}>
+        <p className={labelCls}>Imported Models</p>
+        {importedRobotModels.length === 0 ? (
+          <p className="text-xs text-gray-500 italic px-1">No imported robots yet.</p>
+        ) : (
+          <div className="flex flex-col gap-2">
+            {importedRobotModels.map((m) => (
+              <div
+                key={m.id}
+                className="flex items-center gap-2 bg-gray-800 border border-gray-700 rounded px-3 py-2"
+              >
+                <div className="flex flex-col flex-1 min-w-0">
+                  <span className="text-sm text-gray-100 font-medium truncate" title={m.name}>{m.name}</span>
+                  <span className="text-xs text-gray-500 truncate">
+                    {m.manufacturer} · {m.reach_mm} mm reach
+                  </span>
+                </div>
+                <button
+                  onClick={() => handleDelete(m)}
+                  className="text-xs font-medium px-2 py-0.5 rounded transition-colors bg-gray-700 hover:bg-red-800 text-gray-300 hover:text-white"
+                >
+                  Delete
+                </button>
+              </div>
+            ))}
+          </div>
+        )}
+      </div>
+
+    </div>
+  );
+}
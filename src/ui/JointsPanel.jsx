@@ -11,11 +11,38 @@
  *     → robotJointAngles[robotId][jointName] = radians
  *   URDFRobot watches robotJointAngles and calls setJointValue live
  *
+ * TCP readout:
+ *   URDFRobot also publishes the root → flange kinematic chain
+ *     → robotKinematics[robotId]
+ *   The panel runs forward kinematics on the store angles (utils/kinematics.js)
+ *   with the attached gripper's length added along the flange Z axis, and
+ *   shows the pose in world and robot base frames. "Show tool frame" draws
+ *   XYZ triads at the flange and tool tip (scene/ToolFrameAxes.jsx).
+ *   Dragging the tool-tip sphere (scene/TcpGizmo.jsx) solves IK and writes
+ *   robotJointAngles, so the sliders here follow the jog.
+ *
+ * Reach envelope:
+ *   Global toggles for the sampled 3D reach envelope and a horizontal slice
+ *   at a chosen height (scene/ReachEnvelope.jsx), plus the selected robot's
+ *   reach figures from the same mount-clipped profile.
+ *
+ * Waypoint programs (teach + playback) are in ProgramPanel.jsx.
+ *
  * Robots without a URDF (placeholder models) show an informational warning.
  */
 
 import { useEffect, useState } from 'react';
+import grippersConfig from '../config/grippers_config.json';
 import useSceneStore from '../store/sceneStore';
+import { getRobotToolLength } from '../utils/gripperUtils';
+import { computeTcpPose } from '../utils/kinematics';
+import {
+  baseHeightAt,
+  getReachProfile,
+  mountedReachProfile,
+  sliceReachProfile,
+} from '../utils/reachEnvelope';
+import ProgramPanel from './ProgramPanel';
 
 const DEG2RAD = Math.PI / 180;
 const RAD2DEG = 180 / Math.PI;
@@ -88,12 +115,167 @@ function JointRow({ robotId, joint, angle }) {
   );
 }
 
+// ─── TCP pose readout ────────────────────────────────────────────────────────
+
+function PoseRows({ title, pose }) {
+  const valueCls = 'font-mono text-gray-100';
+  return (
+    <div className="flex flex-col gap-0.5">
+      <span className="text-xs text-gray-500">{title}</span>
+      <div className="grid grid-cols-3 gap-x-2 text-xs text-gray-400">
+        <span>X <span className={valueCls}>{pose.position[0].toFixed(3)}</span></span>
+        <span>Y <span className={valueCls}>{pose.position[1].toFixed(3)}</span></span>
+        <span>Z <span className={valueCls}>{pose.position[2].toFixed(3)}</span></span>
+        <span>R <span className={valueCls}>{(pose.rpy[0] * RAD2DEG).toFixed(1)}°</span></span>
+        <span>P <span className={valueCls}>{(pose.rpy[1] * RAD2DEG).toFixed(1)}°</span></span>
+        <span>Y <span className={valueCls}>{(pose.rpy[2] * RAD2DEG).toFixed(1)}°</span></span>
+      </div>
+    </div>
+  );
+}
+
+function TcpReadout({ robot, chain, angles }) {
+  const showToolFrames = useSceneStore((s) => s.showToolFrames);
+  const setShowToolFrames = useSceneStore((s) => s.setShowToolFrames);
+
+  const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+  const toolLength = getRobotToolLength(robot);
+  const gripperName = grippersConfig.grippers.find((g) => g.id === robot.gripperId)?.name;
+  const tcp = chain ? computeTcpPose(robot, chain, angles, toolLength) : null;
+
+  return (
+    <div className="flex flex-col gap-2 border-t border-gray-700 pt-3">
+      <p className={labelCls}>Tool Center Point</p>
+
+      {tcp ? (
+        <>
+          <PoseRows title="World (m, floor X/Y/Z)" pose={tcp.world} />
+          <PoseRows title="Robot base frame (m)" pose={tcp.base} />
+          <p className="text-xs text-gray-500">
+            Drag the cyan sphere at the tool tip in the viewport to jog the TCP
+            (hold Shift to move vertically).
+          </p>
+          <p className="text-xs text-gray-500">
+            Tool: {gripperName
+              ? `${gripperName} · ${Math.round(toolLength * 1000)} mm past flange`
+              : 'bare flange (no gripper)'}
+          </p>
+        </>
+      ) : (
+        <p className="text-xs text-gray-500 italic px-1">
+          TCP unavailable — the tool flange link was not found in this URDF.
+        </p>
+      )}
+
+      <label className="flex items-center gap-2 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          checked={showToolFrames}
+          onChange={(e) => setShowToolFrames(e.target.checked)}
+          className="accent-blue-500 w-3.5 h-3.5"
+        />
+        <span className="text-xs text-gray-300">Show tool frame (XYZ axes)</span>
+      </label>
+    </div>
+  );
+}
+
+// ─── Reach envelope ──────────────────────────────────────────────────────────
+
+function ReachSection({ robot, chain, meta }) {
+  const showReachEnvelope = useSceneStore((s) => s.showReachEnvelope);
+  const setShowReachEnvelope = useSceneStore((s) => s.setShowReachEnvelope);
+  const reachSlice = useSceneStore((s) => s.reachSlice);
+  const setReachSlice = useSceneStore((s) => s.setReachSlice);
+
+  const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+  const valueCls = 'font-mono text-gray-100';
+  const scale = robot.scale ?? 1;
+  const profile = mountedReachProfile(
+    getReachProfile(robot.modelId, chain, meta, getRobotToolLength(robot)),
+    robot
+  );
+  const slice = profile ? sliceReachProfile(profile, baseHeightAt(robot, reachSlice.height)) : null;
+
+  // Reachable heights above the floor, from the base-frame profile limits
+  const heights = profile
+    ? [profile.zMin, profile.zMax]
+        .map((z) => (robot.mountType === 'ceiling' ? robot.position[2] - z * scale : robot.position[2] + z * scale))
+        .sort((a, b) => a - b)
+    : null;
+
+  return (
+    <div className="flex flex-col gap-2 border-t border-gray-700 pt-3">
+      <p className={labelCls}>Reach Envelope</p>
+
+      {profile ? (
+        <div className="flex flex-col gap-0.5 text-xs text-gray-400">
+          <span>Max reach <span className={valueCls}>{(profile.maxRadius * scale).toFixed(3)} m</span></span>
+          <span>
+            Tool height <span className={valueCls}>{heights[0].toFixed(2)}</span> to{' '}
+            <span className={valueCls}>{heights[1].toFixed(2)} m</span> above floor
+          </span>
+          {reachSlice.enabled && (
+            <span>
+              At {reachSlice.height.toFixed(2)} m{' '}
+              {slice ? (
+                <span className={valueCls}>
+                  {(slice.inner * scale).toFixed(3)}–{(slice.outer * scale).toFixed(3)} m
+                </span>
+              ) : (
+                <span className="text-amber-400">out of reach</span>
+              )}
+            </span>
+          )}
+        </div>
+      ) : (
+        <p className="text-xs text-gray-500 italic px-1">
+          Envelope unavailable — no reachable volume above the floor.
+        </p>
+      )}
+
+      <label className="flex items-center gap-2 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          checked={showReachEnvelope}
+          onChange={(e) => setShowReachEnvelope(e.target.checked)}
+          className="accent-blue-500 w-3.5 h-3.5"
+        />
+        <span className="text-xs text-gray-300">Show 3D envelope</span>
+      </label>
+      <label className="flex items-center gap-2 cursor-pointer select-none">
+        <input
+          type="checkbox"
+          checked={reachSlice.enabled}
+          onChange={(e) => setReachSlice({ enabled: e.target.checked })}
+          className="accent-blue-500 w-3.5 h-3.5"
+        />
+        <span className="text-xs text-gray-300">Show slice at height</span>
+        <span className="text-xs text-blue-300 font-mono ml-auto">{reachSlice.height.toFixed(2)} m</span>
+      </label>
+      <input
+        type="range"
+        min={0}
+        max={4}
+        step={0.05}
+        value={reachSlice.height}
+        onChange={(e) => setReachSlice({ height: Number(e.target.value), enabled: true })}
+        className="w-full accent-blue-500"
+      />
+      <p className="text-xs text-gray-500">
+        Envelope and slice apply to every URDF robot, in both 3D and 2D views.
+      </p>
+    </div>
+  );
+}
+
 // ─── Panel ───────────────────────────────────────────────────────────────────
 
 export default function JointsPanel() {
   const deployedRobots = useSceneStore((s) => s.deployedRobots);
   const robotJointMeta = useSceneStore((s) => s.robotJointMeta);
   const robotJointAngles = useSceneStore((s) => s.robotJointAngles);
+  const robotKinematics = useSceneStore((s) => s.robotKinematics);
   const clearRobotJoints = useSceneStore((s) => s.clearRobotJoints);
   const setRobotTrackPosition = useSceneStore((s) => s.setRobotTrackPosition);
   const storeSelectedRobotId = useSceneStore((s) => s.selectedRobotId);
@@ -225,6 +407,25 @@ export default function JointsPanel() {
             </div>
           )}
 
+          {/* URDF robot — loaded, live TCP pose */}
+          {robot.urdf && meta !== null && selectedRobotId in robotKinematics && (
+            <TcpReadout
+              robot={robot}
+              chain={robotKinematics[selectedRobotId]}
+              angles={angles}
+            />
+          )}
+
+          {/* URDF robot — loaded, sampled reach envelope */}
+          {robot.urdf && meta !== null && meta.length > 0 && robotKinematics[selectedRobotId] && (
+            <ReachSection robot={robot} chain={robotKinematics[selectedRobotId]} meta={meta} />
+          )}
+
+          {/* URDF robot — waypoint program + playback */}
+          {robot.urdf && meta !== null && meta.length > 0 && (
+            <ProgramPanel robotId={selectedRobotId} meta={meta} />
+          )}
+
           {/* URDF robot — no controllable joints (edge case) */}
           {robot.urdf && meta !== null && meta.length === 0 && (
             <p className="text-xs text-gray-500 italic px-1">
@@ -0,0 +1,198 @@
+/**
+ * PatternPanel.jsx
+ *
+ * Settings for the pattern tool (store patternTool), opened from the ▦
+ * button on a ROBOTS / EQUIPMENT row. Lays copies of that robot or object
+ * out as:
+ *   - Linear:   count copies, spacing apart, along a plan direction
+ *   - Grid:     rows × columns, with row / column spacing and an angle
+ *   - Circular: count copies around a centre (typed, or "Pick" then click the
+ *               floor) over a sweep angle, optionally facing the centre
+ *
+ * PatternPreview shows the copies in the viewport while the settings change;
+ * Apply creates them (store applyPattern), Cancel discards the preview.
+ *
+ * Must be placed as a sibling of the R3F Canvas inside the relative-
+ * positioned canvas wrapper div in App.jsx, like SelectionHUD.
+ */
+
+import useSceneStore from '../store/sceneStore';
+import { MAX_PATTERN_COPIES, defaultPattern } from '../utils/patternUtils';
+
+const btnCls =
+  'px-2 py-1 rounded border border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200 transition-colors';
+const inputCls =
+  'w-16 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs text-gray-100 ' +
+  'focus:outline-none focus:border-blue-500 text-center';
+
+const TYPES = [
+  { value: 'linear', label: 'Linear' },
+  { value: 'grid', label: 'Grid' },
+  { value: 'circular', label: 'Circular' },
+];
+
+/** Copies the pattern asks for, before the MAX_PATTERN_COPIES cap */
+function requestedCopies(pattern) {
+  return pattern.type === 'grid' ? pattern.rows * pattern.columns - 1 : pattern.count;
+}
+
+/** Most rows or columns: one row of this many already reaches the copy cap */
+const MAX_PATTERN_SIDE = MAX_PATTERN_COPIES + 1;
+
+/** Labelled number input clamped to [min, max]; ignores partial input such as "" or "-". */
+function NumberField({ label, unit, value, onChange, min, max, step = 0.1, integer = false }) {
+  function handleChange(e) {
+    const v = Number(e.target.value);
+    if (e.target.value === '' || !Number.isFinite(v)) return;
+    let clean = integer ? Math.round(v) : v;
+    if (min !== undefined) clean = Math.max(min, clean);
+    if (max !== undefined) clean = Math.min(max, clean);
+    onChange(clean);
+  }
+  return (
+    <label className="flex items-center justify-between gap-2 text-gray-400">
+      <span>{label}</span>
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          value={value}
+          min={min}
+          max={max}
+          step={integer ? 1 : step}
+          onChange={handleChange}
+          className={inputCls}
+        />
+        <span className="w-3 text-gray-500">{unit}</span>
+      </span>
+    </label>
+  );
+}
+
+export default function PatternPanel() {
+  const tool = useSceneStore((s) => s.patternTool);
+  const source = useSceneStore((s) => {
+    if (!s.patternTool) return null;
+    const list = s.patternTool.kind === 'robot' ? s.deployedRobots : s.sceneObjects;
+    return list.find((e) => e.id === s.patternTool.id) ?? null;
+  });
+
+  if (!tool || !source) return null;
+
+  const { setPattern, startPatternCentrePick, applyPattern, closePatternTool } = useSceneStore.getState();
+  const { pattern } = tool;
+  const update = (changes) => setPattern({ ...pattern, ...changes });
+  const sourceLabel = tool.kind === 'robot'
+    ? `${source.manufacturer} ${source.model} #${source.id.split('-').pop()}`
+    : source.name;
+  const requested = requestedCopies(pattern);
+  const copies = Math.min(requested, MAX_PATTERN_COPIES);
+
+  return (
+    <div className="absolute top-16 right-3 z-10 w-60 flex flex-col gap-1.5 bg-black/75 text-xs px-3 py-2 rounded select-none">
+      <p className="text-cyan-300 font-semibold truncate" title={sourceLabel}>Pattern: {sourceLabel}</p>
+
+      <div className="flex gap-1">
+        {TYPES.map((t) => (
+          <button
+            key={t.value}
+            onClick={() => pattern.type !== t.value && setPattern(defaultPattern(t.value, source))}
+            className={
+              'flex-1 px-1 py-0.5 rounded border transition-colors ' +
+              (pattern.type === t.value
+                ? 'border-cyan-500 bg-cyan-900/60 text-cyan-200'
+                : 'border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-300')
+            }
+          >
+            {t.label}
+          </button>
+        ))}
+      </div>
+
+      {pattern.type === 'linear' && (
+        <>
+          <NumberField label="Copies" value={pattern.count} min={1} max={MAX_PATTERN_COPIES} integer onChange={(count) => update({ count })} />
+          <NumberField label="Spacing" unit="m" value={pattern.spacing} onChange={(spacing) => update({ spacing })} />
+          <NumberField label="Direction" unit="°" value={pattern.angle} step={15} onChange={(angle) => update({ angle })} />
+        </>
+      )}
+
+      {pattern.type === 'grid' && (
+        <>
+          <NumberField label="Columns" value={pattern.columns} min={1} max={MAX_PATTERN_SIDE} integer onChange={(columns) => update({ columns })} />
+          <NumberField label="Rows" value={pattern.rows} min={1} max={MAX_PATTERN_SIDE} integer onChange={(rows) => update({ rows })} />
+          <NumberField label="Column spacing" unit="m" value={pattern.columnSpacing} onChange={(columnSpacing) => update({ columnSpacing })} />
+          <NumberField label="Row spacing" unit="m" value={pattern.rowSpacing} onChange={(rowSpacing) => update({ rowSpacing })} />
+          <NumberField label="Angle" unit="°" value={pattern.angle} step={15} onChange={(angle) => update({ angle })} />
+        </>
+      )}
+
+      {pattern.type === 'circular' && (
+        <>
+          <NumberField label="Copies" value={pattern.count} min={1} max={MAX_PATTERN_COPIES} integer onChange={(count) => update({ count })} />
+          <div className="flex items-center justify-between gap-1 text-gray-400">
+            <span>Centre</span>
+            <span className="flex items-center gap-1">
+              <input
+                type="number"
+                value={pattern.centre[0]}
+                step={0.1}
+                onChange={(e) => e.target.value !== '' && update({ centre: [Number(e.target.value), pattern.centre[1]] })}
+                className={inputCls + ' w-12'}
+                title="Centre X (m)"
+              />
+              <input
+                type="number"
+                value={pattern.centre[1]}
+                step={0.1}
+                onChange={(e) => e.target.value !== '' && update({ centre: [pattern.centre[0], Number(e.target.value)] })}
+                className={inputCls + ' w-12'}
+                title="Centre Y (m)"
+              />
+              <button
+                onClick={startPatternCentrePick}
+                title="Click the floor to set the centre"
+                className={
+                  'px-1.5 py-0.5 rounded border transition-colors ' +
+                  (tool.picking
+                    ? 'border-cyan-500 bg-cyan-900/60 text-cyan-200'
+                    : 'border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200')
+                }
+              >
+                Pick
+              </button>
+            </span>
+          </div>
+          {tool.picking && <p className="text-cyan-300 italic">Click the floor to set the centre…</p>}
+          <NumberField label="Sweep" unit="°" value={pattern.sweep} step={15} onChange={(sweep) => update({ sweep })} />
+          <label className="flex items-center gap-2 text-gray-400 cursor-pointer">
+            <input
+              type="checkbox"
+              checked={pattern.faceInward}
+              onChange={(e) => update({ faceInward: e.target.checked })}
+            />
+            Face the centre
+          </label>
+        </>
+      )}
+
+      <p className="text-gray-400">
+        {copies} cop{copies === 1 ? 'y' : 'ies'}
+        {requested > MAX_PATTERN_COPIES && (
+          <span className="text-amber-300"> (limited to {MAX_PATTERN_COPIES})</span>
+        )}
+      </p>
+      <div className="flex gap-2">
+        <button
+          onClick={applyPattern}
+          disabled={copies < 1}
+          className="flex-1 px-2 py-1 rounded border border-cyan-600 bg-cyan-800 hover:bg-cyan-700 text-cyan-50 transition-colors disabled:opacity-40"
+        >
+          Apply
+        </button>
+        <button onClick={closePatternTool} className={btnCls}>
+          Cancel
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,246 @@
+/**
+ * ProgramPanel.jsx
+ *
+ * Waypoint program section of the JOINTS tab, for one robot.
+ *
+ * Teaching:
+ *   "+ Waypoint" records the current robotJointAngles as a named pose
+ *   (addWaypoint). Each waypoint can be renamed, re-taught from the current
+ *   pose, jumped to, reordered, or deleted.
+ *
+ * Playback (driven in the canvas by scene/ProgramPlayer.jsx):
+ *   Play / Pause / Stop, Loop, a speed % that scales the URDF joint velocity
+ *   limits, and a timeline slider for scrubbing. Scrubbing pauses playback
+ *   and writes the sampled pose immediately.
+ *
+ * Programs live in robotPrograms and are saved with the scene.
+ *
+ * Export: writes the program as native controller code for the robot's
+ * manufacturer — ABB RAPID, FANUC TP (.ls) or URScript — including the
+ * layout origin as a work object / user frame (utils/programExport.js).
+ *
+ * @param {string} props.robotId - Robot whose program is shown
+ * @param {Array}  props.meta    - robotJointMeta entry for the robot
+ */
+
+import useSceneStore from '../store/sceneStore';
+import { downloadFile } from '../utils/download';
+import { exportRobotProgram, getProgramDialect } from '../utils/programExport';
+import { buildTrajectory, sampleTrajectory } from '../utils/trajectoryUtils';
+
+const EMPTY_WAYPOINTS = [];
+const IDLE_PLAYBACK = { time: 0, playing: false };
+
+const smallBtnCls =
+  'text-xs text-gray-400 hover:text-white px-1 rounded hover:bg-gray-700 transition-colors ' +
+  'leading-none disabled:opacity-30 disabled:hover:bg-transparent';
+
+export default function ProgramPanel({ robotId, meta }) {
+  const program = useSceneStore((s) => s.robotPrograms[robotId]);
+  const playback = useSceneStore((s) => s.programPlayback[robotId] ?? IDLE_PLAYBACK);
+  const addWaypoint = useSceneStore((s) => s.addWaypoint);
+  const updateWaypoint = useSceneStore((s) => s.updateWaypoint);
+  const removeWaypoint = useSceneStore((s) => s.removeWaypoint);
+  const moveWaypoint = useSceneStore((s) => s.moveWaypoint);
+  const setProgramOptions = useSceneStore((s) => s.setProgramOptions);
+  const setProgramPlayback = useSceneStore((s) => s.setProgramPlayback);
+  const setRobotJointAngles = useSceneStore((s) => s.setRobotJointAngles);
+  const manufacturer = useSceneStore((s) => s.deployedRobots.find((r) => r.id === robotId)?.manufacturer);
+
+  const waypoints = program?.waypoints ?? EMPTY_WAYPOINTS;
+  const speedPercent = program?.speedPercent ?? 100;
+  const loop = program?.loop ?? false;
+  const trajectory = buildTrajectory(waypoints, meta, speedPercent);
+  const canPlay = trajectory.segments.length > 0;
+  const dialect = getProgramDialect(manufacturer);
+
+  const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+
+  function currentAngles() {
+    const angles = useSceneStore.getState().robotJointAngles[robotId] ?? {};
+    return { ...Object.fromEntries(meta.map((j) => [j.name, 0])), ...angles };
+  }
+
+  function handleGoTo(waypoint) {
+    setProgramPlayback(robotId, { playing: false });
+    setRobotJointAngles(robotId, waypoint.angles);
+  }
+
+  function handlePlayPause() {
+    if (playback.playing) {
+      setProgramPlayback(robotId, { playing: false });
+      return;
+    }
+    // Restart from the beginning when play is pressed at the end
+    const time = playback.time >= trajectory.duration ? 0 : playback.time;
+    setProgramPlayback(robotId, { playing: true, time });
+  }
+
+  function handleStop() {
+    setProgramPlayback(robotId, { playing: false, time: 0 });
+    if (waypoints.length > 0) setRobotJointAngles(robotId, waypoints[0].angles);
+  }
+
+  function handleScrub(e) {
+    const time = Number(e.target.value);
+    setProgramPlayback(robotId, { playing: false, time });
+    const angles = sampleTrajectory(trajectory, time);
+    if (angles) setRobotJointAngles(robotId, angles);
+  }
+
+  function handleExport() {
+    const state = useSceneStore.getState();
+    const robot = state.deployedRobots.find((r) => r.id === robotId);
+    const result = exportRobotProgram(robot, {
+      meta,
+      program,
+      currentAngles: currentAngles(),
+    });
+    if (result) downloadFile(result.filename, result.content);
+  }
+
+  return (
+    <div className="flex flex-col gap-2 border-t border-gray-700 pt-3">
+      <div className="flex items-center justify-between">
+        <p className={labelCls}>Program</p>
+        <button
+          onClick={() => addWaypoint(robotId)}
+          title="Record the current pose as a waypoint"
+          className="text-xs font-medium px-2 py-0.5 rounded transition-colors bg-blue-700 hover:bg-blue-600 text-white"
+        >
+          + Waypoint
+        </button>
+      </div>
+
+      {waypoints.length === 0 ? (
+        <p className="text-xs text-gray-500 italic px-1">
+          No waypoints yet. Pose the robot, then click + Waypoint.
+        </p>
+      ) : (
+        <div className="flex flex-col gap-1">
+          {waypoints.map((w, i) => (
+            <div key={w.id} className="flex items-center gap-1 bg-gray-800 border border-gray-700 rounded px-2 py-1">
+              <span className="text-xs text-gray-500 w-4 flex-shrink-0">{i + 1}</span>
+              <input
+                type="text"
+                value={w.name}
+                onChange={(e) => updateWaypoint(robotId, w.id, { name: e.target.value })}
+                className="bg-transparent text-xs text-gray-100 flex-1 min-w-0 focus:outline-none focus:bg-gray-700 rounded px-1"
+              />
+              <span className="text-xs text-gray-500 font-mono flex-shrink-0" title="Arrival time">
+                {trajectory.arrivals[i].toFixed(1)}s
+              </span>
+              <button onClick={() => handleGoTo(w)} title="Move robot to this waypoint" className={smallBtnCls}>
+                Go
+              </button>
+              <button
+                onClick={() => updateWaypoint(robotId, w.id, { angles: currentAngles() })}
+                title="Re-teach from the current pose"
+                className={smallBtnCls}
+              >
+                Set
+              </button>
+              <button onClick={() => moveWaypoint(robotId, w.id, -1)} disabled={i === 0} title="Move up" className={smallBtnCls}>
+                ↑
+              </button>
+              <button
+                onClick={() => moveWaypoint(robotId, w.id, 1)}
+                disabled={i === waypoints.length - 1}
+                title="Move down"
+                className={smallBtnCls}
+              >
+                ↓
+              </button>
+              <button
+                onClick={() => removeWaypoint(robotId, w.id)}
+                title="Delete waypoint"
+                className="text-xs text-gray-500 hover:text-red-400 px-1 rounded hover:bg-gray-700 transition-colors leading-none"
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* ── Playback ── */}
+      <div className="flex items-center gap-2">
+        <button
+          onClick={handlePlayPause}
+          disabled={!canPlay}
+          className="flex-1 bg-green-700 hover:bg-green-600 active:bg-green-800 text-white font-semibold py-1.5 rounded text-xs transition-colors disabled:opacity-40"
+        >
+          {playback.playing ? '❚❚ Pause' : '▶ Play'}
+        </button>
+        <button
+          onClick={handleStop}
+          disabled={!canPlay}
+          className="flex-1 bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-1.5 rounded text-xs transition-colors disabled:opacity-40"
+        >
+          ■ Stop
+        </button>
+        <label className="flex items-center gap-1.5 cursor-pointer select-none">
+          <input
+            type="checkbox"
+            checked={loop}
+            onChange={(e) => setProgramOptions(robotId, { loop: e.target.checked })}
+            className="accent-blue-500 w-3.5 h-3.5"
+          />
+          <span className="text-xs text-gray-300">Loop</span>
+        </label>
+      </div>
+
+      {/* Timeline */}
+      <div className="flex flex-col gap-0.5">
+        <input
+          type="range"
+          min={0}
+          max={trajectory.duration || 0}
+          step={0.01}
+          value={Math.min(playback.time, trajectory.duration)}
+          onChange={handleScrub}
+          disabled={!canPlay}
+          className="w-full accent-green-500"
+        />
+        <div className="flex justify-between text-xs text-gray-600 -mt-0.5 font-mono">
+          <span>{Math.min(playback.time, trajectory.duration).toFixed(2)} s</span>
+          <span>{trajectory.duration.toFixed(2)} s</span>
+        </div>
+      </div>
+
+      {/* Speed — scales every joint's URDF velocity limit */}
+      <div className="flex flex-col gap-0.5">
+        <div className="flex items-center justify-between">
+          <span className="text-xs text-gray-500">Speed</span>
+          <span className="text-xs text-blue-300 font-mono">{speedPercent}%</span>
+        </div>
+        <input
+          type="range"
+          min={5}
+          max={100}
+          step={5}
+          value={speedPercent}
+          onChange={(e) => setProgramOptions(robotId, { speedPercent: Number(e.target.value) })}
+          className="w-full accent-blue-500"
+        />
+      </div>
+
+      {/* Native program export */}
+      {dialect ? (
+        <button
+          onClick={handleExport}
+          title={waypoints.length > 0
+            ? `Download the program as ${dialect.label} (.${dialect.extension})`
+            : `Download the current pose as ${dialect.label} (.${dialect.extension})`}
+          className="w-full bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 font-semibold py-1.5 rounded text-xs transition-colors"
+        >
+          Export {dialect.label}
+        </button>
+      ) : (
+        <p className="text-xs text-gray-500 italic px-1">
+          No native program export for {manufacturer ?? 'this manufacturer'}.
+        </p>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,72 @@
+/**
+ * RecoveryBanner.jsx
+ *
+ * Shown at startup when the previous session left an autosaved scene
+ * (utils/autosave.js) with robots or equipment in it. Restore loads it
+ * through restoreScene; Discard forgets it. Not offered when the page was
+ * opened from a share link, which brings its own scene.
+ *
+ * The snapshot is read once on mount and held here, so autosaves made while
+ * the banner is still up don't replace what Restore brings back.
+ *
+ * Must be placed as a sibling of the R3F Canvas inside the relative-
+ * positioned canvas wrapper div in App.jsx, like SelectionHUD.
+ */
+
+import { useState } from 'react';
+import useSceneStore from '../store/sceneStore';
+import { clearAutosave, readAutosave, readPendingRecovery } from '../utils/autosave';
+import { parseScene } from '../utils/sceneSchema';
+import { isShareLink } from '../utils/shareLink';
+
+const btnCls =
+  'px-2 py-1 rounded border border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200 transition-colors';
+
+/** The autosaved session worth offering, or null. */
+function findRecovery() {
+  if (isShareLink(window.location.hash)) return null;
+  return readPendingRecovery();
+}
+
+export default function RecoveryBanner() {
+  const [recovery, setRecovery] = useState(findRecovery);
+
+  if (!recovery) return null;
+
+  const { deployedRobots = [], sceneObjects = [] } = recovery.scene;
+  const when = recovery.savedAt
+    ? new Date(recovery.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : 'your last session';
+
+  function handleRestore() {
+    try {
+      // Recovered work is not saved anywhere but the autosave
+      useSceneStore.getState().restoreScene(parseScene(recovery.scene), { saved: false });
+    } catch (err) {
+      alert(`Could not restore the last session.\n\n${err.message}`);
+    }
+    setRecovery(null);
+  }
+
+  function handleDiscard() {
+    // Keep autosaves of work done since the banner appeared
+    if (readAutosave()?.savedAt === recovery.savedAt) clearAutosave();
+    setRecovery(null);
+  }
+
+  return (
+    <div className="absolute bottom-4 left-1/2 -translate-x-1/2 z-20 flex items-center gap-2 bg-black/75 text-xs px-3 py-2 rounded select-none">
+      <span className="text-amber-300 font-semibold">Unsaved work found</span>
+      <span className="text-gray-300 mr-1">
+        {when} · {deployedRobots.length} robot{deployedRobots.length === 1 ? '' : 's'},{' '}
+        {sceneObjects.length} object{sceneObjects.length === 1 ? '' : 's'}
+      </span>
+      <button className={btnCls} onClick={handleRestore} title="Reload the scene as it was when the app was last closed">
+        Restore
+      </button>
+      <button className={btnCls} onClick={handleDiscard} title="Start fresh and forget the autosaved scene">
+        Discard
+      </button>
+    </div>
+  );
+}
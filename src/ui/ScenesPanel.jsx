@@ -1,24 +1,66 @@
 /**
  * ScenesPanel.jsx
  *
- * "SAVES" tab — lists all scenes stored in browser localStorage.
- * Each scene can be loaded, exported to a .json file, or deleted.
- * An Import button lets users load .json files from disk (Documents,
- * Sharepoint, etc.) into localStorage.
+ * "SAVES" tab — lists the scenes in the active storage provider
+ * (src/utils/storageProviders.js): localStorage, IndexedDB, or the dev
+ * server's saves/ folder. The choice is remembered across sessions.
+ * Each scene can be loaded, exported to a .json file, copied to another
+ * provider, or deleted. An Import button lets users load .json files from
+ * disk (Documents, Sharepoint, etc.) into the active provider.
  *
  * Storage is managed by src/utils/sceneStorage.js.
+ *
+ * Saving also stores a thumbnail of the viewport (scene/ThumbnailCapture.jsx)
+ * and the tags and description from the save form; loading a scene fills
+ * the form in again. The list can be searched (name, description, tags,
+ * robot models), filtered by tag, manufacturer or robot count, and sorted.
+ *
+ * Insert… merges a saved scene into the current one at an offset and
+ * rotation (store insertScene), for assembling a factory from cells.
+ *
+ * Compare loads the "after" scene and overlays what changed since the
+ * "before" one (store comparison — scene/ComparisonOverlay.jsx,
+ * ui/ComparisonHUD.jsx) until the first edit. Load, Compare and loading a
+ * version ask first when that would lose unsaved work
+ * (autosave.js describeUnsavedWork).
+ *
+ * History lists a saved scene's earlier versions (one per save): any of them
+ * can be loaded, and "Changes" shows what that save changed from the one
+ * before (src/utils/sceneDiff.js).
+ *
+ * Share Link copies the current scene as a URL (src/utils/shareLink.js),
+ * either editable or read-only.
+ *
+ * Below the scenes, the Cell Library lists groups saved from any scene
+ * (src/utils/cellLibrary.js); Insert stamps a copy into the current scene
+ * with fresh ids, where it was when saved, selected for dragging into place.
  */
 
 import { useEffect, useState } from 'react';
 import useSceneStore from '../store/sceneStore';
 import {
+  buildScenePayload,
   listScenes,
   loadScene,
   deleteScene,
   saveScene,
+  copyScene,
+  listSceneVersions,
   exportSceneToFile,
   importSceneFromFile,
 } from '../utils/sceneStorage';
+import {
+  getActiveProviderId,
+  getStorageProvider,
+  listAvailableProviders,
+  setActiveProviderId,
+} from '../utils/storageProviders';
+import { deleteCell, listCells, loadCell } from '../utils/cellLibrary';
+import { describeUnsavedWork } from '../utils/autosave';
+import { diffScenes } from '../utils/sceneDiff';
+import { normalizeTags } from '../utils/sceneSummary';
+import { parseScene } from '../utils/sceneSchema';
+import { buildShareLink } from '../utils/shareLink';
 
 function formatDate(iso) {
   if (!iso) return '';
@@ -28,38 +70,285 @@ function formatDate(iso) {
     + d.toLocaleTimeString(undefined, { hour: '2-digit', minute: '2-digit' });
 }
 
+const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+const btnCls = (color) =>
+  `text-xs font-medium px-2 py-0.5 rounded transition-colors ${color}`;
+
+// ─── Cell library ─────────────────────────────────────────────────────────────
+
+function CellLibrary() {
+  const [cells, setCells] = useState(() => listCells());
+
+  function handleInsert(name) {
+    const cell = loadCell(name);
+    if (!cell) { alert(`Cell "${name}" not found.`); return; }
+    useSceneStore.getState().stampCell(cell, cell.origin ?? [0, 0]);
+  }
+
+  function handleDelete(name) {
+    if (!window.confirm(`Delete cell "${name}" from the library?`)) return;
+    deleteCell(name);
+    setCells(listCells());
+  }
+
+  return (
+    <div className="flex flex-col gap-2 border-t border-gray-700 pt-3">
+      <div className="flex items-center justify-between">
+        <p className={labelCls}>Cell Library</p>
+        <button
+          onClick={() => setCells(listCells())}
+          title="Refresh list"
+          className="text-gray-500 hover:text-gray-200 text-sm leading-none px-1 rounded hover:bg-gray-700 transition-colors"
+        >
+          &#x27F3;
+        </button>
+      </div>
+
+      {cells.length === 0 ? (
+        <p className="text-xs text-gray-500 italic">
+          No cells yet. Select a group in the viewport and click Save cell.
+        </p>
+      ) : (
+        cells.map((cell) => (
+          <div
+            key={cell.name}
+            className="flex items-center gap-1.5 bg-gray-800 border border-gray-700 rounded px-3 py-2"
+          >
+            <div className="flex-1 min-w-0">
+              <p className="text-sm text-gray-100 font-medium truncate" title={cell.name}>{cell.name}</p>
+              <p className="text-xs text-gray-500">
+                {cell.robotCount} robot{cell.robotCount === 1 ? '' : 's'} · {cell.objectCount} object{cell.objectCount === 1 ? '' : 's'}
+              </p>
+            </div>
+            <button
+              onClick={() => handleInsert(cell.name)}
+              title="Stamp a copy of this cell into the scene"
+              className={btnCls('bg-blue-700 hover:bg-blue-600 text-white')}
+            >
+              Insert
+            </button>
+            <button
+              onClick={() => handleDelete(cell.name)}
+              className={btnCls('bg-gray-700 hover:bg-red-800 text-gray-300 hover:text-white')}
+            >
+              Delete
+            </button>
+          </div>
+        ))
+      )}
+    </div>
+  );
+}
+
+// ─── Search, filter and sort ──────────────────────────────────────────────────
+
+/** How long Save waits for a viewport thumbnail before saving without one */
+const THUMBNAIL_TIMEOUT_MS = 1000;
+
+const ROBOT_COUNT_FILTERS = {
+  any:  { label: 'Any robots', test: () => true },
+  none: { label: 'No robots', test: (n) => n === 0 },
+  few:  { label: '1\u20132 robots', test: (n) => n >= 1 && n <= 2 },
+  some: { label: '3\u20135 robots', test: (n) => n >= 3 && n <= 5 },
+  many: { label: '6+ robots', test: (n) => n >= 6 },
+};
+
+const SORTS = {
+  newest: { label: 'Newest first', compare: (a, b) => (b.savedAt > a.savedAt ? 1 : -1) },
+  oldest: { label: 'Oldest first', compare: (a, b) => (a.savedAt > b.savedAt ? 1 : -1) },
+  name:   { label: 'Name A\u2013Z', compare: (a, b) => a.name.localeCompare(b.name) },
+  robots: { label: 'Most robots', compare: (a, b) => b.robotCount - a.robotCount },
+};
+
+const EMPTY_FILTERS = { search: '', tag: '', manufacturer: '', robots: 'any', sort: 'newest' };
+
+/** Scenes matching the filters, sorted; demo scenes stay at the end. */
+function applyFilters(scenes, filters) {
+  const words = filters.search.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (scene) => {
+    const text = [scene.name, scene.description, ...scene.tags, ...scene.manufacturers, ...scene.models]
+      .join(' ').toLowerCase();
+    return words.every((w) => text.includes(w)) &&
+      (!filters.tag || scene.tags.includes(filters.tag)) &&
+      (!filters.manufacturer || scene.manufacturers.includes(filters.manufacturer)) &&
+      ROBOT_COUNT_FILTERS[filters.robots].test(scene.robotCount);
+  };
+  const { compare } = SORTS[filters.sort];
+  return scenes
+    .filter(matches)
+    .sort((a, b) => (a.isDemo === b.isDemo ? compare(a, b) : a.isDemo ? 1 : -1));
+}
+
+const selectCls =
+  'bg-gray-800 border border-gray-600 rounded px-1 py-1 text-xs text-gray-200 focus:outline-none focus:border-blue-500 min-w-0';
+
+function SceneFilters({ scenes, filters, onChange }) {
+  const tags = [...new Set(scenes.flatMap((s) => s.tags))].sort();
+  const manufacturers = [...new Set(scenes.flatMap((s) => s.manufacturers))].sort();
+  const update = (key) => (e) => onChange({ ...filters, [key]: e.target.value });
+
+  return (
+    <div className="flex flex-col gap-1.5">
+      <input
+        type="search"
+        value={filters.search}
+        onChange={update('search')}
+        placeholder="Search name, tags, description, robots\u2026"
+        className="bg-gray-800 border border-gray-600 rounded px-2 py-1 text-xs text-gray-100 focus:outline-none focus:border-blue-500 w-full"
+      />
+      <div className="grid grid-cols-2 gap-1.5">
+        <select value={filters.tag} onChange={update('tag')} className={selectCls}>
+          <option value="">All tags</option>
+          {tags.map((t) => <option key={t} value={t}>#{t}</option>)}
+        </select>
+        <select value={filters.manufacturer} onChange={update('manufacturer')} className={selectCls}>
+          <option value="">All makes</option>
+          {manufacturers.map((m) => <option key={m} value={m}>{m}</option>)}
+        </select>
+        <select value={filters.robots} onChange={update('robots')} className={selectCls}>
+          {Object.entries(ROBOT_COUNT_FILTERS).map(([key, f]) => <option key={key} value={key}>{f.label}</option>)}
+        </select>
+        <select value={filters.sort} onChange={update('sort')} className={selectCls}>
+          {Object.entries(SORTS).map(([key, s]) => <option key={key} value={key}>{s.label}</option>)}
+        </select>
+      </div>
+    </div>
+  );
+}
+
+// ─── Version history ──────────────────────────────────────────────────────────
+
+const DIFF_MARK = { added: '+', removed: '\u2212', changed: '~' };
+const DIFF_COLOR = { added: 'text-green-400', removed: 'text-red-400', changed: 'text-amber-300' };
+
+function SceneHistory({ provider, name }) {
+  const [versions, setVersions] = useState(null);
+  const [openIndex, setOpenIndex] = useState(null);
+
+  useEffect(() => {
+    listSceneVersions(provider, name)
+      .then(setVersions)
+      .catch(() => setVersions([]));
+  }, [provider, name]);
+
+  function handleRestore(version) {
+    try {
+      const scene = parseScene(version.scene);
+      const risk = describeUnsavedWork(useSceneStore.getState());
+      if (risk && !window.confirm(`Load this version of "${name}"? It replaces the current scene.\n\n${risk}`)) return;
+      useSceneStore.getState().restoreScene(scene);
+    } catch (err) {
+      alert(`Failed to load this version of "${name}".\n\n${err.message}`);
+    }
+  }
+
+  if (!versions) return <p className="text-xs text-gray-500 italic">Loading&hellip;</p>;
+  if (versions.length === 0) {
+    return <p className="text-xs text-gray-500 italic">No history — versions are kept from the next save on.</p>;
+  }
+
+  return (
+    <div className="flex flex-col gap-1 border-t border-gray-700 pt-1.5">
+      {versions.map((version, i) => {
+        const previous = versions[i + 1];
+        const changes = openIndex === i && previous ? diffScenes(previous.scene, version.scene) : null;
+        return (
+          <div key={version.savedAt + i} className="flex flex-col gap-0.5">
+            <div className="flex items-center gap-1.5">
+              <p className="flex-1 text-xs text-gray-400 truncate">
+                {formatDate(version.savedAt)}{i === 0 && ' (current)'}
+              </p>
+              {previous && (
+                <button
+                  onClick={() => setOpenIndex(openIndex === i ? null : i)}
+                  title="What this save changed from the version before"
+                  className={btnCls('bg-gray-700 hover:bg-gray-600 text-gray-300')}
+                >
+                  Changes
+                </button>
+              )}
+              <button
+                onClick={() => handleRestore(version)}
+                title="Load this version into the editor (the saved scene is unchanged until you save)"
+                className={btnCls('bg-gray-700 hover:bg-gray-600 text-gray-300')}
+              >
+                Load
+              </button>
+            </div>
+            {changes && (
+              changes.length === 0 ? (
+                <p className="text-xs text-gray-500 italic pl-2">No changes apart from the camera view</p>
+              ) : (
+                changes.map((line, j) => (
+                  <p key={j} className={`text-xs pl-2 ${DIFF_COLOR[line.type]}`}>
+                    {DIFF_MARK[line.type]} {line.text}
+                  </p>
+                ))
+              )
+            )}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
 const inputCls =
   'bg-gray-800 border border-gray-600 rounded px-2 py-1.5 text-sm text-gray-100 ' +
   'focus:outline-none focus:border-blue-500 w-full';
 
 export default function ScenesPanel() {
   const [scenes, setScenes] = useState([]);
-  const [loading, setLoading] = useState(false);
+  const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [loadingName, setLoadingName] = useState(null);
   const [deletingName, setDeletingName] = useState(null);
+  const [copyStatus, setCopyStatus] = useState(null); // null | { name, text }
+  const [historyName, setHistoryName] = useState(null);
+
+  // ── Storage provider ──
+  const [providers, setProviders] = useState(null); // null until availability is known
+  const [providerId, setProviderId] = useState(getActiveProviderId);
+  // Fall back to localStorage when the remembered provider is unavailable
+  // (e.g. saves/ outside the dev server)
+  const provider = providers
+    ? (providers.find((p) => p.id === providerId) ?? getStorageProvider('local'))
+    : null;
+  const otherProviders = providers?.filter((p) => p !== provider) ?? [];
 
   // ── Save form state ──
   const [sceneName, setSceneName] = useState('scene');
+  const [sceneTags, setSceneTags] = useState(''); // comma-separated
+  const [sceneDescription, setSceneDescription] = useState('');
+  const [filters, setFilters] = useState(EMPTY_FILTERS);
+  const [compareNames, setCompareNames] = useState({ before: '', after: '' });
+  const [insertForm, setInsertForm] = useState(null); // null | { name, x, y, rotation } (strings)
   const [saveStatus, setSaveStatus] = useState(null); // null | 'saving' | 'saved' | 'error'
+  const [shareStatus, setShareStatus] = useState(null); // null | 'copied' | message
 
-  function handleSaveScene() {
-    const s = useSceneStore.getState();
+  async function handleSaveScene() {
+    setSaveStatus('saving');
+    let timer;
+    const thumbnail = await Promise.race([
+      useSceneStore.getState().requestThumbnail(),
+      new Promise((resolve) => {
+        timer = setTimeout(() => {
+          // Drop the unanswered request so a later frame isn't captured for nobody
+          useSceneStore.getState().clearThumbnailRequest();
+          resolve(null);
+        }, THUMBNAIL_TIMEOUT_MS);
+      }),
+    ]);
+    clearTimeout(timer);
     const scene = {
-      version: 1,
-      savedAt: new Date().toISOString(),
-      deployedRobots:    s.deployedRobots,
-      sceneObjects:      s.sceneObjects,
-      nextRobotId:       s.nextRobotId,
-      nextObjectId:      s.nextObjectId,
-      robotJointAngles:  s.robotJointAngles,
-      snapToGridEnabled: s.snapToGridEnabled,
-      showLabels:        s.showLabels,
-      sceneSettings:     s.sceneSettings,
+      ...buildScenePayload(useSceneStore.getState()),
+      thumbnail,
+      tags: normalizeTags(sceneTags),
+      description: sceneDescription.trim(),
     };
-    setSaveStatus('saving');
     try {
-      saveScene(sceneName.trim() || 'scene', scene);
+      await saveScene(provider, sceneName.trim() || 'scene', scene);
+      useSceneStore.getState().markSceneSaved();
       setSaveStatus('saved');
       fetchScenes();
       setTimeout(() => setSaveStatus(null), 2000);
@@ -69,38 +358,113 @@ export default function ScenesPanel() {
     }
   }
 
-  function fetchScenes() {
+  async function handleShare(readOnly) {
+    try {
+      const url = await buildShareLink(buildScenePayload(useSceneStore.getState()), readOnly);
+      try {
+        await navigator.clipboard.writeText(url);
+        setShareStatus('copied');
+      } catch {
+        // Clipboard blocked (e.g. insecure context) — let the user copy it
+        window.prompt('Copy this link:', url);
+        setShareStatus(null);
+        return;
+      }
+    } catch (err) {
+      setShareStatus(err.message);
+    }
+    setTimeout(() => setShareStatus(null), 3000);
+  }
+
+  async function fetchScenes() {
+    if (!provider) return;
     setLoading(true);
     setError(null);
     try {
-      setScenes(listScenes());
+      setScenes(await listScenes(provider));
     } catch {
-      setError('Could not read saved scenes from browser storage.');
+      setError(`Could not read saved scenes from ${provider.label}.`);
     }
     setLoading(false);
   }
 
-  useEffect(() => { fetchScenes(); }, []);
+  useEffect(() => { listAvailableProviders().then(setProviders); }, []);
+  // List the active provider's scenes; a late reply from a provider the user
+  // has already switched away from is dropped
+  useEffect(() => {
+    if (!provider) return undefined;
+    let current = true;
+    listScenes(provider)
+      .then((list) => { if (current) setScenes(list); })
+      .catch(() => { if (current) setError(`Could not read saved scenes from ${provider.label}.`); })
+      .finally(() => { if (current) setLoading(false); });
+    return () => { current = false; };
+  }, [provider]);
 
-  function handleLoad(name) {
+  function handleProviderChange(id) {
+    setActiveProviderId(id);
+    setProviderId(id);
+    setLoading(true);
+    setError(null);
+  }
+
+  async function handleLoad(name) {
     setLoadingName(name);
     try {
-      const data = loadScene(name);
-      if (!data || !Array.isArray(data.deployedRobots)) {
-        throw new Error('Invalid scene file');
-      }
-      useSceneStore.getState().restoreScene(data);
-    } catch {
-      alert(`Failed to load "${name}".`);
+      const data = await loadScene(provider, name);
+      if (!data) throw new Error('Scene not found.');
+      const scene = parseScene(data);
+      const risk = describeUnsavedWork(useSceneStore.getState());
+      if (risk && !window.confirm(`Load "${name}"? It replaces the current scene.\n\n${risk}`)) return;
+      useSceneStore.getState().restoreScene(scene);
+      // Re-saving keeps the scene's name and metadata
+      if (!scenes.find((s) => s.name === name)?.isDemo) setSceneName(name);
+      setSceneTags((scene.tags ?? []).join(', '));
+      setSceneDescription(scene.description ?? '');
+    } catch (err) {
+      alert(`Failed to load "${name}".\n\n${err.message}`);
+    } finally {
+      setLoadingName(null);
     }
-    setLoadingName(null);
   }
 
-  function handleDelete(name) {
+  async function handleInsert() {
+    const { name } = insertForm;
+    const offset = [parseFloat(insertForm.x) || 0, parseFloat(insertForm.y) || 0];
+    const rotation = parseFloat(insertForm.rotation) || 0;
+    try {
+      const data = await loadScene(provider, name);
+      if (!data) throw new Error('Scene not found.');
+      useSceneStore.getState().insertScene(parseScene(data), offset, rotation);
+      setInsertForm(null);
+    } catch (err) {
+      alert(`Failed to insert "${name}".\n\n${err.message}`);
+    }
+  }
+
+  async function handleCompare() {
+    const { before, after } = compareNames;
+    try {
+      const [beforeData, afterData] = await Promise.all([loadScene(provider, before), loadScene(provider, after)]);
+      if (!beforeData || !afterData) throw new Error('Scene not found.');
+      const base = parseScene(beforeData);
+      const scene = parseScene(afterData);
+      const store = useSceneStore.getState();
+      const risk = describeUnsavedWork(store);
+      if (risk && !window.confirm(`Load "${after}" to compare it? It replaces the current scene.\n\n${risk}`)) return;
+      store.restoreScene(scene);
+      store.setComparison({ baseName: before, afterName: after, base });
+      if (!scenes.find((s) => s.name === after)?.isDemo) setSceneName(after);
+    } catch (err) {
+      alert(`Failed to compare "${before}" with "${after}".\n\n${err.message}`);
+    }
+  }
+
+  async function handleDelete(name) {
     if (!window.confirm(`Delete "${name}"? This cannot be undone.`)) return;
     setDeletingName(name);
     try {
-      deleteScene(name);
+      await deleteScene(provider, name);
       fetchScenes();
     } catch {
       alert(`Failed to delete "${name}".`);
@@ -108,29 +472,64 @@ export default function ScenesPanel() {
     setDeletingName(null);
   }
 
-  function handleExport(name) {
-    const data = loadScene(name);
-    if (!data) { alert(`Scene "${name}" not found.`); return; }
-    exportSceneToFile(name, data);
+  async function handleExport(name) {
+    try {
+      const data = await loadScene(provider, name);
+      if (!data) throw new Error('Scene not found.');
+      exportSceneToFile(name, data);
+    } catch (err) {
+      alert(`Failed to export "${name}".\n\n${err.message}`);
+    }
+  }
+
+  async function handleCopy(name, targetId) {
+    const target = getStorageProvider(targetId);
+    try {
+      const existing = await target.list();
+      if (existing.some((s) => s.name === name)
+        && !window.confirm(`"${name}" already exists in ${target.label}. Overwrite it?`)) return;
+      const savedAs = await copyScene(provider, target, name);
+      setCopyStatus({ name, text: `\u2713 Copied to ${target.label}${savedAs !== name ? ` as "${savedAs}"` : ''}` });
+      setTimeout(() => setCopyStatus(null), 3000);
+    } catch (err) {
+      alert(`Failed to copy "${name}" to ${target.label}.\n\n${err.message}`);
+    }
   }
 
   async function handleImport() {
     try {
       const { name, scene } = await importSceneFromFile();
-      saveScene(name, scene);
+      await saveScene(provider, name, scene);
       fetchScenes();
-    } catch {
-      // User cancelled or invalid file — do nothing
+    } catch (err) {
+      // Cancelling the picker is not an error
+      if (err.message !== 'File picker cancelled' && err.message !== 'No file selected') {
+        alert(`Could not import the scene.\n\n${err.message}`);
+      }
     }
   }
 
-  const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
-  const btnCls = (color) =>
-    `text-xs font-medium px-2 py-0.5 rounded transition-colors ${color}`;
+  const providerSelect = providers && providers.length > 1 && (
+    <div className="flex flex-col gap-2">
+      <p className={labelCls}>Storage</p>
+      <select
+        value={provider.id}
+        onChange={(e) => handleProviderChange(e.target.value)}
+        className={inputCls}
+      >
+        {providers.map((p) => (
+          <option key={p.id} value={p.id}>{p.label}</option>
+        ))}
+      </select>
+    </div>
+  );
+
+  const visibleScenes = applyFilters(scenes, filters);
 
   if (error) {
     return (
       <div className="flex flex-col gap-3">
+        {providerSelect}
         <div className="rounded bg-red-900/30 border border-red-700/50 px-3 py-2 text-xs text-red-300">
           {error}
         </div>
@@ -147,6 +546,8 @@ export default function ScenesPanel() {
   return (
     <div className="flex flex-col gap-3">
 
+      {providerSelect}
+
       {/* ── Save form ── */}
       <div className="flex flex-col gap-2">
         <p className={labelCls}>Save Scene</p>
@@ -160,7 +561,7 @@ export default function ScenesPanel() {
           />
           <button
             onClick={handleSaveScene}
-            disabled={saveStatus === 'saving'}
+            disabled={saveStatus === 'saving' || !provider}
             className={
               'flex-shrink-0 font-semibold py-1.5 px-3 rounded text-sm transition-colors ' +
               (saveStatus === 'saved'
@@ -176,17 +577,58 @@ export default function ScenesPanel() {
               : 'Save'}
           </button>
         </div>
+        <input
+          type="text"
+          value={sceneTags}
+          onChange={(e) => setSceneTags(e.target.value)}
+          placeholder="Tags, comma-separated"
+          className={inputCls}
+        />
+        <textarea
+          value={sceneDescription}
+          onChange={(e) => setSceneDescription(e.target.value)}
+          placeholder="Description (optional)"
+          rows={2}
+          className={inputCls + ' resize-none'}
+        />
         <p className="text-xs text-gray-600 -mt-1">
-          Saved to browser storage
+          {provider?.description}
         </p>
       </div>
 
+      {/* ── Share link ── */}
+      <div className="flex flex-col gap-2">
+        <p className={labelCls}>Share Link</p>
+        <div className="flex gap-2">
+          <button
+            onClick={() => handleShare(false)}
+            title="Copy a link that opens this scene, camera view included, for editing"
+            className="flex-1 bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold py-1.5 px-3 rounded text-sm transition-colors"
+          >
+            Copy link
+          </button>
+          <button
+            onClick={() => handleShare(true)}
+            title="Copy a link that opens this scene read-only"
+            className="flex-1 bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold py-1.5 px-3 rounded text-sm transition-colors"
+          >
+            Copy view link
+          </button>
+        </div>
+        {shareStatus && (
+          <p className={`text-xs -mt-1 ${shareStatus === 'copied' ? 'text-green-400' : 'text-red-400'}`}>
+            {shareStatus === 'copied' ? '\u2713 Link copied to clipboard' : shareStatus}
+          </p>
+        )}
+      </div>
+
       {/* Header row */}
       <div className="flex items-center justify-between">
         <p className={labelCls}>Saved Scenes</p>
         <div className="flex gap-1">
           <button
             onClick={handleImport}
+            disabled={!provider}
             title="Import scene from file"
             className="text-gray-500 hover:text-gray-200 text-sm leading-none px-1 rounded hover:bg-gray-700 transition-colors"
           >
@@ -214,33 +656,79 @@ export default function ScenesPanel() {
         </p>
       )}
 
-      {/* Scene list */}
+      {/* Search, filter and sort */}
       {!loading && scenes.length > 0 && (
+        <SceneFilters scenes={scenes} filters={filters} onChange={setFilters} />
+      )}
+
+      {!loading && scenes.length > 0 && visibleScenes.length === 0 && (
+        <p className="text-xs text-gray-500 italic">
+          No scenes match.{' '}
+          <button onClick={() => setFilters(EMPTY_FILTERS)} className="underline hover:text-gray-300">
+            Clear filters
+          </button>
+        </p>
+      )}
+
+      {/* Scene list */}
+      {!loading && visibleScenes.length > 0 && (
         <div className="flex flex-col gap-2">
-          {scenes.map((scene) => (
+          {visibleScenes.map((scene) => (
             <div
               key={scene.name}
               className="flex flex-col gap-1.5 bg-gray-800 border border-gray-700 rounded px-3 py-2"
             >
-              {/* Name + demo badge */}
-              <div className="flex items-center gap-1.5">
-                <p className="text-sm text-gray-100 font-medium truncate" title={scene.name}>
-                  {scene.name}
-                </p>
-                {scene.isDemo && (
-                  <span className="flex-shrink-0 text-[10px] font-semibold uppercase tracking-wider bg-teal-800 text-teal-200 px-1.5 py-0.5 rounded">
-                    Demo
-                  </span>
+              <div className="flex gap-2">
+                {scene.thumbnail && (
+                  <img
+                    src={scene.thumbnail}
+                    alt=""
+                    className="flex-shrink-0 w-16 h-10 object-cover rounded border border-gray-700"
+                  />
                 )}
+                <div className="flex-1 min-w-0">
+                  {/* Name + demo badge */}
+                  <div className="flex items-center gap-1.5">
+                    <p className="text-sm text-gray-100 font-medium truncate" title={scene.name}>
+                      {scene.name}
+                    </p>
+                    {scene.isDemo && (
+                      <span className="flex-shrink-0 text-[10px] font-semibold uppercase tracking-wider bg-teal-800 text-teal-200 px-1.5 py-0.5 rounded">
+                        Demo
+                      </span>
+                    )}
+                  </div>
+
+                  {/* Date — hide for demo scenes */}
+                  {!scene.isDemo && (
+                    <p className="text-xs text-gray-500">{formatDate(scene.savedAt)}</p>
+                  )}
+                  <p className="text-xs text-gray-500">
+                    {scene.robotCount} robot{scene.robotCount === 1 ? '' : 's'} · {scene.objectCount} object{scene.objectCount === 1 ? '' : 's'}
+                  </p>
+                </div>
               </div>
 
-              {/* Date — hide for demo scenes */}
-              {!scene.isDemo && (
-                <p className="text-xs text-gray-500">{formatDate(scene.savedAt)}</p>
+              {scene.description && (
+                <p className="text-xs text-gray-400 line-clamp-2" title={scene.description}>{scene.description}</p>
+              )}
+              {scene.tags.length > 0 && (
+                <div className="flex flex-wrap gap-1">
+                  {scene.tags.map((tag) => (
+                    <button
+                      key={tag}
+                      onClick={() => setFilters({ ...filters, tag })}
+                      title="Show scenes with this tag"
+                      className="text-[10px] bg-gray-700 hover:bg-gray-600 text-gray-300 px-1.5 py-0.5 rounded transition-colors"
+                    >
+                      #{tag}
+                    </button>
+                  ))}
+                </div>
               )}
 
               {/* Actions */}
-              <div className="flex gap-1.5 mt-0.5">
+              <div className="flex flex-wrap gap-1.5 mt-0.5">
                 <button
                   onClick={() => handleLoad(scene.name)}
                   disabled={loadingName === scene.name}
@@ -258,6 +746,43 @@ export default function ScenesPanel() {
                 >
                   Export
                 </button>
+                <button
+                  onClick={() => setInsertForm(insertForm?.name === scene.name ? null : { name: scene.name, x: '0', y: '0', rotation: '0' })}
+                  title="Add this scene's robots and objects to the current scene"
+                  className={btnCls(
+                    insertForm?.name === scene.name
+                      ? 'bg-gray-600 text-white'
+                      : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                  )}
+                >
+                  Insert&hellip;
+                </button>
+                {otherProviders.length > 0 && (
+                  <select
+                    value=""
+                    onChange={(e) => handleCopy(scene.name, e.target.value)}
+                    title="Copy this scene to another storage"
+                    className="text-xs bg-gray-700 hover:bg-gray-600 text-gray-300 rounded px-1 py-0.5 focus:outline-none transition-colors"
+                  >
+                    <option value="" disabled>Copy to&hellip;</option>
+                    {otherProviders.map((p) => (
+                      <option key={p.id} value={p.id}>{p.label}</option>
+                    ))}
+                  </select>
+                )}
+                {!scene.isDemo && (
+                  <button
+                    onClick={() => setHistoryName(historyName === scene.name ? null : scene.name)}
+                    title="Earlier versions of this scene"
+                    className={btnCls(
+                      historyName === scene.name
+                        ? 'bg-gray-600 text-white'
+                        : 'bg-gray-700 hover:bg-gray-600 text-gray-300'
+                    )}
+                  >
+                    History
+                  </button>
+                )}
                 {!scene.isDemo && (
                   <button
                     onClick={() => handleDelete(scene.name)}
@@ -270,11 +795,71 @@ export default function ScenesPanel() {
                   </button>
                 )}
               </div>
+              {insertForm?.name === scene.name && (
+                <div className="flex items-end gap-1.5 border-t border-gray-700 pt-1.5">
+                  {[['x', 'X (m)'], ['y', 'Y (m)'], ['rotation', 'Rot (\u00b0)']].map(([key, label]) => (
+                    <label key={key} className="flex flex-col gap-0.5 text-[10px] text-gray-400 min-w-0">
+                      {label}
+                      <input
+                        type="number"
+                        step={key === 'rotation' ? 15 : 0.5}
+                        value={insertForm[key]}
+                        onChange={(e) => setInsertForm({ ...insertForm, [key]: e.target.value })}
+                        className="bg-gray-900 border border-gray-600 rounded px-1 py-0.5 text-xs text-gray-100 focus:outline-none focus:border-blue-500 w-full"
+                      />
+                    </label>
+                  ))}
+                  <button
+                    onClick={handleInsert}
+                    title="Turn the scene about its origin, shift it, and add it to the current scene"
+                    className={btnCls('bg-blue-700 hover:bg-blue-600 text-white flex-shrink-0')}
+                  >
+                    Insert
+                  </button>
+                </div>
+              )}
+              {copyStatus?.name === scene.name && (
+                <p className="text-xs text-green-400">{copyStatus.text}</p>
+              )}
+              {historyName === scene.name && !scene.isDemo && (
+                // Keyed on savedAt so the list reloads after each save
+                <SceneHistory key={scene.savedAt} provider={provider} name={scene.name} />
+              )}
             </div>
           ))}
         </div>
       )}
 
+      {/* ── Compare ── */}
+      {!loading && scenes.length > 1 && (
+        <div className="flex flex-col gap-2 border-t border-gray-700 pt-3">
+          <p className={labelCls}>Compare Scenes</p>
+          {['before', 'after'].map((side) => (
+            <label key={side} className="flex items-center gap-2 text-xs text-gray-400">
+              <span className="w-12 capitalize">{side}</span>
+              <select
+                value={compareNames[side]}
+                onChange={(e) => setCompareNames({ ...compareNames, [side]: e.target.value })}
+                className={selectCls + ' flex-1'}
+              >
+                <option value="">Choose a scene&hellip;</option>
+                {scenes.map((scene) => <option key={scene.name} value={scene.name}>{scene.name}</option>)}
+              </select>
+            </label>
+          ))}
+          <button
+            onClick={handleCompare}
+            disabled={!compareNames.before || !compareNames.after || compareNames.before === compareNames.after}
+            title="Load the after scene and highlight what changed since the before scene"
+            className="bg-gray-700 hover:bg-gray-600 text-gray-200 font-semibold py-1.5 px-3 rounded text-sm transition-colors disabled:opacity-50"
+          >
+            Compare
+          </button>
+        </div>
+      )}
+
+      <CellLibrary />
+
     </div>
   );
 }
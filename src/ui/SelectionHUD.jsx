@@ -0,0 +1,156 @@
+/**
+ * SelectionHUD.jsx
+ *
+ * A small toolbar overlay at the top centre of the 3D viewport, shown while
+ * more than one robot or object is selected. Summarises the multi-selection
+ * and offers Duplicate, Delete and Clear for the whole set (the keyboard
+ * shortcuts Ctrl+D and Delete do the same).
+ *
+ * A second row lines the selection up (store alignSelection, on each
+ * entity's real footprint): Left / Centre / Right and Top / Middle / Bottom
+ * as seen in the 2D layout view; Distribute ↔ / ↕ spaces it out along X / Y,
+ * with a fixed Gap between footprints or, with Gap empty, evenly between the
+ * outermost two; Match rotation turns everything to the primary entity's
+ * heading. Each is one undo step.
+ *
+ * Groups: an ad-hoc selection can be made a named group ("Group…"). When the
+ * selection is exactly one group, its name is shown with Ungroup and
+ * "Save cell" (adds it to the cell library, utils/cellLibrary.js).
+ *
+ * Must be placed as a sibling of the R3F Canvas inside the relative-
+ * positioned canvas wrapper div in App.jsx, like DragCoordinatesHUD.
+ */
+
+import { useState } from 'react';
+import useSceneStore from '../store/sceneStore';
+import { extractCell, loadCell, saveCell } from '../utils/cellLibrary';
+
+const btnCls =
+  'px-2 py-1 rounded border border-gray-600 bg-gray-800 hover:bg-gray-700 text-gray-200 transition-colors';
+
+const ALIGN_BUTTONS = [
+  { edge: 'left',    label: 'Left',   title: 'Align left edges' },
+  { edge: 'centreX', label: 'Centre', title: 'Align centres on a vertical line' },
+  { edge: 'right',   label: 'Right',  title: 'Align right edges' },
+  { edge: 'top',     label: 'Top',    title: 'Align top edges (as seen in the 2D view)' },
+  { edge: 'centreY', label: 'Middle', title: 'Align centres on a horizontal line' },
+  { edge: 'bottom',  label: 'Bottom', title: 'Align bottom edges (as seen in the 2D view)' },
+];
+
+export default function SelectionHUD() {
+  // Distribute gap in metres; empty spreads evenly between the outermost two
+  const [gap, setGap] = useState('');
+  const robotCount = useSceneStore((s) => s.selectedRobotIds.length);
+  const objectCount = useSceneStore((s) => s.selectedObjectIds.length);
+  // The group whose members are exactly the current selection, if any
+  const group = useSceneStore((s) =>
+    s.groups.find((g) =>
+      g.robotIds.length === s.selectedRobotIds.length &&
+      g.objectIds.length === s.selectedObjectIds.length &&
+      g.robotIds.every((id) => s.selectedRobotIds.includes(id)) &&
+      g.objectIds.every((id) => s.selectedObjectIds.includes(id)))
+  );
+
+  if (robotCount + objectCount < 2) return null;
+
+  const parts = [];
+  if (robotCount) parts.push(`${robotCount} robot${robotCount === 1 ? '' : 's'}`);
+  if (objectCount) parts.push(`${objectCount} object${objectCount === 1 ? '' : 's'}`);
+
+  const {
+    duplicateSelection, removeSelection, setSelectedRobotId, groupSelection, ungroup,
+    alignSelection, distributeSelection, matchSelectionRotation,
+  } = useSceneStore.getState();
+
+  function handleGroup() {
+    const name = window.prompt('Name for the new group', 'Cell');
+    if (name !== null) groupSelection(name);
+  }
+
+  function handleDistribute(axis) {
+    const value = gap.trim() === '' ? null : Number(gap);
+    if (value !== null && !(value >= 0)) {
+      alert('Gap must be a distance of 0 m or more, or empty to space evenly.');
+      return;
+    }
+    distributeSelection(axis, value);
+  }
+
+  function handleSaveCell() {
+    const cell = extractCell(useSceneStore.getState(), group.id);
+    if (loadCell(cell.name) && !window.confirm(`Replace "${cell.name}" in the cell library?`)) return;
+    try {
+      saveCell(cell);
+    } catch {
+      alert('Could not save the cell — browser storage may be full.');
+    }
+  }
+
+  return (
+    <div className="absolute top-3 left-1/2 -translate-x-1/2 z-10 flex flex-col items-center gap-1.5 bg-black/75 text-xs px-3 py-2 rounded select-none">
+      <div className="flex items-center gap-2">
+        {group && <span className="text-indigo-300 font-semibold">{group.name}:</span>}
+        <span className="text-blue-300 font-semibold mr-1">{parts.join(' + ')} selected</span>
+        {group ? (
+          <>
+            <button className={btnCls} onClick={handleSaveCell} title="Save this group to the cell library">
+              Save cell
+            </button>
+            <button className={btnCls} onClick={() => ungroup(group.id)} title="Dissolve the group (keeps the members)">
+              Ungroup
+            </button>
+          </>
+        ) : (
+          <button className={btnCls} onClick={handleGroup} title="Make the selection a named group that moves as a unit">
+            Group…
+          </button>
+        )}
+        <button className={btnCls} onClick={duplicateSelection} title="Duplicate the selection (Ctrl+D)">
+          Duplicate
+        </button>
+        <button
+          className={btnCls + ' hover:border-red-500 hover:text-red-300'}
+          onClick={removeSelection}
+          title="Delete the selection (Delete)"
+        >
+          Delete
+        </button>
+        <button className={btnCls} onClick={() => setSelectedRobotId(null)} title="Clear the selection">
+          Clear
+        </button>
+      </div>
+
+      <div className="flex items-center gap-1">
+        <span className="text-gray-400 mr-0.5">Align</span>
+        {ALIGN_BUTTONS.map((b) => (
+          <button key={b.edge} className={btnCls} onClick={() => alignSelection(b.edge)} title={b.title}>
+            {b.label}
+          </button>
+        ))}
+        <span className="text-gray-400 ml-2 mr-0.5">Distribute</span>
+        <button className={btnCls} onClick={() => handleDistribute('x')} title="Space out along X (left to right)">
+          ↔
+        </button>
+        <button className={btnCls} onClick={() => handleDistribute('y')} title="Space out along Y (top to bottom)">
+          ↕
+        </button>
+        <label className="flex items-center gap-1 text-gray-400" title="Clear space between footprints — empty spaces them evenly between the outermost two">
+          Gap
+          <input
+            type="number"
+            min={0}
+            step={0.1}
+            value={gap}
+            placeholder="even"
+            onChange={(e) => setGap(e.target.value)}
+            className="w-14 bg-gray-700 border border-gray-600 rounded px-1 py-0.5 text-xs text-gray-100 focus:outline-none focus:border-blue-500 text-center"
+          />
+          m
+        </label>
+        <button className={btnCls + ' ml-2'} onClick={matchSelectionRotation} title="Turn everything to the primary selection's heading">
+          Match rotation
+        </button>
+      </div>
+    </div>
+  );
+}
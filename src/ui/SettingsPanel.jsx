@@ -7,16 +7,37 @@
  *   - Lighting: ambient intensity, directional intensity, shadows toggle
  *   - Environment: background colour, fog toggle
  *   - Floor: floor colour, grid toggle
+ *   - Building: floor outline (rectangle, L-shape or polygon), perimeter
+ *     walls, door openings and a column grid (utils/floorLayout.js)
+ *   - Floor plan: import a DXF / SVG / PNG building plan as an underlay,
+ *     calibrate its scale from two picked points and a known distance,
+ *     set its origin, rotation and opacity (utils/floorPlanImport.js)
  *   - Reset Defaults button
  *
  * All values are stored in sceneStore.sceneSettings and read reactively
- * by SceneSetup.jsx and FloorGrid.jsx.
+ * by SceneSetup.jsx and FloorGrid.jsx; the building is
+ * sceneSettings.floor. Reset Defaults leaves the building alone — it has its
+ * own reset. The floor plan lives in
+ * sceneStore.floorUnderlay and is drawn by FloorUnderlay.jsx.
  */
 
+import { useState } from 'react';
 import useSceneStore from '../store/sceneStore';
+import { getFloorOutline, getOutlineEdges, NOTCH_CORNERS } from '../utils/floorLayout';
+import { importFloorPlanFromFile } from '../utils/floorPlanImport';
 
 const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
 const sectionCls = 'flex flex-col gap-2';
+const numberCls =
+  'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-gray-100 ' +
+  'focus:outline-none focus:border-blue-500 w-full';
+const selectCls =
+  'bg-gray-800 border border-gray-600 rounded px-2 py-1 text-sm text-gray-100 ' +
+  'focus:outline-none focus:border-blue-500 w-full';
+const removeBtnCls =
+  'text-xs text-red-400 hover:text-red-300 px-1.5 py-1 rounded hover:bg-gray-700 transition-colors flex-shrink-0';
+const smallBtnCls =
+  'flex-1 bg-gray-700 hover:bg-gray-600 active:bg-gray-800 text-gray-200 text-xs font-medium py-1.5 px-2 rounded transition-colors';
 
 function SliderRow({ label, value, onChange, min = 0, max = 1, step = 0.05 }) {
   return (
@@ -67,6 +88,379 @@ function ColorRow({ label, value, onChange }) {
   );
 }
 
+function shapeBtnCls(active) {
+  return (
+    'flex-1 py-1 rounded text-xs font-medium transition-colors border ' +
+    (active
+      ? 'bg-blue-700 border-blue-500 text-white'
+      : 'bg-gray-800 border-gray-600 hover:bg-gray-700 text-gray-300')
+  );
+}
+
+function NumberField({ label, value, onChange, step, digits = 3 }) {
+  return (
+    <div className="flex flex-col gap-1 flex-1">
+      <label className="text-xs text-gray-500">{label}</label>
+      <input
+        type="number"
+        step={step}
+        value={Number(value.toFixed(digits))}
+        onChange={(e) => {
+          const v = Number(e.target.value);
+          if (e.target.value !== '' && Number.isFinite(v)) onChange(v);
+        }}
+        className={numberCls}
+      />
+    </div>
+  );
+}
+
+const SHAPES = [
+  ['rectangle', 'Rectangle'],
+  ['lshape', 'L-shape'],
+  ['polygon', 'Polygon'],
+];
+
+/** Floor outline, walls, doors and columns of the scene's building. */
+function BuildingSection() {
+  const floor = useSceneStore((s) => s.sceneSettings.floor);
+  const { updateFloor, resetFloor } = useSceneStore.getState();
+  const edges = getOutlineEdges(floor);
+
+  /** Keeps every positive-only field positive. */
+  const positive = (fn) => (v) => v > 0 && fn(v);
+
+  function handleShape(shape) {
+    // A new polygon starts from the outline currently shown
+    if (shape === 'polygon') updateFloor({ shape, points: getFloorOutline(floor) });
+    else updateFloor({ shape });
+  }
+
+  function updateVertex(i, axis, v) {
+    updateFloor({ points: floor.points.map((p, j) => (j === i ? (axis === 0 ? [v, p[1]] : [p[0], v]) : p)) });
+  }
+
+  function addVertex() {
+    // Splits the closing edge at its midpoint
+    const a = floor.points[floor.points.length - 1];
+    const b = floor.points[0];
+    updateFloor({ points: [...floor.points, [(a[0] + b[0]) / 2, (a[1] + b[1]) / 2]] });
+  }
+
+  function updateDoor(i, patch) {
+    updateFloor({ doors: floor.doors.map((d, j) => (j === i ? { ...d, ...patch } : d)) });
+  }
+
+  function addDoor() {
+    const length = edges[0]?.length ?? 0;
+    const width = Math.min(3, length);
+    updateFloor({
+      doors: [...floor.doors, { edge: 0, offset: (length - width) / 2, width, height: Math.min(3, floor.wallHeight) }],
+    });
+  }
+
+  function updateColumns(patch) {
+    updateFloor({ columns: { ...floor.columns, ...patch } });
+  }
+
+  return (
+    <div className={`${sectionCls} border-t border-gray-700 pt-3`}>
+      <p className={labelCls}>Building</p>
+
+      {/* ── Outline ── */}
+      <div className="flex gap-1">
+        {SHAPES.map(([shape, name]) => (
+          <button key={shape} onClick={() => handleShape(shape)} className={shapeBtnCls(floor.shape === shape)}>
+            {name}
+          </button>
+        ))}
+      </div>
+
+      {floor.shape !== 'polygon' ? (
+        <div className="flex gap-3">
+          <NumberField label="Width X (m)" step="1" digits={2} value={floor.width}
+            onChange={positive((v) => updateFloor({ width: v }))} />
+          <NumberField label="Depth Y (m)" step="1" digits={2} value={floor.depth}
+            onChange={positive((v) => updateFloor({ depth: v }))} />
+        </div>
+      ) : (
+        <div className="flex flex-col gap-1">
+          <p className="text-xs text-gray-500">Outline vertices — X, Y (m)</p>
+          {floor.points.map(([x, y], i) => (
+            <div key={i} className="flex items-center gap-2">
+              <span className="text-xs text-gray-500 w-4 text-right">{i + 1}</span>
+              <input type="number" step="0.5" value={Number(x.toFixed(3))} className={numberCls}
+                onChange={(e) => e.target.value !== '' && updateVertex(i, 0, Number(e.target.value))} />
+              <input type="number" step="0.5" value={Number(y.toFixed(3))} className={numberCls}
+                onChange={(e) => e.target.value !== '' && updateVertex(i, 1, Number(e.target.value))} />
+              <button
+                onClick={() => updateFloor({ points: floor.points.filter((_, j) => j !== i) })}
+                disabled={floor.points.length <= 3}
+                title="Remove vertex"
+                className={removeBtnCls + ' disabled:opacity-30'}
+              >
+                ✕
+              </button>
+            </div>
+          ))}
+          <button onClick={addVertex} className={smallBtnCls}>Add vertex</button>
+        </div>
+      )}
+
+      {floor.shape === 'lshape' && (
+        <>
+          <div className="flex flex-col gap-1">
+            <label className="text-xs text-gray-500">Cut-out corner</label>
+            <select
+              value={floor.notch.corner}
+              onChange={(e) => updateFloor({ notch: { ...floor.notch, corner: e.target.value } })}
+              className={selectCls}
+            >
+              {NOTCH_CORNERS.map((c) => (
+                <option key={c} value={c}>{`X${c.slice(0, 1)} / Y${c.slice(2, 3)}`}</option>
+              ))}
+            </select>
+          </div>
+          <div className="flex gap-3">
+            <NumberField label="Cut-out X (m)" step="1" digits={2} value={floor.notch.width}
+              onChange={positive((v) => updateFloor({ notch: { ...floor.notch, width: v } }))} />
+            <NumberField label="Cut-out Y (m)" step="1" digits={2} value={floor.notch.depth}
+              onChange={positive((v) => updateFloor({ notch: { ...floor.notch, depth: v } }))} />
+          </div>
+        </>
+      )}
+
+      {/* ── Walls ── */}
+      <ToggleRow
+        label="Perimeter walls"
+        checked={floor.wallsVisible}
+        onChange={(v) => updateFloor({ wallsVisible: v })}
+      />
+      <div className="flex gap-3">
+        <NumberField label="Wall height (m)" step="0.5" digits={2} value={floor.wallHeight}
+          onChange={positive((v) => updateFloor({ wallHeight: v }))} />
+        <NumberField label="Thickness (m)" step="0.05" digits={2} value={floor.wallThickness}
+          onChange={positive((v) => updateFloor({ wallThickness: v }))} />
+      </div>
+
+      {/* ── Doors ── */}
+      <p className="text-xs text-gray-500">Doors {floor.doors.length > 0 && `(${floor.doors.length})`}</p>
+      {floor.doors.map((door, i) => (
+        <div key={i} className="flex flex-col gap-1 rounded border border-gray-700 px-2 py-1.5">
+          <div className="flex items-center gap-2">
+            <select
+              value={door.edge}
+              onChange={(e) => updateDoor(i, { edge: Number(e.target.value) })}
+              className={selectCls}
+            >
+              {edges.map((edge, j) => (
+                <option key={j} value={j}>{`Wall ${j + 1} (${edge.length.toFixed(1)} m)`}</option>
+              ))}
+              {!edges[door.edge] && <option value={door.edge}>{`Wall ${door.edge + 1} (missing)`}</option>}
+            </select>
+            <button
+              onClick={() => updateFloor({ doors: floor.doors.filter((_, j) => j !== i) })}
+              title="Remove door"
+              className={removeBtnCls}
+            >
+              ✕
+            </button>
+          </div>
+          <div className="flex gap-2">
+            <NumberField label="From start" step="0.5" digits={2} value={door.offset}
+              onChange={(v) => v >= 0 && updateDoor(i, { offset: v })} />
+            <NumberField label="Width" step="0.5" digits={2} value={door.width}
+              onChange={positive((v) => updateDoor(i, { width: v }))} />
+            <NumberField label="Height" step="0.5" digits={2} value={door.height}
+              onChange={positive((v) => updateDoor(i, { height: v }))} />
+          </div>
+        </div>
+      ))}
+      <button onClick={addDoor} className={smallBtnCls}>Add door</button>
+
+      {/* ── Columns ── */}
+      <ToggleRow
+        label="Column grid"
+        checked={floor.columns.enabled}
+        onChange={(v) => updateColumns({ enabled: v })}
+      />
+      {floor.columns.enabled && (
+        <>
+          <div className="flex gap-3">
+            <NumberField label="Spacing X (m)" step="1" digits={2} value={floor.columns.spacingX}
+              onChange={(v) => v >= 1 && updateColumns({ spacingX: v })} />
+            <NumberField label="Spacing Y (m)" step="1" digits={2} value={floor.columns.spacingY}
+              onChange={(v) => v >= 1 && updateColumns({ spacingY: v })} />
+          </div>
+          <div className="flex gap-3">
+            <NumberField label="Grid X (m)" step="0.5" digits={2} value={floor.columns.offsetX}
+              onChange={(v) => updateColumns({ offsetX: v })} />
+            <NumberField label="Grid Y (m)" step="0.5" digits={2} value={floor.columns.offsetY}
+              onChange={(v) => updateColumns({ offsetY: v })} />
+            <NumberField label="Size (m)" step="0.1" digits={2} value={floor.columns.size}
+              onChange={positive((v) => updateColumns({ size: v }))} />
+          </div>
+        </>
+      )}
+
+      <button onClick={resetFloor} className={smallBtnCls}>Reset building</button>
+    </div>
+  );
+}
+
+/** Import, calibration and display controls for the floor plan underlay. */
+function FloorPlanSection() {
+  const underlay = useSceneStore((s) => s.floorUnderlay);
+  const pick = useSceneStore((s) => s.underlayPick);
+  const {
+    setFloorUnderlay, updateFloorUnderlay,
+    startUnderlayPick, applyUnderlayCalibration, cancelUnderlayPick,
+  } = useSceneStore.getState();
+  const [distance, setDistance] = useState('');
+  const [error, setError] = useState(null);
+
+  async function handleImport() {
+    setError(null);
+    try {
+      setFloorUnderlay(await importFloorPlanFromFile(useSceneStore.getState().sceneSettings.floor));
+    } catch (err) {
+      if (err.message !== 'File picker cancelled' && err.message !== 'No file selected') {
+        setError(err.message);
+      }
+    }
+  }
+
+  function handleApply() {
+    applyUnderlayCalibration(Number(distance));
+    setDistance('');
+  }
+
+  const picked = pick?.purpose === 'scale' ? pick.points : null;
+  const measured = picked?.length === 2
+    ? Math.hypot(picked[1][0] - picked[0][0], picked[1][1] - picked[0][1])
+    : null;
+
+  return (
+    <div className={`${sectionCls} border-t border-gray-700 pt-3`}>
+      <p className={labelCls}>Floor plan</p>
+
+      {!underlay ? (
+        <button onClick={handleImport} className={smallBtnCls}>
+          Import plan (DXF / SVG / PNG)
+        </button>
+      ) : (
+        <>
+          <p className="text-xs text-gray-400 truncate" title={underlay.name}>
+            {underlay.name}
+            <span className="text-gray-500"> · {underlay.kind === 'lines' ? 'DXF' : 'image'}</span>
+          </p>
+          <ToggleRow
+            label="Show plan"
+            checked={underlay.visible}
+            onChange={(v) => updateFloorUnderlay({ visible: v })}
+          />
+          <SliderRow
+            label="Opacity"
+            value={underlay.opacity}
+            onChange={(v) => updateFloorUnderlay({ opacity: v })}
+          />
+
+          {/* ── Two-point scale calibration ── */}
+          {picked ? (
+            <div className="flex flex-col gap-2 rounded border border-orange-700/60 bg-orange-900/20 px-2 py-2">
+              {measured === null ? (
+                <p className="text-xs text-orange-200">
+                  Click two points on the plan a known distance apart ({picked.length}/2).
+                </p>
+              ) : (
+                <>
+                  <p className="text-xs text-orange-200">
+                    Picked points are {measured.toFixed(3)} m apart. Real distance (m):
+                  </p>
+                  <input
+                    type="number"
+                    min={0}
+                    step="0.1"
+                    value={distance}
+                    onChange={(e) => setDistance(e.target.value)}
+                    className={numberCls}
+                    autoFocus
+                  />
+                </>
+              )}
+              <div className="flex gap-2">
+                {measured !== null && (
+                  <button onClick={handleApply} disabled={!(Number(distance) > 0)} className={smallBtnCls + ' disabled:opacity-40'}>
+                    Apply
+                  </button>
+                )}
+                <button onClick={cancelUnderlayPick} className={smallBtnCls}>Cancel</button>
+              </div>
+            </div>
+          ) : pick?.purpose === 'origin' ? (
+            <div className="flex flex-col gap-2 rounded border border-orange-700/60 bg-orange-900/20 px-2 py-2">
+              <p className="text-xs text-orange-200">Click the plan point that should sit at the floor origin.</p>
+              <button onClick={cancelUnderlayPick} className={smallBtnCls}>Cancel</button>
+            </div>
+          ) : (
+            <div className="flex gap-2">
+              <button onClick={() => startUnderlayPick('scale')} className={smallBtnCls} title="Pick two points and enter their real distance">
+                Calibrate scale
+              </button>
+              <button onClick={() => startUnderlayPick('origin')} className={smallBtnCls} title="Pick the plan point to place at X 0, Y 0">
+                Set origin
+              </button>
+            </div>
+          )}
+
+          <div className="flex gap-3">
+            <NumberField
+              label="Offset X (m)"
+              step="0.1"
+              value={underlay.offset[0]}
+              onChange={(v) => updateFloorUnderlay({ offset: [v, underlay.offset[1]] })}
+            />
+            <NumberField
+              label="Offset Y (m)"
+              step="0.1"
+              value={underlay.offset[1]}
+              onChange={(v) => updateFloorUnderlay({ offset: [underlay.offset[0], v] })}
+            />
+          </div>
+          <div className="flex gap-3">
+            <NumberField
+              label="Rotation (°)"
+              step="1"
+              digits={2}
+              value={underlay.rotation}
+              onChange={(v) => updateFloorUnderlay({ rotation: v })}
+            />
+            <NumberField
+              label={underlay.kind === 'lines' ? 'm per unit' : 'm per pixel'}
+              step="any"
+              digits={6}
+              value={underlay.scale}
+              onChange={(v) => v > 0 && updateFloorUnderlay({ scale: v })}
+            />
+          </div>
+
+          <div className="flex gap-2">
+            <button onClick={handleImport} className={smallBtnCls}>Replace…</button>
+            <button
+              onClick={() => setFloorUnderlay(null)}
+              className={smallBtnCls + ' hover:text-red-300'}
+            >
+              Remove
+            </button>
+          </div>
+        </>
+      )}
+
+      {error && <p className="text-xs text-red-400">{error}</p>}
+    </div>
+  );
+}
+
 export default function SettingsPanel() {
   const settings = useSceneStore((s) => s.sceneSettings);
   const update = useSceneStore((s) => s.updateSceneSettings);
@@ -125,6 +519,12 @@ export default function SettingsPanel() {
         />
       </div>
 
+      {/* ── Building ── */}
+      <BuildingSection />
+
+      {/* ── Floor plan underlay ── */}
+      <FloorPlanSection />
+
       {/* ── Reset ── */}
       <div className="border-t border-gray-700 pt-3">
         <button
@@ -3,19 +3,24 @@
  *
  * A thin bar at the bottom of the viewport showing:
  *   - Number of robots currently deployed
- *   - Factory floor dimensions from config.json
+ *   - Factory floor dimensions — the outline bounds of the scene's building
+ *     (sceneSettings.floor), with its shape when not a plain rectangle
  *
  * Reads robot count from the Zustand store so it updates automatically
  * whenever robots are deployed or cleared.
  */
 
-import config from '../config/config.json';
 import useSceneStore from '../store/sceneStore';
+import { getFloorBounds } from '../utils/floorLayout';
+
+const SHAPE_NAMES = { lshape: 'L-shape', polygon: 'polygon' };
 
 export default function StatusBar() {
   const robotCount = useSceneStore((s) => s.deployedRobots.length);
   const objectCount = useSceneStore((s) => s.sceneObjects.length);
-  const { width, depth } = config.floor;
+  const floor = useSceneStore((s) => s.sceneSettings.floor);
+  const { width, depth } = getFloorBounds(floor);
+  const fmt = (n) => Number(n.toFixed(2));
 
   return (
     <div className="flex items-center px-4 py-1.5 bg-gray-900 border-t border-gray-700 text-xs text-gray-400 font-mono select-none">
@@ -30,7 +35,8 @@ export default function StatusBar() {
       </span>
       <span className="text-gray-600">|</span>
       <span className="ml-4">
-        Floor: {width}m × {depth}m
+        Floor: {fmt(width)}m × {fmt(depth)}m
+        {SHAPE_NAMES[floor.shape] && ` (${SHAPE_NAMES[floor.shape]})`}
       </span>
     </div>
   );
@@ -0,0 +1,93 @@
+/**
+ * ViewerPanel.jsx
+ *
+ * Left sidebar while a read-only share link is open (store viewerMode, see
+ * utils/shareLink.js). Replaces ControlPanel's editing tabs with a summary of
+ * the scene — building, robots, equipment — and an "Edit a copy" button that
+ * leaves viewer mode, keeping the scene loaded for editing.
+ *
+ * Viewport navigation (orbit, Overhead, 2D Layout, Collisions) still works.
+ */
+
+import useSceneStore from '../store/sceneStore';
+
+const labelCls = 'text-xs font-semibold text-gray-400 uppercase tracking-wider';
+
+export default function ViewerPanel() {
+  const deployedRobots = useSceneStore((s) => s.deployedRobots);
+  const sceneObjects = useSceneStore((s) => s.sceneObjects);
+  const floor = useSceneStore((s) => s.sceneSettings.floor);
+
+  function handleEdit() {
+    useSceneStore.getState().setViewerMode(false);
+    // Drop the link so a reload doesn't return to the read-only view
+    window.history.replaceState(null, '', window.location.pathname + window.location.search);
+  }
+
+  return (
+    <div className="flex flex-col w-80 bg-gray-900 text-gray-100 h-full select-none">
+
+      {/* App title */}
+      <div className="border-b border-gray-700 px-4 pt-4 pb-3 flex-shrink-0">
+        <h1 className="text-sm font-bold tracking-widest text-blue-400 uppercase">
+          Robot Layout
+        </h1>
+        <p className="text-xs text-gray-500 mt-0.5">Shared scene · read-only</p>
+      </div>
+
+      <div className="flex flex-col gap-4 p-4 overflow-y-auto flex-1">
+        <div className="rounded bg-blue-900/30 border border-blue-700/50 px-3 py-2 text-xs text-blue-200">
+          You are viewing a shared layout. Orbit, zoom and the view buttons
+          work; editing is off.
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <p className={labelCls}>Building</p>
+          <p className="text-sm text-gray-300">
+            {floor.shape === 'polygon' ? 'Custom outline' : `${floor.width} × ${floor.depth} m`}
+            {floor.shape === 'lshape' && ' (L-shaped)'}
+          </p>
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <p className={labelCls}>Robots ({deployedRobots.length})</p>
+          {deployedRobots.length === 0 ? (
+            <p className="text-xs text-gray-500 italic">None</p>
+          ) : (
+            deployedRobots.map((r) => (
+              <button
+                key={r.id}
+                onClick={() => useSceneStore.getState().setFocusTarget([r.position[0], r.position[2], r.position[1]])}
+                title="Focus camera"
+                className="text-left text-sm text-gray-200 bg-gray-800 hover:bg-gray-700 border border-gray-700 rounded px-3 py-1.5 truncate transition-colors"
+              >
+                {r.label}
+              </button>
+            ))
+          )}
+        </div>
+
+        <div className="flex flex-col gap-1">
+          <p className={labelCls}>Equipment ({sceneObjects.length})</p>
+          {sceneObjects.length === 0 ? (
+            <p className="text-xs text-gray-500 italic">None</p>
+          ) : (
+            sceneObjects.map((o) => (
+              <p key={o.id} className="text-xs text-gray-400 truncate">{o.label}</p>
+            ))
+          )}
+        </div>
+      </div>
+
+      <div className="border-t border-gray-700 p-4 flex-shrink-0">
+        <button
+          onClick={handleEdit}
+          title="Leave the read-only view and edit this scene (save it from the SAVES tab)"
+          className="w-full bg-blue-600 hover:bg-blue-500 active:bg-blue-700 text-white font-semibold py-2 px-4 rounded text-sm transition-colors"
+        >
+          Edit a copy
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,141 @@
+/**
+ * autosave.js
+ *
+ * Crash / refresh protection. While the app is open, every change to the
+ * scene document is written to localStorage as one snapshot (the
+ * buildScenePayload document plus savedAt), debounced so a drag or slider
+ * writes once it settles. Pending changes are flushed when the page is
+ * hidden or unloaded.
+ *
+ * On the next start, RecoveryBanner offers to restore that snapshot. Until
+ * this session autosaves over it, describeUnsavedWork counts it as work at
+ * risk, so loading another scene (e.g. from a share link) asks first.
+ *
+ * localStorage (not IndexedDB) because its writes are synchronous — a flush
+ * from pagehide completes before the page goes away. A snapshot too big for
+ * the quota (large floor plan images) is skipped with a console warning.
+ * Read-only share views (viewerMode) are never autosaved.
+ */
+
+import { buildScenePayload } from './sceneStorage';
+
+const AUTOSAVE_KEY = 'robotlayout_autosave';
+const DEBOUNCE_MS = 1000;
+
+/** True once this session has written a snapshot (over the previous one) */
+let autosavedThisSession = false;
+
+/** Store fields whose changes trigger an autosave (the saved document) */
+const WATCHED_FIELDS = [
+  'deployedRobots',
+  'sceneObjects',
+  'groups',
+  'robotJointAngles',
+  'robotPrograms',
+  'snapToGridEnabled',
+  'showLabels',
+  'sceneSettings',
+  'floorUnderlay',
+];
+
+/**
+ * The last autosaved session, if any.
+ * @returns {{ savedAt: string, scene: object }|null}
+ */
+export function readAutosave() {
+  try {
+    const raw = localStorage.getItem(AUTOSAVE_KEY);
+    if (!raw) return null;
+    const scene = JSON.parse(raw);
+    return { savedAt: scene.savedAt || '', scene };
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * The previous session's snapshot, while this session has not yet autosaved
+ * over it — only when it has robots or equipment worth recovering.
+ * @returns {{ savedAt: string, scene: object }|null}
+ */
+export function readPendingRecovery() {
+  if (autosavedThisSession) return null;
+  const saved = readAutosave();
+  const { deployedRobots = [], sceneObjects = [] } = saved?.scene ?? {};
+  return deployedRobots.length + sceneObjects.length > 0 ? saved : null;
+}
+
+/**
+ * What replacing the open scene would lose, for a confirm prompt: unsaved
+ * edits (store hasUnsavedChanges), or else the previous session's pending
+ * snapshot, which the replacement's autosave would overwrite.
+ *
+ * @param {object}  state          - useSceneStore state
+ * @param {boolean} [autosaves]    - false when the replacement is never
+ *                                   autosaved (read-only share views)
+ * @returns {string|null} A sentence, or null when nothing is at risk
+ */
+export function describeUnsavedWork(state, autosaves = true) {
+  if (state.hasUnsavedChanges) return 'The current scene has unsaved changes.';
+  const recovery = autosaves && readPendingRecovery();
+  if (!recovery) return null;
+  const when = recovery.savedAt
+    ? new Date(recovery.savedAt).toLocaleString(undefined, { dateStyle: 'medium', timeStyle: 'short' })
+    : 'your last session';
+  return `The unsaved work autosaved ${recovery.savedAt ? 'on ' : 'from '}${when} will no longer be recoverable.`;
+}
+
+/** Forgets the autosaved session. */
+export function clearAutosave() {
+  try {
+    localStorage.removeItem(AUTOSAVE_KEY);
+  } catch {
+    // Nothing to clear
+  }
+}
+
+/**
+ * Starts autosaving the store's scene on change.
+ * @param {object} store - The zustand store (useSceneStore)
+ * @returns {Function} Stops autosaving (flushing any pending change)
+ */
+export function startAutosave(store) {
+  let timer = null;
+
+  function write() {
+    timer = null;
+    const state = store.getState();
+    if (state.viewerMode) return;
+    try {
+      localStorage.setItem(AUTOSAVE_KEY, JSON.stringify(buildScenePayload(state)));
+      autosavedThisSession = true;
+    } catch (err) {
+      console.warn('Autosave skipped:', err);
+    }
+  }
+
+  function flush() {
+    if (timer === null) return;
+    clearTimeout(timer);
+    write();
+  }
+
+  const unsubscribe = store.subscribe((state, prev) => {
+    if (state.viewerMode || !WATCHED_FIELDS.some((k) => state[k] !== prev[k])) return;
+    clearTimeout(timer);
+    timer = setTimeout(write, DEBOUNCE_MS);
+  });
+
+  function onVisibilityChange() {
+    if (document.visibilityState === 'hidden') flush();
+  }
+  window.addEventListener('pagehide', flush);
+  document.addEventListener('visibilitychange', onVisibilityChange);
+
+  return () => {
+    flush();
+    unsubscribe();
+    window.removeEventListener('pagehide', flush);
+    document.removeEventListener('visibilitychange', onVisibilityChange);
+  };
+}
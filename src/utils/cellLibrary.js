@@ -0,0 +1,112 @@
+/**
+ * cellLibrary.js
+ *
+ * Reusable cell library: scene groups (store `groups`) saved to browser
+ * localStorage so they can be stamped into any scene with the store's
+ * stampCell action.
+ *
+ * Storage format mirrors sceneStorage.js: a single localStorage key holds a
+ * JSON object keyed by cell name. Each cell is self-contained:
+ *   {
+ *     version: 1, name, savedAt,
+ *     origin:           [x, y]  — where the cell's centre was when saved
+ *     deployedRobots:   robots with floor positions relative to the centre
+ *     sceneObjects:     objects, likewise
+ *     robotJointAngles: poses of the cell's robots, keyed by their saved ids
+ *     robotPrograms:    waypoint programs, likewise
+ *   }
+ * Ids inside a cell are only meaningful within it; stampCell assigns fresh
+ * ones from nextRobotId / nextObjectId.
+ */
+
+import { getSelectionPivot } from './selectionUtils';
+
+const STORAGE_KEY = 'robotlayout_cells';
+
+/** Read the full cell map from localStorage. Returns {} on empty/error. */
+function readMap() {
+  try {
+    const raw = localStorage.getItem(STORAGE_KEY);
+    if (!raw) return {};
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+/** Write the full cell map to localStorage. */
+function writeMap(map) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+}
+
+/**
+ * Builds a library cell from one of the scene's groups.
+ * @param {object} state   - useSceneStore state
+ * @param {string} groupId - e.g. "g-1"
+ * @returns {object|null} Cell, or null if the group doesn't exist
+ */
+export function extractCell(state, groupId) {
+  const group = state.groups.find((g) => g.id === groupId);
+  if (!group) return null;
+
+  const robots = state.deployedRobots.filter((r) => group.robotIds.includes(r.id));
+  const objects = state.sceneObjects.filter((o) => group.objectIds.includes(o.id));
+  const [cx, cy] = getSelectionPivot([...robots, ...objects]);
+  const relative = (e) => ({ ...e, position: [e.position[0] - cx, e.position[1] - cy, e.position[2]] });
+  const pick = (map) => Object.fromEntries(group.robotIds.filter((id) => map[id]).map((id) => [id, map[id]]));
+
+  return {
+    version: 1,
+    name: group.name,
+    savedAt: new Date().toISOString(),
+    origin: [cx, cy],
+    deployedRobots: robots.map(relative),
+    sceneObjects: objects.map(relative),
+    robotJointAngles: pick(state.robotJointAngles),
+    robotPrograms: pick(state.robotPrograms),
+  };
+}
+
+/**
+ * Save a cell to the library. Overwrites a cell with the same name.
+ * @param {object} cell - From extractCell
+ */
+export function saveCell(cell) {
+  const map = readMap();
+  map[cell.name] = cell;
+  writeMap(map); // throws DOMException on quota exceeded
+}
+
+/**
+ * List library cells, newest first.
+ * @returns {{ name: string, savedAt: string, robotCount: number, objectCount: number }[]}
+ */
+export function listCells() {
+  return Object.entries(readMap())
+    .map(([name, cell]) => ({
+      name,
+      savedAt: cell.savedAt || '',
+      robotCount: cell.deployedRobots?.length ?? 0,
+      objectCount: cell.sceneObjects?.length ?? 0,
+    }))
+    .sort((a, b) => (b.savedAt > a.savedAt ? 1 : -1));
+}
+
+/**
+ * Load a single cell by name.
+ * @param {string} name
+ * @returns {object|null}
+ */
+export function loadCell(name) {
+  return readMap()[name] ?? null;
+}
+
+/**
+ * Delete a cell by name.
+ * @param {string} name
+ */
+export function deleteCell(name) {
+  const map = readMap();
+  delete map[name];
+  writeMap(map);
+}
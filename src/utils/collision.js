@@ -0,0 +1,202 @@
+/**
+ * collision.js
+ *
+ * Convex-hull collision primitives for the collision monitor.
+ *
+ * Every collidable mesh (URDF link visual, gripper part, equipment shape
+ * part) is reduced once to the vertices of its convex hull in mesh-local
+ * coordinates (cached per BufferGeometry). Each check transforms those
+ * points to world space, rejects pairs whose world AABBs don't overlap, and
+ * runs GJK on the remaining pairs.
+ *
+ * GJK answers "do these convex sets overlap?" without computing depth, so
+ * a small contact tolerance is subtracted from the Minkowski support: parts
+ * that merely touch (a robot base resting on a table top) are not reported.
+ */
+
+import * as THREE from 'three';
+import { ConvexHull } from 'three/examples/jsm/math/ConvexHull.js';
+
+/** Penetration (metres) below which touching parts are not reported */
+export const CONTACT_TOLERANCE = 0.005;
+
+const hullCache = new WeakMap();
+
+/**
+ * Returns the convex hull vertices of a geometry as a flat [x,y,z,...] array
+ * in geometry-local coordinates. Cached per geometry.
+ * @param {THREE.BufferGeometry} geometry
+ * @returns {Float32Array}
+ */
+export function getHullPoints(geometry) {
+  if (hullCache.has(geometry)) return hullCache.get(geometry);
+
+  const attr = geometry.getAttribute('position');
+  const points = [];
+  for (let i = 0; i < attr.count; i++) {
+    points.push(new THREE.Vector3().fromBufferAttribute(attr, i));
+  }
+
+  let result;
+  try {
+    const hull = new ConvexHull().setFromPoints(points);
+    const unique = new Set();
+    for (const face of hull.faces) {
+      let edge = face.edge;
+      do {
+        unique.add(edge.head().point);
+        edge = edge.next;
+      } while (edge !== face.edge);
+    }
+    result = new Float32Array([...unique].flatMap((p) => [p.x, p.y, p.z]));
+  } catch {
+    result = null;
+  }
+  // Flat or degenerate geometry (e.g. a fence wire panel plane) — keep all points
+  if (!result || result.length === 0) {
+    result = new Float32Array(points.flatMap((p) => [p.x, p.y, p.z]));
+  }
+
+  hullCache.set(geometry, result);
+  return result;
+}
+
+/**
+ * Transforms local hull points to world space and computes their AABB.
+ * @param {Float32Array}  local  - From getHullPoints
+ * @param {THREE.Matrix4} matrix - mesh.matrixWorld
+ * @returns {{ points: Float32Array, box: THREE.Box3 }}
+ */
+export function toWorld(local, matrix) {
+  const points = new Float32Array(local.length);
+  const box = new THREE.Box3();
+  const v = new THREE.Vector3();
+  for (let i = 0; i < local.length; i += 3) {
+    v.set(local[i], local[i + 1], local[i + 2]).applyMatrix4(matrix);
+    points[i] = v.x;
+    points[i + 1] = v.y;
+    points[i + 2] = v.z;
+    box.expandByPoint(v);
+  }
+  return { points, box };
+}
+
+/** Farthest point of a flat point array in direction d (written to out). */
+function support(points, dx, dy, dz, out) {
+  let best = -Infinity;
+  let bi = 0;
+  for (let i = 0; i < points.length; i += 3) {
+    const dot = points[i] * dx + points[i + 1] * dy + points[i + 2] * dz;
+    if (dot > best) {
+      best = dot;
+      bi = i;
+    }
+  }
+  return out.set(points[bi], points[bi + 1], points[bi + 2]);
+}
+
+const _sa = new THREE.Vector3();
+const _sb = new THREE.Vector3();
+
+/** Support point of the Minkowski difference A − B, shrunk by the tolerance. */
+function minkowskiSupport(a, b, d) {
+  const len = d.length() || 1;
+  support(a, d.x, d.y, d.z, _sa);
+  support(b, -d.x, -d.y, -d.z, _sb);
+  return _sa.clone().sub(_sb).addScaledVector(d, -CONTACT_TOLERANCE / len);
+}
+
+function tripleCross(a, b, c) {
+  return a.clone().cross(b).cross(c);
+}
+
+/**
+ * Updates the simplex towards the origin. Returns true when the simplex
+ * encloses the origin; otherwise mutates simplex and direction.
+ * simplex[0] is always the newest point.
+ */
+function doSimplex(simplex, direction) {
+  const a = simplex[0];
+  const ao = a.clone().negate();
+
+  if (simplex.length === 2) {
+    const ab = simplex[1].clone().sub(a);
+    if (ab.dot(ao) > 0) {
+      direction.copy(tripleCross(ab, ao, ab));
+    } else {
+      simplex.length = 1;
+      direction.copy(ao);
+    }
+    return false;
+  }
+
+  if (simplex.length === 3) {
+    const [, b, c] = simplex;
+    const ab = b.clone().sub(a);
+    const ac = c.clone().sub(a);
+    const abc = ab.clone().cross(ac);
+
+    if (abc.clone().cross(ac).dot(ao) > 0) {
+      if (ac.dot(ao) > 0) {
+        simplex.splice(0, 3, a, c);
+        direction.copy(tripleCross(ac, ao, ac));
+      } else {
+        simplex.splice(0, 3, a, b);
+        return doSimplex(simplex, direction);
+      }
+    } else if (ab.clone().cross(abc).dot(ao) > 0) {
+      simplex.splice(0, 3, a, b);
+      return doSimplex(simplex, direction);
+    } else if (abc.dot(ao) > 0) {
+      direction.copy(abc);
+    } else {
+      simplex.splice(0, 3, a, c, b);
+      direction.copy(abc).negate();
+    }
+    return false;
+  }
+
+  // Tetrahedron
+  const [, b, c, d] = simplex;
+  const ab = b.clone().sub(a);
+  const ac = c.clone().sub(a);
+  const ad = d.clone().sub(a);
+  const abc = ab.clone().cross(ac);
+  const acd = ac.clone().cross(ad);
+  const adb = ad.clone().cross(ab);
+
+  if (abc.dot(ao) > 0) {
+    simplex.splice(0, 4, a, b, c);
+    return doSimplex(simplex, direction);
+  }
+  if (acd.dot(ao) > 0) {
+    simplex.splice(0, 4, a, c, d);
+    return doSimplex(simplex, direction);
+  }
+  if (adb.dot(ao) > 0) {
+    simplex.splice(0, 4, a, d, b);
+    return doSimplex(simplex, direction);
+  }
+  return true;
+}
+
+/**
+ * GJK intersection test between two convex point sets (world space).
+ * @param {Float32Array} a - Flat [x,y,z,...] points
+ * @param {Float32Array} b - Flat [x,y,z,...] points
+ * @returns {boolean} true when the hulls overlap by more than CONTACT_TOLERANCE
+ */
+export function convexIntersect(a, b) {
+  const direction = new THREE.Vector3(1, 0, 0);
+  const simplex = [minkowskiSupport(a, b, direction)];
+  direction.copy(simplex[0]).negate();
+
+  for (let i = 0; i < 64; i++) {
+    if (direction.lengthSq() < 1e-14) return true; // origin on the simplex
+    const p = minkowskiSupport(a, b, direction);
+    if (p.dot(direction) < 0) return false;        // can't pass the origin
+    simplex.unshift(p);
+    if (doSimplex(simplex, direction)) return true;
+  }
+  return false;
+}
@@ -14,20 +14,20 @@
  */
 
 import sceneConfig from '../config/config.json';
-import robotsConfig from '../config/robots_config.json';
+import { getManufacturerModels } from './robotCatalog';
 
 // ─── Lookups ────────────────────────────────────────────────────────────────
 
 /**
- * Looks up a robot model entry from robots_config.json by display name.
+ * Looks up a robot model entry by display name — built-in robots_config.json
+ * models and IMPORT-tab models alike (see robotCatalog.js).
  *
  * @param {string} manufacturer - e.g. "Universal Robots"
  * @param {string} modelName    - display name, e.g. "UR5e"
  * @returns {Object|null}
  */
 export function getRobotModelConfig(manufacturer, modelName) {
-  const models = robotsConfig.manufacturers[manufacturer]?.models ?? [];
-  return models.find((m) => m.name === modelName) ?? null;
+  return getManufacturerModels(manufacturer).find((m) => m.name === modelName) ?? null;
 }
 
 // ─── Grid layout ────────────────────────────────────────────────────────────
@@ -102,8 +102,7 @@ export function loadRobot(
   instanceNum = 1,
   mountType = 'floor'
 ) {
-  const models = robotsConfig.manufacturers[manufacturer]?.models ?? [];
-  const modelConfig = models.find((m) => m.id === modelId);
+  const modelConfig = getManufacturerModels(manufacturer).find((m) => m.id === modelId);
 
   if (!modelConfig) {
     console.warn(`loadRobot: no model found for ${manufacturer} / ${modelId}`);
@@ -0,0 +1,24 @@
+/**
+ * download.js
+ *
+ * Browser download helper for generated files (robot programs, CAD and
+ * robotics-format exports). Triggers the browser's Save As / download flow.
+ */
+
+/**
+ * Downloads text or binary content as a file.
+ * @param {string}             filename - Suggested file name, e.g. "cell.urdf"
+ * @param {string|ArrayBuffer|Blob} content
+ * @param {string}             [type]   - MIME type
+ */
+export function downloadFile(filename, content, type = 'text/plain') {
+  const blob = content instanceof Blob ? content : new Blob([content], { type });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  document.body.removeChild(a);
+  URL.revokeObjectURL(url);
+}
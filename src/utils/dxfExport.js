@@ -0,0 +1,233 @@
+/**
+ * dxfExport.js
+ *
+ * DXF drawing of the 2D layout for CAD handoff (AutoCAD R12 ASCII, the most
+ * widely readable flavour). Contents:
+ *   - FLOOR     — the building's floor outline (sceneSettings.floor)
+ *   - DOORS     — a line across each door opening in the perimeter
+ *   - COLUMNS   — each structural column's square footprint
+ *   - one layer per object category (EQUIPMENT, MATERIALS, SHAPES) — each
+ *                 scene object's footprint from getObjectFootprint, rotated
+ *                 to its heading
+ *   - ROBOTS    — a circle for each robot base plus a tick along its base +X
+ *   - REACH     — dashed circle at each robot's maximum horizontal reach
+ *                 (the same radius the 2D view shows, see ReachEnvelope.jsx)
+ *   - LABELS    — every `label`, centred on its object or under its robot
+ *
+ * Drawing frame: X = spec x, Y = −spec y, in metres ($INSUNITS 6). This is the
+ * plan the 2D layout view shows (spec y runs down the screen) and the robot
+ * world frame W of kinematics.js, so headings are counter-clockwise angles.
+ */
+
+import { getColumnPositions, getDoorOpenings, getFloorOutline } from './floorLayout';
+import { getRobotToolLength } from './gripperUtils';
+import { getObjectFootprint } from './objectUtils';
+import { getReachProfile, mountedReachProfile } from './reachEnvelope';
+import { findRobotModel } from './robotCatalog';
+
+const DEG2RAD = Math.PI / 180;
+const TEXT_HEIGHT = 0.15;
+
+// AutoCAD colour index per layer
+const LAYER_COLORS = { FLOOR: 8, DOORS: 40, COLUMNS: 9, ROBOTS: 1, REACH: 5, LABELS: 7 };
+const CATEGORY_COLORS = { EQUIPMENT: 3, MATERIALS: 30, SHAPES: 4 };
+
+/** Formats a coordinate: fixed precision, no trailing zeros, no "-0". */
+function num(n) {
+  return String(Math.abs(n) < 5e-7 ? 0 : Number(n.toFixed(6)));
+}
+
+/** Escapes text for a TEXT entity — non-ASCII as AutoCAD \U+XXXX codes. */
+function dxfText(str) {
+  return [...String(str)]
+    .map((c) => (c.charCodeAt(0) > 126 ? `\\U+${c.codePointAt(0).toString(16).toUpperCase().padStart(4, '0')}` : c))
+    .join('');
+}
+
+/** Layer name for an object's category, e.g. "materials" → "MATERIALS". */
+function categoryLayer(object) {
+  return (object.category ?? 'equipment').toUpperCase().replace(/[^A-Z0-9_-]/g, '_');
+}
+
+/**
+ * Maps a point in an entity's local plan frame (lx along its length axis,
+ * lz across it — Three.js local X and Z) to drawing coordinates.
+ */
+function localToDrawing(entity, lx, lz) {
+  const a = (entity.rotation ?? 0) * DEG2RAD;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  return [
+    entity.position[0] + lx * cos + lz * sin,
+    -entity.position[1] + lx * sin - lz * cos,
+  ];
+}
+
+/** Text angle for a heading, turned so labels never read upside down. */
+function readableAngle(deg) {
+  const a = ((deg % 360) + 360) % 360;
+  return a > 90 && a <= 270 ? a - 180 : a;
+}
+
+/**
+ * Horizontal reach radius of a deployed robot in metres — the sampled URDF
+ * envelope when its chain is loaded, else 85% of the catalogue reach_mm.
+ */
+function reachRadius(robot, state) {
+  const scale = robot.scale ?? 1;
+  const chain = state.robotKinematics[robot.id];
+  const meta = state.robotJointMeta[robot.id];
+  if (chain && meta) {
+    const profile = mountedReachProfile(
+      getReachProfile(robot.modelId, chain, meta, getRobotToolLength(robot)),
+      { position: [0, 0, robot.position[2]], mountType: robot.mountType, scale }
+    );
+    if (profile) return profile.maxRadius * scale;
+  }
+  return ((findRobotModel(robot.modelId)?.reach_mm ?? 0) / 1000) * 0.85 * scale;
+}
+
+/** Accumulates group-code / value pairs and the drawing extents. */
+function createWriter() {
+  const out = [];
+  const min = [Infinity, Infinity];
+  const max = [-Infinity, -Infinity];
+
+  const pair = (code, value) => out.push(String(code), typeof value === 'number' ? num(value) : String(value));
+  const extend = ([x, y], r = 0) => {
+    min[0] = Math.min(min[0], x - r);
+    min[1] = Math.min(min[1], y - r);
+    max[0] = Math.max(max[0], x + r);
+    max[1] = Math.max(max[1], y + r);
+  };
+
+  return {
+    out,
+    min,
+    max,
+    pair,
+    line(layer, a, b) {
+      pair(0, 'LINE'); pair(8, layer);
+      pair(10, a[0]); pair(20, a[1]); pair(30, 0);
+      pair(11, b[0]); pair(21, b[1]); pair(31, 0);
+      extend(a); extend(b);
+    },
+    circle(layer, c, r, linetype) {
+      pair(0, 'CIRCLE'); pair(8, layer);
+      if (linetype) pair(6, linetype);
+      pair(10, c[0]); pair(20, c[1]); pair(30, 0); pair(40, r);
+      extend(c, r);
+    },
+    polygon(layer, points) {
+      pair(0, 'POLYLINE'); pair(8, layer); pair(66, 1); pair(70, 1);
+      pair(10, 0); pair(20, 0); pair(30, 0);
+      for (const p of points) {
+        pair(0, 'VERTEX'); pair(8, layer);
+        pair(10, p[0]); pair(20, p[1]); pair(30, 0);
+        extend(p);
+      }
+      pair(0, 'SEQEND'); pair(8, layer);
+    },
+    text(layer, p, str, angle = 0) {
+      // Centred horizontally and vertically on p (72 = 1, 73 = 2)
+      pair(0, 'TEXT'); pair(8, layer);
+      pair(10, p[0]); pair(20, p[1]); pair(30, 0);
+      pair(40, TEXT_HEIGHT); pair(1, dxfText(str)); pair(50, angle);
+      pair(72, 1); pair(11, p[0]); pair(21, p[1]); pair(31, 0); pair(73, 2);
+      extend(p);
+    },
+  };
+}
+
+/**
+ * Builds the DXF drawing of the current layout.
+ *
+ * @param {object} state - useSceneStore state
+ * @returns {string} DXF file contents
+ */
+export function buildLayoutDxf(state) {
+  const { deployedRobots, sceneObjects } = state;
+  const { floor } = state.sceneSettings;
+  const w = createWriter();
+  const toDrawing = ([x, y]) => [x, -y];
+
+  // ── Building ──
+  w.polygon('FLOOR', getFloorOutline(floor).map(toDrawing));
+  for (const door of getDoorOpenings(floor)) {
+    w.line('DOORS', toDrawing(door.a), toDrawing(door.b));
+  }
+  const c = floor.columns.size / 2;
+  for (const [x, y] of getColumnPositions(floor)) {
+    w.polygon('COLUMNS', [[x - c, y - c], [x + c, y - c], [x + c, y + c], [x - c, y + c]].map(toDrawing));
+  }
+
+  // ── Object footprints ──
+  for (const object of sceneObjects) {
+    const layer = categoryLayer(object);
+    const fp = getObjectFootprint(object.shape, object.dimensions);
+    if (fp.type === 'circle') {
+      w.circle(layer, localToDrawing(object, 0, 0), fp.radius);
+    } else {
+      const l = fp.length / 2;
+      const b = fp.width / 2;
+      w.polygon(layer, [[-l, -b], [l, -b], [l, b], [-l, b]].map(([x, z]) => localToDrawing(object, x, z)));
+    }
+    if (object.label) {
+      w.text('LABELS', localToDrawing(object, 0, 0), object.label, readableAngle(object.rotation ?? 0));
+    }
+  }
+
+  // ── Robot bases, heading ticks and reach ──
+  for (const robot of deployedRobots) {
+    const scale = robot.scale ?? 1;
+    const footprint = findRobotModel(robot.modelId)?.footprint_m ?? [0.3, 0.3];
+    const r = (Math.max(...footprint) / 2) * scale;
+    const centre = localToDrawing(robot, 0, 0);
+    // Base +X points along the heading: W = Rz(rotation) · base
+    const a = (robot.rotation ?? 0) * DEG2RAD;
+    w.circle('ROBOTS', centre, r);
+    w.line('ROBOTS', centre, [centre[0] + 1.5 * r * Math.cos(a), centre[1] + 1.5 * r * Math.sin(a)]);
+
+    const reach = reachRadius(robot, state);
+    if (reach > 0) w.circle('REACH', centre, reach, 'DASHED');
+
+    if (robot.label) w.text('LABELS', [centre[0], centre[1] - r - TEXT_HEIGHT * 1.5], robot.label);
+  }
+
+  const entities = w.out;
+
+  // ── Header and tables ──
+  const h = createWriter();
+  const layers = [
+    ...Object.entries(LAYER_COLORS),
+    ...[...new Set(sceneObjects.map(categoryLayer))].map((name) => [name, CATEGORY_COLORS[name] ?? 2]),
+  ];
+
+  h.pair(999, 'Robot layout - units: metres');
+  h.pair(0, 'SECTION'); h.pair(2, 'HEADER');
+  h.pair(9, '$ACADVER'); h.pair(1, 'AC1009');
+  h.pair(9, '$INSUNITS'); h.pair(70, 6);
+  h.pair(9, '$EXTMIN'); h.pair(10, w.min[0]); h.pair(20, w.min[1]); h.pair(30, 0);
+  h.pair(9, '$EXTMAX'); h.pair(10, w.max[0]); h.pair(20, w.max[1]); h.pair(30, 0);
+  h.pair(9, '$LTSCALE'); h.pair(40, 1);
+  h.pair(0, 'ENDSEC');
+
+  h.pair(0, 'SECTION'); h.pair(2, 'TABLES');
+  h.pair(0, 'TABLE'); h.pair(2, 'LTYPE'); h.pair(70, 2);
+  h.pair(0, 'LTYPE'); h.pair(2, 'CONTINUOUS'); h.pair(70, 0); h.pair(3, 'Solid line');
+  h.pair(72, 65); h.pair(73, 0); h.pair(40, 0);
+  h.pair(0, 'LTYPE'); h.pair(2, 'DASHED'); h.pair(70, 0); h.pair(3, '__ __ __ __');
+  h.pair(72, 65); h.pair(73, 2); h.pair(40, 0.3); h.pair(49, 0.2); h.pair(49, -0.1);
+  h.pair(0, 'ENDTAB');
+  h.pair(0, 'TABLE'); h.pair(2, 'LAYER'); h.pair(70, layers.length);
+  for (const [name, color] of layers) {
+    h.pair(0, 'LAYER'); h.pair(2, name); h.pair(70, 0); h.pair(62, color);
+    h.pair(6, name === 'REACH' ? 'DASHED' : 'CONTINUOUS');
+  }
+  h.pair(0, 'ENDTAB');
+  h.pair(0, 'ENDSEC');
+
+  h.pair(0, 'SECTION'); h.pair(2, 'ENTITIES');
+
+  return [...h.out, ...entities, '0', 'ENDSEC', '0', 'EOF', ''].join('\n');
+}
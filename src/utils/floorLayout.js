@@ -0,0 +1,221 @@
+/**
+ * floorLayout.js
+ *
+ * The building a scene is laid out in — floor outline, perimeter walls with
+ * door openings, and a grid of structural columns — stored per scene as
+ * sceneSettings.floor and edited in the GENERAL tab. config.json `floor`
+ * supplies the defaults.
+ *
+ * Floor shape (all lengths in metres, positions in spec floor coords):
+ *   {
+ *     shape:  'rectangle' | 'lshape' | 'polygon',
+ *     width, depth   — rectangle / L-shape bounding box, centred on the origin
+ *     notch:  { corner: '+x+y' | '+x-y' | '-x+y' | '-x-y', width, depth }
+ *                    — the corner cut out of the L-shape
+ *     points: [[x, y], …] — outline vertices of a 'polygon' floor
+ *     wallsVisible, wallHeight, wallThickness
+ *     doors:  [{ edge, offset, width, height }] — openings in the perimeter
+ *             walls; `edge` indexes getFloorOutline edges (vertex i → i+1)
+ *             and `offset` is measured from that edge's start vertex
+ *     columns: { enabled, spacingX, spacingY, offsetX, offsetY, size }
+ *             — square columns on a grid through (offsetX, offsetY), kept
+ *             where they fall inside the outline
+ *   }
+ */
+
+import sceneConfig from '../config/config.json';
+
+export const NOTCH_CORNERS = ['+x+y', '+x-y', '-x+y', '-x-y'];
+
+/** The building from config.json: a plain rectangle, no walls or columns. */
+export function defaultFloor() {
+  const { width, depth, wallHeight, wallThickness } = sceneConfig.floor;
+  return {
+    shape: 'rectangle',
+    width,
+    depth,
+    notch: { corner: '+x+y', width: width / 2, depth: depth / 2 },
+    points: rectangleOutline(width, depth),
+    wallsVisible: false,
+    wallHeight,
+    wallThickness,
+    doors: [],
+    columns: { enabled: false, spacingX: 10, spacingY: 10, offsetX: 0, offsetY: 0, size: 0.5 },
+  };
+}
+
+function rectangleOutline(width, depth) {
+  const hw = width / 2;
+  const hd = depth / 2;
+  return [[-hw, -hd], [hw, -hd], [hw, hd], [-hw, hd]];
+}
+
+/**
+ * Outline of the floor as a closed polygon (last vertex joins the first).
+ * @param {object} floor - sceneSettings.floor
+ * @returns {number[][]} Spec [x, y] vertices
+ */
+export function getFloorOutline(floor) {
+  if (floor.shape === 'polygon' && floor.points?.length >= 3) return floor.points;
+
+  const rect = rectangleOutline(floor.width, floor.depth);
+  if (floor.shape !== 'lshape') return rect;
+
+  // Replace the notched corner C with three vertices: back along the edge
+  // from the previous vertex, the inner corner, then along the next edge.
+  const { corner, width: nw, depth: nd } = floor.notch;
+  const sx = corner[0] === '+' ? 1 : -1;
+  const sy = corner[2] === '+' ? 1 : -1;
+  const i = rect.findIndex(([x, y]) => Math.sign(x) === sx && Math.sign(y) === sy);
+  const c = rect[i];
+  const prev = rect[(i + 3) % 4];
+  const next = rect[(i + 1) % 4];
+  const along = (to) => {
+    const dx = Math.sign(to[0] - c[0]);
+    const dy = Math.sign(to[1] - c[1]);
+    const len = dx !== 0 ? Math.min(nw, floor.width) : Math.min(nd, floor.depth);
+    return [dx * len, dy * len];
+  };
+  const d1 = along(prev);
+  const d2 = along(next);
+  const cut = [
+    [c[0] + d1[0], c[1] + d1[1]],
+    [c[0] + d1[0] + d2[0], c[1] + d1[1] + d2[1]],
+    [c[0] + d2[0], c[1] + d2[1]],
+  ];
+  return [...rect.slice(0, i), ...cut, ...rect.slice(i + 1)];
+}
+
+/**
+ * Axis-aligned bounds of the floor outline.
+ * @returns {{ minX: number, maxX: number, minY: number, maxY: number,
+ *             width: number, depth: number, centre: number[] }}
+ */
+export function getFloorBounds(floor) {
+  const outline = getFloorOutline(floor);
+  const xs = outline.map((p) => p[0]);
+  const ys = outline.map((p) => p[1]);
+  const minX = Math.min(...xs);
+  const maxX = Math.max(...xs);
+  const minY = Math.min(...ys);
+  const maxY = Math.max(...ys);
+  return {
+    minX, maxX, minY, maxY,
+    width: maxX - minX,
+    depth: maxY - minY,
+    centre: [(minX + maxX) / 2, (minY + maxY) / 2],
+  };
+}
+
+/** Even-odd point-in-polygon test. */
+export function pointInOutline(outline, [x, y]) {
+  let inside = false;
+  for (let i = 0, j = outline.length - 1; i < outline.length; j = i++) {
+    const [xi, yi] = outline[i];
+    const [xj, yj] = outline[j];
+    if ((yi > y) !== (yj > y) && x < ((xj - xi) * (y - yi)) / (yj - yi) + xi) inside = !inside;
+  }
+  return inside;
+}
+
+/**
+ * Edges of the floor outline, each from vertex i to vertex i + 1.
+ * @returns {{ a: number[], b: number[], length: number }[]}
+ */
+export function getOutlineEdges(floor) {
+  const outline = getFloorOutline(floor);
+  return outline.map((a, i) => {
+    const b = outline[(i + 1) % outline.length];
+    return { a, b, length: Math.hypot(b[0] - a[0], b[1] - a[1]) };
+  });
+}
+
+/**
+ * Door openings resolved onto the outline, clamped to their edge. Doors on
+ * edges the outline no longer has are dropped.
+ * @returns {{ edge: number, from: number, to: number, height: number,
+ *             a: number[], b: number[] }[]} a / b are the opening's ends
+ */
+export function getDoorOpenings(floor) {
+  const edges = getOutlineEdges(floor);
+  return (floor.doors ?? [])
+    .filter((door) => edges[door.edge])
+    .map((door) => {
+      const edge = edges[door.edge];
+      const from = Math.max(0, Math.min(door.offset, edge.length));
+      const to = Math.max(from, Math.min(door.offset + door.width, edge.length));
+      const at = (t) => [
+        edge.a[0] + ((edge.b[0] - edge.a[0]) * t) / (edge.length || 1),
+        edge.a[1] + ((edge.b[1] - edge.a[1]) * t) / (edge.length || 1),
+      ];
+      return { edge: door.edge, from, to, height: Math.min(door.height, floor.wallHeight), a: at(from), b: at(to) };
+    });
+}
+
+/**
+ * Perimeter wall pieces: full-height runs between door openings, plus a
+ * lintel above each opening lower than the wall. Walls are centred on the
+ * outline; full-height runs extend half a thickness past the outline
+ * vertices so corners close.
+ *
+ * @returns {{ centre: number[], length: number, angle: number,
+ *             bottom: number, top: number }[]} angle = atan2(dy, dx) of the run
+ */
+export function getWallSegments(floor) {
+  const { wallHeight, wallThickness } = floor;
+  const openings = getDoorOpenings(floor);
+  const pieces = [];
+
+  getOutlineEdges(floor).forEach((edge, i) => {
+    if (edge.length === 0) return;
+    const ux = (edge.b[0] - edge.a[0]) / edge.length;
+    const uy = (edge.b[1] - edge.a[1]) / edge.length;
+    const angle = Math.atan2(uy, ux);
+    const piece = (from, to, bottom) => {
+      if (to - from < 1e-6) return;
+      const mid = (from + to) / 2;
+      pieces.push({
+        centre: [edge.a[0] + ux * mid, edge.a[1] + uy * mid],
+        length: to - from,
+        angle,
+        bottom,
+        top: wallHeight,
+      });
+    };
+
+    const doors = openings.filter((o) => o.edge === i).sort((p, q) => p.from - q.from);
+    let cursor = -wallThickness / 2;
+    for (const door of doors) {
+      piece(cursor, door.from, 0);
+      if (door.height < wallHeight) piece(door.from, door.to, door.height);
+      cursor = Math.max(cursor, door.to);
+    }
+    piece(cursor, edge.length + wallThickness / 2, 0);
+  });
+
+  return pieces;
+}
+
+/**
+ * Centres of the structural columns that fall inside the floor outline.
+ * @returns {number[][]} Spec [x, y]
+ */
+export function getColumnPositions(floor) {
+  const { enabled, offsetX = 0, offsetY = 0 } = floor.columns ?? {};
+  if (!enabled) return [];
+  // Spacing below a metre would mean thousands of columns — not a building
+  const spacingX = Math.max(1, floor.columns.spacingX || 0);
+  const spacingY = Math.max(1, floor.columns.spacingY || 0);
+
+  const outline = getFloorOutline(floor);
+  const { minX, maxX, minY, maxY } = getFloorBounds(floor);
+  const positions = [];
+  const x0 = offsetX + Math.ceil((minX - offsetX) / spacingX) * spacingX;
+  const y0 = offsetY + Math.ceil((minY - offsetY) / spacingY) * spacingY;
+  for (let x = x0; x <= maxX + 1e-6; x += spacingX) {
+    for (let y = y0; y <= maxY + 1e-6; y += spacingY) {
+      if (pointInOutline(outline, [x, y])) positions.push([x, y]);
+    }
+  }
+  return positions;
+}
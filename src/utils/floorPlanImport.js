@@ -0,0 +1,315 @@
+/**
+ * floorPlanImport.js
+ *
+ * Building floor plans as a scaled underlay beneath the layout (store
+ * `floorUnderlay`, drawn by FloorUnderlay.jsx). Three sources are accepted:
+ *   - DXF          — LINE, LWPOLYLINE, POLYLINE, CIRCLE and ARC entities are
+ *                    flattened to line segments (blocks / INSERTs are not
+ *                    expanded — explode them in CAD first)
+ *   - SVG          — kept as a data URL and rasterised when drawn
+ *   - PNG / JPEG   — kept as a data URL
+ *
+ * Plan frame: every underlay lives in its own 2D frame with x to the right and
+ * y DOWN the page — image pixels as-is, DXF drawings with Y flipped — and is
+ * normalised so its extents run from [0, 0] to [width, height]. This is the
+ * orientation the 2D layout view shows (spec y runs down the screen), so a
+ * plan appears the right way up at rotation 0.
+ *
+ * Placement maps a plan point p to spec floor coordinates:
+ *   spec = offset + R(rotation) · (scale · p)
+ * where R turns by a heading like any robot or object (rotateAboutPivot), and
+ * scale is metres per plan unit. calibrateUnderlay fixes the scale from two
+ * picked points and a known distance.
+ */
+
+import { defaultFloor, getFloorBounds } from './floorLayout';
+import { rotateAboutPivot } from './selectionUtils';
+
+/** Metres per drawing unit for DXF $INSUNITS codes */
+const INSUNITS_SCALE = { 1: 0.0254, 2: 0.3048, 4: 0.001, 5: 0.01, 6: 1 };
+/** Segments used to flatten a full circle */
+const CIRCLE_SEGMENTS = 48;
+
+/** Default display settings for a freshly imported underlay */
+const DEFAULT_PLACEMENT = { rotation: 0, opacity: 0.6, visible: true };
+
+/**
+ * Splits DXF text into [code, value] pairs.
+ * @param {string} text
+ * @returns {Array<[number, string]>}
+ */
+function readPairs(text) {
+  const lines = text.split(/\r?\n/);
+  const pairs = [];
+  for (let i = 0; i + 1 < lines.length; i += 2) {
+    pairs.push([parseInt(lines[i], 10), lines[i + 1].trim()]);
+  }
+  return pairs;
+}
+
+/** Appends the polyline through points (optionally closed) as segments. */
+function pushPolyline(segments, points, closed) {
+  for (let i = 0; i + 1 < points.length; i++) {
+    segments.push(points[i][0], points[i][1], points[i + 1][0], points[i + 1][1]);
+  }
+  if (closed && points.length > 2) {
+    const last = points[points.length - 1];
+    segments.push(last[0], last[1], points[0][0], points[0][1]);
+  }
+}
+
+/** Appends an arc (angles in degrees, counter-clockwise) as segments. */
+function pushArc(segments, cx, cy, r, startDeg, endDeg) {
+  let sweep = endDeg - startDeg;
+  if (sweep <= 0) sweep += 360;
+  const n = Math.max(2, Math.ceil((CIRCLE_SEGMENTS * sweep) / 360));
+  const points = [];
+  for (let i = 0; i <= n; i++) {
+    const a = ((startDeg + (sweep * i) / n) * Math.PI) / 180;
+    points.push([cx + r * Math.cos(a), cy + r * Math.sin(a)]);
+  }
+  pushPolyline(segments, points, false);
+}
+
+/**
+ * Parses the geometry of an ASCII DXF drawing into line segments.
+ *
+ * @param {string} text - DXF file contents
+ * @returns {{ segments: number[], metresPerUnit: number|null }}
+ *          segments as flat [x1, y1, x2, y2, …] in drawing units (Y up);
+ *          metresPerUnit from $INSUNITS, or null when unitless
+ */
+export function parseDxf(text) {
+  const pairs = readPairs(text);
+  const segments = [];
+  let metresPerUnit = null;
+  let section = null;
+
+  // Entity being read, flushed when the next code-0 record starts
+  let entity = null;
+  let polyline = null; // open POLYLINE collecting VERTEX records
+
+  function flush() {
+    if (!entity) return;
+    const { type, v } = entity;
+    if (type === 'LINE') {
+      segments.push(v[10] ?? 0, v[20] ?? 0, v[11] ?? 0, v[21] ?? 0);
+    } else if (type === 'LWPOLYLINE') {
+      pushPolyline(segments, entity.points, (v[70] & 1) === 1);
+    } else if (type === 'CIRCLE') {
+      pushArc(segments, v[10] ?? 0, v[20] ?? 0, v[40] ?? 0, 0, 360);
+    } else if (type === 'ARC') {
+      pushArc(segments, v[10] ?? 0, v[20] ?? 0, v[40] ?? 0, v[50] ?? 0, v[51] ?? 360);
+    } else if (type === 'POLYLINE') {
+      polyline = { points: [], closed: (v[70] & 1) === 1 };
+    } else if (type === 'VERTEX' && polyline) {
+      polyline.points.push([v[10] ?? 0, v[20] ?? 0]);
+    } else if (type === 'SEQEND' && polyline) {
+      pushPolyline(segments, polyline.points, polyline.closed);
+      polyline = null;
+    }
+    entity = null;
+  }
+
+  for (let i = 0; i < pairs.length; i++) {
+    const [code, value] = pairs[i];
+    if (code === 0) {
+      flush();
+      if (value === 'SECTION') {
+        section = pairs[i + 1]?.[1] ?? null;
+      } else if (value === 'ENDSEC') {
+        section = null;
+      } else if (section === 'ENTITIES') {
+        entity = { type: value, v: {}, points: [] };
+      }
+    } else if (section === 'HEADER' && code === 9 && value === '$INSUNITS') {
+      metresPerUnit = INSUNITS_SCALE[parseInt(pairs[i + 1]?.[1], 10)] ?? null;
+    } else if (entity) {
+      const n = parseFloat(value);
+      // LWPOLYLINE repeats 10/20 once per vertex
+      if (entity.type === 'LWPOLYLINE' && code === 10) entity.points.push([n, 0]);
+      else if (entity.type === 'LWPOLYLINE' && code === 20 && entity.points.length) {
+        entity.points[entity.points.length - 1][1] = n;
+      } else entity.v[code] = code === 70 ? parseInt(value, 10) : n;
+    }
+  }
+  flush();
+
+  return { segments, metresPerUnit };
+}
+
+/**
+ * Scale that fits a plan of the given size inside the floor bounds.
+ * @returns {number} metres per plan unit
+ */
+function fitScale(width, height, bounds) {
+  return Math.min(bounds.width / (width || 1), bounds.depth / (height || 1));
+}
+
+/** Offset that centres a plan of the given size on the floor. */
+function centredOffset(width, height, scale, bounds) {
+  return [bounds.centre[0] - (width * scale) / 2, bounds.centre[1] - (height * scale) / 2];
+}
+
+/**
+ * Builds a floor underlay from DXF text: segments flipped into the plan
+ * frame and normalised to start at [0, 0]. Units come from $INSUNITS; a
+ * unitless drawing larger than 1000 units is taken to be in millimetres.
+ *
+ * @param {string} name   - File name
+ * @param {string} text   - DXF contents
+ * @param {object} bounds - getFloorBounds of the floor to centre the plan on
+ * @returns {object} floorUnderlay
+ */
+export function underlayFromDxf(name, text, bounds = getFloorBounds(defaultFloor())) {
+  const { segments, metresPerUnit } = parseDxf(text);
+  if (segments.length === 0) throw new Error('No lines, polylines, circles or arcs found in the DXF');
+
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (let i = 0; i < segments.length; i += 2) {
+    minX = Math.min(minX, segments[i]);
+    maxX = Math.max(maxX, segments[i]);
+    minY = Math.min(minY, segments[i + 1]);
+    maxY = Math.max(maxY, segments[i + 1]);
+  }
+  // Plan frame: x from the left edge, y down from the top edge
+  const planSegments = segments.map((n, i) => (i % 2 === 0 ? n - minX : maxY - n));
+  const width = maxX - minX;
+  const height = maxY - minY;
+  const scale = metresPerUnit ?? (Math.max(width, height) > 1000 ? 0.001 : 1);
+
+  return {
+    kind: 'lines',
+    name,
+    segments: planSegments,
+    width,
+    height,
+    scale,
+    offset: centredOffset(width, height, scale, bounds),
+    ...DEFAULT_PLACEMENT,
+  };
+}
+
+/**
+ * Builds a floor underlay from an image data URL (PNG, JPEG or SVG), sized
+ * to fit the floor until it is calibrated.
+ *
+ * @param {string} name   - File name
+ * @param {string} src    - Data URL
+ * @param {number} width  - Natural width in pixels
+ * @param {number} height - Natural height in pixels
+ * @param {object} bounds - getFloorBounds of the floor to fit the plan to
+ * @returns {object} floorUnderlay
+ */
+export function underlayFromImage(name, src, width, height, bounds = getFloorBounds(defaultFloor())) {
+  const scale = fitScale(width, height, bounds);
+  return {
+    kind: 'image',
+    name,
+    src,
+    width,
+    height,
+    scale,
+    offset: centredOffset(width, height, scale, bounds),
+    ...DEFAULT_PLACEMENT,
+  };
+}
+
+/** Loads an image data URL to read its natural size. */
+function measureImage(src) {
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.onload = () => resolve([img.naturalWidth || 1000, img.naturalHeight || 1000]);
+    img.onerror = () => reject(new Error('Could not decode the image'));
+    img.src = src;
+  });
+}
+
+/**
+ * Opens a file picker for a floor plan and builds an underlay from it.
+ * Rejects with 'File picker cancelled' when the picker is dismissed.
+ *
+ * @param {object} floor - sceneSettings.floor the plan is placed on
+ * @returns {Promise<object>} floorUnderlay
+ */
+export function importFloorPlanFromFile(floor) {
+  const bounds = getFloorBounds(floor);
+  return new Promise((resolve, reject) => {
+    const input = document.createElement('input');
+    input.type = 'file';
+    input.accept = '.dxf,.svg,.png,.jpg,.jpeg';
+    input.style.display = 'none';
+    document.body.appendChild(input);
+
+    input.addEventListener('change', () => {
+      const file = input.files[0];
+      document.body.removeChild(input);
+      if (!file) { reject(new Error('No file selected')); return; }
+
+      const isDxf = /\.dxf$/i.test(file.name);
+      const reader = new FileReader();
+      reader.onload = async () => {
+        try {
+          if (isDxf) {
+            resolve(underlayFromDxf(file.name, reader.result, bounds));
+          } else {
+            const [w, h] = await measureImage(reader.result);
+            resolve(underlayFromImage(file.name, reader.result, w, h, bounds));
+          }
+        } catch (err) {
+          reject(err);
+        }
+      };
+      reader.onerror = () => reject(new Error('Failed to read file'));
+      if (isDxf) reader.readAsText(file);
+      else reader.readAsDataURL(file);
+    });
+
+    // Cancel fallback — see importSceneFromFile in sceneStorage.js
+    function onFocus() {
+      window.removeEventListener('focus', onFocus);
+      setTimeout(() => {
+        if (input.parentNode) {
+          document.body.removeChild(input);
+          reject(new Error('File picker cancelled'));
+        }
+      }, 500);
+    }
+    window.addEventListener('focus', onFocus);
+
+    input.click();
+  });
+}
+
+/**
+ * Maps a spec floor point into the underlay's plan frame.
+ * @param {object}   underlay
+ * @param {number[]} point - Spec [x, y]
+ * @returns {number[]} Plan [x, y]
+ */
+export function floorToPlan(underlay, point) {
+  const [dx, dy] = rotateAboutPivot(
+    [point[0] - underlay.offset[0], point[1] - underlay.offset[1], 0], [0, 0], -underlay.rotation
+  );
+  return [dx / underlay.scale, dy / underlay.scale];
+}
+
+/**
+ * Two-point scale calibration: rescales the underlay so the two picked floor
+ * points end up `distance` metres apart, keeping the plan point under the
+ * first pick where it is.
+ *
+ * @param {object}   underlay
+ * @param {number[]} a        - First pick, spec [x, y]
+ * @param {number[]} b        - Second pick, spec [x, y]
+ * @param {number}   distance - Real distance between them in metres
+ * @returns {object|null} { scale, offset } patch, or null if the picks coincide
+ */
+export function calibrateUnderlay(underlay, a, b, distance) {
+  const measured = Math.hypot(b[0] - a[0], b[1] - a[1]);
+  if (measured < 1e-9 || !(distance > 0)) return null;
+  const scale = underlay.scale * (distance / measured);
+  const [px, py] = floorToPlan(underlay, a);
+  const [rx, ry] = rotateAboutPivot([px * scale, py * scale, 0], [0, 0], underlay.rotation);
+  return { scale, offset: [a[0] - rx, a[1] - ry] };
+}
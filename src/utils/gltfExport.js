@@ -0,0 +1,124 @@
+/**
+ * gltfExport.js
+ *
+ * Binary glTF (GLB) of the assembled 3D scene for other viewers and
+ * presentation tools. Rather than exporting the live R3F scene, which is full
+ * of UI helpers, a clean copy is built from what is known to be physical:
+ *   - building  — FloorGrid's `floor`, `wall`, `door` and `column` meshes
+ *   - robots    — each RobotInstance's `robot-body` (the posed URDF or
+ *                 placeholder, with its attached gripper) plus any
+ *                 `mount-pillar` / `mount-bracket`
+ *   - objects   — each SceneObjectInstance's `shape-body` plus its mounts
+ * Each robot / object becomes one node named by its `label`, carrying the
+ * instance's world transform. Selection rings, labels, reach envelopes,
+ * rotation / TCP gizmos, tool frames, DragPlane and the floor plan underlay
+ * are never copied.
+ *
+ * Geometry is shared with the live scene; materials are cloned only where
+ * CollisionMonitor has tinted them, so contact highlights don't leak into the
+ * file. Units are metres, Y up — the same as the Three.js scene.
+ */
+
+import * as THREE from 'three';
+import { GLTFExporter } from 'three/examples/jsm/exporters/GLTFExporter.js';
+
+/** Children of an instance's outer group that are part of the physical model */
+const INSTANCE_PARTS = ['robot-body', 'shape-body', 'mount-pillar', 'mount-bracket'];
+/** FloorGrid meshes that are part of the building */
+const BUILDING_PART = /^(floor|wall|door|column)(-|$)/;
+
+/**
+ * Deep-copies a subtree for export: drops tool-frame helpers and invisible
+ * nodes, and restores materials CollisionMonitor has highlighted.
+ */
+function cloneForExport(source) {
+  const copy = source.clone(true);
+  const drop = [];
+  copy.traverse((node) => {
+    if (node !== copy && (node.userData.isToolFrame || !node.visible)) drop.push(node);
+    if (!node.isMesh) return;
+    const restore = (mat) => {
+      if (mat?.userData?.origEmissive === undefined) return mat;
+      const clean = mat.clone();
+      clean.emissive.setHex(mat.userData.origEmissive);
+      delete clean.userData.origEmissive;
+      return clean;
+    };
+    node.material = Array.isArray(node.material) ? node.material.map(restore) : restore(node.material);
+  });
+  drop.forEach((node) => node.removeFromParent());
+  return copy;
+}
+
+/** An empty node named `name` at `source`'s world transform. */
+function placedNode(source, name) {
+  const node = new THREE.Group();
+  node.name = name;
+  source.updateWorldMatrix(true, false);
+  source.matrixWorld.decompose(node.position, node.quaternion, node.scale);
+  return node;
+}
+
+/**
+ * Builds the export copy of the scene.
+ *
+ * @param {THREE.Scene} scene - The live R3F scene
+ * @param {object}      state - useSceneStore state (labels)
+ * @returns {THREE.Group} Root named "robot-layout"
+ */
+export function buildExportScene(scene, state) {
+  const root = new THREE.Group();
+  root.name = 'robot-layout';
+
+  const labels = new Map([
+    ...state.deployedRobots.map((r) => [`robot:${r.id}`, r.label || r.id]),
+    ...state.sceneObjects.map((o) => [`object:${o.id}`, o.label || o.id]),
+  ]);
+
+  const building = new THREE.Group();
+  building.name = 'building';
+  const robots = new THREE.Group();
+  robots.name = 'robots';
+  const objects = new THREE.Group();
+  objects.name = 'objects';
+
+  scene.traverse((node) => {
+    if (node.name === 'building') {
+      node.children
+        .filter((child) => child.visible && BUILDING_PART.test(child.name))
+        .forEach((child) => {
+          const part = cloneForExport(child);
+          part.applyMatrix4(node.matrixWorld);
+          building.add(part);
+        });
+      return;
+    }
+
+    // Instance outer groups: the topmost node stamped with the id
+    const { robotId, objectId } = node.userData;
+    const id = robotId ?? objectId;
+    if (!id || node.parent?.userData[robotId ? 'robotId' : 'objectId'] === id) return;
+
+    const key = robotId ? `robot:${robotId}` : `object:${objectId}`;
+    if (!labels.has(key)) return;
+    const instance = placedNode(node, labels.get(key));
+    node.children
+      .filter((child) => child.visible && INSTANCE_PARTS.includes(child.name))
+      .forEach((child) => instance.add(cloneForExport(child)));
+    (robotId ? robots : objects).add(instance);
+  });
+
+  [building, robots, objects].forEach((group) => group.children.length && root.add(group));
+  return root;
+}
+
+/**
+ * Exports the assembled scene as GLB.
+ *
+ * @param {THREE.Scene} scene - The live R3F scene
+ * @param {object}      state - useSceneStore state
+ * @returns {Promise<ArrayBuffer>}
+ */
+export function exportSceneGlb(scene, state) {
+  return new GLTFExporter().parseAsync(buildExportScene(scene, state), { binary: true });
+}
@@ -5,15 +5,12 @@
  */
 
 import grippersConfig from '../config/grippers_config.json';
-import robotsConfig from '../config/robots_config.json';
+import { findRobotModel } from './robotCatalog';
 
-import { build as buildVacuum } from '../scene/grippers/VacuumGripperGeom';
-import { build as buildParallelJaw } from '../scene/grippers/ParallelJawGeom';
-import { build as buildMagnetic } from '../scene/grippers/MagneticGripperGeom';
-import { build as buildWeldingTorch } from '../scene/grippers/WeldingTorchGeom';
-
-// Flatten all models once for lookup
-const ALL_MODELS = Object.values(robotsConfig.manufacturers).flatMap((m) => m.models);
+import { build as buildVacuum, toolLength as vacuumLength } from '../scene/grippers/VacuumGripperGeom';
+import { build as buildParallelJaw, toolLength as parallelJawLength } from '../scene/grippers/ParallelJawGeom';
+import { build as buildMagnetic, toolLength as magneticLength } from '../scene/grippers/MagneticGripperGeom';
+import { build as buildWeldingTorch, toolLength as weldingTorchLength } from '../scene/grippers/WeldingTorchGeom';
 
 // Map gripper type → builder function
 const BUILDERS = {
@@ -23,6 +20,14 @@ const BUILDERS = {
   welding_torch: buildWeldingTorch,
 };
 
+// Map gripper type → tool length function (mount face → tool tip along +Z)
+const TOOL_LENGTHS = {
+  vacuum: vacuumLength,
+  parallel_jaw: parallelJawLength,
+  magnetic: magneticLength,
+  welding_torch: weldingTorchLength,
+};
+
 /**
  * Builds a Three.js Group containing the gripper geometry.
  *
@@ -42,6 +47,30 @@ export function buildGripperGeometry(gripperId, colorOverride, opacity) {
   return builder(config.dimensions, color, opacity);
 }
 
+/**
+ * Returns the tool length of a gripper at scale 1 — the TCP offset from the
+ * flange along its +Z axis.
+ *
+ * @param {string|null} gripperId - e.g. "parallel_jaw"; null = bare flange
+ * @returns {number} metres (0 when no gripper)
+ */
+export function getGripperLength(gripperId) {
+  const config = grippersConfig.grippers.find((g) => g.id === gripperId);
+  const lengthFn = config && TOOL_LENGTHS[config.type];
+  return lengthFn ? lengthFn(config.dimensions) : 0;
+}
+
+/**
+ * Returns the TCP offset for a deployed robot's attached gripper,
+ * including its gripperScale.
+ *
+ * @param {object} robot - Deployed robot ({ gripperId, gripperScale })
+ * @returns {number} metres
+ */
+export function getRobotToolLength(robot) {
+  return getGripperLength(robot.gripperId) * (robot.gripperScale ?? 1.0);
+}
+
 /**
  * Returns the URDF last link name for a given robot model ID.
  *
@@ -49,6 +78,5 @@ export function buildGripperGeometry(gripperId, colorOverride, opacity) {
  * @returns {string|null}
  */
 export function getLastLinkName(modelId) {
-  const model = ALL_MODELS.find((m) => m.id === modelId);
-  return model?.lastLinkName ?? null;
+  return findRobotModel(modelId)?.lastLinkName ?? null;
 }
@@ -0,0 +1,49 @@
+/**
+ * importedRobotStorage.js
+ *
+ * IndexedDB persistence for robot models imported through the IMPORT tab.
+ *
+ * Record shape (one per imported model):
+ *   {
+ *     id:           string  — e.g. "imp-my_robot-lx3k2a"
+ *     manufacturer: string  — user-entered, may match a built-in manufacturer
+ *     name:         string  — model display name
+ *     urdfPath:     string  — bundle path of the URDF (used to resolve relative meshes)
+ *     urdfText:     string  — URDF XML
+ *     files:        { [bundlePath]: Blob } — only the meshes the URDF references
+ *     lastLinkName: string  — gripper mount link
+ *     reach_mm:     number
+ *     approxHeight: number  — metres
+ *     footprint_m:  [number, number]
+ *     importedAt:   string  — ISO timestamp
+ *   }
+ */
+
+import { withStore } from './indexedDb';
+
+const STORE = 'importedRobots';
+
+/**
+ * Saves (or overwrites) an imported robot record.
+ * @param {object} record
+ */
+export function saveImportedRobot(record) {
+  return withStore(STORE, 'readwrite', (store) => store.put(record));
+}
+
+/**
+ * Lists all imported robot records, oldest first.
+ * @returns {Promise<object[]>}
+ */
+export async function listImportedRobots() {
+  const records = (await withStore(STORE, 'readonly', (store) => store.getAll())) ?? [];
+  return records.sort((a, b) => (a.importedAt > b.importedAt ? 1 : -1));
+}
+
+/**
+ * Deletes an imported robot record by id.
+ * @param {string} id
+ */
+export function deleteImportedRobot(id) {
+  return withStore(STORE, 'readwrite', (store) => store.delete(id));
+}
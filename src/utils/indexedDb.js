@@ -0,0 +1,70 @@
+/**
+ * indexedDb.js
+ *
+ * Minimal promise wrapper around the browser IndexedDB API.
+ *
+ * localStorage caps out at ~5-10 MB and only stores strings, which is too
+ * small for imported robot meshes. Everything that needs binary blobs or
+ * large payloads goes through this module instead.
+ *
+ * Database layout (DB_VERSION 3):
+ *   importedRobots — keyPath "id", one record per imported URDF model
+ *   scenes         — keyPath "name", one record per saved scene (v2+)
+ *   sceneHistory   — keyPath "key", past versions of each saved scene (v3+)
+ */
+
+const DB_NAME = 'robotlayout';
+const DB_VERSION = 3;
+
+let dbPromise = null;
+
+/**
+ * Opens (and on first use creates/upgrades) the app database.
+ * The connection is cached for the lifetime of the page.
+ * @returns {Promise<IDBDatabase>}
+ */
+export function openDatabase() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    if (typeof indexedDB === 'undefined') {
+      reject(new Error('IndexedDB is not available in this browser'));
+      return;
+    }
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains('importedRobots')) {
+        db.createObjectStore('importedRobots', { keyPath: 'id' });
+      }
+      if (!db.objectStoreNames.contains('scenes')) {
+        db.createObjectStore('scenes', { keyPath: 'name' });
+      }
+      if (!db.objectStoreNames.contains('sceneHistory')) {
+        db.createObjectStore('sceneHistory', { keyPath: 'key' });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+  // Allow a retry after a failed open (e.g. private browsing quirks)
+  dbPromise.catch(() => { dbPromise = null; });
+  return dbPromise;
+}
+
+/**
+ * Runs a single request against an object store and resolves with its result.
+ * @param {string}   storeName - Object store name
+ * @param {string}   mode      - "readonly" | "readwrite"
+ * @param {Function} fn        - (store) => IDBRequest
+ * @returns {Promise<any>}
+ */
+export async function withStore(storeName, mode, fn) {
+  const db = await openDatabase();
+  return new Promise((resolve, reject) => {
+    const tx = db.transaction(storeName, mode);
+    const request = fn(tx.objectStore(storeName));
+    tx.oncomplete = () => resolve(request?.result);
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error);
+  });
+}
@@ -0,0 +1,228 @@
+/**
+ * inverseKinematics.js
+ *
+ * Numerical inverse kinematics for the kinematic chains built by
+ * utils/kinematics.js. Model-agnostic: works for any serial URDF chain
+ * (all 17 six-axis arms in robots_config.json, and imported models).
+ *
+ * Method: damped least squares (Levenberg–Marquardt) on the geometric
+ * Jacobian, solving for the full 6-DOF pose in the robot base frame.
+ *   dq = Jᵀ (J Jᵀ + λ² I)⁻¹ e
+ * λ adapts per iteration: halved after an improving step, doubled (and the
+ * step retried) after a worsening one. Every step is clamped to the joint
+ * <limit> ranges from robotJointMeta, so solutions are always within limits.
+ *
+ * The seed (normally the current pose) is tried first so jogging moves the
+ * arm smoothly. If that run stalls, a few random seeds within the limits are
+ * tried; among converged solutions the one closest to the seed wins.
+ *
+ * A target is reported unreachable when no run gets within POSITION_TOL /
+ * ORIENTATION_TOL — the closest attempt is still returned so callers can
+ * report how far off it was.
+ */
+
+import * as THREE from 'three';
+
+const POSITION_TOL = 0.0005;                    // 0.5 mm
+const ORIENTATION_TOL = 0.2 * (Math.PI / 180);  // 0.2°
+// Metres per radian — balances orientation rows against position rows
+const ORIENTATION_WEIGHT = 0.3;
+const MAX_STEP = 0.2;                           // rad (or m) per joint per iteration
+const LAMBDA_INIT = 0.05;
+const LAMBDA_MIN = 1e-4;
+const LAMBDA_MAX = 1e3;
+
+const _origin = new THREE.Matrix4();
+const _motion = new THREE.Matrix4();
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _one = new THREE.Vector3(1, 1, 1);
+
+/**
+ * Evaluates the chain: tool pose plus each movable joint's axis and origin,
+ * all in the base frame.
+ */
+function evaluate(chain, q, toolLength) {
+  const m = new THREE.Matrix4();
+  const joints = [];
+  for (const joint of chain) {
+    m.multiply(_origin.compose(_pos.fromArray(joint.xyz), _quat.fromArray(joint.quat), _one));
+    if (joint.type === 'fixed') continue;
+
+    const axis = new THREE.Vector3().fromArray(joint.axis).normalize();
+    joints.push({
+      type: joint.type,
+      axis: axis.clone().transformDirection(m),
+      origin: new THREE.Vector3().setFromMatrixPosition(m),
+    });
+    const value = q[joint.name] ?? 0;
+    if (joint.type === 'prismatic') {
+      m.multiply(_motion.makeTranslation(axis.multiplyScalar(value)));
+    } else {
+      m.multiply(_motion.makeRotationAxis(axis, value));
+    }
+  }
+  if (toolLength) m.multiply(_motion.makeTranslation(0, 0, toolLength));
+
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  m.decompose(position, quaternion, new THREE.Vector3());
+  return { position, quaternion, joints };
+}
+
+/** Pose error as [dx, dy, dz, wx, wy, wz] (position m, rotation vector rad). */
+function poseError(current, target) {
+  const dp = target.position.clone().sub(current.position);
+  const qe = target.quaternion.clone().multiply(current.quaternion.clone().invert());
+  if (qe.w < 0) qe.set(-qe.x, -qe.y, -qe.z, -qe.w);
+  const s = Math.hypot(qe.x, qe.y, qe.z);
+  const angle = 2 * Math.atan2(s, qe.w);
+  const k = s > 1e-12 ? angle / s : 2;
+  return {
+    vector: [dp.x, dp.y, dp.z, qe.x * k, qe.y * k, qe.z * k],
+    position: dp.length(),
+    orientation: angle,
+  };
+}
+
+/** Solves the n×n system A·x = b in place (Gaussian elimination, partial pivoting). */
+function solveLinear(A, b) {
+  const n = b.length;
+  for (let c = 0; c < n; c++) {
+    let pivot = c;
+    for (let r = c + 1; r < n; r++) if (Math.abs(A[r][c]) > Math.abs(A[pivot][c])) pivot = r;
+    [A[c], A[pivot]] = [A[pivot], A[c]];
+    [b[c], b[pivot]] = [b[pivot], b[c]];
+    for (let r = c + 1; r < n; r++) {
+      const f = A[r][c] / A[c][c];
+      for (let k = c; k < n; k++) A[r][k] -= f * A[c][k];
+      b[r] -= f * b[c];
+    }
+  }
+  const x = new Array(n).fill(0);
+  for (let r = n - 1; r >= 0; r--) {
+    let sum = b[r];
+    for (let k = r + 1; k < n; k++) sum -= A[r][k] * x[k];
+    x[r] = sum / A[r][r];
+  }
+  return x;
+}
+
+/** One damped least-squares step for the weighted error e. */
+function dlsStep(state, e, lambda) {
+  // Jacobian rows: 3 linear + 3 angular (weighted), one column per joint
+  const J = state.joints.map((j) => {
+    if (j.type === 'prismatic') return [j.axis.x, j.axis.y, j.axis.z, 0, 0, 0];
+    const v = j.axis.clone().cross(state.position.clone().sub(j.origin));
+    const w = ORIENTATION_WEIGHT;
+    return [v.x, v.y, v.z, j.axis.x * w, j.axis.y * w, j.axis.z * w];
+  });
+
+  const A = Array.from({ length: 6 }, (_, r) =>
+    Array.from({ length: 6 }, (_, c) =>
+      J.reduce((sum, col) => sum + col[r] * col[c], 0) + (r === c ? lambda * lambda : 0)
+    )
+  );
+  const y = solveLinear(A, [...e]);
+  const dq = J.map((col) => col.reduce((sum, v, r) => sum + v * y[r], 0));
+
+  const largest = Math.max(...dq.map(Math.abs));
+  return largest > MAX_STEP ? dq.map((d) => (d * MAX_STEP) / largest) : dq;
+}
+
+function weighted(err) {
+  const [x, y, z, a, b, c] = err.vector;
+  const w = ORIENTATION_WEIGHT;
+  return [x, y, z, a * w, b * w, c * w];
+}
+
+function norm(v) {
+  return Math.hypot(...v);
+}
+
+/** Runs LM from one seed. Returns { angles, error }. */
+function solveFromSeed(chain, names, bounds, seed, target, toolLength, maxIterations) {
+  const clamp = (q) =>
+    Object.fromEntries(names.map((n) => [n, Math.min(Math.max(q[n] ?? 0, bounds[n][0]), bounds[n][1])]));
+
+  let q = clamp(seed);
+  let state = evaluate(chain, q, toolLength);
+  let err = poseError(state, target);
+  let lambda = LAMBDA_INIT;
+
+  for (let it = 0; it < maxIterations; it++) {
+    if (err.position < POSITION_TOL && err.orientation < ORIENTATION_TOL) break;
+
+    const dq = dlsStep(state, weighted(err), lambda);
+    const trialQ = clamp(Object.fromEntries(names.map((n, i) => [n, q[n] + dq[i]])));
+    const trialState = evaluate(chain, trialQ, toolLength);
+    const trialErr = poseError(trialState, target);
+
+    if (norm(weighted(trialErr)) < norm(weighted(err))) {
+      q = trialQ;
+      state = trialState;
+      err = trialErr;
+      lambda = Math.max(lambda / 2, LAMBDA_MIN);
+    } else {
+      lambda *= 2;
+      if (lambda > LAMBDA_MAX) break; // stalled — at a limit or out of reach
+    }
+  }
+  return { angles: q, error: err };
+}
+
+/**
+ * Solves for joint angles that place the tool at a target pose.
+ *
+ * @param {Array}  chain   - Kinematic chain from buildKinematicChain
+ * @param {Array}  meta    - robotJointMeta entry: [{ name, lower, upper }]
+ * @param {object} seed    - Starting angles { [jointName]: radians }
+ * @param {THREE.Matrix4} target - Desired tool pose in the robot base frame
+ * @param {object} [options]
+ * @param {number} [options.toolLength=0]     - TCP offset along flange +Z, metres
+ * @param {number} [options.maxIterations=150]
+ * @param {number} [options.restarts=6]       - Random re-seeds when the seed run fails
+ * @returns {{ angles: object, reachable: boolean,
+ *             positionError: number, orientationError: number }}
+ *          positionError in metres, orientationError in radians
+ */
+export function solveIk(chain, meta, seed, target, { toolLength = 0, maxIterations = 150, restarts = 6 } = {}) {
+  const names = chain.filter((j) => j.type !== 'fixed').map((j) => j.name);
+  const limits = Object.fromEntries(meta.map((j) => [j.name, j]));
+  // Joints without a usable range (continuous, or not in meta) are unbounded
+  const bounds = Object.fromEntries(names.map((n) => {
+    const l = limits[n];
+    return [n, l && l.upper > l.lower ? [l.lower, l.upper] : [-Infinity, Infinity]];
+  }));
+
+  const goal = { position: new THREE.Vector3(), quaternion: new THREE.Quaternion() };
+  target.decompose(goal.position, goal.quaternion, new THREE.Vector3());
+
+  const converged = (r) => r.error.position < POSITION_TOL && r.error.orientation < ORIENTATION_TOL;
+  const distance = (r) => names.reduce((sum, n) => sum + Math.abs(r.angles[n] - (seed[n] ?? 0)), 0);
+  const randomSeed = () => Object.fromEntries(names.map((n) => {
+    const [lo, hi] = bounds[n];
+    const a = Number.isFinite(lo) ? lo : -Math.PI;
+    const b = Number.isFinite(hi) ? hi : Math.PI;
+    return [n, a + Math.random() * (b - a)];
+  }));
+
+  const runs = [solveFromSeed(chain, names, bounds, seed, goal, toolLength, maxIterations)];
+  for (let i = 0; i < restarts && !converged(runs[0]); i++) {
+    const run = solveFromSeed(chain, names, bounds, randomSeed(), goal, toolLength, maxIterations);
+    runs.push(run);
+    if (converged(run)) break;
+  }
+
+  const solutions = runs.filter(converged);
+  const best = solutions.length > 0
+    ? solutions.reduce((a, b) => (distance(b) < distance(a) ? b : a))
+    : runs.reduce((a, b) => (norm(weighted(b.error)) < norm(weighted(a.error)) ? b : a));
+
+  return {
+    angles: best.angles,
+    reachable: solutions.length > 0,
+    positionError: best.error.position,
+    orientationError: best.error.orientation,
+  };
+}
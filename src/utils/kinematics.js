@@ -0,0 +1,158 @@
+/**
+ * kinematics.js
+ *
+ * Forward kinematics for URDF robots, independent of the rendered scene graph.
+ *
+ * URDFRobot extracts a plain-data kinematic chain (root link → tool flange
+ * link) once per load and publishes it to the store. FK then only needs the
+ * joint angles from the store, so the JOINTS tab can show the TCP without
+ * waiting for the canvas to apply setJointValue and re-render.
+ *
+ * Frames:
+ *   Base frame  — the URDF root link, metres, unscaled (what a controller sees).
+ *   World frame — right-handed floor frame W = (spec x, −spec y, spec z).
+ *                 An unrotated floor robot's base frame is aligned with W, and
+ *                 a robot's Rotation (degrees) is +yaw about W's Z axis.
+ *                 Positions are reported back in spec [x, y, z] like the rest
+ *                 of the UI; orientations (roll/pitch/yaw) are about W.
+ *
+ * Chain shape (one entry per joint from root to flange, fixed joints included):
+ *   { name, type, xyz: [x,y,z], quat: [x,y,z,w], axis: [x,y,z] }
+ * Joint limits are not duplicated here — they live in robotJointMeta.
+ *
+ * Mimic joints are not followed — FK uses exactly the angles it is given.
+ */
+
+import * as THREE from 'three';
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Extracts the joint chain from a loaded urdf-loader robot to the given link.
+ *
+ * @param {object} robotObject - Loaded URDFRobot (THREE.Object3D)
+ * @param {string} tipLinkName - Flange link, e.g. "wrist_3_link"
+ * @returns {Array|null} Chain entries root → tip, or null if the link is missing
+ */
+export function buildKinematicChain(robotObject, tipLinkName) {
+  const tip = robotObject?.links?.[tipLinkName];
+  if (!tip) return null;
+
+  const chain = [];
+  for (let node = tip; node && node !== robotObject; node = node.parent) {
+    if (!node.isURDFJoint) continue;
+    // setJointValue moves the joint off its origin — origPosition/origQuaternion
+    // hold the URDF <origin> once any value has been applied.
+    const pos = node.origPosition ?? node.position;
+    const quat = node.origQuaternion ?? node.quaternion;
+    chain.unshift({
+      name: node.name,
+      type: node.jointType,
+      xyz: pos.toArray(),
+      quat: quat.toArray(),
+      axis: node.axis.toArray(),
+    });
+  }
+  return chain;
+}
+
+const _origin = new THREE.Matrix4();
+const _motion = new THREE.Matrix4();
+const _pos = new THREE.Vector3();
+const _quat = new THREE.Quaternion();
+const _axis = new THREE.Vector3();
+const _one = new THREE.Vector3(1, 1, 1);
+
+/**
+ * Computes the flange (or tool tip) pose in the robot base frame.
+ *
+ * @param {Array}  chain      - From buildKinematicChain
+ * @param {object} angles     - { [jointName]: radians | metres } (missing = 0)
+ * @param {number} toolLength - Offset along the flange's +Z axis, metres
+ * @returns {THREE.Matrix4}
+ */
+export function forwardKinematics(chain, angles, toolLength = 0) {
+  const m = new THREE.Matrix4();
+  for (const joint of chain) {
+    _origin.compose(_pos.fromArray(joint.xyz), _quat.fromArray(joint.quat), _one);
+    m.multiply(_origin);
+
+    const q = angles[joint.name] ?? 0;
+    if (q === 0) continue;
+    _axis.fromArray(joint.axis).normalize();
+    if (joint.type === 'revolute' || joint.type === 'continuous') {
+      m.multiply(_motion.makeRotationAxis(_axis, q));
+    } else if (joint.type === 'prismatic') {
+      m.multiply(_motion.makeTranslation(_axis.multiplyScalar(q)));
+    }
+  }
+  if (toolLength) m.multiply(_motion.makeTranslation(0, 0, toolLength));
+  return m;
+}
+
+/**
+ * Returns the matrix mapping a robot's base frame into the world frame W,
+ * including heading, mount orientation and the display scale.
+ *
+ * @param {object} robot - Deployed robot ({ position, rotation, mountType, scale })
+ * @returns {THREE.Matrix4}
+ */
+export function robotBaseMatrix(robot) {
+  const [x, y, z] = robot.position;
+  const m = new THREE.Matrix4().makeTranslation(x, -y, z);
+  m.multiply(_motion.makeRotationZ((robot.rotation ?? 0) * DEG2RAD));
+  // Ceiling mounts hang upside down: base Y and Z flip in W
+  if (robot.mountType === 'ceiling') m.multiply(_motion.makeRotationX(Math.PI));
+  const s = robot.scale ?? 1;
+  m.multiply(_motion.makeScale(s, s, s));
+  return m;
+}
+
+/**
+ * Returns the tool pose of a deployed robot as a matrix in the world frame W.
+ *
+ * @param {object} robot      - Deployed robot
+ * @param {Array}  chain      - Kinematic chain for the robot
+ * @param {object} angles     - Joint angles { [jointName]: radians }
+ * @param {number} toolLength - Tool offset along the flange +Z, metres
+ * @returns {THREE.Matrix4}
+ */
+export function tcpWorldMatrix(robot, chain, angles, toolLength = 0) {
+  return robotBaseMatrix(robot).multiply(forwardKinematics(chain, angles, toolLength));
+}
+
+/**
+ * Decomposes a transform into position and URDF-style roll/pitch/yaw
+ * (fixed-axis X-Y-Z, i.e. R = Rz(yaw)·Ry(pitch)·Rx(roll)).
+ *
+ * @param {THREE.Matrix4} m
+ * @returns {{ position: number[], rpy: number[] }} metres and radians
+ */
+export function matrixToPose(m) {
+  const position = new THREE.Vector3();
+  const quaternion = new THREE.Quaternion();
+  m.decompose(position, quaternion, new THREE.Vector3());
+  const euler = new THREE.Euler().setFromQuaternion(quaternion, 'ZYX');
+  return { position: position.toArray(), rpy: [euler.x, euler.y, euler.z] };
+}
+
+/**
+ * Computes the TCP pose of a deployed robot in both base and world frames.
+ *
+ * @param {object} robot      - Deployed robot
+ * @param {Array}  chain      - Kinematic chain for the robot
+ * @param {object} angles     - Joint angles { [jointName]: radians }
+ * @param {number} toolLength - Tool offset along the flange +Z, metres
+ * @returns {{ base: { position: number[], rpy: number[] },
+ *             world: { position: number[], rpy: number[] } }}
+ *          world.position is spec [x, y, z]; world.rpy is about W
+ */
+export function computeTcpPose(robot, chain, angles, toolLength = 0) {
+  const baseTcp = forwardKinematics(chain, angles, toolLength);
+  const world = matrixToPose(robotBaseMatrix(robot).multiply(baseTcp));
+  const [wx, wy, wz] = world.position;
+  return {
+    base: matrixToPose(baseTcp),
+    world: { position: [wx, -wy, wz], rpy: world.rpy },
+  };
+}
@@ -0,0 +1,236 @@
+/**
+ * moveitExport.js
+ *
+ * Static obstacles for MoveIt: every scene object as a collision object made
+ * of primitives, written either as a `.scene` file (MoveIt RViz "Scene
+ * Objects" → Import) or as a moveit_msgs/PlanningScene YAML diff.
+ *
+ * The primitives are read from the live scene, so they are exactly what
+ * SceneObjectInstance renders: each box / cylinder / sphere mesh under an
+ * object's `shape-body` (plus its mount pillar / bracket) becomes one
+ * primitive. Other geometry falls back to its bounding box; flat decals
+ * (zero thickness) are skipped.
+ *
+ * Frames: poses are expressed in a chosen robot's base frame — the root link
+ * of its URDF, placed by kinematics.js robotBaseMatrix — or in the layout
+ * world frame W (X = spec x, Y = −spec y, Z up). Each collision object sits
+ * at its scene object's floor position and heading, with Z up; primitive
+ * poses are relative to it. MoveIt cylinders run along their local Z.
+ */
+
+import * as THREE from 'three';
+import { robotBaseMatrix } from './kinematics';
+
+/** Instance children that carry an object's physical geometry */
+const OBJECT_PARTS = ['shape-body', 'mount-pillar', 'mount-bracket'];
+/** Thinnest extent a fallback bounding box may have */
+const MIN_THICKNESS = 1e-4;
+/** shape_msgs/SolidPrimitive type codes */
+const PRIMITIVE_TYPE = { box: 1, sphere: 2, cylinder: 3 };
+
+// Three.js (Y up) → W (Z up): (x, y, z) → (x, −z, y)
+const THREE_TO_W = new THREE.Matrix4().makeRotationX(Math.PI / 2);
+const W_TO_THREE = THREE_TO_W.clone().invert();
+
+/** Fixed precision, no trailing zeros, no "-0". */
+function num(n) {
+  return String(Math.abs(n) < 5e-7 ? 0 : Number(n.toFixed(6)));
+}
+
+/** A Three.js-frame matrix re-expressed as a Z-up frame in W. */
+function toW(m) {
+  return THREE_TO_W.clone().multiply(m).multiply(W_TO_THREE);
+}
+
+/** "Work Table #3" → "work_table_3" */
+function slug(str) {
+  return String(str).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_|_$/g, '') || 'object';
+}
+
+/** "#rrggbb" + opacity → [r, g, b, a] */
+function rgba(hex, opacity = 1) {
+  const n = parseInt(String(hex ?? '#888888').replace('#', ''), 16) || 0;
+  return [((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255, opacity];
+}
+
+function toPose(m) {
+  const position = new THREE.Vector3();
+  const orientation = new THREE.Quaternion();
+  m.decompose(position, orientation, new THREE.Vector3());
+  return { position: position.toArray(), orientation: [orientation.x, orientation.y, orientation.z, orientation.w] };
+}
+
+/**
+ * One mesh as a SolidPrimitive in its own Z-up frame.
+ * @returns {{ type: string, dimensions: number[], matrix: THREE.Matrix4 }|null}
+ *          dimensions in SolidPrimitive order: box [x, y, z],
+ *          cylinder [height, radius], sphere [radius]
+ */
+function meshPrimitive(mesh) {
+  const { geometry } = mesh;
+  const world = mesh.matrixWorld.clone();
+  const p = geometry.parameters ?? {};
+
+  if (geometry.type === 'BoxGeometry') {
+    return { type: 'box', dimensions: [p.width, p.depth, p.height], matrix: world };
+  }
+  if (geometry.type === 'CylinderGeometry') {
+    return { type: 'cylinder', dimensions: [p.height, Math.max(p.radiusTop, p.radiusBottom)], matrix: world };
+  }
+  if (geometry.type === 'SphereGeometry') {
+    return { type: 'sphere', dimensions: [p.radius], matrix: world };
+  }
+
+  if (!geometry.boundingBox) geometry.computeBoundingBox();
+  const size = geometry.boundingBox.getSize(new THREE.Vector3());
+  if (Math.min(size.x, size.y, size.z) < MIN_THICKNESS) return null;
+  const centre = geometry.boundingBox.getCenter(new THREE.Vector3());
+  world.multiply(new THREE.Matrix4().makeTranslation(centre.x, centre.y, centre.z));
+  return { type: 'box', dimensions: [size.x, size.z, size.y], matrix: world };
+}
+
+/** Scales SolidPrimitive dimensions by a (Three.js-frame) mesh scale. */
+function scaleDimensions(type, dimensions, s) {
+  if (type === 'box') return [dimensions[0] * s.x, dimensions[1] * s.z, dimensions[2] * s.y];
+  if (type === 'cylinder') return [dimensions[0] * s.y, dimensions[1] * Math.max(s.x, s.z)];
+  return [dimensions[0] * Math.max(s.x, s.y, s.z)];
+}
+
+/**
+ * Collects the scene objects as collision objects.
+ *
+ * @param {THREE.Scene} scene        - The live R3F scene (world matrices current)
+ * @param {object}      state        - useSceneStore state
+ * @param {string|null} frameRobotId - Robot whose base frame poses are in; null for W
+ * @returns {{ id: string, color: number[], pose: object,
+ *             primitives: { type: string, dimensions: number[], pose: object }[] }[]}
+ *          poses as { position: [x, y, z], orientation: [x, y, z, w] }
+ */
+export function collectCollisionObjects(scene, state, frameRobotId = null) {
+  const robot = state.deployedRobots.find((r) => r.id === frameRobotId);
+  // The base frame itself is unscaled; scale only affects the robot's links
+  const toFrame = robot
+    ? robotBaseMatrix({ ...robot, scale: 1 }).invert()
+    : new THREE.Matrix4();
+
+  const objectsById = new Map(state.sceneObjects.map((o) => [o.id, o]));
+  const groups = new Map();
+  scene.traverse((node) => {
+    const { objectId } = node.userData;
+    if (objectsById.has(objectId) && node.parent?.userData.objectId !== objectId) groups.set(objectId, node);
+  });
+
+  const usedIds = new Set();
+  const result = [];
+  for (const object of state.sceneObjects) {
+    const group = groups.get(object.id);
+    if (!group) continue;
+
+    let id = slug(object.label ?? object.id);
+    if (usedIds.has(id)) id = `${id}_${slug(object.id)}`;
+    usedIds.add(id);
+
+    // Object frame: floor position and heading only (no ceiling flip / scale)
+    const objectW = toW(new THREE.Matrix4().compose(
+      group.getWorldPosition(new THREE.Vector3()),
+      group.getWorldQuaternion(new THREE.Quaternion()),
+      new THREE.Vector3(1, 1, 1)
+    ));
+    const fromObject = objectW.clone().invert();
+
+    const primitives = [];
+    group.children
+      .filter((child) => child.visible && OBJECT_PARTS.includes(child.name))
+      .forEach((part) => part.traverseVisible((node) => {
+        if (!node.isMesh || node.userData.isToolFrame) return;
+        const prim = meshPrimitive(node);
+        if (!prim) return;
+        const position = new THREE.Vector3();
+        const quaternion = new THREE.Quaternion();
+        const scale = new THREE.Vector3();
+        prim.matrix.decompose(position, quaternion, scale);
+        const unscaled = new THREE.Matrix4().compose(position, quaternion, new THREE.Vector3(1, 1, 1));
+        primitives.push({
+          type: prim.type,
+          dimensions: scaleDimensions(prim.type, prim.dimensions, scale),
+          pose: toPose(fromObject.clone().multiply(toW(unscaled))),
+        });
+      }));
+
+    if (primitives.length) {
+      const pose = toPose(toFrame.clone().multiply(objectW));
+      result.push({ id, color: rgba(object.color, object.opacity ?? 1), pose, primitives });
+    }
+  }
+  return result;
+}
+
+/**
+ * MoveIt `.scene` text (the format with per-object poses, MoveIt 1 Noetic and
+ * MoveIt 2). Loaded poses are taken in the robot model's root frame.
+ *
+ * @param {object[]} objects - From collectCollisionObjects
+ * @param {string}   name    - Scene name
+ * @returns {string}
+ */
+export function buildMoveItScene(objects, name = 'robot_layout') {
+  const pose = ({ position, orientation }) => [position.map(num).join(' '), orientation.map(num).join(' ')];
+  const lines = [name];
+  for (const object of objects) {
+    lines.push(`* ${object.id}`, ...pose(object.pose), String(object.primitives.length));
+    for (const prim of object.primitives) {
+      lines.push(prim.type, prim.type === 'box'
+        ? prim.dimensions.map(num).join(' ')
+        // .scene lists cylinders as radius then length
+        : (prim.type === 'cylinder' ? [prim.dimensions[1], prim.dimensions[0]] : prim.dimensions).map(num).join(' '));
+      lines.push(...pose(prim.pose), object.color.map(num).join(' '));
+    }
+  }
+  lines.push('.', '');
+  return lines.join('\n');
+}
+
+/**
+ * moveit_msgs/PlanningScene YAML — a diff adding every object to the world,
+ * e.g. for `ros2 topic pub /planning_scene` or a launch-time loader.
+ *
+ * @param {object[]} objects - From collectCollisionObjects
+ * @param {string}   frameId - header.frame_id of every collision object
+ * @param {string}   name    - Scene name
+ * @returns {string}
+ */
+export function buildPlanningSceneYaml(objects, frameId, name = 'robot_layout') {
+  const pose = ({ position: [x, y, z], orientation: [qx, qy, qz, qw] }, indent) => [
+    `${indent}position: {x: ${num(x)}, y: ${num(y)}, z: ${num(z)}}`,
+    `${indent}orientation: {x: ${num(qx)}, y: ${num(qy)}, z: ${num(qz)}, w: ${num(qw)}}`,
+  ];
+  const lines = [`name: ${name}`, 'is_diff: true', 'robot_state:', '  is_diff: true', 'world:'];
+  lines.push(objects.length ? '  collision_objects:' : '  collision_objects: []');
+  for (const object of objects) {
+    lines.push(
+      `    - id: ${object.id}`,
+      '      header:',
+      `        frame_id: ${frameId}`,
+      '      pose:',
+      ...pose(object.pose, '        '),
+      '      primitives:',
+      ...object.primitives.flatMap((prim) => [
+        `        - type: ${PRIMITIVE_TYPE[prim.type]}  # ${prim.type.toUpperCase()}`,
+        `          dimensions: [${prim.dimensions.map(num).join(', ')}]`,
+      ]),
+      '      primitive_poses:',
+      ...object.primitives.flatMap((prim) => {
+        const [first, second] = pose(prim.pose, '          ');
+        return [first.replace(/^ {10}/, '        - '), second];
+      }),
+      '      operation: 0  # ADD'
+    );
+  }
+  lines.push(objects.length ? 'object_colors:' : 'object_colors: []');
+  for (const object of objects) {
+    const [r, g, b, a] = object.color.map(num);
+    lines.push(`  - id: ${object.id}`, `    color: {r: ${r}, g: ${g}, b: ${b}, a: ${a}}`);
+  }
+  lines.push('');
+  return lines.join('\n');
+}
@@ -6,6 +6,7 @@
  * buildObjectInstances    — creates N deployable object instances from the catalogue.
  * getObjectLabelHeight    — returns the top-of-object Y in local space for Text positioning.
  * getObjectTopSurface     — returns the top surface height for "mount robot here" Z calculation.
+ * getObjectFootprint      — returns the plan-view outline (rectangle or circle).
  * getEditableDimensions   — returns the subset of dimension keys that are user-editable.
  * getSpecInfo             — returns a read-only spec string for materials.
  */
@@ -124,6 +125,37 @@ export function getObjectTopSurface(shape, dimensions) {
   }
 }
 
+/**
+ * Returns an object's footprint in plan view, in its local frame: centred on
+ * the object's position, with length along the local X axis (the heading
+ * direction of rotation 0) and width across it. Defaults match the shape
+ * components in scene/shapes/.
+ *
+ * @param {string} shape      - Shape type
+ * @param {object} dimensions - Dimension map
+ * @returns {{ type: 'rect', length: number, width: number } | { type: 'circle', radius: number }}
+ */
+export function getObjectFootprint(shape, dimensions) {
+  const d = dimensions ?? {};
+  const rect = (length, width) => ({ type: 'rect', length, width });
+  switch (shape) {
+    case 'box':              return rect(d.length ?? 1, d.width ?? 1);
+    case 'cylinder':         return { type: 'circle', radius: d.radius ?? 0.5 };
+    case 'sphere':           return { type: 'circle', radius: d.radius ?? 0.5 };
+    case 'ibeam':            return rect(d.length ?? 3, d.flangeWidth ?? 0.152);
+    case 'pipe':             return rect(d.length ?? 3, d.outerDiam ?? 0.1143);
+    case 'cabletray':        return rect(d.length ?? 3, d.width ?? 0.15);
+    case 'linear_track':     return rect(d.length ?? 5, d.width ?? 0.3);
+    case 'work_table':       return rect(d.length ?? 1.2, d.width ?? 0.6);
+    case 'turntable':        return { type: 'circle', radius: d.radius ?? 0.6 };
+    case 'conveyor':         return rect(d.length ?? 3, d.width ?? 0.5);
+    case 'safety_fence':     return rect(d.length ?? 2, Math.max(d.width ?? 0.05, 0.04));
+    case 'pallet':           return rect(d.length ?? 1.2, d.width ?? 0.8);
+    case 'operator_station': return rect(d.length ?? 1.2, d.width ?? 0.7);
+    default:                 return rect(d.length ?? 1, d.width ?? 1);
+  }
+}
+
 /**
  * Returns the list of editable dimension fields for a given shape.
  * Materials (ibeam, pipe, cabletray) only expose length as editable.
@@ -0,0 +1,118 @@
+/**
+ * patternUtils.js
+ *
+ * Poses for the pattern (array) tool: copies of one robot or object laid
+ * out in a line, a rectangular grid, or a circle. The source entity is the
+ * first instance of every pattern and is not moved; only the copies' poses
+ * are returned.
+ *
+ * Pattern shapes (all distances metres, angles degrees):
+ *   { type: 'linear',   count, spacing, angle }
+ *       count copies, spacing apart, in plan direction `angle`
+ *       (0 = spec +X, 90 = spec +Y)
+ *   { type: 'grid',     rows, columns, rowSpacing, columnSpacing, angle }
+ *       columns run along `angle`, rows at right angles to it
+ *   { type: 'circular', count, centre: [x, y], sweep, faceInward }
+ *       count copies around centre over `sweep` degrees (360 = a full ring,
+ *       evenly spaced with the source); faceInward turns the source and
+ *       every copy to face the centre
+ *
+ * Circular copies turn about the centre like a rotated selection
+ * (selectionUtils.js rotateAboutPivot). "Facing" means an entity's local +X
+ * — an object's length axis, a robot base's forward axis — which at heading
+ * r points along spec (cos r, −sin r).
+ */
+
+import { rotateAboutPivot } from './selectionUtils';
+
+const DEG2RAD = Math.PI / 180;
+/** Most copies one pattern may create */
+export const MAX_PATTERN_COPIES = 200;
+
+/** A new pattern of the given type, placed around `source`. */
+export function defaultPattern(type, source) {
+  switch (type) {
+    case 'grid':
+      return { type, rows: 2, columns: 3, rowSpacing: 2, columnSpacing: 2, angle: 0 };
+    case 'circular':
+      return {
+        type,
+        count: 3,
+        centre: [source.position[0] + 2, source.position[1]],
+        sweep: 360,
+        faceInward: false,
+      };
+    default:
+      return { type: 'linear', count: 3, spacing: 2, angle: 0 };
+  }
+}
+
+/** Rounds to the millimetre, so copies don't show float noise in the X / Y inputs */
+function roundMm(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+/** Heading (degrees) whose local +X points from `position` towards `target`. */
+function headingTowards(position, target) {
+  return Math.atan2(position[1] - target[1], target[0] - position[0]) / DEG2RAD;
+}
+
+/**
+ * Poses of a pattern's copies.
+ *
+ * @param {object} source  - Robot or object (spec position, rotation)
+ * @param {object} pattern - See the file header
+ * @returns {{ position: number[], rotation: number }[]} At most MAX_PATTERN_COPIES
+ */
+export function patternPoses(source, pattern) {
+  const [x0, y0, z0] = source.position;
+  const rotation = source.rotation ?? 0;
+  const poses = [];
+
+  if (pattern.type === 'linear' || pattern.type === 'grid') {
+    const a = (pattern.angle ?? 0) * DEG2RAD;
+    const along = [Math.cos(a), Math.sin(a)];
+    const across = [-Math.sin(a), Math.cos(a)];
+    const [rows, columns, rowSpacing, columnSpacing] = pattern.type === 'grid'
+      ? [pattern.rows, pattern.columns, pattern.rowSpacing, pattern.columnSpacing]
+      : [1, pattern.count + 1, 0, pattern.spacing];
+    // Stop at the cap rather than slicing afterwards: rows × columns can be huge
+    for (let row = 0; row < rows && poses.length < MAX_PATTERN_COPIES; row++) {
+      for (let col = 0; col < columns && poses.length < MAX_PATTERN_COPIES; col++) {
+        if (row === 0 && col === 0) continue;
+        const u = col * columnSpacing;
+        const v = row * rowSpacing;
+        poses.push({
+          position: [roundMm(x0 + u * along[0] + v * across[0]), roundMm(y0 + u * along[1] + v * across[1]), z0],
+          rotation,
+        });
+      }
+    }
+  } else if (pattern.type === 'circular') {
+    const { count, centre, sweep, faceInward } = pattern;
+    const step = Math.abs(sweep) >= 360 ? 360 / (count + 1) : sweep / count;
+    for (let i = 1; i <= count && poses.length < MAX_PATTERN_COPIES; i++) {
+      const [x, y] = rotateAboutPivot(source.position, centre, step * i);
+      const position = [roundMm(x), roundMm(y), z0];
+      poses.push({
+        position,
+        rotation: faceInward ? headingTowards(position, centre) : rotation,
+      });
+    }
+  }
+
+  return poses;
+}
+
+/**
+ * The source's own heading once the pattern is applied — circular patterns
+ * facing inward turn it to face the centre too.
+ * @param {object} source
+ * @param {object} pattern
+ * @returns {number} Degrees
+ */
+export function patternSourceRotation(source, pattern) {
+  return pattern.type === 'circular' && pattern.faceInward
+    ? headingTowards(source.position, pattern.centre)
+    : source.rotation ?? 0;
+}
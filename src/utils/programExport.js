@@ -0,0 +1,291 @@
+/**
+ * programExport.js
+ *
+ * Turns a robot's waypoint program (robotPrograms) into a native controller
+ * program, chosen from the robot instance's manufacturer:
+ *
+ *   ABB              → RAPID module (.mod)   MoveAbsJ through jointtargets
+ *   FANUC            → TP program (.ls)      J moves through joint P[] points
+ *   Universal Robots → URScript (.script)   movej through joint lists
+ *
+ * With no waypoints the robot's current pose is exported as a single point.
+ *
+ * Joint conventions:
+ *   The bundled URDFs follow the ROS-Industrial / ur_description support
+ *   packages, whose joint zeros and directions match the controllers, so
+ *   ABB and UR values pass through (degrees for ABB, radians for UR). FANUC
+ *   controllers couple J2 and J3 — J3 is the forearm angle from horizontal —
+ *   so J3 = q3 − q2 there.
+ *
+ * Layout frame:
+ *   Each program also carries the layout origin expressed in the robot's base
+ *   coordinates, as an ABB work object, a FANUC user frame (UFRAME 1, set
+ *   through a position register) or a URScript pose variable. The frame is
+ *   the app's right-handed world frame: X = layout X, Y = −layout Y, Z up
+ *   (see utils/kinematics.js). The instance's display scale is ignored —
+ *   controllers work in real units.
+ *
+ *   For UR the base frame is the controller's "base", which ur_description
+ *   places at base_link rotated 180° about Z.
+ */
+
+import * as THREE from 'three';
+import { matrixToPose, robotBaseMatrix } from './kinematics';
+import { DEFAULT_JOINT_VELOCITY } from './trajectoryUtils';
+
+const RAD2DEG = 180 / Math.PI;
+
+/** FANUC position register and user frame number used for the layout frame */
+const FANUC_FRAME_PR = 10;
+const FANUC_UFRAME = 1;
+
+/** UR controller defaults for movej */
+const UR_JOINT_ACCEL = 1.4;     // rad/s²
+
+const DIALECTS = [
+  { id: 'rapid', label: 'ABB RAPID', extension: 'mod', match: /\babb\b/i },
+  { id: 'fanuc', label: 'FANUC TP', extension: 'ls', match: /fanuc/i },
+  { id: 'urscript', label: 'URScript', extension: 'script', match: /universal robots/i },
+];
+
+/**
+ * Returns the native program format for a manufacturer, or null if none.
+ * @param {string} manufacturer - Robot instance manufacturer, e.g. "FANUC"
+ * @returns {{ id: string, label: string, extension: string } | null}
+ */
+export function getProgramDialect(manufacturer) {
+  return DIALECTS.find((d) => d.match.test(manufacturer ?? '')) ?? null;
+}
+
+// ─── Shared helpers ──────────────────────────────────────────────────────────
+
+/** Controller joint values for one pose, in the vendor's units and signs. */
+function toControllerJoints(dialectId, meta, angles) {
+  const q = meta.map((j) => angles[j.name] ?? 0);
+  const units = meta.map((j) =>
+    j.type === 'prismatic'
+      ? (dialectId === 'urscript' ? 1 : 1000)      // m → mm
+      : (dialectId === 'urscript' ? 1 : RAD2DEG)   // rad → deg
+  );
+  if (dialectId === 'fanuc' && q.length >= 3) q[2] -= q[1];
+  return q.map((v, i) => v * units[i]);
+}
+
+/** Layout frame expressed in the controller's base frame. */
+function layoutFrame(robot, dialectId) {
+  const base = robotBaseMatrix({ ...robot, scale: 1 });
+  if (dialectId === 'urscript') base.multiply(new THREE.Matrix4().makeRotationZ(Math.PI));
+  const m = base.invert();
+  const quaternion = new THREE.Quaternion().setFromRotationMatrix(m);
+  return { ...matrixToPose(m), quaternion };
+}
+
+/** Identifier-safe name: letters, digits and underscores, starting with a letter. */
+function identifier(text, maxLength) {
+  const id = text.replace(/[^A-Za-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+  return (/^[A-Za-z]/.test(id) ? id : `P_${id}`).slice(0, maxLength);
+}
+
+function fmt(value, digits) {
+  return (Object.is(Math.round(value * 10 ** digits), -0) ? 0 : value).toFixed(digits);
+}
+
+function headerLines(robot, comment) {
+  const [x, y, z] = robot.position;
+  return [
+    `${comment} Exported from Robot Layout`,
+    `${comment} Robot: ${robot.label} (${robot.manufacturer} ${robot.model})`,
+    `${comment} Base in layout: X ${fmt(x, 3)} m, Y ${fmt(y, 3)} m, Z ${fmt(z, 3)} m, ` +
+      `heading ${fmt(robot.rotation ?? 0, 1)} deg, ${robot.mountType ?? 'floor'} mount`,
+  ];
+}
+
+// ─── ABB RAPID ───────────────────────────────────────────────────────────────
+
+function buildRapid(robot, poses, meta, speedPercent) {
+  const moduleName = identifier(`Layout_${robot.model}_${robot.id}`, 32);
+  const frame = layoutFrame(robot, 'rapid');
+  const [fx, fy, fz] = frame.position.map((v) => fmt(v * 1000, 2));
+  const { x: qx, y: qy, z: qz, w: qw } = frame.quaternion;
+
+  const lines = [
+    `MODULE ${moduleName}`,
+    ...headerLines(robot, '  !'),
+    '  ! wobjLayout: layout origin (X = layout X, Y = -layout Y, Z up) in robot',
+    '  ! world coordinates; assumes world = robot base.',
+    '',
+    `  PERS wobjdata wobjLayout := [FALSE, TRUE, "", [[${fx},${fy},${fz}],` +
+      `[${fmt(qw, 6)},${fmt(qx, 6)},${fmt(qy, 6)},${fmt(qz, 6)}]], [[0,0,0],[1,0,0,0]]];`,
+    '',
+  ];
+
+  poses.forEach((pose, i) => {
+    const joints = toControllerJoints('rapid', meta, pose.angles);
+    const arm = joints.slice(0, 6);
+    while (arm.length < 6) arm.push(0);
+    const extax = joints.slice(6, 12).map((v) => fmt(v, 3));
+    while (extax.length < 6) extax.push('9E9');
+    lines.push(
+      `  CONST jointtarget jWp${i + 1} := [[${arm.map((v) => fmt(v, 3)).join(',')}],` +
+        `[${extax.join(',')}]]; ! ${pose.name}`
+    );
+  });
+
+  lines.push('', '  PROC main()', `    VelSet ${speedPercent}, 5000;`);
+  poses.forEach((_, i) => {
+    const zone = i === poses.length - 1 ? 'fine' : 'z10';
+    lines.push(`    MoveAbsJ jWp${i + 1}, v1000, ${zone}, tool0;`);
+  });
+  lines.push('  ENDPROC', 'ENDMODULE', '');
+
+  return { name: moduleName, content: lines.join('\n') };
+}
+
+// ─── FANUC TP (.ls) ──────────────────────────────────────────────────────────
+
+function fanucDate(date) {
+  const p = (n) => String(n).padStart(2, '0');
+  return `DATE ${p(date.getFullYear() % 100)}-${p(date.getMonth() + 1)}-${p(date.getDate())}  ` +
+    `TIME ${p(date.getHours())}:${p(date.getMinutes())}:${p(date.getSeconds())}`;
+}
+
+function buildFanuc(robot, poses, meta, speedPercent) {
+  const idNum = robot.id.replace(/\D/g, '');
+  const progName = identifier(`LAYOUT${idNum}`, 8).toUpperCase();
+  const frame = layoutFrame(robot, 'fanuc');
+  const frameValues = [
+    ...frame.position.map((v) => v * 1000),
+    ...frame.rpy.map((v) => v * RAD2DEG),
+  ];
+
+  // TP comments are limited to 32 characters
+  const [x, y, z] = robot.position;
+  const body = [
+    `!${robot.model} ${robot.id}`.slice(0, 33) + ' ;',
+    `!Base X${fmt(x, 3)} Y${fmt(y, 3)} Z${fmt(z, 3)}`.slice(0, 33) + ' ;',
+    `!Heading ${fmt(robot.rotation ?? 0, 1)} deg ;`,
+    '!UF1 = layout origin ;',
+    '!UF1 Y axis = -layout Y ;',
+    `PR[${FANUC_FRAME_PR}]=LPOS-LPOS    ;`,
+    ...frameValues.map((v, i) => `PR[${FANUC_FRAME_PR},${i + 1}]=${fmt(v, 3)}    ;`),
+    `UFRAME[${FANUC_UFRAME}]=PR[${FANUC_FRAME_PR}]    ;`,
+    `UFRAME_NUM=${FANUC_UFRAME} ;`,
+  ];
+  const motion = poses.map((pose, i) => {
+    const term = i === poses.length - 1 ? 'FINE' : 'CNT50';
+    const comment = pose.name.replace(/[":]/g, '').slice(0, 16);
+    return `J P[${i + 1}:${comment}] ${speedPercent}% ${term}    ;`;
+  });
+  const mn = [...body, ...motion].map((line, i) => `${String(i + 1).padStart(4)}:  ${line}`);
+
+  const pos = poses.map((pose, i) => {
+    const joints = toControllerJoints('fanuc', meta, pose.angles);
+    const cells = joints.map((v, j) => {
+      const unit = meta[j].type === 'prismatic' ? 'mm' : 'deg';
+      return `J${j + 1}=${fmt(v, 3).padStart(10)} ${unit}`;
+    });
+    const rows = [];
+    for (let k = 0; k < cells.length; k += 3) rows.push(`\t${cells.slice(k, k + 3).join(',\t')}`);
+    return [
+      `P[${i + 1}]{`,
+      '   GP1:',
+      `\tUF : ${FANUC_UFRAME}, UT : 1,\t`,
+      rows.join(',\n'),
+      '};',
+    ].join('\n');
+  });
+
+  const stamp = fanucDate(new Date());
+  const content = [
+    `/PROG  ${progName}`,
+    '/ATTR',
+    'OWNER\t\t= MNEDITOR;',
+    `COMMENT\t\t= "${robot.model.slice(0, 16)}";`,
+    'PROG_SIZE\t= 0;',
+    `CREATE\t\t= ${stamp};`,
+    `MODIFIED\t= ${stamp};`,
+    'FILE_NAME\t= ;',
+    'VERSION\t\t= 0;',
+    `LINE_COUNT\t= ${mn.length};`,
+    'MEMORY_SIZE\t= 0;',
+    'PROTECT\t\t= READ_WRITE;',
+    'TCD:  STACK_SIZE\t= 0,',
+    '      TASK_PRIORITY\t= 50,',
+    '      TIME_SLICE\t= 0,',
+    '      BUSY_LAMP_OFF\t= 0,',
+    '      ABORT_REQUEST\t= 0,',
+    '      PAUSE_REQUEST\t= 0;',
+    'DEFAULT_GROUP\t= 1,*,*,*,*;',
+    'CONTROL_CODE\t= 00000000 00000000;',
+    '/MN',
+    ...mn,
+    '/POS',
+    ...pos,
+    '/END',
+    '',
+  ].join('\n');
+
+  return { name: progName, content };
+}
+
+// ─── URScript ────────────────────────────────────────────────────────────────
+
+function buildUrScript(robot, poses, meta, speedPercent) {
+  const funcName = identifier(`layout_${robot.model}_${robot.id}`, 48).toLowerCase();
+  const frame = layoutFrame(robot, 'urscript');
+  const q = frame.quaternion;
+  const angle = 2 * Math.acos(Math.min(Math.abs(q.w), 1));
+  const sign = q.w < 0 ? -1 : 1;
+  const s = Math.sqrt(Math.max(1 - q.w * q.w, 0));
+  const rotvec = s < 1e-9 ? [0, 0, 0] : [q.x, q.y, q.z].map((v) => (sign * v * angle) / s);
+
+  // Slowest joint's velocity limit, scaled like program playback
+  const velocity = Math.min(...meta.map((j) => j.velocity || DEFAULT_JOINT_VELOCITY)) * speedPercent / 100;
+
+  const lines = [
+    ...headerLines(robot, '#'),
+    `def ${funcName}():`,
+    '  # Layout origin (X = layout X, Y = -layout Y, Z up) in robot base coordinates',
+    `  global layout_frame = p[${[...frame.position, ...rotvec].map((v) => fmt(v, 5)).join(', ')}]`,
+    '',
+  ];
+  poses.forEach((pose, i) => {
+    const joints = toControllerJoints('urscript', meta, pose.angles).map((v) => fmt(v, 5));
+    lines.push(`  global wp_${i + 1} = [${joints.join(', ')}]  # ${pose.name}`);
+  });
+  lines.push('');
+  poses.forEach((_, i) => {
+    lines.push(`  movej(wp_${i + 1}, a=${UR_JOINT_ACCEL}, v=${fmt(velocity, 3)})`);
+  });
+  lines.push('end', '');
+
+  return { name: funcName, content: lines.join('\n') };
+}
+
+// ─── Entry point ─────────────────────────────────────────────────────────────
+
+const BUILDERS = { rapid: buildRapid, fanuc: buildFanuc, urscript: buildUrScript };
+
+/**
+ * Builds the native program file for a robot.
+ *
+ * @param {object} robot         - Deployed robot instance
+ * @param {object} options
+ * @param {Array}  options.meta          - robotJointMeta entry (joint order, types)
+ * @param {object} [options.program]     - robotPrograms entry
+ * @param {object} [options.currentAngles] - robotJointAngles entry, used when
+ *                                           the program has no waypoints
+ * @returns {{ filename: string, content: string, dialect: object } | null}
+ *          null when the manufacturer has no native exporter
+ */
+export function exportRobotProgram(robot, { meta, program, currentAngles = {} }) {
+  const dialect = getProgramDialect(robot.manufacturer);
+  if (!dialect) return null;
+
+  const waypoints = program?.waypoints ?? [];
+  const poses = waypoints.length > 0 ? waypoints : [{ name: 'Current pose', angles: currentAngles }];
+  const speedPercent = Math.round(Math.min(Math.max(program?.speedPercent ?? 100, 1), 100));
+
+  const { name, content } = BUILDERS[dialect.id](robot, poses, meta, speedPercent);
+  return { filename: `${name}.${dialect.extension}`, content, dialect };
+}
@@ -0,0 +1,229 @@
+/**
+ * reachEnvelope.js
+ *
+ * Reachable-workspace envelope of a URDF robot, computed by sampling its
+ * joint space within the URDF limits and running forward kinematics.
+ *
+ * The envelope is stored as a radial profile in the robot base frame: for a
+ * stack of horizontal bands (base Z), the smallest and largest horizontal
+ * distance from the base axis at which the tool tip was reached. Revolving
+ * that profile about the base Z axis gives the 3D envelope, and reading it at
+ * one height gives a horizontal slice (an annulus).
+ *
+ * Sampling: the 2nd and 3rd movable joints (shoulder and elbow on an arm)
+ * are walked on a regular grid since they dominate the shape; every other
+ * joint is drawn at random per grid cell, with a bias towards its zero
+ * position so the outstretched wrist (the outer boundary) is well covered.
+ *
+ * Assumes J1 turns about the vertical base axis, so the envelope is a solid
+ * of revolution. On a 6-axis arm the few degrees outside J1's range are
+ * still reachable by reaching back over the top, so the full circle is used.
+ *
+ * Profiles are cached per robot model and tool length (see getReachProfile)
+ * and clipped per deployed robot for its mount (mountedReachProfile).
+ */
+
+import { forwardKinematics } from './kinematics';
+
+const GRID_STEPS = 40;       // per grid joint
+const DRAWS_PER_CELL = 8;    // random draws of the remaining joints
+const ZERO_BIAS = 0.3;       // chance a random joint is left at zero
+const BAND_COUNT = 48;
+
+const MOVABLE = new Set(['revolute', 'continuous', 'prismatic']);
+
+const profileCache = new Map();
+
+function jointRange(joint, meta) {
+  const m = meta.find((j) => j.name === joint.name);
+  // Continuous joints carry no limits (upper <= lower) — one turn covers them
+  if (!m || joint.type === 'continuous' || !(m.upper > m.lower)) return [-Math.PI, Math.PI];
+  return [m.lower, m.upper];
+}
+
+/**
+ * Samples the joint space and builds the radial reach profile.
+ *
+ * @param {Array}  chain      - From buildKinematicChain
+ * @param {Array}  meta       - robotJointMeta entry (limits)
+ * @param {number} toolLength - Tool offset past the flange, metres
+ * @returns {{ z: number[], inner: number[], outer: number[], zMin: number,
+ *             zMax: number, maxRadius: number } | null}
+ *          Base-frame metres. z[i] is the centre height of band i. null when
+ *          the chain has no movable joints.
+ */
+export function computeReachProfile(chain, meta, toolLength = 0) {
+  const joints = chain
+    .filter((j) => MOVABLE.has(j.type))
+    .map((j) => ({ name: j.name, range: jointRange(j, meta) }));
+  if (joints.length === 0) return null;
+
+  const gridJoints = joints.slice(1, 3);
+  const freeJoints = joints.filter((j) => !gridJoints.includes(j));
+  const stepsA = gridJoints.length > 0 ? GRID_STEPS : 1;
+  const stepsB = gridJoints.length > 1 ? GRID_STEPS : 1;
+  const draws = freeJoints.length > 0 ? DRAWS_PER_CELL : 1;
+
+  const samples = []; // [r, z] pairs
+  const angles = {};
+  const gridValue = (joint, i) =>
+    joint.range[0] + ((joint.range[1] - joint.range[0]) * i) / (GRID_STEPS - 1);
+
+  for (let a = 0; a < stepsA; a++) {
+    for (let b = 0; b < stepsB; b++) {
+      if (gridJoints[0]) angles[gridJoints[0].name] = gridValue(gridJoints[0], a);
+      if (gridJoints[1]) angles[gridJoints[1].name] = gridValue(gridJoints[1], b);
+      for (let d = 0; d < draws; d++) {
+        for (const j of freeJoints) {
+          const [lo, hi] = j.range;
+          angles[j.name] =
+            Math.random() < ZERO_BIAS && lo <= 0 && hi >= 0 ? 0 : lo + Math.random() * (hi - lo);
+        }
+        const e = forwardKinematics(chain, angles, toolLength).elements;
+        samples.push([Math.hypot(e[12], e[13]), e[14]]);
+      }
+    }
+  }
+
+  let zMin = Infinity;
+  let zMax = -Infinity;
+  for (const [, z] of samples) {
+    zMin = Math.min(zMin, z);
+    zMax = Math.max(zMax, z);
+  }
+  const height = Math.max(zMax - zMin, 1e-6);
+
+  const inner = new Array(BAND_COUNT).fill(Infinity);
+  const outer = new Array(BAND_COUNT).fill(-Infinity);
+  for (const [r, z] of samples) {
+    const i = Math.min(BAND_COUNT - 1, Math.floor(((z - zMin) / height) * BAND_COUNT));
+    inner[i] = Math.min(inner[i], r);
+    outer[i] = Math.max(outer[i], r);
+  }
+
+  // Fill any empty band from its nearest filled neighbour below (or above)
+  for (let i = 0; i < BAND_COUNT; i++) {
+    if (outer[i] >= 0) continue;
+    const src = [...Array(BAND_COUNT).keys()]
+      .filter((k) => outer[k] >= 0)
+      .sort((p, q) => Math.abs(p - i) - Math.abs(q - i))[0];
+    inner[i] = inner[src];
+    outer[i] = outer[src];
+  }
+
+  const z = inner.map((_, i) => zMin + ((i + 0.5) * height) / BAND_COUNT);
+  return { z, inner, outer, zMin, zMax, maxRadius: Math.max(...outer) };
+}
+
+/**
+ * Cached computeReachProfile. All instances of the same model with the same
+ * tool share one profile.
+ *
+ * @param {string} modelId    - Catalogue model id
+ * @param {Array}  chain
+ * @param {Array}  meta
+ * @param {number} toolLength
+ */
+export function getReachProfile(modelId, chain, meta, toolLength = 0) {
+  const key = `${modelId}|${toolLength.toFixed(4)}`;
+  if (!profileCache.has(key)) profileCache.set(key, computeReachProfile(chain, meta, toolLength));
+  return profileCache.get(key);
+}
+
+/**
+ * Horizontal slice of the envelope at a base-frame height.
+ *
+ * @param {object} profile - From computeReachProfile
+ * @param {number} z       - Base-frame height, metres
+ * @returns {{ inner: number, outer: number } | null} Annulus radii, or null
+ *          when the height is above or below the reachable range
+ */
+export function sliceReachProfile(profile, z) {
+  if (!profile || z < profile.zMin || z > profile.zMax) return null;
+  const { z: zs, inner, outer } = profile;
+  if (z <= zs[0]) return { inner: inner[0], outer: outer[0] };
+  if (z >= zs[zs.length - 1]) return { inner: inner[zs.length - 1], outer: outer[zs.length - 1] };
+
+  const i = zs.findIndex((v) => v > z) - 1;
+  const u = (z - zs[i]) / (zs[i + 1] - zs[i]);
+  return {
+    inner: inner[i] + (inner[i + 1] - inner[i]) * u,
+    outer: outer[i] + (outer[i + 1] - outer[i]) * u,
+  };
+}
+
+/**
+ * Restricts a profile to a base-frame height range — used to cut the
+ * envelope at the floor (and, for ceiling mounts, at the ceiling).
+ *
+ * @param {object} profile - From computeReachProfile
+ * @param {number} zLo     - Lowest reachable base-frame height (-Infinity = none)
+ * @param {number} zHi     - Highest reachable base-frame height (Infinity = none)
+ * @returns {object|null} Profile of the same shape, or null if nothing remains
+ */
+export function clipReachProfile(profile, zLo, zHi) {
+  if (!profile) return null;
+  const lo = Math.max(zLo, profile.zMin);
+  const hi = Math.min(zHi, profile.zMax);
+  if (hi <= lo) return null;
+  if (lo === profile.zMin && hi === profile.zMax) return profile;
+
+  const bottom = sliceReachProfile(profile, lo);
+  const top = sliceReachProfile(profile, hi);
+  const keep = [...profile.z.keys()].filter((i) => profile.z[i] > lo && profile.z[i] < hi);
+  const z = [lo, ...keep.map((i) => profile.z[i]), hi];
+  const inner = [bottom.inner, ...keep.map((i) => profile.inner[i]), top.inner];
+  const outer = [bottom.outer, ...keep.map((i) => profile.outer[i]), top.outer];
+  return { z, inner, outer, zMin: lo, zMax: hi, maxRadius: Math.max(...outer) };
+}
+
+/**
+ * Converts a height above the floor to a height in a deployed robot's base
+ * frame. Ceiling robots hang upside down, so their base Z points at the floor.
+ *
+ * @param {object} robot       - Deployed robot ({ position, mountType, scale })
+ * @param {number} worldHeight - Metres above the floor
+ * @returns {number} Base-frame metres (unscaled)
+ */
+export function baseHeightAt(robot, worldHeight) {
+  const s = robot.scale ?? 1;
+  return robot.mountType === 'ceiling'
+    ? (robot.position[2] - worldHeight) / s
+    : (worldHeight - robot.position[2]) / s;
+}
+
+/**
+ * Clips a model's profile to what a deployed robot can physically reach:
+ * nothing below the floor, and for ceiling mounts nothing above the ceiling
+ * it hangs from.
+ *
+ * @param {object} profile - From getReachProfile
+ * @param {object} robot   - Deployed robot
+ * @returns {object|null}
+ */
+export function mountedReachProfile(profile, robot) {
+  return robot.mountType === 'ceiling'
+    ? clipReachProfile(profile, 0, baseHeightAt(robot, 0))
+    : clipReachProfile(profile, baseHeightAt(robot, 0), Infinity);
+}
+
+/**
+ * Outline of the envelope's cross-section for THREE.LatheGeometry, as
+ * [radius, height] pairs: up the outer boundary, back down the inner one.
+ *
+ * @param {object} profile - From computeReachProfile
+ * @returns {number[][]}
+ */
+export function reachProfileOutline(profile) {
+  const { z, inner, outer, zMin, zMax } = profile;
+  const last = z.length - 1;
+  return [
+    [inner[0], zMin],
+    [outer[0], zMin],
+    ...z.map((h, i) => [outer[i], h]),
+    [outer[last], zMax],
+    [inner[last], zMax],
+    ...z.map((h, i) => [inner[i], h]).reverse(),
+    [inner[0], zMin],
+  ];
+}
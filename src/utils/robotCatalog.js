@@ -0,0 +1,145 @@
+/**
+ * robotCatalog.js
+ *
+ * Single lookup point for robot models: the built-in entries from
+ * robots_config.json plus any models imported through the IMPORT tab.
+ *
+ * Imported models are registered here by sceneStore.setImportedRobotModels
+ * (once at startup from IndexedDB, and after every import/delete). Their
+ * catalogue entries look exactly like robots_config.json entries except:
+ *   urdf:       "imported/<id>.urdf"  — not a /models/ path; URDFRobot asks
+ *                                       getImportedRobotAssets() for the XML
+ *   packageMap: {}                    — meshes resolve against the bundle
+ *   imported:   true
+ *
+ * Mesh blobs are exposed as object URLs, created lazily and revoked when the
+ * model is removed.
+ */
+
+import robotsConfig from '../config/robots_config.json';
+import { resolveBundlePath } from './urdfImport';
+
+export const IMPORTED_URDF_PREFIX = 'imported/';
+
+let importedModels = [];
+// id → { urdfText, urdfDir, files: { path: Blob }, paths: string[] }
+const importedAssets = new Map();
+// `${id}|${path}` → object URL
+const objectUrls = new Map();
+
+/** Converts a stored import record into a catalogue model entry. */
+function toCatalogEntry(record) {
+  return {
+    id: record.id,
+    name: record.name,
+    urdf: `${IMPORTED_URDF_PREFIX}${record.id}.urdf`,
+    packageMap: {},
+    defaultScale: 1.0,
+    footprint_m: record.footprint_m ?? [0.3, 0.3],
+    reach_mm: record.reach_mm ?? 0,
+    payload_kg: null,
+    type: 'articulated_arm',
+    approxHeight: record.approxHeight ?? 1.2,
+    lastLinkName: record.lastLinkName ?? null,
+    manufacturer: record.manufacturer,
+    imported: true,
+  };
+}
+
+function revokeUrlsFor(id) {
+  for (const [key, url] of objectUrls) {
+    if (key.startsWith(`${id}|`)) {
+      URL.revokeObjectURL(url);
+      objectUrls.delete(key);
+    }
+  }
+}
+
+/**
+ * Replaces the set of imported models.
+ * @param {object[]} records - Import records from importedRobotStorage
+ * @returns {object[]} Catalogue entries for the records
+ */
+export function setImportedRobots(records) {
+  const nextIds = new Set(records.map((r) => r.id));
+  for (const id of importedAssets.keys()) {
+    if (!nextIds.has(id)) {
+      revokeUrlsFor(id);
+      importedAssets.delete(id);
+    }
+  }
+  for (const r of records) {
+    const slash = r.urdfPath.lastIndexOf('/');
+    importedAssets.set(r.id, {
+      urdfText: r.urdfText,
+      urdfDir: slash < 0 ? '' : r.urdfPath.slice(0, slash),
+      files: r.files,
+      paths: Object.keys(r.files),
+    });
+  }
+  importedModels = records.map(toCatalogEntry);
+  return importedModels;
+}
+
+/**
+ * Returns the merged manufacturer map: { [name]: { models: [...] } }.
+ * Imported models are appended to a matching built-in manufacturer, or
+ * create a new manufacturer entry after the built-in ones.
+ */
+export function getManufacturers() {
+  const merged = Object.fromEntries(
+    Object.entries(robotsConfig.manufacturers).map(([name, m]) => [name, { models: [...m.models] }])
+  );
+  for (const model of importedModels) {
+    if (!merged[model.manufacturer]) merged[model.manufacturer] = { models: [] };
+    merged[model.manufacturer].models.push(model);
+  }
+  return merged;
+}
+
+/**
+ * Returns the model list for one manufacturer (built-in + imported).
+ * @param {string} manufacturer
+ * @returns {object[]}
+ */
+export function getManufacturerModels(manufacturer) {
+  return getManufacturers()[manufacturer]?.models ?? [];
+}
+
+/**
+ * Finds a model entry by id across all manufacturers.
+ * @param {string} modelId - e.g. "ur5e" or "imp-my_robot-lx3k2a"
+ * @returns {object|null}
+ */
+export function findRobotModel(modelId) {
+  for (const m of Object.values(robotsConfig.manufacturers)) {
+    const hit = m.models.find((model) => model.id === modelId);
+    if (hit) return hit;
+  }
+  return importedModels.find((model) => model.id === modelId) ?? null;
+}
+
+/**
+ * Returns the URDF text and a mesh URL resolver for an imported model.
+ * @param {string} urdf - Instance urdf field, e.g. "imported/imp-x.urdf"
+ * @returns {{ urdfText: string, resolveMeshUrl: (uri: string) => string|null }|null}
+ */
+export function getImportedRobotAssets(urdf) {
+  if (!urdf?.startsWith(IMPORTED_URDF_PREFIX)) return null;
+  const id = urdf.slice(IMPORTED_URDF_PREFIX.length).replace(/\.urdf$/, '');
+  const assets = importedAssets.get(id);
+  if (!assets) return null;
+
+  return {
+    urdfText: assets.urdfText,
+    resolveMeshUrl(uri) {
+      const path = resolveBundlePath(uri, assets.urdfDir, assets.paths);
+      if (!path) return null;
+      const key = `${id}|${path}`;
+      if (!objectUrls.has(key)) {
+        objectUrls.set(key, URL.createObjectURL(assets.files[path]));
+      }
+      return objectUrls.get(key);
+    },
+  };
+}
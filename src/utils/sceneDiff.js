@@ -0,0 +1,206 @@
+/**
+ * sceneDiff.js
+ *
+ * What changed between two scene documents (sceneStorage buildScenePayload
+ * shape). Robots and objects are matched by id.
+ *
+ * compareScenes — per-entity result: added, removed and changed entities
+ *                 with how far they moved and turned (ComparisonOverlay draws
+ *                 these in the viewport).
+ * diffScenes    — the same as short human-readable lines, plus joint
+ *                 poses, groups, programs, settings and the saved tags /
+ *                 description (SAVES tab history, ComparisonHUD):
+ *
+ *   + r-5 "FANUC M-20iA #5" added
+ *   − o-2 "Pallet #2" removed
+ *   ~ r-3 "UR10e #3" moved 1.20 m, rotated 45°, gripper changed, joint pose changed
+ *   ~ Floor / building settings
+ *
+ * Only the camera view, thumbnail and save time are left out.
+ *
+ * Positions are spec [x, y, z] metres and rotations degrees, as stored.
+ */
+
+/** Moves and turns smaller than these are rounding, not edits */
+const MOVE_EPSILON = 1e-4;
+const ROTATE_EPSILON = 1e-3;
+
+/** Entity fields → the name a change to them is reported under */
+const FIELD_NAMES = {
+  modelId: 'model',
+  model: 'model',
+  manufacturer: 'model',
+  urdf: 'model',
+  packageMap: 'model',
+  scale: 'scale',
+  mountType: 'mount',
+  gripperId: 'gripper',
+  gripperScale: 'gripper size',
+  parentObjectId: 'mounting',
+  parentOffset: 'mounting',
+  trackPosition: 'track position',
+  shape: 'type',
+  itemId: 'type',
+  category: 'type',
+  dimensions: 'size',
+  color: 'color',
+  colorOverride: 'color',
+  opacity: 'opacity',
+};
+
+function same(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+/** Signed heading change in degrees, −180…180. */
+function headingDelta(before, after) {
+  let delta = ((after ?? 0) - (before ?? 0)) % 360;
+  if (delta > 180) delta -= 360;
+  if (delta < -180) delta += 360;
+  return delta;
+}
+
+/**
+ * Matches two lists of entities (robots or objects) by id.
+ * @returns {{ added: object[], removed: object[],
+ *             changed: { before: object, after: object, moved: number,
+ *                        rotated: number, fields: string[] }[] }}
+ *          moved in metres, rotated in degrees; fields are FIELD_NAMES names
+ *          (or raw keys) of everything else that differs
+ */
+export function compareEntities(before = [], after = []) {
+  const beforeById = new Map(before.map((e) => [e.id, e]));
+  const afterIds = new Set(after.map((e) => e.id));
+  const added = [];
+  const changed = [];
+
+  for (const entity of after) {
+    const prev = beforeById.get(entity.id);
+    if (!prev) { added.push(entity); continue; }
+
+    const moved = Math.hypot(...entity.position.map((v, i) => v - (prev.position?.[i] ?? 0)));
+    const rotated = headingDelta(prev.rotation, entity.rotation);
+    const fields = new Set();
+    for (const key of new Set([...Object.keys(prev), ...Object.keys(entity)])) {
+      if (['id', 'position', 'rotation'].includes(key) || same(prev[key], entity[key])) continue;
+      fields.add(FIELD_NAMES[key] ?? key);
+    }
+    if (moved > MOVE_EPSILON || Math.abs(rotated) > ROTATE_EPSILON || fields.size) {
+      changed.push({
+        before: prev,
+        after: entity,
+        moved: moved > MOVE_EPSILON ? moved : 0,
+        rotated: Math.abs(rotated) > ROTATE_EPSILON ? rotated : 0,
+        fields: [...fields],
+      });
+    }
+  }
+
+  const removed = before.filter((e) => !afterIds.has(e.id));
+  return { added, removed, changed };
+}
+
+/**
+ * Robots and objects of two scenes, matched by id (see compareEntities).
+ * @param {object} before - Older scene document
+ * @param {object} after  - Newer scene document (or the live store state)
+ */
+export function compareScenes(before, after) {
+  return {
+    robots: compareEntities(before.deployedRobots, after.deployedRobots),
+    objects: compareEntities(before.sceneObjects, after.sceneObjects),
+  };
+}
+
+function entityName(entity) {
+  return entity.label ? `${entity.id} "${entity.label}"` : entity.id;
+}
+
+/** "moved 1.20 m, rotated 45°, renamed from "A", gripper changed" */
+function describeChange({ before, after, moved, rotated, fields }) {
+  const parts = [];
+  if (moved) parts.push(`moved ${moved.toFixed(2)} m`);
+  if (rotated) parts.push(`rotated ${Math.round(rotated)}°`);
+  fields.forEach((field) => parts.push(
+    field === 'label' ? `renamed from "${before.label}"` : `${field} changed`
+  ));
+  return `${entityName(after)} ${parts.join(', ')}`;
+}
+
+/** Change lines for one compareEntities result. */
+function entityLines({ added, removed, changed }) {
+  return [
+    ...added.map((e) => ({ type: 'added', text: `${entityName(e)} added` })),
+    ...removed.map((e) => ({ type: 'removed', text: `${entityName(e)} removed` })),
+    ...changed.map((c) => ({ type: 'changed', text: describeChange(c) })),
+  ];
+}
+
+/**
+ * Adds 'joint pose' to the robots of a compareEntities result whose
+ * robotJointAngles differ, listing otherwise unchanged robots as changed.
+ */
+function withJointPoses(robots, before, after) {
+  const beforeById = new Map((before.deployedRobots ?? []).map((r) => [r.id, r]));
+  const poseChanged = (id) => !same(before.robotJointAngles?.[id] ?? {}, after.robotJointAngles?.[id] ?? {});
+  const changed = robots.changed.map((c) =>
+    (poseChanged(c.after.id) ? { ...c, fields: [...c.fields, 'joint pose'] } : c));
+  const listed = new Set(changed.map((c) => c.after.id));
+  for (const robot of after.deployedRobots ?? []) {
+    const prev = beforeById.get(robot.id);
+    if (prev && !listed.has(robot.id) && poseChanged(robot.id)) {
+      changed.push({ before: prev, after: robot, moved: 0, rotated: 0, fields: ['joint pose'] });
+    }
+  }
+  return { ...robots, changed };
+}
+
+/**
+ * Lists the changes from one scene document to another.
+ *
+ * @param {object} before - Older scene document
+ * @param {object} after  - Newer scene document (or the live store state)
+ * @returns {{ type: 'added'|'removed'|'changed', text: string }[]}
+ *          empty when the layouts are the same
+ */
+export function diffScenes(before, after) {
+  const { robots, objects } = compareScenes(before, after);
+  const lines = [...entityLines(withJointPoses(robots, before, after)), ...entityLines(objects)];
+
+  const groupNames = (s) => (s.groups ?? []).map((g) => g.name);
+  if (!same(before.groups, after.groups)) {
+    const added = groupNames(after).filter((n) => !groupNames(before).includes(n));
+    const removed = groupNames(before).filter((n) => !groupNames(after).includes(n));
+    added.forEach((n) => lines.push({ type: 'added', text: `Group "${n}" added` }));
+    removed.forEach((n) => lines.push({ type: 'removed', text: `Group "${n}" removed` }));
+    if (!added.length && !removed.length) lines.push({ type: 'changed', text: 'Group membership' });
+  }
+
+  if (!same(before.robotPrograms, after.robotPrograms)) {
+    lines.push({ type: 'changed', text: 'Robot programs' });
+  }
+  if (!same(before.sceneSettings?.floor, after.sceneSettings?.floor)) {
+    lines.push({ type: 'changed', text: 'Floor / building settings' });
+  }
+  const { floor: _f1, ...viewBefore } = before.sceneSettings ?? {};
+  const { floor: _f2, ...viewAfter } = after.sceneSettings ?? {};
+  if (!same(viewBefore, viewAfter)
+    || before.snapToGridEnabled !== after.snapToGridEnabled
+    || before.showLabels !== after.showLabels) {
+    lines.push({ type: 'changed', text: 'Display settings' });
+  }
+  if (!same(before.floorUnderlay, after.floorUnderlay)) {
+    lines.push({
+      type: after.floorUnderlay && !before.floorUnderlay ? 'added' : after.floorUnderlay ? 'changed' : 'removed',
+      text: 'Floor plan underlay',
+    });
+  }
+  // Saved metadata — absent from the live store state (ComparisonHUD)
+  if (after.tags !== undefined && !same(before.tags ?? [], after.tags)) {
+    lines.push({ type: 'changed', text: 'Tags' });
+  }
+  if (after.description !== undefined && (before.description ?? '') !== after.description) {
+    lines.push({ type: 'changed', text: 'Description' });
+  }
+  return lines;
+}
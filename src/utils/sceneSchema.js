@@ -0,0 +1,366 @@
+/**
+ * sceneSchema.js
+ *
+ * The scene file format — what the SAVES tab stores, .json exports contain
+ * and share links carry (sceneStorage buildScenePayload) — with validation
+ * and upgrades from older versions. Every way into restoreScene goes through
+ * parseScene first.
+ *
+ * Versions:
+ *   1  robots, objects, joint angles, counters and view toggles. Later v1
+ *      saves added groups, waypoint programs, scene settings (with the
+ *      building), the floor plan underlay and the camera view, each optional.
+ *   2  every field present: robots carry their gripper and track binding
+ *      fields, objects their mount type and opacity, and the building is
+ *      always in sceneSettings.floor. Saved scenes may also carry a
+ *      thumbnail, tags and a description (optional, see sceneSummary.js).
+ *
+ * To change the format: bump SCENE_VERSION, add a MIGRATIONS step from the
+ * previous version, and update SCENE_SCHEMA to describe the new version.
+ * Migrations only ever see the output of the step before them.
+ *
+ * Validation reports every problem with the path to it, e.g.
+ *   deployedRobots[2].position: expected a list of 3 numbers, got a string ("0,0,0")
+ * Unknown extra fields are allowed, so newer builds can add optional data.
+ */
+
+import { defaultFloor, NOTCH_CORNERS } from './floorLayout';
+
+export const SCENE_VERSION = 2;
+
+/** Problems listed in a thrown error's message (all are on error.issues) */
+const MAX_LISTED_ISSUES = 8;
+
+// ─── Schema ───────────────────────────────────────────────────────────────────
+// A small declarative notation: { type, nullable?, … } checked by checkValue.
+
+const str = { type: 'string' };
+const num = { type: 'number' };
+const bool = { type: 'boolean' };
+const count = { type: 'integer', min: 1 };
+const fraction = { type: 'number', min: 0, max: 1 };
+const nullable = (schema) => ({ ...schema, nullable: true });
+const listOf = (items, length) => ({ type: 'array', items, length });
+const mapOf = (values) => ({ type: 'map', values });
+const oneOf = (...values) => ({ type: 'enum', values });
+const shape = (required, optional = {}) => ({ type: 'object', required, optional });
+
+const vec2 = listOf(num, 2);
+const vec3 = listOf(num, 3);
+const mountType = oneOf('floor', 'platform', 'ceiling');
+
+const ROBOT = shape(
+  {
+    id: str,
+    modelId: str,
+    model: str,
+    position: vec3,
+    rotation: num,
+    scale: { type: 'number', min: 0, exclusiveMin: true },
+    label: str,
+    mountType,
+    gripperId: nullable(str),
+    gripperScale: num,
+    parentObjectId: nullable(str),
+    parentOffset: nullable(shape({ dx: num, dy: num, dRot: num })),
+    trackPosition: nullable(num),
+  },
+  {
+    manufacturer: str,
+    urdf: nullable(str),
+    packageMap: nullable(mapOf(str)),
+    approxHeight: num,
+    colorOverride: nullable(str),
+    opacity: fraction,
+  }
+);
+
+const SCENE_OBJECT = shape(
+  {
+    id: str,
+    shape: oneOf(
+      'box', 'cylinder', 'sphere', 'ibeam', 'pipe', 'cabletray', 'linear_track', 'work_table',
+      'turntable', 'conveyor', 'safety_fence', 'pallet', 'operator_station'
+    ),
+    dimensions: mapOf(num),
+    position: vec3,
+    rotation: num,
+    mountType,
+    label: str,
+    opacity: fraction,
+  },
+  { category: str, itemId: str, name: str, color: str }
+);
+
+const GROUP = shape({ id: str, name: str, robotIds: listOf(str), objectIds: listOf(str) });
+
+const PROGRAM = shape({
+  waypoints: listOf(shape({ id: str, name: str, angles: mapOf(num) })),
+  nextWaypointId: count,
+  speedPercent: { type: 'number', min: 1, max: 100 },
+  loop: bool,
+});
+
+const FLOOR = shape({
+  shape: oneOf('rectangle', 'lshape', 'polygon'),
+  width: num,
+  depth: num,
+  notch: shape({ corner: oneOf(...NOTCH_CORNERS), width: num, depth: num }),
+  points: listOf(vec2),
+  wallsVisible: bool,
+  wallHeight: num,
+  wallThickness: num,
+  doors: listOf(shape({ edge: { type: 'integer', min: 0 }, offset: num, width: num, height: num })),
+  columns: shape({ enabled: bool, spacingX: num, spacingY: num, offsetX: num, offsetY: num, size: num }),
+});
+
+const SCENE_SETTINGS = shape(
+  { floor: FLOOR },
+  {
+    floorColor: str,
+    backgroundColor: str,
+    fogEnabled: bool,
+    gridVisible: bool,
+    ambientIntensity: num,
+    directionalIntensity: num,
+    shadowsEnabled: bool,
+  }
+);
+
+const FLOOR_UNDERLAY = shape(
+  {
+    kind: oneOf('image', 'lines'),
+    name: str,
+    width: num,
+    height: num,
+    scale: num,
+    offset: vec2,
+    rotation: num,
+    opacity: fraction,
+    visible: bool,
+  },
+  { src: str, segments: listOf(num) }
+);
+
+/** A scene at SCENE_VERSION */
+export const SCENE_SCHEMA = shape(
+  {
+    version: { type: 'integer', min: 1 },
+    deployedRobots: listOf(ROBOT),
+    sceneObjects: listOf(SCENE_OBJECT),
+    groups: listOf(GROUP),
+    nextRobotId: count,
+    nextObjectId: count,
+    nextGroupId: count,
+    robotJointAngles: mapOf(mapOf(num)),
+    robotPrograms: mapOf(PROGRAM),
+    snapToGridEnabled: bool,
+    showLabels: bool,
+    sceneSettings: SCENE_SETTINGS,
+    floorUnderlay: nullable(FLOOR_UNDERLAY),
+    camera: nullable(shape({ position: vec3, target: vec3 })),
+  },
+  {
+    savedAt: str,
+    // SAVES tab metadata (sceneSummary.js)
+    thumbnail: nullable(str),
+    tags: listOf(str),
+    description: str,
+  }
+);
+
+// ─── Validation ───────────────────────────────────────────────────────────────
+
+function describeSchema(schema) {
+  switch (schema.type) {
+    case 'string':  return 'text';
+    case 'boolean': return 'true or false';
+    case 'integer':
+    case 'number': {
+      const noun = schema.type === 'integer' ? 'a whole number' : 'a number';
+      if (schema.min !== undefined && schema.max !== undefined) return `${noun} from ${schema.min} to ${schema.max}`;
+      if (schema.min !== undefined) return `${noun} ${schema.exclusiveMin ? '>' : '≥'} ${schema.min}`;
+      return noun;
+    }
+    case 'enum':  return `one of ${schema.values.map((v) => `"${v}"`).join(', ')}`;
+    case 'array': return schema.length ? `a list of ${schema.length} ${schema.items.type}s` : 'a list';
+    default:      return 'an object';
+  }
+}
+
+function describeValue(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return `a list of ${value.length}`;
+  if (typeof value === 'string') return `a string (${JSON.stringify(value.length > 24 ? `${value.slice(0, 24)}…` : value)})`;
+  if (typeof value === 'number') return `${value}`;
+  return typeof value === 'object' ? 'an object' : `${typeof value} ${String(value)}`;
+}
+
+const isPlainObject = (value) => typeof value === 'object' && value !== null && !Array.isArray(value);
+
+/** Appends a problem for every way `value` breaks `schema`. */
+function checkValue(value, schema, path, issues) {
+  const fail = () => issues.push(`${path}: expected ${describeSchema(schema)}, got ${describeValue(value)}`);
+  if (value === null && schema.nullable) return;
+
+  switch (schema.type) {
+    case 'string':
+    case 'boolean':
+      if (typeof value !== schema.type) fail();
+      return;
+    case 'integer':
+    case 'number':
+      if (typeof value !== 'number' || !Number.isFinite(value) ||
+          (schema.type === 'integer' && !Number.isInteger(value)) ||
+          (schema.min !== undefined && (schema.exclusiveMin ? value <= schema.min : value < schema.min)) ||
+          (schema.max !== undefined && value > schema.max)) fail();
+      return;
+    case 'enum':
+      if (!schema.values.includes(value)) fail();
+      return;
+    case 'array':
+      if (!Array.isArray(value) || (schema.length && value.length !== schema.length)) { fail(); return; }
+      value.forEach((item, i) => checkValue(item, schema.items, `${path}[${i}]`, issues));
+      return;
+    case 'map':
+      if (!isPlainObject(value)) { fail(); return; }
+      Object.entries(value).forEach(([key, item]) => checkValue(item, schema.values, `${path}.${key}`, issues));
+      return;
+    default:
+      if (!isPlainObject(value)) { fail(); return; }
+      Object.entries(schema.required).forEach(([key, field]) => {
+        if (value[key] === undefined) issues.push(`${path}.${key}: missing (expected ${describeSchema(field)})`);
+        else checkValue(value[key], field, `${path}.${key}`, issues);
+      });
+      Object.entries(schema.optional).forEach(([key, field]) => {
+        if (value[key] !== undefined) checkValue(value[key], field, `${path}.${key}`, issues);
+      });
+  }
+}
+
+/** References between entities: unique ids, track bindings, group members. */
+function checkReferences(scene, issues) {
+  const robotIds = new Set();
+  const objectIds = new Set();
+  scene.deployedRobots.forEach((r, i) => {
+    if (robotIds.has(r.id)) issues.push(`deployedRobots[${i}].id: "${r.id}" is used by another robot`);
+    robotIds.add(r.id);
+  });
+  scene.sceneObjects.forEach((o, i) => {
+    if (objectIds.has(o.id)) issues.push(`sceneObjects[${i}].id: "${o.id}" is used by another object`);
+    objectIds.add(o.id);
+  });
+  scene.deployedRobots.forEach((r, i) => {
+    if (r.parentObjectId !== null && !objectIds.has(r.parentObjectId)) {
+      issues.push(`deployedRobots[${i}].parentObjectId: no scene object "${r.parentObjectId}"`);
+    }
+  });
+  scene.groups.forEach((g, i) => {
+    g.robotIds.forEach((id, j) => {
+      if (!robotIds.has(id)) issues.push(`groups[${i}].robotIds[${j}]: no robot "${id}"`);
+    });
+    g.objectIds.forEach((id, j) => {
+      if (!objectIds.has(id)) issues.push(`groups[${i}].objectIds[${j}]: no scene object "${id}"`);
+    });
+  });
+  const underlay = scene.floorUnderlay;
+  if (underlay?.kind === 'image' && typeof underlay.src !== 'string') issues.push('floorUnderlay.src: missing (expected text)');
+  if (underlay?.kind === 'lines' && !Array.isArray(underlay.segments)) issues.push('floorUnderlay.segments: missing (expected a list)');
+}
+
+/**
+ * Checks a scene at SCENE_VERSION.
+ * @param {object} scene
+ * @returns {string[]} Problems, each prefixed with its path; empty if valid
+ */
+export function validateScene(scene) {
+  const issues = [];
+  checkValue(scene, SCENE_SCHEMA, 'scene', issues);
+  // Reference checks need the structure to be sound
+  if (issues.length === 0) checkReferences(scene, issues);
+  return issues.map((issue) => issue.replace(/^scene\./, ''));
+}
+
+// ─── Migration ────────────────────────────────────────────────────────────────
+
+/** Next free number after ids like "r-3" */
+function nextIdAfter(items) {
+  return Math.max(0, ...(items ?? []).map((item) => parseInt(String(item?.id).split('-').pop(), 10) || 0)) + 1;
+}
+
+/**
+ * MIGRATIONS[n] upgrades a version-n scene to version n + 1. Each step gets
+ * a shallow copy it may modify.
+ */
+const MIGRATIONS = {
+  // 1 → 2: fill in everything later v1 builds back-filled when loading
+  1: (scene) => {
+    const objects = Array.isArray(scene.sceneObjects) ? scene.sceneObjects : [];
+    const groups = Array.isArray(scene.groups) ? scene.groups : [];
+    const settings = isPlainObject(scene.sceneSettings) ? scene.sceneSettings : {};
+    return {
+      ...scene,
+      // Every v1 file has deployedRobots; leave a missing one for validation
+      deployedRobots: scene.deployedRobots?.map?.((r) => ({
+        scale: 1,
+        mountType: 'floor',
+        gripperId: null,
+        gripperScale: 1.0,
+        parentObjectId: null,
+        parentOffset: null,
+        trackPosition: null,
+        ...r,
+      })) ?? scene.deployedRobots,
+      sceneObjects: objects.map((o) => ({ mountType: 'floor', opacity: 1, rotation: 0, ...o })),
+      groups,
+      nextRobotId: scene.nextRobotId ?? nextIdAfter(scene.deployedRobots),
+      nextObjectId: scene.nextObjectId ?? nextIdAfter(objects),
+      nextGroupId: scene.nextGroupId ?? nextIdAfter(groups),
+      robotJointAngles: scene.robotJointAngles ?? {},
+      robotPrograms: scene.robotPrograms ?? {},
+      snapToGridEnabled: scene.snapToGridEnabled ?? false,
+      showLabels: scene.showLabels ?? true,
+      sceneSettings: { ...settings, floor: { ...defaultFloor(), ...settings.floor } },
+      floorUnderlay: scene.floorUnderlay ?? null,
+      camera: scene.camera ?? null,
+    };
+  },
+};
+
+/**
+ * Upgrades a scene of any supported version to SCENE_VERSION.
+ * @param {object} data - Parsed scene JSON
+ * @returns {object} New scene object with version = SCENE_VERSION
+ * @throws {Error} When the data is not a scene or is from a newer version
+ */
+export function migrateScene(data) {
+  if (!isPlainObject(data)) throw new Error('Not a scene file: expected a JSON object.');
+  const from = data.version ?? 1;
+  if (!Number.isInteger(from) || from < 1) throw new Error(`version: expected a whole number ≥ 1, got ${describeValue(from)}`);
+  if (from > SCENE_VERSION) {
+    throw new Error(`This scene was saved by a newer version of the app (format ${from}; this build reads up to ${SCENE_VERSION}).`);
+  }
+
+  let scene = { ...data };
+  for (let v = from; v < SCENE_VERSION; v++) scene = MIGRATIONS[v]({ ...scene });
+  return { ...scene, version: SCENE_VERSION };
+}
+
+/**
+ * Upgrades and validates scene data — the single entry point for loading.
+ *
+ * @param {object} data - Parsed scene JSON (any supported version)
+ * @returns {object} The scene at SCENE_VERSION, ready for restoreScene
+ * @throws {Error} With a readable list of problems; error.issues holds them all
+ */
+export function parseScene(data) {
+  const scene = migrateScene(data);
+  const issues = validateScene(scene);
+  if (issues.length === 0) return scene;
+
+  const listed = issues.slice(0, MAX_LISTED_ISSUES).map((issue) => `• ${issue}`);
+  if (issues.length > MAX_LISTED_ISSUES) listed.push(`…and ${issues.length - MAX_LISTED_ISSUES} more`);
+  const error = new Error(`Invalid scene:\n${listed.join('\n')}`);
+  error.issues = issues;
+  throw error;
+}
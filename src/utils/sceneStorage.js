@@ -1,80 +1,141 @@
 /**
  * sceneStorage.js
  *
- * Client-side scene persistence using localStorage + file export/import.
- * Replaces the Vite dev-server API (saves/ folder) so the app works as a
- * static site without any backend.
+ * Scene persistence + file export/import.
  *
- * Storage format: a single localStorage key holds a JSON object where keys
- * are scene names and values are full scene data (including savedAt).
- * At ~2-10 KB per scene, hundreds of scenes fit within the 5-10 MB limit.
+ * Scenes are kept by a storage provider (storageProviders.js): localStorage,
+ * IndexedDB, or the dev server's saves/ folder. The functions here take the
+ * provider to use and add the built-in demo scenes, which every provider
+ * lists and none can delete.
+ *
+ * Version history: every save also appends the scene to a rolling history
+ * for that provider + name (IndexedDB "sceneHistory" store, newest first,
+ * VERSION_LIMIT entries), which the SAVES tab browses, restores and diffs.
+ * History is best-effort — a browser without IndexedDB still saves.
  */
 
 import { DEMO_SCENES } from '../config/demoScenes';
+import { withStore } from './indexedDb';
+import { parseScene, SCENE_VERSION } from './sceneSchema';
+import { summarizeScene } from './sceneSummary';
 
-const STORAGE_KEY = 'robotlayout_scenes';
+const HISTORY_STORE = 'sceneHistory';
+/** Versions kept per scene; the oldest drop off */
+const VERSION_LIMIT = 20;
 
-/** Read the full scene map from localStorage. Returns {} on empty/error. */
-function readMap() {
-  try {
-    const raw = localStorage.getItem(STORAGE_KEY);
-    if (!raw) return {};
-    return JSON.parse(raw);
-  } catch {
-    return {};
-  }
+function historyKey(provider, name) {
+  return `${provider.id}/${name}`;
 }
 
-/** Write the full scene map to localStorage. */
-function writeMap(map) {
-  localStorage.setItem(STORAGE_KEY, JSON.stringify(map));
+/**
+ * The scene document as saved, exported and shared: everything restoreScene
+ * needs, plus the current camera view.
+ * @param {object} s - useSceneStore state
+ * @returns {object}
+ */
+export function buildScenePayload(s) {
+  return {
+    version: SCENE_VERSION,
+    savedAt: new Date().toISOString(),
+    deployedRobots:    s.deployedRobots,
+    sceneObjects:      s.sceneObjects,
+    groups:            s.groups,
+    nextRobotId:       s.nextRobotId,
+    nextObjectId:      s.nextObjectId,
+    nextGroupId:       s.nextGroupId,
+    robotJointAngles:  s.robotJointAngles,
+    robotPrograms:     s.robotPrograms,
+    snapToGridEnabled: s.snapToGridEnabled,
+    showLabels:        s.showLabels,
+    sceneSettings:     s.sceneSettings,
+    floorUnderlay:     s.floorUnderlay,
+    camera:            s.cameraPose,
+  };
 }
 
 /**
- * Save a scene to localStorage. Overwrites if name already exists.
+ * Save a scene to a storage provider. Overwrites if name already exists.
+ * @param {object} provider  From storageProviders.js
  * @param {string} name  Scene name
  * @param {object} sceneData  Full scene object (with savedAt, deployedRobots, etc.)
+ * @returns {Promise<string>}  The name it was stored under
  */
-export function saveScene(name, sceneData) {
-  const map = readMap();
-  map[name] = sceneData;
-  writeMap(map); // throws DOMException on quota exceeded
+export async function saveScene(provider, name, sceneData) {
+  const savedAs = await provider.save(name, sceneData);
+  try {
+    const key = historyKey(provider, savedAs);
+    const record = await withStore(HISTORY_STORE, 'readonly', (store) => store.get(key));
+    const versions = [
+      { savedAt: sceneData.savedAt || new Date().toISOString(), scene: sceneData },
+      ...(record?.versions ?? []),
+    ].slice(0, VERSION_LIMIT);
+    await withStore(HISTORY_STORE, 'readwrite', (store) => store.put({ key, versions }));
+  } catch (err) {
+    console.warn('Could not record scene version:', err);
+  }
+  return savedAs;
 }
 
 /**
- * List all saved scenes, sorted newest first.
- * Built-in demo scenes are appended at the end with isDemo=true.
- * @returns {{ name: string, savedAt: string, isDemo?: boolean }[]}
+ * List a provider's scenes, sorted newest first, each with its
+ * sceneSummary.js summary. Built-in demo scenes are appended at the end
+ * with isDemo=true.
+ * @param {object} provider
+ * @returns {Promise<{ name: string, savedAt: string, isDemo?: boolean }[]>}
  */
-export function listScenes() {
-  const map = readMap();
-  const userScenes = Object.entries(map)
-    .map(([name, data]) => ({ name, savedAt: data.savedAt || '' }))
-    .sort((a, b) => (b.savedAt > a.savedAt ? 1 : -1));
+export async function listScenes(provider) {
+  const userScenes = await provider.list();
   const demoScenes = Object.entries(DEMO_SCENES)
-    .map(([name, data]) => ({ name, savedAt: data.savedAt || '', isDemo: true }));
+    .map(([name, data]) => ({ name, ...summarizeScene(data), isDemo: true }));
   return [...userScenes, ...demoScenes];
 }
 
 /**
  * Load a single scene by name.
+ * @param {object} provider
  * @param {string} name
- * @returns {object|null}  Full scene object, or null if not found.
+ * @returns {Promise<object|null>}  Full scene object, or null if not found.
  */
-export function loadScene(name) {
+export async function loadScene(provider, name) {
   if (DEMO_SCENES[name]) return DEMO_SCENES[name];
-  const map = readMap();
-  return map[name] ?? null;
+  return provider.load(name);
 }
 
 /**
  * Delete a scene by name.
+ * @param {object} provider
+ * @param {string} name
+ */
+export async function deleteScene(provider, name) {
+  await provider.remove(name);
+  await withStore(HISTORY_STORE, 'readwrite', (store) => store.delete(historyKey(provider, name)))
+    .catch(() => {});
+}
+
+/**
+ * Past versions of a saved scene, newest first (the first is the version
+ * currently saved).
+ * @param {object} provider
+ * @param {string} name
+ * @returns {Promise<{ savedAt: string, scene: object }[]>}
+ */
+export async function listSceneVersions(provider, name) {
+  const record = await withStore(HISTORY_STORE, 'readonly', (store) => store.get(historyKey(provider, name)));
+  return record?.versions ?? [];
+}
+
+/**
+ * Copy a scene (or a demo scene) from one provider to another under the
+ * same name, overwriting any scene of that name there.
+ * @param {object} from
+ * @param {object} to
  * @param {string} name
+ * @returns {Promise<string>}  The name it was stored under
  */
-export function deleteScene(name) {
-  const map = readMap();
-  delete map[name];
-  writeMap(map);
+export async function copyScene(from, to, name) {
+  const data = await loadScene(from, name);
+  if (!data) throw new Error(`Scene "${name}" not found.`);
+  return saveScene(to, name, data);
 }
 
 /**
@@ -98,8 +159,9 @@ export function exportSceneToFile(name, sceneData) {
 
 /**
  * Import a scene from a user-selected .json file.
- * Opens the browser file picker. Validates that the file contains a
- * deployedRobots array.
+ * Opens the browser file picker. The file is upgraded to the current format
+ * and validated (sceneSchema parseScene); problems reject with a readable
+ * message.
  * @returns {Promise<{ name: string, scene: object }>}
  */
 export function importSceneFromFile() {
@@ -118,16 +180,19 @@ export function importSceneFromFile() {
       const reader = new FileReader();
       reader.onload = () => {
         try {
-          const scene = JSON.parse(reader.result);
-          if (!Array.isArray(scene.deployedRobots)) {
-            reject(new Error('Invalid scene file: missing deployedRobots array'));
+          let data;
+          try {
+            data = JSON.parse(reader.result);
+          } catch (err) {
+            reject(new Error('Failed to parse JSON: ' + err.message));
             return;
           }
+          const scene = parseScene(data);
           // Derive scene name from filename (strip .json extension)
           const name = file.name.replace(/\.json$/i, '');
           resolve({ name, scene });
         } catch (err) {
-          reject(new Error('Failed to parse JSON: ' + err.message));
+          reject(err);
         }
       };
       reader.onerror = () => reject(new Error('Failed to read file'));
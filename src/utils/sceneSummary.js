@@ -0,0 +1,44 @@
+/**
+ * sceneSummary.js
+ *
+ * The short description of a saved scene that the SAVES tab lists, searches
+ * and sorts by — so a provider's list() doesn't have to hand over whole
+ * scene documents. Pure and dependency-free: vite.config.js uses it too, for
+ * the dev server's GET /api/scenes.
+ *
+ * Scene metadata (optional top-level fields of the scene document):
+ *   thumbnail:   string   — small JPEG data URL captured on save
+ *   tags:        string[]
+ *   description: string
+ */
+
+/**
+ * Normalises free-text tags: trimmed, lower-case, no blanks or duplicates.
+ * @param {string|string[]} tags - A list, or one comma-separated string
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  const list = Array.isArray(tags) ? tags : String(tags ?? '').split(',');
+  return [...new Set(list.map((t) => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+/**
+ * @param {object} scene - Scene document
+ * @returns {{ savedAt: string, thumbnail: string|null, tags: string[],
+ *             description: string, robotCount: number, objectCount: number,
+ *             manufacturers: string[], models: string[] }}
+ */
+export function summarizeScene(scene) {
+  const robots = Array.isArray(scene?.deployedRobots) ? scene.deployedRobots : [];
+  const unique = (values) => [...new Set(values.filter(Boolean))].sort();
+  return {
+    savedAt: scene?.savedAt || '',
+    thumbnail: typeof scene?.thumbnail === 'string' ? scene.thumbnail : null,
+    tags: normalizeTags(scene?.tags ?? []),
+    description: typeof scene?.description === 'string' ? scene.description : '',
+    robotCount: robots.length,
+    objectCount: Array.isArray(scene?.sceneObjects) ? scene.sceneObjects.length : 0,
+    manufacturers: unique(robots.map((r) => r.manufacturer)),
+    models: unique(robots.map((r) => r.model)),
+  };
+}
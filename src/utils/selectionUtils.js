@@ -0,0 +1,179 @@
+/**
+ * selectionUtils.js
+ *
+ * Helpers for acting on the multi-selection (store selectedRobotIds /
+ * selectedObjectIds) as one rigid group: resolving the members, finding the
+ * pivot the group rotates about, and rotating a member around it.
+ *
+ * Align / distribute (store alignSelection, distributeSelection) work on
+ * each member's plan footprint — the shape's real size from its
+ * `dimensions` (objectUtils getObjectFootprint), or the catalogue base
+ * footprint for robots — turned to the member's heading and boxed on the
+ * spec axes. Edges are named as seen in the 2D layout view: left = −x,
+ * right = +x, top = −y, bottom = +y.
+ *
+ * Headings follow the scene convention: rotation (degrees) turns an
+ * entity's forward axis from spec +y towards spec +x, so a point at heading
+ * h sits at (sin h, cos h) around its pivot.
+ */
+
+import { getObjectFootprint } from './objectUtils';
+import { findRobotModel } from './robotCatalog';
+
+const DEG2RAD = Math.PI / 180;
+
+/**
+ * Resolves the selected robots and objects from store state.
+ *
+ * @param {object} state - useSceneStore state
+ * @returns {{ robots: object[], objects: object[], primary: object|null }}
+ *          primary is the entity named by selectedRobotId / selectedObjectId
+ */
+export function getSelectedEntities(state) {
+  const robots = state.deployedRobots.filter((r) => state.selectedRobotIds.includes(r.id));
+  const objects = state.sceneObjects.filter((o) => state.selectedObjectIds.includes(o.id));
+  const primary = state.selectedRobotId
+    ? robots.find((r) => r.id === state.selectedRobotId)
+    : objects.find((o) => o.id === state.selectedObjectId);
+  return { robots, objects, primary: primary ?? null };
+}
+
+/**
+ * Centroid of the entities' floor positions — the group rotation pivot.
+ *
+ * @param {object[]} entities - Robots and/or objects (spec positions)
+ * @returns {number[]} Spec [x, y]
+ */
+export function getSelectionPivot(entities) {
+  if (entities.length === 0) return [0, 0];
+  const sum = entities.reduce((acc, e) => [acc[0] + e.position[0], acc[1] + e.position[1]], [0, 0]);
+  return [sum[0] / entities.length, sum[1] / entities.length];
+}
+
+/**
+ * Rotates a spec position about a floor pivot by a heading change.
+ *
+ * @param {number[]} position - Spec [x, y, z]
+ * @param {number[]} pivot    - Spec [x, y]
+ * @param {number}   deltaDeg - Heading change in degrees
+ * @returns {number[]} Spec [x, y, z]; z is unchanged
+ */
+export function rotateAboutPivot(position, pivot, deltaDeg) {
+  const a = deltaDeg * DEG2RAD;
+  const cos = Math.cos(a);
+  const sin = Math.sin(a);
+  const dx = position[0] - pivot[0];
+  const dy = position[1] - pivot[1];
+  return [pivot[0] + dx * cos + dy * sin, pivot[1] - dx * sin + dy * cos, position[2]];
+}
+
+// ─── Align / distribute ──────────────────────────────────────────────────────
+
+/**
+ * Plan footprint of a robot or object, centred on its position.
+ * Robots use the catalogue base size (footprint_m) as a circle.
+ *
+ * @param {object}           entity
+ * @param {'robot'|'object'} kind
+ * @returns {{ type: 'rect', length: number, width: number } | { type: 'circle', radius: number }}
+ */
+export function getEntityFootprint(entity, kind) {
+  if (kind === 'object') return getObjectFootprint(entity.shape, entity.dimensions);
+  const model = findRobotModel(entity.modelId);
+  return { type: 'circle', radius: (Math.max(...(model?.footprint_m ?? [0.3])) / 2) * (entity.scale ?? 1) };
+}
+
+/**
+ * Box on the spec axes around an entity's footprint at its heading.
+ * @returns {{ minX: number, maxX: number, minY: number, maxY: number }}
+ */
+function footprintBox(entity, kind) {
+  const footprint = getEntityFootprint(entity, kind);
+  let hx;
+  let hy;
+  if (footprint.type === 'circle') {
+    hx = hy = footprint.radius;
+  } else {
+    const a = (entity.rotation ?? 0) * DEG2RAD;
+    const cos = Math.abs(Math.cos(a));
+    const sin = Math.abs(Math.sin(a));
+    hx = (cos * footprint.length + sin * footprint.width) / 2;
+    hy = (sin * footprint.length + cos * footprint.width) / 2;
+  }
+  const [x, y] = entity.position;
+  return { minX: x - hx, maxX: x + hx, minY: y - hy, maxY: y + hy };
+}
+
+/** Rounds to the millimetre, so results don't show float noise in the X / Y inputs */
+function roundMm(v) {
+  return Math.round(v * 1000) / 1000;
+}
+
+/**
+ * New positions that line the members' footprints up on one edge or centre
+ * line of the group's overall box.
+ *
+ * @param {{ entity: object, kind: 'robot'|'object' }[]} members
+ * @param {'left'|'right'|'top'|'bottom'|'centreX'|'centreY'} edge
+ *        centreX lines centres up on a vertical line (same x),
+ *        centreY on a horizontal one (same y)
+ * @returns {number[][]} Spec [x, y, z] per member, in order
+ */
+export function alignPositions(members, edge) {
+  const boxes = members.map((m) => footprintBox(m.entity, m.kind));
+  const minX = Math.min(...boxes.map((b) => b.minX));
+  const maxX = Math.max(...boxes.map((b) => b.maxX));
+  const minY = Math.min(...boxes.map((b) => b.minY));
+  const maxY = Math.max(...boxes.map((b) => b.maxY));
+
+  return members.map(({ entity }, i) => {
+    const b = boxes[i];
+    const [x, y, z] = entity.position;
+    switch (edge) {
+      case 'left':    return [roundMm(x + minX - b.minX), y, z];
+      case 'right':   return [roundMm(x + maxX - b.maxX), y, z];
+      case 'top':     return [x, roundMm(y + minY - b.minY), z];
+      case 'bottom':  return [x, roundMm(y + maxY - b.maxY), z];
+      case 'centreX': return [roundMm((minX + maxX) / 2), y, z];
+      case 'centreY': return [x, roundMm((minY + maxY) / 2), z];
+      default:        return entity.position;
+    }
+  });
+}
+
+/**
+ * New positions that space the members out along one axis, in their
+ * current order along it.
+ *
+ * @param {{ entity: object, kind: 'robot'|'object' }[]} members
+ * @param {'x'|'y'}     axis
+ * @param {number|null} gap - Clear space between neighbouring footprints
+ *        (metres), counted from the first member, which stays put. null
+ *        keeps the first and last members and spaces the rest evenly
+ *        between them.
+ * @returns {number[][]} Spec [x, y, z] per member, in order
+ */
+export function distributePositions(members, axis, gap = null) {
+  const k = axis === 'y' ? 1 : 0;
+  const [min, max] = axis === 'y' ? ['minY', 'maxY'] : ['minX', 'maxX'];
+  const items = members
+    .map((m, i) => ({ i, position: m.entity.position, box: footprintBox(m.entity, m.kind) }))
+    .sort((a, b) => a.position[k] - b.position[k] || a.i - b.i);
+  const positions = members.map((m) => m.entity.position);
+  if (items.length < 2) return positions;
+
+  const size = (item) => item.box[max] - item.box[min];
+  const first = items[0];
+  const last = items[items.length - 1];
+  const step = gap ?? (last.box[max] - first.box[min] - items.reduce((sum, it) => sum + size(it), 0)) / (items.length - 1);
+
+  let edge = first.box[min];
+  for (const item of items) {
+    const position = [...item.position];
+    // Footprints are centred on the position, so min edge + half the size
+    position[k] = roundMm(edge + size(item) / 2);
+    positions[item.i] = position;
+    edge += size(item) + step;
+  }
+  return positions;
+}
@@ -0,0 +1,88 @@
+/**
+ * shareLink.js
+ *
+ * Scenes as links. The scene payload (sceneStorage buildScenePayload — the
+ * same JSON the SAVES tab stores, camera view included) is deflated with the
+ * browser's CompressionStream and base64url-encoded into the URL fragment:
+ *   <app url>#scene=<data>   opens the scene for editing
+ *   <app url>#view=<data>    opens it read-only (store viewerMode)
+ * The fragment never reaches the server, so links work from the static
+ * GitHub Pages build.
+ *
+ * Robot models imported through the IMPORT tab live in the sender's browser
+ * and are not part of the link; floor plan images are, and make links long.
+ */
+
+import { parseScene } from './sceneSchema';
+
+/** Longest link browsers reliably open (Chromium's URL limit) */
+const MAX_LINK_LENGTH = 2 * 1024 * 1024;
+const LINK_PATTERN = /^#(scene|view)=([A-Za-z0-9_-]+)$/;
+
+/** Runs bytes through a (de)compression stream. */
+async function transform(bytes, stream) {
+  const buffer = await new Response(new Blob([bytes]).stream().pipeThrough(stream)).arrayBuffer();
+  return new Uint8Array(buffer);
+}
+
+function toBase64Url(bytes) {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i += 0x8000) {
+    binary += String.fromCharCode(...bytes.subarray(i, i + 0x8000));
+  }
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function fromBase64Url(text) {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, (c) => c.charCodeAt(0));
+}
+
+/**
+ * Builds a link that opens the scene in this app.
+ *
+ * @param {object}  payload  - buildScenePayload result
+ * @param {boolean} readOnly - Open in viewer mode
+ * @returns {Promise<string>} Absolute URL
+ * @throws {Error} When the scene is too large for a link
+ */
+export async function buildShareLink(payload, readOnly = false) {
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  const data = toBase64Url(await transform(json, new CompressionStream('deflate-raw')));
+  const { origin, pathname, search } = window.location;
+  const url = `${origin}${pathname}${search}#${readOnly ? 'view' : 'scene'}=${data}`;
+  if (url.length > MAX_LINK_LENGTH) {
+    throw new Error('This scene is too large for a link — export it as a .json file instead.');
+  }
+  return url;
+}
+
+/**
+ * True when the URL fragment holds a scene link.
+ * @param {string} hash - e.g. window.location.hash
+ */
+export function isShareLink(hash) {
+  return LINK_PATTERN.test(hash);
+}
+
+/**
+ * Decodes a scene link fragment.
+ *
+ * @param {string} hash - e.g. window.location.hash
+ * @returns {Promise<{ scene: object, readOnly: boolean }|null>}
+ *          null when the fragment is not a scene link
+ * @throws {Error} When the link is damaged or not a valid scene (parseScene)
+ */
+export async function readShareLink(hash) {
+  const match = LINK_PATTERN.exec(hash);
+  if (!match) return null;
+
+  let data;
+  try {
+    const bytes = await transform(fromBase64Url(match[2]), new DecompressionStream('deflate-raw'));
+    data = JSON.parse(new TextDecoder().decode(bytes));
+  } catch {
+    throw new Error('This scene link is damaged or incomplete.');
+  }
+  return { scene: parseScene(data), readOnly: match[1] === 'view' };
+}
@@ -0,0 +1,210 @@
+/**
+ * storageProviders.js
+ *
+ * Where saved scenes live. Every backend implements the same async interface,
+ * so the SAVES tab (and sceneStorage.js) never needs to know which one is in
+ * use:
+ *
+ *   {
+ *     id:          string — persisted as the active-provider preference
+ *     label:       string — shown in the SAVES tab
+ *     description: string — one line about where scenes end up
+ *     isAvailable(): Promise<boolean>
+ *     list():        Promise<{ name: string, ...summary }[]>  newest first
+ *                    (summary: sceneSummary.js summarizeScene)
+ *     load(name):    Promise<object|null>  full scene document, null if missing
+ *     save(name, scene): Promise<string>   the name it was stored under
+ *     remove(name):  Promise<void>
+ *   }
+ *
+ * Providers:
+ *   local — one localStorage key holding { [name]: scene }. Always there,
+ *           but capped at ~5-10 MB.
+ *   idb   — IndexedDB "scenes" store (utils/indexedDb.js), for large scenes,
+ *           e.g. with floor plan images.
+ *   rest  — the dev server's /api/scenes endpoints (scenesApiPlugin in
+ *           vite.config.js), which read and write the project's saves/ folder.
+ *           Only available under `npm run dev`.
+ */
+
+import { withStore } from './indexedDb';
+import { summarizeScene } from './sceneSummary';
+
+const SCENES_KEY = 'robotlayout_scenes';
+const ACTIVE_PROVIDER_KEY = 'robotlayout_storage_provider';
+const IDB_STORE = 'scenes';
+const API_URL = '/api/scenes';
+
+function newestFirst(a, b) {
+  return b.savedAt > a.savedAt ? 1 : -1;
+}
+
+// ─── localStorage ────────────────────────────────────────────────────────────
+
+/** Read the full scene map from localStorage. Returns {} on empty/error. */
+function readMap() {
+  try {
+    const raw = localStorage.getItem(SCENES_KEY);
+    if (!raw) return {};
+    return JSON.parse(raw);
+  } catch {
+    return {};
+  }
+}
+
+/** Write the full scene map to localStorage. */
+function writeMap(map) {
+  localStorage.setItem(SCENES_KEY, JSON.stringify(map)); // throws DOMException on quota exceeded
+}
+
+const localProvider = {
+  id: 'local',
+  label: 'Browser (localStorage)',
+  description: 'Saved to browser storage',
+  async isAvailable() {
+    return typeof localStorage !== 'undefined';
+  },
+  async list() {
+    return Object.entries(readMap())
+      .map(([name, data]) => ({ name, ...summarizeScene(data) }))
+      .sort(newestFirst);
+  },
+  async load(name) {
+    return readMap()[name] ?? null;
+  },
+  async save(name, scene) {
+    const map = readMap();
+    map[name] = scene;
+    writeMap(map);
+    return name;
+  },
+  async remove(name) {
+    const map = readMap();
+    delete map[name];
+    writeMap(map);
+  },
+};
+
+// ─── IndexedDB ───────────────────────────────────────────────────────────────
+
+const idbProvider = {
+  id: 'idb',
+  label: 'Browser (IndexedDB)',
+  description: 'Saved to browser database — no size limit',
+  async isAvailable() {
+    return typeof indexedDB !== 'undefined';
+  },
+  async list() {
+    const records = (await withStore(IDB_STORE, 'readonly', (store) => store.getAll())) ?? [];
+    return records
+      .map((r) => ({ name: r.name, ...summarizeScene(r.scene) }))
+      .sort(newestFirst);
+  },
+  async load(name) {
+    const record = await withStore(IDB_STORE, 'readonly', (store) => store.get(name));
+    return record?.scene ?? null;
+  },
+  async save(name, scene) {
+    await withStore(IDB_STORE, 'readwrite', (store) => store.put({ name, scene }));
+    return name;
+  },
+  async remove(name) {
+    await withStore(IDB_STORE, 'readwrite', (store) => store.delete(name));
+  },
+};
+
+// ─── Dev server (saves/ folder) ──────────────────────────────────────────────
+
+/**
+ * fetch() that rejects on HTTP errors with the server's message (the HTTP
+ * status on error.status) and on a reply that is not JSON.
+ */
+async function fetchJson(url, options) {
+  const res = await fetch(url, options);
+  const body = await res.json().catch(() => undefined);
+  if (!res.ok) {
+    const error = new Error(body?.error || `Server responded ${res.status}`);
+    error.status = res.status;
+    throw error;
+  }
+  if (body === undefined) throw new Error('The server sent a reply that is not valid JSON.');
+  return body;
+}
+
+const restProvider = {
+  id: 'rest',
+  label: 'Project folder (saves/)',
+  description: 'Saved to saves/ by the dev server',
+  async isAvailable() {
+    if (!import.meta.env.DEV) return false;
+    try {
+      return Array.isArray(await fetchJson(API_URL));
+    } catch {
+      return false;
+    }
+  },
+  async list() {
+    return (await fetchJson(API_URL)).sort(newestFirst);
+  },
+  async load(name) {
+    try {
+      return await fetchJson(`${API_URL}/${encodeURIComponent(name)}`);
+    } catch (err) {
+      // Only a missing file is "not found"; server and network failures surface
+      if (err.status === 404) return null;
+      throw err;
+    }
+  },
+  async save(name, scene) {
+    const result = await fetchJson(API_URL, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ name, scene }),
+    });
+    // The server replaces characters that are not allowed in filenames
+    return result.name;
+  },
+  async remove(name) {
+    await fetchJson(`${API_URL}/${encodeURIComponent(name)}`, { method: 'DELETE' });
+  },
+};
+
+// ─── Registry ────────────────────────────────────────────────────────────────
+
+/** All providers, in the order the SAVES tab offers them. */
+export const STORAGE_PROVIDERS = [localProvider, idbProvider, restProvider];
+
+/**
+ * Looks up a provider by id, falling back to localStorage.
+ * @param {string} id
+ */
+export function getStorageProvider(id) {
+  return STORAGE_PROVIDERS.find((p) => p.id === id) ?? localProvider;
+}
+
+/**
+ * Providers usable in this session (e.g. rest only under the dev server).
+ * @returns {Promise<object[]>}
+ */
+export async function listAvailableProviders() {
+  const available = await Promise.all(STORAGE_PROVIDERS.map((p) => p.isAvailable()));
+  return STORAGE_PROVIDERS.filter((_, i) => available[i]);
+}
+
+/** The provider chosen in the SAVES tab (remembered across sessions). */
+export function getActiveProviderId() {
+  try {
+    return localStorage.getItem(ACTIVE_PROVIDER_KEY) || localProvider.id;
+  } catch {
+    return localProvider.id;
+  }
+}
+
+/** @param {string} id */
+export function setActiveProviderId(id) {
+  try {
+    localStorage.setItem(ACTIVE_PROVIDER_KEY, id);
+  } catch {
+    // Preference only — ignore quota / privacy-mode failures
+  }
+}
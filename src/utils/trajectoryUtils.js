@@ -0,0 +1,75 @@
+/**
+ * trajectoryUtils.js
+ *
+ * Timing and sampling for robot waypoint programs (JOINTS tab).
+ *
+ * A program is an ordered list of joint-space waypoints. Playback moves
+ * through them with synchronised joint interpolation: on each segment every
+ * joint travels linearly and all joints arrive together. The segment takes
+ * as long as its slowest joint needs at that joint's URDF <limit velocity>
+ * (scaled by the program's speed %), so no joint ever exceeds its limit.
+ *
+ * Joints whose URDF gives no velocity fall back to DEFAULT_JOINT_VELOCITY.
+ */
+
+export const DEFAULT_JOINT_VELOCITY = 1.0; // rad/s (m/s for prismatic)
+const MIN_SEGMENT_DURATION = 0.05;         // s — avoids zero-length segments
+
+/**
+ * Builds the timed segment list for a program.
+ *
+ * @param {Array}  waypoints    - [{ id, name, angles: { [jointName]: radians } }]
+ * @param {Array}  meta         - robotJointMeta entry: [{ name, velocity }]
+ * @param {number} speedPercent - 1–100, scales every joint velocity limit
+ * @returns {{ segments: Array<{ from: object, to: object, start: number, duration: number }>,
+ *             arrivals: number[], duration: number }}
+ *          arrivals[i] is the time (s) at which waypoint i is reached
+ */
+export function buildTrajectory(waypoints, meta, speedPercent = 100) {
+  const scale = Math.min(Math.max(speedPercent, 1), 100) / 100;
+  const segments = [];
+  const arrivals = waypoints.length > 0 ? [0] : [];
+  let t = 0;
+
+  for (let i = 1; i < waypoints.length; i++) {
+    const from = waypoints[i - 1].angles;
+    const to = waypoints[i].angles;
+    const duration = Math.max(
+      MIN_SEGMENT_DURATION,
+      ...meta.map((j) => {
+        const delta = Math.abs((to[j.name] ?? 0) - (from[j.name] ?? 0));
+        return delta / ((j.velocity || DEFAULT_JOINT_VELOCITY) * scale);
+      })
+    );
+    segments.push({ from, to, start: t, duration });
+    t += duration;
+    arrivals.push(t);
+  }
+
+  return { segments, arrivals, duration: t };
+}
+
+/**
+ * Returns the interpolated joint angles at time t.
+ *
+ * @param {object} trajectory - From buildTrajectory
+ * @param {number} t          - Seconds from program start (clamped to [0, duration])
+ * @returns {object|null} { [jointName]: radians }, or null for an empty trajectory
+ */
+export function sampleTrajectory(trajectory, t) {
+  const { segments } = trajectory;
+  if (segments.length === 0) return null;
+
+  const time = Math.min(Math.max(t, 0), trajectory.duration);
+  const seg = segments.find((s) => time <= s.start + s.duration) ?? segments[segments.length - 1];
+  const u = Math.min((time - seg.start) / seg.duration, 1);
+
+  const names = new Set([...Object.keys(seg.from), ...Object.keys(seg.to)]);
+  return Object.fromEntries(
+    [...names].map((name) => {
+      const a = seg.from[name] ?? 0;
+      const b = seg.to[name] ?? 0;
+      return [name, a + (b - a) * u];
+    })
+  );
+}
@@ -0,0 +1,255 @@
+/**
+ * urdfImport.js
+ *
+ * Helpers for the IMPORT tab: gathering a dropped folder / zip into a flat
+ * file list, analysing the URDF it contains, and resolving mesh URIs
+ * (package:// or relative) against the files in the bundle.
+ *
+ * Bundle file shape used throughout:
+ *   { path: string, blob: Blob }   — path is normalised, "/"-separated,
+ *                                    relative to the dropped root
+ *
+ * Only STL meshes are rendered by URDFRobot, so other mesh formats are
+ * reported as unsupported (the link is skipped at load time, not the robot).
+ */
+
+import { readZip } from './zipReader';
+
+const SUPPORTED_MESH_RE = /\.stl$/i;
+
+// ─── Paths ───────────────────────────────────────────────────────────────────
+
+/**
+ * Normalises a bundle path: backslashes → "/", drops "." segments and
+ * resolves ".." against preceding segments.
+ * @param {string} path
+ * @returns {string}
+ */
+export function normalizePath(path) {
+  const out = [];
+  for (const part of path.replace(/\\/g, '/').split('/')) {
+    if (!part || part === '.') continue;
+    if (part === '..') out.pop();
+    else out.push(part);
+  }
+  return out.join('/');
+}
+
+function dirname(path) {
+  const i = path.lastIndexOf('/');
+  return i < 0 ? '' : path.slice(0, i);
+}
+
+/**
+ * Resolves a URDF mesh filename to a path inside the bundle.
+ *
+ * package://pkg/rel → prefers a file ending in "pkg/rel", then one ending in
+ * "rel" (zips are often rooted at the package folder itself).
+ * Relative paths are resolved against the URDF's own directory first.
+ *
+ * @param {string}   uri       - Mesh filename exactly as written in the URDF
+ * @param {string}   urdfDir   - Bundle directory containing the URDF
+ * @param {string[]} filePaths - All normalised paths in the bundle
+ * @returns {string|null} Matching bundle path, or null if not found
+ */
+export function resolveBundlePath(uri, urdfDir, filePaths) {
+  const lower = filePaths.map((p) => p.toLowerCase());
+  const findExact = (p) => {
+    const i = lower.indexOf(p.toLowerCase());
+    return i < 0 ? null : filePaths[i];
+  };
+  const findSuffix = (suffix) => {
+    const s = suffix.toLowerCase();
+    const i = lower.findIndex((p) => p === s || p.endsWith('/' + s));
+    return i < 0 ? null : filePaths[i];
+  };
+
+  const pkgMatch = uri.match(/^package:\/\/([^/]+)\/(.+)$/);
+  if (pkgMatch) {
+    const rel = normalizePath(pkgMatch[2]);
+    return findSuffix(`${pkgMatch[1]}/${rel}`) ?? findSuffix(rel);
+  }
+
+  const stripped = uri.replace(/^file:\/\//, '');
+  const rel = normalizePath(urdfDir ? `${urdfDir}/${stripped}` : stripped);
+  return findExact(rel) ?? findSuffix(normalizePath(stripped));
+}
+
+// ─── Gathering files ─────────────────────────────────────────────────────────
+
+function readDirectoryEntries(reader) {
+  return new Promise((resolve, reject) => reader.readEntries(resolve, reject));
+}
+
+async function walkEntry(entry, prefix, out) {
+  if (entry.isFile) {
+    const file = await new Promise((resolve, reject) => entry.file(resolve, reject));
+    out.push({ path: normalizePath(prefix + entry.name), blob: file });
+    return;
+  }
+  if (entry.isDirectory) {
+    const reader = entry.createReader();
+    // readEntries returns at most ~100 entries per call — loop until empty
+    for (;;) {
+      const batch = await readDirectoryEntries(reader);
+      if (batch.length === 0) break;
+      for (const child of batch) {
+        await walkEntry(child, `${prefix}${entry.name}/`, out);
+      }
+    }
+  }
+}
+
+/** Expands any .zip files in the list into their contained files. */
+async function expandZips(files) {
+  const out = [];
+  for (const f of files) {
+    if (!/\.zip$/i.test(f.path)) {
+      out.push(f);
+      continue;
+    }
+    const base = dirname(f.path);
+    const entries = await readZip(await f.blob.arrayBuffer());
+    for (const e of entries) {
+      out.push({
+        path: normalizePath(base ? `${base}/${e.path}` : e.path),
+        blob: new Blob([e.data]),
+      });
+    }
+  }
+  return out;
+}
+
+/**
+ * Collects files from a drag-and-drop DataTransfer. Folders are walked
+ * recursively; zip archives are extracted.
+ * @param {DataTransfer} dataTransfer
+ * @returns {Promise<Array<{ path: string, blob: Blob }>>}
+ */
+export async function collectDroppedFiles(dataTransfer) {
+  const entries = [...(dataTransfer.items ?? [])]
+    .filter((item) => item.kind === 'file')
+    .map((item) => item.webkitGetAsEntry?.())
+    .filter(Boolean);
+
+  const files = [];
+  if (entries.length > 0) {
+    for (const entry of entries) await walkEntry(entry, '', files);
+  } else {
+    for (const file of dataTransfer.files) files.push({ path: normalizePath(file.name), blob: file });
+  }
+  return expandZips(files);
+}
+
+/**
+ * Collects files from an <input type="file"> (with or without webkitdirectory).
+ * @param {FileList} fileList
+ * @returns {Promise<Array<{ path: string, blob: Blob }>>}
+ */
+export function collectInputFiles(fileList) {
+  const files = [...fileList].map((file) => ({
+    path: normalizePath(file.webkitRelativePath || file.name),
+    blob: file,
+  }));
+  return expandZips(files);
+}
+
+// ─── URDF analysis ───────────────────────────────────────────────────────────
+
+function parseXyz(str) {
+  return (str ?? '0 0 0').trim().split(/\s+/).map(Number);
+}
+
+/**
+ * Finds the kinematic chain from the root link to the deepest leaf.
+ * Depth counts movable joints first so a fixed "tool0" flange link
+ * hanging off the wrist doesn't win over the real last link.
+ */
+function findMainChain(links, joints) {
+  const childLinks = new Set(joints.map((j) => j.child));
+  const root = links.find((l) => !childLinks.has(l)) ?? links[0];
+
+  let best = { movable: -1, links: [root], length: 0 };
+  function visit(link, movable, path, length) {
+    const outgoing = joints.filter((j) => j.parent === link);
+    if (outgoing.length === 0) {
+      if (movable > best.movable) best = { movable, links: path, length };
+      return;
+    }
+    for (const j of outgoing) {
+      const [x, y, z] = j.xyz;
+      visit(
+        j.child,
+        movable + (j.type === 'fixed' ? 0 : 1),
+        [...path, j.child],
+        length + Math.hypot(x, y, z)
+      );
+    }
+  }
+  visit(root, 0, [root], 0);
+  return best;
+}
+
+/**
+ * Parses a URDF and checks its meshes against the bundle.
+ *
+ * @param {string}   urdfText  - URDF XML
+ * @param {string}   urdfPath  - Bundle path of the URDF file
+ * @param {string[]} filePaths - All bundle paths
+ * @returns {{
+ *   robotName: string, links: string[], movableJoints: number,
+ *   lastLinkName: string, chainLength: number,
+ *   meshes: Array<{ uri: string, path: string|null, supported: boolean }>
+ * }}
+ * @throws {Error} when the XML is not a URDF <robot>
+ */
+export function analyzeUrdf(urdfText, urdfPath, filePaths) {
+  const doc = new DOMParser().parseFromString(urdfText, 'application/xml');
+  const robotEl = doc.querySelector('robot');
+  if (doc.querySelector('parsererror') || !robotEl) {
+    throw new Error(`${urdfPath} is not a valid URDF (no <robot> element)`);
+  }
+
+  const links = [...robotEl.querySelectorAll(':scope > link')].map((l) => l.getAttribute('name'));
+  const joints = [...robotEl.querySelectorAll(':scope > joint')].map((j) => ({
+    name: j.getAttribute('name'),
+    type: j.getAttribute('type'),
+    parent: j.querySelector('parent')?.getAttribute('link'),
+    child: j.querySelector('child')?.getAttribute('link'),
+    xyz: parseXyz(j.querySelector('origin')?.getAttribute('xyz')),
+  }));
+  if (links.length === 0) throw new Error(`${urdfPath} defines no links`);
+
+  const urdfDir = dirname(urdfPath);
+  const uris = [...new Set(
+    [...robotEl.querySelectorAll('visual mesh')].map((m) => m.getAttribute('filename'))
+  )];
+  const meshes = uris.map((uri) => ({
+    uri,
+    path: resolveBundlePath(uri, urdfDir, filePaths),
+    supported: SUPPORTED_MESH_RE.test(uri),
+  }));
+
+  const chain = findMainChain(links, joints);
+  return {
+    robotName: robotEl.getAttribute('name') || 'robot',
+    links,
+    movableJoints: joints.filter((j) => j.type !== 'fixed' && j.type !== 'floating').length,
+    lastLinkName: chain.links[chain.links.length - 1],
+    chainLength: chain.length,
+    meshes,
+  };
+}
+
+/**
+ * Lists the URDF files in a bundle (shortest path first so a top-level
+ * URDF wins over copies buried in sub-packages).
+ * @param {Array<{ path: string }>} files
+ * @returns {string[]}
+ */
+export function findUrdfPaths(files) {
+  return files
+    .map((f) => f.path)
+    .filter((p) => /\.urdf$/i.test(p))
+    .sort((a, b) => a.split('/').length - b.split('/').length || a.localeCompare(b));
+}
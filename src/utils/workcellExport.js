@@ -0,0 +1,395 @@
+/**
+ * workcellExport.js
+ *
+ * ROS / Gazebo export of the whole workcell:
+ *   - buildWorkcellUrdf — a single URDF with a `world` root link:
+ *       robots    each robot's own URDF, every link / joint / material name
+ *                 prefixed with its namespace ("r1_" for r-1), fixed to the
+ *                 world at its position / rotation / mountType (the base pose
+ *                 of kinematics.js robotBaseMatrix). A display scale other
+ *                 than 1 is baked into origins and geometry. Robots without a
+ *                 URDF get a cylinder stand-in.
+ *       objects   a static link per sceneObject — box, cylinder or sphere
+ *                 visual + collision sized from its footprint and top surface
+ *                 (objectUtils); pipes are horizontal cylinders
+ *       tracks    a robot bound via parentObjectId to a `linear_track` rides a
+ *                 "<ns>carriage" link on a prismatic joint ("<ns>track", the
+ *                 7th axis) along the track's length, zero at its centre
+ *   - buildWorkcellSdf — an SDF world: sun, ground, the building
+ *                 (sceneSettings.floor outline, walls, columns) as a static
+ *                 model, and the workcell URDF included beside it
+ *
+ * Frame: ROS world = the robot world frame W of kinematics.js — X = spec x,
+ * Y = −spec y, Z up; headings are yaw about +Z. Mesh filenames are kept as
+ * the robot URDFs give them (package://…); the header comment lists the
+ * app folder each package maps to.
+ */
+
+import { getFloorOutline, getColumnPositions, getWallSegments } from './floorLayout';
+import { matrixToPose, robotBaseMatrix } from './kinematics';
+import { getObjectFootprint, getObjectTopSurface } from './objectUtils';
+import { findRobotModel, getImportedRobotAssets, IMPORTED_URDF_PREFIX } from './robotCatalog';
+
+const DEG2RAD = Math.PI / 180;
+
+/** Fixed precision, no trailing zeros, no "-0". */
+function num(n) {
+  return String(Math.abs(n) < 5e-7 ? 0 : Number(n.toFixed(6)));
+}
+
+const vec = (values) => values.map(num).join(' ');
+
+function xmlEscape(str) {
+  return String(str)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/** Comment text cannot contain "--". */
+const commentText = (str) => String(str).replace(/-{2,}/g, '-');
+
+/** Namespace prefix for a robot, e.g. "r-1" → "r1_". */
+export function robotNamespace(robot) {
+  return `${robot.id.replace(/[^A-Za-z0-9]/g, '')}_`;
+}
+
+/** Link name for a scene object, e.g. "o1_work_table". */
+function objectLinkName(object) {
+  const slug = (object.itemId ?? object.shape ?? 'object').replace(/[^A-Za-z0-9_]/g, '_');
+  return `${object.id.replace(/[^A-Za-z0-9]/g, '')}_${slug}`;
+}
+
+/** "#rrggbb" + opacity → URDF "r g b a". */
+function rgba(hex, opacity = 1) {
+  const n = parseInt(String(hex ?? '#888888').replace('#', ''), 16) || 0;
+  return vec([((n >> 16) & 255) / 255, ((n >> 8) & 255) / 255, (n & 255) / 255, opacity]);
+}
+
+function origin(xyz, rpy = [0, 0, 0]) {
+  return `<origin xyz="${vec(xyz)}" rpy="${vec(rpy)}"/>`;
+}
+
+/** Nominal inertia so simulators keep the link (values are placeholders). */
+function inertial(mass) {
+  return `<inertial><mass value="${num(mass)}"/>` +
+    '<inertia ixx="1" ixy="0" ixz="0" iyy="1" iyz="0" izz="1"/></inertial>';
+}
+
+/**
+ * Fetches the URDF text of every deployed robot that has one.
+ *
+ * @param {object[]} robots - deployedRobots
+ * @returns {Promise<Map<string, string|null>>} robot id → URDF XML (null if none)
+ */
+export async function loadRobotUrdfs(robots) {
+  const byPath = new Map();
+  const base = import.meta.env.BASE_URL;
+  const load = (urdf) => {
+    if (!byPath.has(urdf)) {
+      byPath.set(urdf, urdf.startsWith(IMPORTED_URDF_PREFIX)
+        ? Promise.resolve(getImportedRobotAssets(urdf)?.urdfText ?? null)
+        : fetch(`${base}models/${urdf}`).then((res) => (res.ok ? res.text() : null), () => null));
+    }
+    return byPath.get(urdf);
+  };
+  const texts = await Promise.all(robots.map((r) => (r.urdf ? load(r.urdf) : null)));
+  return new Map(robots.map((r, i) => [r.id, texts[i]]));
+}
+
+/** The link of a parsed <robot> that is no joint's child. */
+function findRootLink(robotEl) {
+  const children = new Set([...robotEl.querySelectorAll('joint > child')].map((el) => el.getAttribute('link')));
+  return [...robotEl.querySelectorAll(':scope > link')]
+    .map((el) => el.getAttribute('name'))
+    .find((name) => !children.has(name)) ?? null;
+}
+
+/**
+ * Name of a URDF's root link — the robot's base frame.
+ * @param {string} text - URDF XML
+ * @returns {string|null}
+ */
+export function getUrdfRootLink(text) {
+  const robotEl = new DOMParser().parseFromString(text, 'application/xml').documentElement;
+  return robotEl.nodeName === 'robot' ? findRootLink(robotEl) : null;
+}
+
+/**
+ * Namespaces and scales one robot URDF.
+ *
+ * @param {string} text   - URDF XML
+ * @param {string} ns     - Prefix for link / joint / material names
+ * @param {number} scale  - Display scale to bake in
+ * @returns {{ body: string, rootLink: string }|null} null if it doesn't parse
+ */
+function namespaceRobotUrdf(text, ns, scale) {
+  const doc = new DOMParser().parseFromString(text, 'application/xml');
+  const robotEl = doc.documentElement;
+  if (robotEl.nodeName !== 'robot' || doc.getElementsByTagName('parsererror').length) return null;
+
+  const prefix = (selector, attr) => {
+    robotEl.querySelectorAll(selector).forEach((el) => el.setAttribute(attr, ns + el.getAttribute(attr)));
+  };
+  prefix('link[name]', 'name');
+  prefix('joint[name]', 'name');
+  prefix('material[name]', 'name');
+  prefix('parent[link]', 'link');
+  prefix('child[link]', 'link');
+  prefix('mimic[joint]', 'joint');
+  prefix('transmission[name]', 'name');
+  prefix('actuator[name]', 'name');
+  prefix('gazebo[reference]', 'reference');
+
+  if (scale !== 1) {
+    const scaleAttr = (selector, attr, fallback) => {
+      robotEl.querySelectorAll(selector).forEach((el) => {
+        const values = (el.getAttribute(attr) ?? fallback).trim().split(/\s+/).map(Number);
+        el.setAttribute(attr, vec(values.map((v) => v * scale)));
+      });
+    };
+    scaleAttr('origin', 'xyz', '0 0 0');
+    scaleAttr('mesh', 'scale', '1 1 1');
+    scaleAttr('box', 'size', '0 0 0');
+    scaleAttr('cylinder', 'radius', '0');
+    scaleAttr('cylinder', 'length', '0');
+    scaleAttr('sphere', 'radius', '0');
+    robotEl.querySelectorAll('joint[type="prismatic"] > limit').forEach((el) => {
+      ['lower', 'upper'].forEach((k) => el.hasAttribute(k) && el.setAttribute(k, num(Number(el.getAttribute(k)) * scale)));
+    });
+  }
+
+  const rootLink = findRootLink(robotEl);
+  if (!rootLink) return null;
+
+  const serializer = new XMLSerializer();
+  const body = [...robotEl.children].map((el) => `  ${serializer.serializeToString(el)}`).join('\n');
+  return { body, rootLink };
+}
+
+/** Cylinder stand-in for a robot without a usable URDF. */
+function standInRobot(robot, ns) {
+  const model = findRobotModel(robot.modelId);
+  const s = robot.scale ?? 1;
+  const h = (robot.approxHeight ?? model?.approxHeight ?? 1) * s;
+  const r = ((model?.footprint_m ? Math.max(...model.footprint_m) : 0.3) / 2) * s;
+  const geometry = `<geometry><cylinder radius="${num(r)}" length="${num(h)}"/></geometry>`;
+  return {
+    body: `  <link name="${ns}base_link">\n` +
+      `    <visual>${origin([0, 0, h / 2])}${geometry}</visual>\n` +
+      `    <collision>${origin([0, 0, h / 2])}${geometry}</collision>\n` +
+      `  </link>`,
+    rootLink: `${ns}base_link`,
+  };
+}
+
+/**
+ * Visual / collision shape of a scene object in its own frame (origin at its
+ * floor position, X along its length).
+ * @returns {{ geometry: string, xyz: number[], rpy: number[] }}
+ */
+function objectGeometry(object) {
+  const d = object.dimensions ?? {};
+  const fp = getObjectFootprint(object.shape, d);
+  const h = getObjectTopSurface(object.shape, d);
+  // Ceiling objects hang below their mount point
+  const sign = object.mountType === 'ceiling' ? -1 : 1;
+
+  if (object.shape === 'sphere') {
+    return { geometry: `<sphere radius="${num(fp.radius)}"/>`, xyz: [0, 0, sign * fp.radius], rpy: [0, 0, 0] };
+  }
+  if (object.shape === 'pipe') {
+    const r = fp.width / 2;
+    return {
+      geometry: `<cylinder radius="${num(r)}" length="${num(fp.length)}"/>`,
+      xyz: [0, 0, sign * r],
+      rpy: [0, Math.PI / 2, 0],
+    };
+  }
+  if (fp.type === 'circle') {
+    return { geometry: `<cylinder radius="${num(fp.radius)}" length="${num(h)}"/>`, xyz: [0, 0, sign * h / 2], rpy: [0, 0, 0] };
+  }
+  return { geometry: `<box size="${vec([fp.length, fp.width, h])}"/>`, xyz: [0, 0, sign * h / 2], rpy: [0, 0, 0] };
+}
+
+/** World pose of a scene object's frame: [x, −y, z], yaw = heading. */
+function objectPose(object) {
+  const [x, y, z] = object.position;
+  return { xyz: [x, -y, z], rpy: [0, 0, (object.rotation ?? 0) * DEG2RAD] };
+}
+
+/**
+ * Builds the combined workcell URDF.
+ *
+ * @param {object} state     - useSceneStore state
+ * @param {Map}    urdfTexts - From loadRobotUrdfs
+ * @returns {string} URDF XML
+ */
+export function buildWorkcellUrdf(state, urdfTexts) {
+  const { deployedRobots, sceneObjects, robotJointAngles } = state;
+  const objectsById = new Map(sceneObjects.map((o) => [o.id, o]));
+  const out = [];
+  const packages = new Map();
+
+  // ── Scene objects: static links fixed to the world ──
+  for (const object of sceneObjects) {
+    const name = objectLinkName(object);
+    const { geometry, xyz, rpy } = objectGeometry(object);
+    const pose = objectPose(object);
+    out.push(
+      `  <!-- ${commentText(object.label ?? object.id)} -->`,
+      `  <link name="${name}">`,
+      `    <visual>${origin(xyz, rpy)}<geometry>${geometry}</geometry>` +
+        `<material name="${name}_color"><color rgba="${rgba(object.color, object.opacity ?? 1)}"/></material></visual>`,
+      `    <collision>${origin(xyz, rpy)}<geometry>${geometry}</geometry></collision>`,
+      `    ${inertial(10)}`,
+      '  </link>',
+      `  <joint name="${name}_fixed" type="fixed">`,
+      `    <parent link="world"/><child link="${name}"/>${origin(pose.xyz, pose.rpy)}`,
+      '  </joint>',
+      ''
+    );
+  }
+
+  // ── Robots ──
+  for (const robot of deployedRobots) {
+    const ns = robotNamespace(robot);
+    const scale = robot.scale ?? 1;
+    const text = urdfTexts.get(robot.id);
+    const parsed = (text && namespaceRobotUrdf(text, ns, scale)) || standInRobot(robot, ns);
+    Object.entries(robot.packageMap ?? {}).forEach(([pkg, dir]) => packages.set(pkg, dir));
+
+    const angles = robotJointAngles[robot.id] ?? {};
+    const pose = Object.entries(angles).map(([joint, v]) => `${ns}${joint}=${num(v)}`).join(' ');
+    out.push(`  <!-- ${commentText(`${robot.label} (${robot.model})${pose ? ` - current pose: ${pose}` : ''}`)} -->`);
+
+    const track = objectsById.get(robot.parentObjectId);
+    if (track?.shape === 'linear_track') {
+      // 7th axis: carriage slides along the track's length, zero at its centre
+      const half = (track.dimensions?.length ?? 5) / 2;
+      const offset = robot.parentOffset ?? {};
+      const flip = robot.mountType === 'ceiling' ? Math.PI : 0;
+      out.push(
+        `  <link name="${ns}carriage">${inertial(50)}</link>`,
+        `  <joint name="${ns}track" type="prismatic">`,
+        `    <parent link="${objectLinkName(track)}"/><child link="${ns}carriage"/>` +
+          origin([0, 0, robot.position[2] - track.position[2]]),
+        `    <axis xyz="1 0 0"/><limit lower="${num(-half)}" upper="${num(half)}" effort="1000" velocity="1"/>`,
+        `    <!-- current carriage position: ${num(offset.dx ?? 0)} m -->`,
+        '  </joint>',
+        `  <joint name="${ns}mount" type="fixed">`,
+        `    <parent link="${ns}carriage"/><child link="${parsed.rootLink}"/>` +
+          origin([0, -(offset.dy ?? 0), 0], [flip, 0, (offset.dRot ?? 0) * DEG2RAD]),
+        '  </joint>'
+      );
+    } else {
+      const base = matrixToPose(robotBaseMatrix(robot));
+      out.push(
+        `  <joint name="${ns}mount" type="fixed">`,
+        `    <parent link="world"/><child link="${parsed.rootLink}"/>${origin(base.position, base.rpy)}`,
+        '  </joint>'
+      );
+    }
+    out.push(parsed.body, '');
+  }
+
+  const packageNotes = [...packages].map(([pkg, dir]) => `    package://${pkg} -> public/models/${dir}`);
+  return [
+    '<?xml version="1.0"?>',
+    '<!--',
+    '  Robot layout workcell - generated URDF',
+    '  World frame: X = layout x, Y = -layout y, Z up (metres, radians).',
+    '  Robot links / joints are namespaced by robot id (r-1 -> r1_).',
+    ...(packageNotes.length ? ['  Mesh packages (folders in the layout app):', ...packageNotes] : []),
+    '-->',
+    '<robot name="workcell">',
+    '  <link name="world"/>',
+    '',
+    ...out,
+    '</robot>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Builds an SDF world around the workcell URDF.
+ *
+ * @param {object} state    - useSceneStore state
+ * @param {string} urdfFile - File name the workcell URDF is saved under
+ * @returns {string} SDF XML
+ */
+export function buildWorkcellSdf(state, urdfFile = 'workcell.urdf') {
+  const { floor } = state.sceneSettings;
+  const pose = (xyz, rpy = [0, 0, 0]) => `<pose>${vec([...xyz, ...rpy])}</pose>`;
+  const box = (name, size, xyz, rpy, color) => [
+    `        <visual name="${name}_visual">${pose(xyz, rpy)}<geometry><box><size>${vec(size)}</size></box></geometry>`,
+    `          <material><ambient>${color}</ambient><diffuse>${color}</diffuse></material></visual>`,
+    `        <collision name="${name}_collision">${pose(xyz, rpy)}<geometry><box><size>${vec(size)}</size></box></geometry></collision>`,
+  ];
+
+  const floorPoints = getFloorOutline(floor).map(([x, y]) => `<point>${vec([x, -y])}</point>`).join('');
+  const floorGeometry = `<geometry><polyline>${floorPoints}<height>0.01</height></polyline></geometry>`;
+  const parts = [
+    `        <visual name="floor_visual">${pose([0, 0, -0.01])}${floorGeometry}` +
+      `<material><diffuse>${rgba(state.sceneSettings.floorColor)}</diffuse></material></visual>`,
+    `        <collision name="floor_collision">${pose([0, 0, -0.01])}${floorGeometry}</collision>`,
+  ];
+  const wallColor = rgba('#b0bec5');
+  if (floor.wallsVisible) {
+    getWallSegments(floor).forEach((wall, i) => {
+      parts.push(...box(
+        `wall_${i}`,
+        [wall.length, floor.wallThickness, wall.top - wall.bottom],
+        [wall.centre[0], -wall.centre[1], (wall.top + wall.bottom) / 2],
+        [0, 0, -wall.angle],
+        wallColor
+      ));
+    });
+  }
+  getColumnPositions(floor).forEach(([x, y], i) => {
+    const s = floor.columns.size;
+    parts.push(...box(`column_${i}`, [s, s, floor.wallHeight], [x, -y, floor.wallHeight / 2], [0, 0, 0], rgba('#90a4ae')));
+  });
+
+  return [
+    '<?xml version="1.0"?>',
+    '<!--',
+    '  Robot layout workcell - generated SDF world',
+    `  Includes ${urdfFile} (save it beside this file or on the resource path;`,
+    '  older simulators can convert it first: gz sdf -p workcell.urdf).',
+    '-->',
+    '<sdf version="1.7">',
+    '  <world name="workcell">',
+    '    <light type="directional" name="sun">',
+    '      <cast_shadows>true</cast_shadows>',
+    '      <pose>0 0 10 0 0 0</pose>',
+    '      <diffuse>0.8 0.8 0.8 1</diffuse>',
+    '      <direction>-0.5 0.1 -0.9</direction>',
+    '    </light>',
+    '    <model name="building">',
+    '      <static>true</static>',
+    '      <link name="structure">',
+    ...parts,
+    '      </link>',
+    '    </model>',
+    '    <include>',
+    `      <uri>${xmlEscape(urdfFile)}</uri>`,
+    '      <name>workcell</name>',
+    '      <pose>0 0 0 0 0 0</pose>',
+    '    </include>',
+    '  </world>',
+    '</sdf>',
+    '',
+  ].join('\n');
+}
+
+/**
+ * Loads the robot URDFs and builds the workcell URDF.
+ *
+ * @param {object} state - useSceneStore state
+ * @returns {Promise<string>} URDF XML
+ */
+export async function exportWorkcellUrdf(state) {
+  return buildWorkcellUrdf(state, await loadRobotUrdfs(state.deployedRobots));
+}
@@ -0,0 +1,82 @@
+/**
+ * zipReader.js
+ *
+ * Small read-only ZIP extractor for the IMPORT tab. Parses the central
+ * directory and inflates entries with the browser's native
+ * DecompressionStream('deflate-raw'), so no third-party zip library is needed.
+ *
+ * Supported: compression methods 0 (stored) and 8 (deflate).
+ * Not supported: ZIP64, encryption, multi-disk archives.
+ */
+
+const EOCD_SIGNATURE = 0x06054b50;
+const CENTRAL_SIGNATURE = 0x02014b50;
+const LOCAL_SIGNATURE = 0x04034b50;
+
+/** Locates the End Of Central Directory record by scanning backwards. */
+function findEndOfCentralDirectory(view) {
+  // EOCD is 22 bytes plus an optional comment of up to 65535 bytes
+  const minOffset = Math.max(0, view.byteLength - 22 - 0xffff);
+  for (let i = view.byteLength - 22; i >= minOffset; i--) {
+    if (view.getUint32(i, true) === EOCD_SIGNATURE) return i;
+  }
+  return -1;
+}
+
+async function inflateRaw(bytes) {
+  const stream = new Blob([bytes]).stream().pipeThrough(new DecompressionStream('deflate-raw'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+}
+
+/**
+ * Extracts every file entry from a ZIP archive.
+ *
+ * @param {ArrayBuffer} buffer - Raw archive bytes
+ * @returns {Promise<Array<{ path: string, data: Uint8Array }>>} Directory entries are skipped
+ */
+export async function readZip(buffer) {
+  const view = new DataView(buffer);
+  const eocd = findEndOfCentralDirectory(view);
+  if (eocd < 0) throw new Error('Not a ZIP archive (end of central directory not found)');
+
+  const entryCount = view.getUint16(eocd + 10, true);
+  let offset = view.getUint32(eocd + 16, true);
+  const decoder = new TextDecoder();
+  const entries = [];
+
+  for (let i = 0; i < entryCount; i++) {
+    if (view.getUint32(offset, true) !== CENTRAL_SIGNATURE) {
+      throw new Error('Corrupt ZIP archive (bad central directory entry)');
+    }
+    const flags = view.getUint16(offset + 8, true);
+    const method = view.getUint16(offset + 10, true);
+    const compressedSize = view.getUint32(offset + 20, true);
+    const nameLength = view.getUint16(offset + 28, true);
+    const extraLength = view.getUint16(offset + 30, true);
+    const commentLength = view.getUint16(offset + 32, true);
+    const localOffset = view.getUint32(offset + 42, true);
+    const path = decoder.decode(new Uint8Array(buffer, offset + 46, nameLength));
+    offset += 46 + nameLength + extraLength + commentLength;
+
+    if (path.endsWith('/')) continue;
+    if (flags & 0x1) throw new Error(`Encrypted ZIP entries are not supported (${path})`);
+
+    if (view.getUint32(localOffset, true) !== LOCAL_SIGNATURE) {
+      throw new Error(`Corrupt ZIP archive (bad local header for ${path})`);
+    }
+    const localNameLength = view.getUint16(localOffset + 26, true);
+    const localExtraLength = view.getUint16(localOffset + 28, true);
+    const dataStart = localOffset + 30 + localNameLength + localExtraLength;
+    const raw = new Uint8Array(buffer, dataStart, compressedSize);
+
+    if (method === 0) {
+      entries.push({ path, data: raw.slice() });
+    } else if (method === 8) {
+      entries.push({ path, data: await inflateRaw(raw) });
+    } else {
+      throw new Error(`Unsupported ZIP compression method ${method} (${path})`);
+    }
+  }
+
+  return entries;
+}
@@ -2,6 +2,7 @@ import { defineConfig } from 'vite';
 import react from '@vitejs/plugin-react';
 import fs from 'node:fs';
 import path from 'node:path';
+import { summarizeScene } from './src/utils/sceneSummary.js';
 
 const SAVES_DIR = path.resolve(process.cwd(), 'saves');
 
@@ -12,7 +13,8 @@ const SAVES_DIR = path.resolve(process.cwd(), 'saves');
  * write scene JSON files directly inside the project's saves/ folder.
  *
  * Endpoints:
- *   GET    /api/scenes          → [{ name, savedAt }] sorted newest first
+ *   GET    /api/scenes          → [{ name, savedAt, ...summary }] sorted newest first
+ *                                  (summary: src/utils/sceneSummary.js)
  *   POST   /api/scenes          → body: { name, scene } → writes saves/{name}.json
  *   GET    /api/scenes/:name    → full scene JSON
  *   DELETE /api/scenes/:name    → removes saves/{name}.json
@@ -32,8 +34,19 @@ function scenesApiPlugin() {
             const files = fs.readdirSync(SAVES_DIR).filter((f) => f.endsWith('.json'));
             const scenes = files
               .map((f) => {
-                const stat = fs.statSync(path.join(SAVES_DIR, f));
-                return { name: f.replace(/\.json$/, ''), savedAt: stat.mtime.toISOString() };
+                const filePath = path.join(SAVES_DIR, f);
+                const stat = fs.statSync(filePath);
+                let scene = null;
+                try {
+                  scene = JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+                } catch {
+                  // Listed without a summary; loading it reports the problem
+                }
+                return {
+                  name: f.replace(/\.json$/, ''),
+                  ...summarizeScene(scene),
+                  savedAt: stat.mtime.toISOString(),
+                };
               })
               .sort((a, b) => b.savedAt.localeCompare(a.savedAt));
             res.writeHead(200);